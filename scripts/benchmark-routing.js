@@ -0,0 +1,143 @@
+/**
+ * Routing Benchmark
+ *
+ * Measures how long it takes to build the routing graph and to find routes
+ * on a GeoJSON dataset, using the same pathfinding code as the app.
+ *
+ * Run: node scripts/benchmark-routing.js [path-to-geojson] [--routes N] [--builds N]
+ * Default dataset: public/merged/rooms-all-WGS.geojson
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const DEFAULT_FILE = 'public/merged/rooms-all-WGS.geojson';
+
+function parseArgs(argv) {
+  const options = { file: DEFAULT_FILE, routes: 25, builds: 3 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--routes') options.routes = parseInt(argv[++i], 10);
+    else if (argv[i] === '--builds') options.builds = parseInt(argv[++i], 10);
+    else options.file = argv[i];
+  }
+  return options;
+}
+
+// Small deterministic PRNG so every run benchmarks the same room pairs
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Run fn with the pathfinding debug logging silenced
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  return { result, ms };
+}
+
+function summarize(label, samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const p95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+  console.log(
+    `  ${label.padEnd(22)} mean ${mean.toFixed(1)} ms | median ${median.toFixed(1)} ms | p95 ${p95.toFixed(1)} ms | max ${sorted[sorted.length - 1].toFixed(1)} ms`
+  );
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const filePath = path.resolve(options.file);
+
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ File not found: ${filePath}`);
+    process.exit(1);
+  }
+
+  const pathfinding = await import(
+    pathToFileURL(path.join(__dirname, '../src/utils/pathfinding.js')).href
+  );
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const features = data.features || [];
+
+  console.log('='.repeat(70));
+  console.log('ROUTING BENCHMARK');
+  console.log('='.repeat(70));
+  console.log(`Dataset:  ${path.relative(process.cwd(), filePath)}`);
+  console.log(`Features: ${features.length}`);
+
+  // Graph construction - a fresh build every time
+  const buildTimes = [];
+  let graph = null;
+  for (let i = 0; i < options.builds; i++) {
+    const { result, ms } = time(() =>
+      quietly(() => pathfinding.createRoomGraph(features))
+    );
+    graph = result;
+    buildTimes.push(ms);
+  }
+
+  const nodes = Array.from(graph.values());
+  const edgeCount = nodes.reduce((sum, node) => sum + node.neighbors.length, 0);
+  console.log(`Graph:    ${nodes.length} nodes, ${edgeCount} directed edges`);
+
+  if (nodes.length < 2) {
+    console.error('❌ Not enough rooms in the graph to benchmark routes');
+    process.exit(1);
+  }
+
+  // Random room pairs, routed through the public findRoute entry point
+  const random = createRandom(42);
+  const pairs = Array.from({ length: options.routes }, () => {
+    const a = nodes[Math.floor(random() * nodes.length)];
+    let b = nodes[Math.floor(random() * nodes.length)];
+    while (b === a) b = nodes[Math.floor(random() * nodes.length)];
+    return [a.room.features[0], b.room.features[0]];
+  });
+
+  // The first route pays for the cached graph and navigation meshes
+  const cold = time(() =>
+    quietly(() => pathfinding.findRoute(features, pairs[0][0], pairs[0][1]))
+  );
+
+  const routeTimes = [];
+  let found = 0;
+  pairs.forEach(([start, end]) => {
+    const { result, ms } = time(() =>
+      quietly(() => pathfinding.findRoute(features, start, end))
+    );
+    routeTimes.push(ms);
+    if (result) found++;
+  });
+
+  console.log('\n⏱️  RESULTS:');
+  summarize(`Graph build (x${options.builds})`, buildTimes);
+  console.log(`  ${'First route (cold)'.padEnd(22)} ${cold.ms.toFixed(1)} ms`);
+  summarize(`Routes (x${options.routes})`, routeTimes);
+  console.log(`\n  Routes found: ${found}/${pairs.length}`);
+  console.log('='.repeat(70));
+}
+
+main().catch((error) => {
+  console.error('❌ Benchmark failed:', error);
+  process.exit(1);
+});
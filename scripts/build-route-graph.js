@@ -0,0 +1,113 @@
+/**
+ * Route Graph Builder
+ *
+ * Builds the routing graph for a GeoJSON dataset ahead of time and writes it
+ * as versioned JSON: rooms (nodes), the edges between them with their
+ * weights, the stair/elevator connectors and metadata. The app loads the
+ * file next to its dataset and only builds the graph at runtime when the
+ * file is missing or was built from different data.
+ *
+ * Run: node scripts/build-route-graph.js [path-to-geojson] [--out path-to-json]
+ * Default dataset: public/rooms-all-WGS-v6.geojson (the one the app loads)
+ * Default output:  the dataset path with .geojson replaced by .graph.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const DEFAULT_FILE = 'public/rooms-all-WGS-v6.geojson';
+
+function parseArgs(argv) {
+  const options = { file: DEFAULT_FILE, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') options.out = argv[++i];
+    else options.file = argv[i];
+  }
+  return options;
+}
+
+// Where the app looks for a dataset's prebuilt graph
+function getGraphPath(filePath) {
+  return filePath.replace(/\.geojson$/i, '') + '.graph.json';
+}
+
+// Run fn with the pathfinding debug logging silenced
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const filePath = path.resolve(options.file);
+  const outPath = path.resolve(options.out || getGraphPath(filePath));
+
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ File not found: ${filePath}`);
+    process.exit(1);
+  }
+
+  const pathfinding = await import(
+    pathToFileURL(path.join(__dirname, '../src/utils/pathfinding.js')).href
+  );
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const features = data.features || [];
+
+  console.log('='.repeat(70));
+  console.log('ROUTE GRAPH BUILD');
+  console.log('='.repeat(70));
+  console.log(`Dataset:  ${path.relative(process.cwd(), filePath)}`);
+  console.log(`Features: ${features.length}`);
+
+  const start = process.hrtime.bigint();
+  const graph = quietly(() => pathfinding.serializeRouteGraph(features));
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+  if (graph.nodes.length < 2) {
+    console.error('❌ Not enough walkable rooms to build a routing graph');
+    process.exit(1);
+  }
+
+  // A fresh copy of the dataset must accept the file, as the app's will
+  const reloaded = JSON.parse(fs.readFileSync(filePath, 'utf8')).features;
+  const accepted = quietly(() =>
+    pathfinding.loadRouteGraph(reloaded, JSON.parse(JSON.stringify(graph)))
+  );
+  if (!accepted) {
+    console.error('❌ The built graph does not load back for this dataset');
+    process.exit(1);
+  }
+
+  const json = JSON.stringify(graph);
+  fs.writeFileSync(outPath, json);
+
+  console.log(`\n📊 GRAPH (format v${graph.version}):`);
+  console.log(`  Dataset hash: ${graph.datasetHash}`);
+  console.log(`  Floors:       ${graph.metadata.floors.join(', ')}`);
+  console.log(`  Nodes:        ${graph.metadata.nodeCount}`);
+  console.log(`  Edges:        ${graph.metadata.edgeCount} directed`);
+  console.log(
+    `  Connectors:   ${graph.connectors
+      .map((c) => `${c.id} (floors ${c.floors.join(', ')})`)
+      .join('; ') || 'none'}`
+  );
+  console.log(`  Built in:     ${ms.toFixed(1)} ms`);
+  console.log(
+    `\n✅ Wrote ${path.relative(process.cwd(), outPath)} (${(json.length / 1024).toFixed(1)} KB)`
+  );
+  console.log('='.repeat(70));
+}
+
+main().catch((error) => {
+  console.error('❌ Graph build failed:', error);
+  process.exit(1);
+});
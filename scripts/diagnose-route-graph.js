@@ -0,0 +1,159 @@
+/**
+ * Routing Graph Diagnostics
+ *
+ * Explains why routes can't be found: lists the walking components of each
+ * floor, rooms with no connections, rooms only reachable through other rooms
+ * and floors with no stairs or elevator, using the app's own routing graph.
+ *
+ * Run: node scripts/diagnose-route-graph.js [path-to-geojson] [--profile name] [--role visitor|student|staff] [--json]
+ * Default dataset: public/merged/rooms-all-WGS.geojson
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const DEFAULT_FILE = 'public/merged/rooms-all-WGS.geojson';
+
+// Rooms listed per section before the rest are summarized
+const MAX_LISTED = 15;
+
+function parseArgs(argv) {
+  const options = {
+    file: DEFAULT_FILE,
+    profile: 'default',
+    role: null,
+    json: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile') options.profile = argv[++i];
+    else if (argv[i] === '--role') options.role = argv[++i];
+    else if (argv[i] === '--json') options.json = true;
+    else options.file = argv[i];
+  }
+  return options;
+}
+
+// Run fn with the pathfinding debug logging silenced
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+function listRooms(rooms) {
+  rooms.slice(0, MAX_LISTED).forEach((room) => {
+    console.log(`     - ${room.name} (Floor ${room.floor})`);
+  });
+  if (rooms.length > MAX_LISTED) {
+    console.log(`     ... and ${rooms.length - MAX_LISTED} more`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const filePath = path.resolve(options.file);
+
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ File not found: ${filePath}`);
+    process.exit(1);
+  }
+
+  const pathfinding = await import(
+    pathToFileURL(path.join(__dirname, '../src/utils/pathfinding.js')).href
+  );
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const features = data.features || [];
+  const report = quietly(() =>
+    pathfinding.diagnoseRouteGraph(features, {
+      profile: options.profile,
+      role: options.role,
+    })
+  );
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log('='.repeat(70));
+  console.log('ROUTING GRAPH DIAGNOSTICS');
+  console.log('='.repeat(70));
+  console.log(`Dataset:  ${path.relative(process.cwd(), filePath)}`);
+  console.log(`Profile:  ${options.profile}`);
+  console.log(`Role:     ${options.role || 'any (no access control)'}`);
+  console.log(
+    `Graph:    ${report.summary.rooms} rooms, ${report.summary.edges} directed edges, ${report.summary.floors} floors`
+  );
+
+  console.log('\n📊 COMPONENTS PER FLOOR:');
+  report.floors.forEach((floor) => {
+    const components = report.components.filter((c) => c.floor === floor.floor);
+    const sizes = components.map((c) => c.rooms.length).join(', ');
+    const status = components.length === 1 ? '✅' : '⚠️ ';
+    console.log(
+      `  ${status} Floor ${floor.floor}: ${floor.rooms} rooms in ${components.length} component(s) [${sizes}]${floor.hasVerticalConnector ? '' : ' - no vertical connector'}`
+    );
+    // The largest component is the floor's main walkable network
+    components.slice(1).forEach((component) => {
+      console.log(
+        `     ${component.id}: ${component.rooms.map((r) => r.name).join(', ')}`
+      );
+    });
+  });
+
+  console.log('\n⚠️  CONNECTIVITY ISSUES:');
+  if (report.isolated.length > 0) {
+    console.log(`  ❌ Isolated rooms (no connections): ${report.isolated.length}`);
+    listRooms(report.isolated);
+  } else {
+    console.log('  ✅ No isolated rooms');
+  }
+
+  if (report.roomToRoomOnly.length > 0) {
+    console.log(
+      `  ⚠️  Rooms only reachable through other rooms: ${report.roomToRoomOnly.length}`
+    );
+    listRooms(report.roomToRoomOnly);
+  } else {
+    console.log('  ✅ Every connected room opens onto a corridor or open area');
+  }
+
+  if (report.floorsWithoutConnector.length > 0) {
+    console.log(
+      `  ❌ Floors with no stairs or elevator: ${report.floorsWithoutConnector.join(', ')}`
+    );
+  } else {
+    console.log('  ✅ Every floor has a vertical connector');
+  }
+
+  const split = report.floors.filter((f) => f.components.length > 1);
+  console.log('\n🔍 DIAGNOSIS:');
+  if (
+    split.length === 0 &&
+    report.isolated.length === 0 &&
+    report.floorsWithoutConnector.length === 0
+  ) {
+    console.log('  ✅ Every room can reach every other room');
+  } else {
+    console.log(
+      '  Routes between rooms in different components of a floor, or to floors without a connector, will fail.'
+    );
+    console.log(
+      '  Check for missing door features, gaps between rooms and stairs or elevators not stacked across floors.'
+    );
+  }
+  console.log('='.repeat(70));
+}
+
+main().catch((error) => {
+  console.error('❌ Diagnostics failed:', error);
+  process.exit(1);
+});
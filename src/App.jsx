@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { FlyToInterpolator } from "@deck.gl/core";
 import "./App.css";
 import Map3D from "./components/Map3D";
@@ -13,11 +13,66 @@ import RoutePlanner from "./components/RoutePlanner";
 import LoadingSpinner from "./components/LoadingSpinner";
 import HelpOverlay from "./components/HelpOverlay";
 import DirectionsPanel from "./components/DirectionsPanel";
-import { findRoute, calculateRouteDistance } from "./utils/pathfinding";
+import ClosuresPanel from "./components/ClosuresPanel";
+import EvacuationPanel from "./components/EvacuationPanel";
+import GraphDiagnosticsPanel from "./components/GraphDiagnosticsPanel";
+import {
+  calculateRouteDistance,
+  createPointLocation,
+  DEFAULT_PROFILE,
+} from "./utils/pathfinding";
+import {
+  routeService,
+  isRouteCancelled,
+  ROUTE_PROGRESS_LABELS,
+  loadPrebuiltGraph,
+} from "./utils/routeService";
+import {
+  loadClosures,
+  normalizeClosures,
+  getActiveClosures,
+} from "./utils/closures";
+import { loadOpeningHours } from "./utils/openingHours";
+import { createRoomNames, loadRoomNames } from "./utils/roomNames";
+import { printEvacuationPlan, loadExits } from "./utils/evacuation";
+import { ROUTE_LINK_PARAM, readRouteLink } from "./utils/routeExport";
+import { getIsochroneColors } from "./utils/isochrones";
+import { getComponentColors } from "./utils/graphDiagnostics";
+import {
+  ACCESS_ROLES,
+  DEFAULT_ROLE,
+  loadRoomAccess,
+} from "./utils/accessControl";
+
+// Distinct routes offered for each search without intermediate stops
+const ROUTE_ALTERNATIVES = 3;
+
+// Facilities listed by a "nearest restroom / printer" search
+const NEAREST_FACILITY_COUNT = 3;
+
+// Closures edited in the UI are kept here until closures.json is replaced
+const CLOSURES_STORAGE_KEY = "indoor-map-closures";
+
+// The role the app is used as is remembered per browser
+const ROLE_STORAGE_KEY = "indoor-map-role";
+
+const loadRole = () => {
+  try {
+    const saved = window.localStorage.getItem(ROLE_STORAGE_KEY);
+    return ACCESS_ROLES[saved] ? saved : DEFAULT_ROLE;
+  } catch (error) {
+    return DEFAULT_ROLE;
+  }
+};
+
+// Floor a room's properties place it on
+const getPropertiesFloor = (properties) =>
+  properties?.floor || properties?.nivel || properties?.level || 0;
 
 function App() {
   const [selectedFloor, setSelectedFloor] = useState("all");
   const [allRooms, setAllRooms] = useState([]);
+  const [routeGraph, setRouteGraph] = useState(null); // prebuilt routing graph for allRooms
   const [filteredRooms, setFilteredRooms] = useState([]);
   const [selectedFloors, setSelectedFloors] = useState([]);
   const [highlightedRoomId, setHighlightedRoomId] = useState(null);
@@ -45,6 +100,198 @@ function App() {
   const [showHelp, setShowHelp] = useState(false);
   const [showDirections, setShowDirections] = useState(true);
   const [highlightedStep, setHighlightedStep] = useState(null);
+  const [routeProgress, setRouteProgress] = useState(null); // current stage while a route is being calculated
+  const [routeAlternatives, setRouteAlternatives] = useState([]); // ranked candidate routes for the last search
+  const [routeRequest, setRouteRequest] = useState(null); // destination, remaining stops and options of the shown route, for rerouting
+  const [navigationPosition, setNavigationPosition] = useState(null); // live navigation state (see navigationSession.js)
+  const [activeRouteIndex, setActiveRouteIndex] = useState(0);
+  const [closures, setClosures] = useState([]);
+  const [fileClosures, setFileClosures] = useState([]); // as loaded from closures.json
+  const [showClosures, setShowClosures] = useState(false);
+  const [closureDraft, setClosureDraft] = useState(null); // points of an area being drawn
+  const [clock, setClock] = useState(() => Date.now()); // re-checks scheduled closures and opening hours
+  const [openingHours, setOpeningHours] = useState({}); // room name to opening_hours, from opening-hours.json
+  const [roomNameDictionary, setRoomNameDictionary] = useState({}); // labels and aliases, from room-names.json
+  const [mapRouteEndpoints, setMapRouteEndpoints] = useState({}); // {from, to} picked by right-clicking the map
+  const [sharedRouteFailed, setSharedRouteFailed] = useState(false); // the link the app was opened with held no readable route
+  const [showEvacuation, setShowEvacuation] = useState(false);
+  const [evacuationPlan, setEvacuationPlan] = useState(null);
+  const [exitRooms, setExitRooms] = useState({}); // rooms people leave the building from, from exits.json
+  const [isochrone, setIsochrone] = useState(null); // walking times from a room, {origin, rooms}
+  const [diagnosticsProfile, setDiagnosticsProfile] = useState(null); // profile whose graph is diagnosed, null when hidden
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [role, setRole] = useState(loadRole); // visitor, student or staff - decides which rooms routes and searches may use
+  const [roomAccess, setRoomAccess] = useState({}); // room name to the level needed to enter, from room-access.json
+
+  // Route searches run in a worker that keeps its own copy of the rooms
+  useEffect(() => {
+    if (allRooms.length > 0) {
+      routeService.setDataset(allRooms, routeGraph);
+    }
+  }, [allRooms, routeGraph]);
+
+  // Closures come from closures.json unless they were edited in this browser
+  useEffect(() => {
+    loadClosures().then((loaded) => {
+      setFileClosures(loaded);
+      try {
+        const saved = window.localStorage.getItem(CLOSURES_STORAGE_KEY);
+        setClosures(saved ? normalizeClosures(JSON.parse(saved)) : loaded);
+      } catch (error) {
+        console.warn("Could not read saved closures:", error);
+        setClosures(loaded);
+      }
+    });
+
+    const timer = setInterval(() => setClock(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    loadOpeningHours().then(setOpeningHours);
+  }, []);
+
+  useEffect(() => {
+    loadRoomAccess().then(setRoomAccess);
+  }, []);
+
+  useEffect(() => {
+    loadExits().then(setExitRooms);
+  }, []);
+
+  useEffect(() => {
+    loadRoomNames().then(setRoomNameDictionary);
+  }, []);
+
+  // A shared link opens on its route once the rooms are loaded. The link is
+  // dropped from the address bar so later routes don't reload it
+  useEffect(() => {
+    if (allRooms.length === 0) return;
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(ROUTE_LINK_PARAM)) return;
+
+    const shared = readRouteLink(url.href, allRooms);
+    url.searchParams.delete(ROUTE_LINK_PARAM);
+    window.history.replaceState(window.history.state, "", url);
+    if (shared) {
+      showSharedRoute(shared);
+    } else {
+      setSharedRouteFailed(true);
+    }
+  }, [allRooms]);
+
+  // What every panel calls rooms by
+  const roomNames = useMemo(
+    () => createRoomNames(roomNameDictionary),
+    [roomNameDictionary]
+  );
+
+  const activeClosures = useMemo(
+    () => getActiveClosures(closures, clock),
+    [closures, clock]
+  );
+
+  const handleClosuresChange = (updated) => {
+    setClosures(updated);
+    window.localStorage.setItem(CLOSURES_STORAGE_KEY, JSON.stringify(updated));
+  };
+
+  const handleClosuresReset = () => {
+    setClosures(fileClosures);
+    window.localStorage.removeItem(CLOSURES_STORAGE_KEY);
+  };
+
+  const handleRoleChange = (updated) => {
+    setRole(updated);
+    window.localStorage.setItem(ROLE_STORAGE_KEY, updated);
+  };
+
+  // The evacuation plan follows the rooms, closures and exits while it is
+  // shown. A plan for rooms or closures that have since changed, or for an
+  // overlay that was closed, is dropped when it arrives
+  useEffect(() => {
+    if (!showEvacuation || allRooms.length === 0) return;
+
+    let cancelled = false;
+    setEvacuationPlan(null);
+    setRouteProgress("queued");
+    routeService
+      .computeEvacuationPlan({
+        closures,
+        exitRooms,
+        onProgress: (stage) => !cancelled && setRouteProgress(stage),
+      })
+      .then((plan) => {
+        if (cancelled) return;
+        setEvacuationPlan(plan);
+        setRouteProgress(null);
+      })
+      .catch((error) => {
+        if (cancelled || isRouteCancelled(error)) return;
+        setRouteProgress(null);
+        console.error("Error computing evacuation plan:", error);
+      });
+
+    return () => {
+      cancelled = true;
+      routeService.cancel("evacuation");
+      setRouteProgress(null);
+    };
+  }, [showEvacuation, allRooms, closures, exitRooms]);
+
+  // The diagnostics report follows the rooms and closures while it is
+  // shown, dropping reports that are out of date when they arrive
+  useEffect(() => {
+    if (!diagnosticsProfile || allRooms.length === 0) return;
+
+    let cancelled = false;
+    setDiagnostics(null);
+    setRouteProgress("queued");
+    routeService
+      .diagnoseGraph({
+        profile: diagnosticsProfile,
+        closures,
+        role,
+        roomAccess,
+        onProgress: (stage) => !cancelled && setRouteProgress(stage),
+      })
+      .then((report) => {
+        if (cancelled) return;
+        setDiagnostics(report);
+        setRouteProgress(null);
+      })
+      .catch((error) => {
+        if (cancelled || isRouteCancelled(error)) return;
+        setRouteProgress(null);
+        console.error("Error diagnosing routing graph:", error);
+      });
+
+    return () => {
+      cancelled = true;
+      routeService.cancel("diagnostics");
+      setRouteProgress(null);
+    };
+  }, [diagnosticsProfile, allRooms, closures, role, roomAccess]);
+
+  // Rooms recolored on the map - graph components while diagnosing,
+  // otherwise walking-time bands
+  const roomColors = useMemo(() => {
+    if (diagnosticsProfile && diagnostics) {
+      return getComponentColors(diagnostics);
+    }
+    return isochrone ? getIsochroneColors(isochrone) : null;
+  }, [diagnosticsProfile, diagnostics, isochrone]);
+
+  // Areas are drawn on the floor being viewed
+  const drawFloor = typeof selectedFloor === "number" ? selectedFloor : null;
+
+  // Alternatives belong to the route they were found with
+  useEffect(() => {
+    if (!routePath) {
+      setRouteAlternatives([]);
+      setActiveRouteIndex(0);
+    }
+  }, [routePath]);
 
   // Apply dark mode to body
   useEffect(() => {
@@ -183,6 +430,9 @@ function App() {
         const key = selectedFloor.toString();
         const polygonUrl = FLOOR_POLYGON_MAP[key] || FLOOR_POLYGON_MAP.all;
 
+        // A prebuilt routing graph saves building one in the browser
+        const routeGraphRequest = loadPrebuiltGraph(polygonUrl);
+
         // Load polygon data only (no line overlays needed with polygon files)
         const response = await fetch(polygonUrl);
         if (!response.ok) throw new Error(`Failed to load ${polygonUrl}`);
@@ -209,7 +459,10 @@ function App() {
         // Use polygons directly (no line overlays)
         const combinedFeatures = features;
 
+        const prebuiltGraph = await routeGraphRequest;
+
         if (combinedFeatures.length > 0) {
+          setRouteGraph(prebuiltGraph);
           setAllRooms(combinedFeatures);
 
           // Extract unique floors (supporting floor, nivel, and level properties)
@@ -395,36 +648,108 @@ function App() {
     }
   };
 
-  const handleRouteCalculate = (startRoom, endRoom, targetFloor = null) => {
+  const handleRouteCalculate = async (
+    startRoom,
+    endRoom,
+    targetFloor = null,
+    options = {}
+  ) => {
     if (!startRoom || !endRoom) {
+      routeService.cancel("route");
+      setRouteProgress(null);
       setRoutePath(null);
       setRouteInfo(null);
       setShowDirections(false);
       return;
     }
 
+    setRouteProgress("queued");
+
     try {
-      const path = findRoute(allRooms, startRoom, endRoom, targetFloor);
+      const result = await routeService.findRoute(startRoom, endRoom, {
+        ...options,
+        targetFloor,
+        alternatives: ROUTE_ALTERNATIVES,
+        closures,
+        role,
+        roomAccess,
+        openingHours,
+        onProgress: setRouteProgress,
+      });
+      setRouteProgress(null);
 
-      if (path) {
+      if (result) {
+        const {
+          path,
+          stops: orderedStops,
+          routes = [],
+          explanation = routes[0]?.explanation,
+        } = result;
         setRoutePath(path);
+        setRouteAlternatives(routes);
+        setActiveRouteIndex(0);
+        setRouteRequest({
+          end: endRoom,
+          stops: orderedStops.slice(1, -1),
+          targetFloor,
+          options,
+        });
         const distance = calculateRouteDistance(path);
         setRouteInfo({
           start: startRoom.properties?.name || startRoom.properties?.id,
           end: endRoom.properties?.name || endRoom.properties?.id,
-          distance: (distance * 111000).toFixed(1), // Convert to meters (approximate)
+          distance: distance.toFixed(1), // Meters
           floors: [...new Set(path.map((p) => p.floor))].sort((a, b) => a - b),
           targetFloor: targetFloor,
+          profile: options.profile || DEFAULT_PROFILE,
+          stops: orderedStops.map(
+            (room) => room.properties?.name || room.properties?.id
+          ),
+          explanation: explanation || null,
         });
         setShowRoutePlanner(false);
         setShowDirections(true);
       } else {
-        alert("No route found between these rooms. They may not be connected.");
+        // A floor no connector of the profile reaches can't be routed to,
+        // whatever the closures or access rules
+        const stepFree = options.profile === "wheelchair";
+        const startFloor = getPropertiesFloor(startRoom.properties);
+        const reachable = await routeService.findReachableFloors(startFloor, {
+          profile: options.profile,
+        });
+        const cutOffFloor = [...(options.stops || []), endRoom]
+          .map((room) => getPropertiesFloor(room.properties))
+          .find((floor) => !reachable.includes(floor));
+
+        let message;
+        if (cutOffFloor !== undefined) {
+          message = stepFree
+            ? `No step-free route exists between Floor ${startFloor} and Floor ${cutOffFloor}: no elevator or ramp connects them.`
+            : `No route exists between Floor ${startFloor} and Floor ${cutOffFloor}: no stairs, elevator or ramp connects them.`;
+        } else {
+          message =
+            (stepFree
+              ? "No step-free route found between these rooms."
+              : "No route found between these rooms. They may not be connected.") +
+            (role !== "staff"
+              ? ` Some areas are closed to ${ACCESS_ROLES[role].label.toLowerCase()}s.`
+              : "");
+        }
+        const showDiagnostics = window.confirm(
+          message + "\n\nShow the routing graph diagnostics?"
+        );
+        if (showDiagnostics) {
+          setDiagnosticsProfile(options.profile || DEFAULT_PROFILE);
+        }
         setRoutePath(null);
         setRouteInfo(null);
         setShowDirections(false);
       }
     } catch (error) {
+      // A newer request took over - leave the state to it
+      if (isRouteCancelled(error)) return;
+
+      setRouteProgress(null);
       console.error("Error calculating route:", error);
       alert("An error occurred while calculating the route. Please try again.");
       setRoutePath(null);
@@ -433,6 +758,181 @@ function App() {
     }
   };
 
+  // Show a route from a share link (see routeExport.js) as if it had just
+  // been found, so navigation can reroute along it
+  const showSharedRoute = ({ path, profile }) => {
+    const toLocation = (point) =>
+      point.features[0] ||
+      createPointLocation(point.coords, point.floor, point.name);
+    const last = path[path.length - 1];
+    const stops = path.filter((point) => point.isStop && point !== last);
+
+    setRoutePath(path);
+    setRouteAlternatives([]);
+    setActiveRouteIndex(0);
+    setHighlightedStep(null);
+    setRouteRequest({
+      end: toLocation(last),
+      stops: stops.map(toLocation),
+      targetFloor: null,
+      options: profile ? { profile } : {},
+    });
+    setRouteInfo({
+      start: path[0].name,
+      end: last.name,
+      distance: calculateRouteDistance(path).toFixed(1),
+      floors: [...new Set(path.map((p) => p.floor))].sort((a, b) => a - b),
+      targetFloor: null,
+      profile: profile || DEFAULT_PROFILE,
+      stops: [path[0], ...stops, last].map((point) => point.name),
+      explanation: null,
+    });
+    setShowRoutePlanner(false);
+    setShowDirections(true);
+  };
+
+  // Rank the nearest facilities of a category from a room. Resolves with
+  // null when a newer search replaced this one
+  const handleFindNearest = async (
+    startRoom,
+    category,
+    targetFloor = null,
+    options = {}
+  ) => {
+    setRouteProgress("queued");
+
+    try {
+      const facilities = await routeService.findNearestFacilities(
+        startRoom,
+        category,
+        {
+          ...options,
+          targetFloor,
+          count: NEAREST_FACILITY_COUNT,
+          closures,
+          role,
+          roomAccess,
+          openingHours,
+          onProgress: setRouteProgress,
+        }
+      );
+      setRouteProgress(null);
+      return facilities;
+    } catch (error) {
+      if (isRouteCancelled(error)) return null;
+
+      setRouteProgress(null);
+      console.error("Error finding nearest facilities:", error);
+      return [];
+    }
+  };
+
+  // Color everything within walking reach of a room by time band
+  const handleShowReach = async (roomProperties) => {
+    const floor = getPropertiesFloor(roomProperties);
+    const feature = allRooms.find(
+      (r) =>
+        r.properties?.name === roomProperties.name &&
+        getPropertiesFloor(r.properties) === floor
+    );
+    if (!feature) return;
+
+    setRouteProgress("queued");
+    try {
+      const result = await routeService.computeIsochrones(feature, {
+        closures,
+        role,
+        roomAccess,
+        openingHours,
+        onProgress: setRouteProgress,
+      });
+      setRouteProgress(null);
+      setIsochrone(result);
+    } catch (error) {
+      if (isRouteCancelled(error)) return;
+
+      setRouteProgress(null);
+      console.error("Error computing walking reach:", error);
+    }
+  };
+
+  // Route between places picked from the map's context menu, once both
+  // ends are known
+  const handleContextRoute = (role, location) => {
+    const endpoints = { ...mapRouteEndpoints, [role]: location };
+    if (endpoints.from && endpoints.to) {
+      setMapRouteEndpoints({});
+      handleRouteCalculate(endpoints.from, endpoints.to);
+    } else {
+      setMapRouteEndpoints(endpoints);
+    }
+  };
+
+  // Make one of the alternative routes the active route
+  const handleAlternativeSelect = (index) => {
+    const route = routeAlternatives[index];
+    if (!route || index === activeRouteIndex) return;
+
+    setActiveRouteIndex(index);
+    setRoutePath(route.path);
+    setHighlightedStep(null);
+    setRouteInfo((prev) => ({
+      ...prev,
+      distance: calculateRouteDistance(route.path).toFixed(1),
+      floors: [...new Set(route.path.map((p) => p.floor))].sort(
+        (a, b) => a - b
+      ),
+      explanation: route.explanation || null,
+    }));
+  };
+
+  // Find a new route from where a navigating walker left the route, through
+  // the stops they haven't reached yet. The current route stays when none
+  // is found
+  const handleReroute = async (fix, { visitedStops = 0 } = {}) => {
+    if (!routeRequest) return;
+
+    const start = createPointLocation(fix.coords, fix.floor, "Your location");
+    const stops = routeRequest.stops.slice(visitedStops);
+    try {
+      const result = await routeService.findRoute(start, routeRequest.end, {
+        ...routeRequest.options,
+        stops,
+        optimizeOrder: false,
+        targetFloor: routeRequest.targetFloor,
+        closures,
+        role,
+        roomAccess,
+        openingHours,
+      });
+      if (!result) {
+        console.warn("[Navigation] No route from the current position");
+        return;
+      }
+
+      setRoutePath(result.path);
+      setRouteAlternatives([]);
+      setActiveRouteIndex(0);
+      setHighlightedStep(null);
+      setRouteRequest((prev) => ({ ...prev, stops }));
+      setRouteInfo((prev) => ({
+        ...prev,
+        start: "Your location",
+        distance: calculateRouteDistance(result.path).toFixed(1),
+        floors: [...new Set(result.path.map((p) => p.floor))].sort(
+          (a, b) => a - b
+        ),
+        stops: result.stops.map(
+          (room) => room.properties?.name || room.properties?.id
+        ),
+        explanation: result.explanation || null,
+      }));
+    } catch (error) {
+      if (isRouteCancelled(error)) return;
+      console.error("Error rerouting:", error);
+    }
+  };
+
   const handleStepClick = (step) => {
     // Highlight the step location on the map
     setHighlightedStep(step);
@@ -499,7 +999,10 @@ function App() {
           <div className="left-panel">
             <div className="panel-section">
               <SearchBar
+                roomNames={roomNames}
                 rooms={allRooms}
+                role={role}
+                roomAccess={roomAccess}
                 onSearch={handleSearch}
                 onRoomSelect={handleRoomSelect}
               />
@@ -513,6 +1016,22 @@ function App() {
               />
             </div>
 
+            {/* Access level for routes and searches */}
+            <div className="panel-section">
+              <h3>Viewing As</h3>
+              <div className="floor-buttons">
+                {Object.entries(ACCESS_ROLES).map(([key, option]) => (
+                  <button
+                    key={key}
+                    className={`floor-btn ${role === key ? "active" : ""}`}
+                    onClick={() => handleRoleChange(key)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
             <div className="panel-section">
               <button
                 className="btn-filter"
@@ -522,6 +1041,38 @@ function App() {
               </button>
             </div>
 
+            <div className="panel-section">
+              <button
+                className="btn-filter"
+                onClick={() => setShowClosures(!showClosures)}
+              >
+                Closures
+                {activeClosures.length > 0 && ` (${activeClosures.length})`}
+              </button>
+            </div>
+
+            <div className="panel-section">
+              <button
+                className="btn-filter"
+                onClick={() => setShowEvacuation(!showEvacuation)}
+              >
+                🚨 Evacuation
+              </button>
+            </div>
+
+            <div className="panel-section">
+              <button
+                className="btn-filter"
+                onClick={() =>
+                  setDiagnosticsProfile(
+                    diagnosticsProfile ? null : DEFAULT_PROFILE
+                  )
+                }
+              >
+                Graph Diagnostics
+              </button>
+            </div>
+
             <div className="panel-section">
               <button
                 className="btn-filter"
@@ -529,6 +1080,29 @@ function App() {
               >
                 Plan Route
               </button>
+              {sharedRouteFailed && (
+                <div
+                  role="alert"
+                  style={{
+                    marginTop: "0.8rem",
+                    fontSize: "0.85rem",
+                    color: "#c62828",
+                  }}
+                >
+                  <strong>The shared route could not be opened.</strong>
+                  <div style={{ marginTop: "0.4rem" }}>
+                    The link may be incomplete - ask for it again, or plan
+                    the route here.
+                  </div>
+                  <button
+                    className="btn-secondary"
+                    style={{ marginTop: "0.6rem", padding: "0.5rem" }}
+                    onClick={() => setSharedRouteFailed(false)}
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              )}
               {routeInfo && (
                 <div
                   style={{
@@ -539,9 +1113,19 @@ function App() {
                 >
                   <strong>Active Route:</strong>
                   <div style={{ marginTop: "0.4rem" }}>
-                    From: {routeInfo.start}
+                    From: {roomNames.getDisplayName(routeInfo.start)}
                     <br />
-                    To: {routeInfo.end}
+                    {routeInfo.stops.length > 2 && (
+                      <>
+                        Via:{" "}
+                        {routeInfo.stops
+                          .slice(1, -1)
+                          .map((name) => roomNames.getDisplayName(name))
+                          .join(" → ")}
+                        <br />
+                      </>
+                    )}
+                    To: {roomNames.getDisplayName(routeInfo.end)}
                     <br />
                     Distance: ~{routeInfo.distance}m<br />
                     Floors: {routeInfo.floors.join(", ")}
@@ -585,6 +1169,8 @@ function App() {
             {showFilterPanel && (
               <FilterPanel
                 rooms={allRooms}
+                role={role}
+                roomAccess={roomAccess}
                 onFilter={handleFilter}
                 onClose={() => setShowFilterPanel(false)}
               />
@@ -612,6 +1198,7 @@ function App() {
           {/* Map Container */}
           <div className="map-container">
             <Map3D
+              roomNames={roomNames}
               selectedFloor={selectedFloor}
               selectedFloors={selectedFloors}
               onRoomSelect={handleRoomSelect}
@@ -627,9 +1214,57 @@ function App() {
               heightExaggeration={heightExaggeration}
               basemapStyle={basemapStyle}
               routePath={routePath}
+              alternativeRoutes={routeAlternatives}
+              activeRouteIndex={activeRouteIndex}
+              onAlternativeSelect={handleAlternativeSelect}
+              closures={activeClosures}
+              draftArea={closureDraft}
+              draftFloor={drawFloor}
+              onContextRoute={handleContextRoute}
+              pendingRouteEndpoints={mapRouteEndpoints}
+              evacuationPlan={showEvacuation ? evacuationPlan : null}
+              roomColors={roomColors}
+              userPosition={navigationPosition}
+              onMapClick={
+                closureDraft
+                  ? (coordinate) =>
+                      setClosureDraft((prev) => [...prev, coordinate])
+                  : null
+              }
               roomsData={allRooms}
             />
 
+            {/* Route calculation progress - the map stays interactive */}
+            {routeProgress && (
+              <div className="route-progress" role="status">
+                <div className="route-progress-spinner" />
+                <span>{ROUTE_PROGRESS_LABELS[routeProgress]}</span>
+                <button
+                  onClick={() => {
+                    routeService.cancel();
+                    setRouteProgress(null);
+                  }}
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+
+            {/* Waiting for the other end of a route picked on the map */}
+            {!routeProgress &&
+              (mapRouteEndpoints.from || mapRouteEndpoints.to) && (
+                <div className="route-progress" role="status">
+                  <span>
+                    {mapRouteEndpoints.from
+                      ? "Start set - right-click where you want to go"
+                      : "Destination set - right-click where to start"}
+                  </span>
+                  <button onClick={() => setMapRouteEndpoints({})}>
+                    Cancel
+                  </button>
+                </div>
+              )}
+
             {/* Navigation Controls */}
             <NavigationControls
               onViewReset={handleViewReset}
@@ -652,38 +1287,100 @@ function App() {
               selectedFloor={selectedFloor}
               selectedFloors={selectedFloors}
               translucency={translucency}
+              closureCount={activeClosures.length}
+              isochroneOrigin={isochrone?.origin}
+              onIsochroneClear={() => setIsochrone(null)}
             />
 
             {/* Room Info Popup */}
             {selectedRoom && (
               <RoomInfoPopup
+                roomNames={roomNames}
                 room={selectedRoom}
                 onClose={handleClosePopup}
                 position={popupPosition}
+                onShowReach={handleShowReach}
+                openingHours={openingHours}
+                time={clock}
+              />
+            )}
+
+            {/* Closures Editor - stays open beside the map for drawing */}
+            {showClosures && (
+              <ClosuresPanel
+                roomNames={roomNames}
+                rooms={allRooms}
+                closures={closures}
+                onChange={handleClosuresChange}
+                onReset={handleClosuresReset}
+                onClose={() => {
+                  setShowClosures(false);
+                  setClosureDraft(null);
+                }}
+                drawFloor={drawFloor}
+                draftPoints={closureDraft}
+                onDrawStart={() => setClosureDraft([])}
+                onDrawCancel={() => setClosureDraft(null)}
+              />
+            )}
+
+            {/* Evacuation - exits, stranded rooms and the printable plan */}
+            {showEvacuation && (
+              <EvacuationPanel
+                roomNames={roomNames}
+                plan={evacuationPlan}
+                isComputing={Boolean(routeProgress)}
+                onPrint={() =>
+                  printEvacuationPlan(evacuationPlan, allRooms, roomNames)
+                }
+                onClose={() => setShowEvacuation(false)}
+              />
+            )}
+
+            {/* Routing graph diagnostics - components colored on the map */}
+            {diagnosticsProfile && (
+              <GraphDiagnosticsPanel
+                roomNames={roomNames}
+                report={diagnostics}
+                isComputing={Boolean(routeProgress)}
+                onClose={() => setDiagnosticsProfile(null)}
               />
             )}
 
             {/* Route Planner */}
             {showRoutePlanner && (
               <RoutePlanner
+                roomNames={roomNames}
                 rooms={allRooms}
+                role={role}
+                roomAccess={roomAccess}
+                openingHours={openingHours}
                 onRouteCalculate={handleRouteCalculate}
+                onFindNearest={handleFindNearest}
                 onClose={() => setShowRoutePlanner(false)}
                 selectedFloors={selectedFloors}
+                selectedRoom={selectedRoom}
               />
             )}
 
             {/* Directions Panel */}
             {showDirections && routePath && (
               <DirectionsPanel
+                roomNames={roomNames}
                 routePath={routePath}
                 routeInfo={routeInfo}
+                rooms={allRooms}
+                alternativeRoutes={routeAlternatives}
+                activeRouteIndex={activeRouteIndex}
+                onAlternativeSelect={handleAlternativeSelect}
                 onClose={() => {
                   setShowDirections(false);
                   setRoutePath(null);
                   setRouteInfo(null);
                 }}
                 onStepClick={handleStepClick}
+                onReroute={handleReroute}
+                onPositionChange={setNavigationPosition}
               />
             )}
           </div>
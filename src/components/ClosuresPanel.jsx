@@ -0,0 +1,277 @@
+import React, { useState, useMemo } from "react";
+import {
+  CLOSURE_MODES,
+  DEFAULT_CLOSURE_MODE,
+  createClosureId,
+  isClosureActive,
+  serializeClosures,
+} from "../utils/closures.js";
+import { downloadFile } from "../utils/download.js";
+import { defaultRoomNames } from "../utils/roomNames.js";
+import "./ClosuresPanel.css";
+
+// Get room name/ID for display
+const getRoomName = (room) =>
+  room.properties?.name ||
+  room.properties?.id ||
+  room.properties?.room_id ||
+  "Unnamed Room";
+
+// Get room floor
+const getRoomFloor = (room) =>
+  room.properties?.floor ||
+  room.properties?.nivel ||
+  room.properties?.level ||
+  0;
+
+const formatWindow = (closure) => {
+  const format = (value) => new Date(value).toLocaleString();
+  if (closure.start && closure.end) {
+    return `${format(closure.start)} – ${format(closure.end)}`;
+  }
+  if (closure.start) return `From ${format(closure.start)}`;
+  if (closure.end) return `Until ${format(closure.end)}`;
+  return "Until further notice";
+};
+
+const describeTarget = (closure, roomNames) => {
+  const floor = closure.floor !== null ? ` (Floor ${closure.floor})` : "";
+  if (closure.polygon) return `Drawn area${floor}`;
+  const names = closure.rooms.map((name) =>
+    roomNames.getDisplayName(name, closure.floor ?? undefined)
+  );
+  return `${names.join(", ")}${floor}`;
+};
+
+const ClosuresPanel = ({
+  rooms,
+  closures,
+  roomNames = defaultRoomNames,
+  onChange,
+  onReset,
+  onClose,
+  drawFloor = null,
+  draftPoints = null,
+  onDrawStart,
+  onDrawCancel,
+}) => {
+  const [roomQuery, setRoomQuery] = useState("");
+  const [reason, setReason] = useState("");
+  const [mode, setMode] = useState(DEFAULT_CLOSURE_MODE);
+  const [start, setStart] = useState("");
+  const [end, setEnd] = useState("");
+
+  // One option per room and floor, e.g. "Staircase (F3)"
+  const roomOptions = useMemo(() => {
+    const options = new Map();
+    rooms.forEach((room) => {
+      const name = getRoomName(room);
+      const floor = getRoomFloor(room);
+      const label = `${roomNames.getDisplayName(name, floor)} (F${floor})`;
+      const taken = options.get(label);
+      // Rooms sharing a display name are told apart by their identifiers
+      options.set(
+        taken && taken.name !== name ? `${name} (F${floor})` : label,
+        { name, floor }
+      );
+    });
+    return options;
+  }, [rooms, roomNames]);
+
+  const isDrawing = Array.isArray(draftPoints);
+  const selectedRoom = roomOptions.get(roomQuery.trim());
+
+  const resetForm = () => {
+    setRoomQuery("");
+    setReason("");
+    setMode(DEFAULT_CLOSURE_MODE);
+    setStart("");
+    setEnd("");
+  };
+
+  const addClosure = (target) => {
+    onChange([
+      ...closures,
+      {
+        id: createClosureId(),
+        reason: reason.trim() || "Closed",
+        mode,
+        start: start || null,
+        end: end || null,
+        rooms: [],
+        polygon: null,
+        ...target,
+      },
+    ]);
+    resetForm();
+  };
+
+  const handleAddRoom = () => {
+    if (!selectedRoom) return;
+    addClosure({ rooms: [selectedRoom.name], floor: selectedRoom.floor });
+  };
+
+  const handleFinishDrawing = () => {
+    if (!isDrawing || draftPoints.length < 3) return;
+    addClosure({ polygon: draftPoints, floor: drawFloor });
+    onDrawCancel();
+  };
+
+  const handleRemove = (id) => {
+    onChange(closures.filter((closure) => closure.id !== id));
+  };
+
+  // Save the edited list so it can replace closures.json
+  const handleDownload = () => {
+    downloadFile(
+      serializeClosures(closures),
+      "closures.json",
+      "application/json"
+    );
+  };
+
+  return (
+    <div className="closures-panel">
+      <div className="closures-header">
+        <h3>🚧 Closures</h3>
+        <button
+          className="close-btn"
+          onClick={onClose}
+          aria-label="Close closures panel"
+        >
+          &times;
+        </button>
+      </div>
+
+      <div className="closures-list">
+        {closures.length === 0 && (
+          <div className="closures-empty">Nothing is closed.</div>
+        )}
+        {closures.map((closure) => (
+          <div
+            key={closure.id}
+            className={`closure-item ${closure.mode} ${
+              isClosureActive(closure) ? "" : "inactive"
+            }`}
+          >
+            <div className="closure-details">
+              <div className="closure-reason">{closure.reason || "Closed"}</div>
+              <div className="closure-meta">{describeTarget(closure, roomNames)}</div>
+              <div className="closure-meta">
+                {formatWindow(closure)}
+                {closure.mode === "avoid" && " · avoid only"}
+              </div>
+            </div>
+            <button
+              className="closure-remove"
+              onClick={() => handleRemove(closure.id)}
+              title="Remove closure"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="closures-form">
+        <input
+          type="text"
+          placeholder="Reason (e.g. Maintenance)"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+          {Object.entries(CLOSURE_MODES).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <div className="closures-times">
+          <label>
+            From
+            <input
+              type="datetime-local"
+              value={start}
+              onChange={(e) => setStart(e.target.value)}
+            />
+          </label>
+          <label>
+            Until
+            <input
+              type="datetime-local"
+              value={end}
+              onChange={(e) => setEnd(e.target.value)}
+            />
+          </label>
+        </div>
+
+        <div className="closures-add-row">
+          <input
+            type="text"
+            list="closure-room-options"
+            placeholder="Room, stairwell or corridor..."
+            value={roomQuery}
+            onChange={(e) => setRoomQuery(e.target.value)}
+          />
+          <datalist id="closure-room-options">
+            {Array.from(roomOptions.keys()).map((option) => (
+              <option key={option} value={option} />
+            ))}
+          </datalist>
+          <button
+            className="btn-primary"
+            onClick={handleAddRoom}
+            disabled={!selectedRoom}
+          >
+            Close room
+          </button>
+        </div>
+
+        {isDrawing ? (
+          <div className="closures-drawing">
+            <span>
+              {`Click the map to outline the area on Floor ${drawFloor} (${draftPoints.length} points)`}
+            </span>
+            <div className="closures-add-row">
+              <button
+                className="btn-primary"
+                onClick={handleFinishDrawing}
+                disabled={draftPoints.length < 3}
+              >
+                Finish area
+              </button>
+              <button className="btn-secondary" onClick={onDrawCancel}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            className="btn-secondary"
+            onClick={onDrawStart}
+            disabled={drawFloor === null}
+            title={
+              drawFloor === null
+                ? "Pick a single floor to draw on"
+                : `Draw a closed area on Floor ${drawFloor}`
+            }
+          >
+            ✏️ Draw closed area
+          </button>
+        )}
+      </div>
+
+      <div className="closures-footer">
+        <button className="btn-secondary" onClick={handleDownload}>
+          Download closures.json
+        </button>
+        <button className="btn-secondary" onClick={onReset}>
+          Reset to file
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ClosuresPanel;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import "./DirectionsPanel.css";
 import {
   generateDirections,
@@ -6,19 +6,127 @@ import {
   calculateRouteStats,
   generateSpeechText,
 } from "../utils/directionsGenerator";
+import { ROUTE_COST_FACTORS } from "../utils/routeCosts";
+import { createLandmarkIndex } from "../utils/landmarks";
+import { defaultRoomNames } from "../utils/roomNames";
+import {
+  LOCALES,
+  createTranslator,
+  getSpeechLang,
+  resolveLocale,
+} from "../utils/i18n";
+import { createNavigationSession } from "../utils/navigationSession";
+import {
+  routeToGeoJSON,
+  routeToGPX,
+  createRouteLink,
+} from "../utils/routeExport";
+import { printRouteSheet } from "../utils/routeSheet";
+import { downloadFile } from "../utils/download";
+import {
+  createSimulatedWalkProvider,
+  createGeolocationProvider,
+  isGeolocationAvailable,
+} from "../utils/positionProviders";
+
+// Simulated walks play back this much faster than walking pace
+const SIMULATED_SPEEDUP = 2;
+
+// A simulated detour leaves the route this far in, by this much (meters)
+const SIMULATED_DETOUR = { after: 15, distance: 12 };
+
+// Directions language picked in this browser
+const LOCALE_STORAGE_KEY = "indoor-map-locale";
+
+const loadLocale = () => {
+  try {
+    const saved = window.localStorage.getItem(LOCALE_STORAGE_KEY);
+    return LOCALES[saved] ? saved : resolveLocale(navigator.language);
+  } catch (error) {
+    return resolveLocale(navigator.language);
+  }
+};
 
-const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
+// "a", "a and b", "a, b and c"
+const joinWords = (words) =>
+  words.length > 1
+    ? `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}`
+    : words.join("");
+
+const describeRooms = (rooms, roomNames) =>
+  rooms
+    .map((room) => {
+      const name = roomNames.getDisplayName(room.name, room.floor);
+      return `${name} (${room.reasons.join(", ")})`;
+    })
+    .join("; ");
+
+const DirectionsPanel = ({
+  routePath,
+  routeInfo,
+  rooms = [],
+  roomNames = defaultRoomNames,
+  alternativeRoutes = [],
+  activeRouteIndex = 0,
+  onAlternativeSelect,
+  onClose,
+  onStepClick,
+  onReroute,
+  onPositionChange,
+}) => {
   const [currentStep, setCurrentStep] = useState(0);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [voiceEnabled, setVoiceEnabled] = useState(false);
   const [autoPlay, setAutoPlay] = useState(false);
   const [speechRate, setSpeechRate] = useState(1.0);
   const [collapsed, setCollapsed] = useState(false);
+  const [locale, setLocale] = useState(loadLocale); // language of the directions and speech
+  const [navigation, setNavigation] = useState(null); // live session state while navigating
+  const [simulateDetour, setSimulateDetour] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  // The navigation session outlives renders, so it reads the latest
+  // callback and steps through refs
+  const sessionRef = useRef(null);
+  const onRerouteRef = useRef(onReroute);
+  onRerouteRef.current = onReroute;
+
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  const handleLocaleChange = (value) => {
+    setLocale(value);
+    try {
+      window.localStorage.setItem(LOCALE_STORAGE_KEY, value);
+    } catch (error) {
+      console.warn("Could not save language:", error);
+    }
+  };
+
+  // Rooms to point out along the way, indexed once per dataset
+  const landmarks = useMemo(
+    () => (rooms.length > 0 ? createLandmarkIndex(rooms) : null),
+    [rooms]
+  );
 
   // Generate directions from route path
   const directions = useMemo(() => {
     if (!routePath) return [];
-    return generateDirections(routePath);
+    return generateDirections(routePath, {
+      profile: routeInfo?.profile,
+      locale,
+      landmarks,
+      roomNames,
+    });
+  }, [routePath, routeInfo?.profile, locale, landmarks, roomNames]);
+
+  const directionsRef = useRef(directions);
+  directionsRef.current = directions;
+
+  // A different route (e.g. a promoted alternative) starts from step one,
+  // and a live session carries on along it
+  useEffect(() => {
+    setCurrentStep(0);
+    sessionRef.current?.setRoute(routePath, directions);
   }, [routePath]);
 
   // Calculate route statistics
@@ -31,16 +139,18 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = Math.round(seconds % 60);
-    if (mins === 0) return `${secs} sec`;
-    return secs > 0 ? `${mins} min ${secs} sec` : `${mins} min`;
+    if (mins === 0) return t("units.sec", { count: secs });
+    return secs > 0
+      ? t("units.minSec", { min: mins, sec: secs })
+      : t("units.min", { count: mins });
   };
 
   // Format distance for display
   const formatDistance = (meters) => {
     if (meters < 1000) {
-      return `${Math.round(meters)} m`;
+      return t("units.m", { count: Math.round(meters) });
     }
-    return `${(meters / 1000).toFixed(2)} km`;
+    return t("units.km", { count: meters / 1000 });
   };
 
   // Check if speech synthesis is supported
@@ -54,6 +164,7 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
     window.speechSynthesis.cancel();
 
     const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = getSpeechLang(locale);
     utterance.rate = rate;
     utterance.pitch = 1.0;
     utterance.volume = 1.0;
@@ -62,8 +173,13 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
     utterance.onend = () => {
       setIsSpeaking(false);
 
-      // Auto-advance to next step if autoPlay is enabled
-      if (autoPlay && currentStep < directions.length - 1) {
+      // Auto-advance to next step if autoPlay is enabled (while navigating,
+      // the walker's position advances them instead)
+      if (
+        autoPlay &&
+        !sessionRef.current &&
+        currentStep < directions.length - 1
+      ) {
         setTimeout(() => {
           setCurrentStep((prev) => prev + 1);
         }, 1000); // 1 second delay between steps
@@ -86,14 +202,14 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
   const speakCurrentStep = () => {
     if (directions.length > 0 && currentStep < directions.length) {
       const step = directions[currentStep];
-      const text = generateStepSpeech(step);
+      const text = generateStepSpeech(step, { locale });
       speak(text);
     }
   };
 
   // Speak all directions
   const speakAllDirections = () => {
-    const text = generateSpeechText(directions);
+    const text = generateSpeechText(directions, { locale });
     speak(text, speechRate * 0.9); // Slightly slower for full route
   };
 
@@ -122,15 +238,96 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
 
   // Auto-speak when step changes and voice is enabled
   useEffect(() => {
-    if (voiceEnabled && !isSpeaking && autoPlay) {
+    if (voiceEnabled && !isSpeaking && (autoPlay || navigation)) {
       speakCurrentStep();
     }
   }, [currentStep, voiceEnabled, autoPlay]);
 
-  // Cleanup speech on unmount
+  // Hand the route to other mapping tools, or to someone else
+  const exportGeoJSON = () => {
+    const collection = routeToGeoJSON(routePath, directions, { roomNames });
+    downloadFile(
+      JSON.stringify(collection, null, 2),
+      "route.geojson",
+      "application/geo+json"
+    );
+  };
+
+  const exportGPX = () => {
+    downloadFile(
+      routeToGPX(routePath, directions, { roomNames }),
+      "route.gpx",
+      "application/gpx+xml"
+    );
+  };
+
+  const copyShareLink = async () => {
+    const link = createRouteLink(routePath, { profile: routeInfo?.profile });
+    try {
+      await navigator.clipboard.writeText(link);
+      setLinkCopied(true);
+    } catch (error) {
+      // No clipboard access (e.g. not served over https) - show the link
+      window.prompt(t("panel.copyLink"), link);
+    }
+  };
+
+  // Directions on paper, with a plan of each floor
+  const printSheet = () => {
+    printRouteSheet(routePath, directions, rooms, { roomNames, locale });
+  };
+
+  // A copied link belongs to the route it was made from
+  useEffect(() => {
+    setLinkCopied(false);
+  }, [routePath]);
+
+  // Follow the walker along the route - a replay of it, or the device's
+  // own position
+  const startNavigation = (source) => {
+    sessionRef.current?.stop();
+
+    const session = createNavigationSession({
+      routePath,
+      directions,
+      onUpdate: (state) => {
+        setNavigation(state);
+        setCurrentStep(state.currentStep);
+        onPositionChange?.(state);
+      },
+      onReroute: (fix, progress) => onRerouteRef.current?.(fix, progress),
+    });
+    sessionRef.current = session;
+
+    session.start(
+      source === "device"
+        ? createGeolocationProvider({
+            // Browsers don't know floors - take the floor of the step the
+            // walker is on
+            getFloor: () =>
+              directionsRef.current[session.getState().currentStep]?.floor ??
+              routePath[0].floor,
+          })
+        : createSimulatedWalkProvider(routePath, {
+            speedup: SIMULATED_SPEEDUP,
+            detour: simulateDetour ? SIMULATED_DETOUR : null,
+          })
+    );
+  };
+
+  const stopNavigation = () => {
+    sessionRef.current?.stop();
+    sessionRef.current = null;
+    setNavigation(null);
+    onPositionChange?.(null);
+  };
+
+  // Cleanup speech and navigation on unmount
   useEffect(() => {
     return () => {
       stopSpeaking();
+      sessionRef.current?.stop();
+      onPositionChange?.(null);
     };
   }, []);
 
@@ -145,7 +342,7 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
       {/* Header */}
       <div className="directions-header">
         <div className="directions-title">
-          <h3>📍 Directions</h3>
+          <h3>📍 {t("panel.title")}</h3>
           <button
             className="toggle-btn"
             onClick={() => setCollapsed(!collapsed)}
@@ -154,6 +351,19 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
             {collapsed ? "▼" : "▲"}
           </button>
         </div>
+        <select
+          className="language-select"
+          value={locale}
+          onChange={(e) => handleLocaleChange(e.target.value)}
+          title={t("panel.language")}
+          aria-label={t("panel.language")}
+        >
+          {Object.entries(LOCALES).map(([code, { label }]) => (
+            <option key={code} value={code}>
+              {label}
+            </option>
+          ))}
+        </select>
         <button className="close-btn" onClick={onClose} title="Close">
           ×
         </button>
@@ -167,7 +377,7 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
               <div className="summary-item">
                 <span className="summary-icon">📏</span>
                 <div>
-                  <div className="summary-label">Distance</div>
+                  <div className="summary-label">{t("panel.distance")}</div>
                   <div className="summary-value">
                     {formatDistance(stats.totalDistance)}
                   </div>
@@ -176,22 +386,149 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
               <div className="summary-item">
                 <span className="summary-icon">⏱️</span>
                 <div>
-                  <div className="summary-label">Est. Time</div>
+                  <div className="summary-label">{t("panel.time")}</div>
                   <div className="summary-value">
                     {formatTime(stats.estimatedTime)}
                   </div>
                 </div>
               </div>
+              {routeInfo?.stops?.length > 2 && (
+                <div className="summary-item">
+                  <span className="summary-icon">📍</span>
+                  <div>
+                    <div className="summary-label">{t("panel.stops")}</div>
+                    <div className="summary-value">
+                      {routeInfo.stops.length - 2}
+                    </div>
+                  </div>
+                </div>
+              )}
               <div className="summary-item">
                 <span className="summary-icon">🏢</span>
                 <div>
-                  <div className="summary-label">Floors</div>
+                  <div className="summary-label">{t("panel.floors")}</div>
                   <div className="summary-value">{stats.floors.join(", ")}</div>
                 </div>
               </div>
             </div>
           )}
 
+          {/* Alternative Routes - matches the colors drawn on the map */}
+          {alternativeRoutes.length > 1 && (
+            <div className="route-options">
+              {alternativeRoutes.map((route, index) => (
+                <button
+                  key={index}
+                  className={`route-option ${
+                    index === activeRouteIndex ? "active" : ""
+                  }`}
+                  onClick={() => onAlternativeSelect?.(index)}
+                >
+                  <span className={`route-option-swatch option-${index}`} />
+                  <span className="route-option-details">
+                    <span className="route-option-labels">
+                      {route.labels.join(" · ")}
+                    </span>
+                    <span className="route-option-meta">
+                      {formatTime(route.estimatedTime)} ·{" "}
+                      {formatDistance(route.distance)}
+                      {route.floorChanges > 0 &&
+                        ` · ${t("panel.floorChanges", {
+                          count: route.floorChanges,
+                        })}`}
+                    </span>
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Why this route - what the route preferences steered around */}
+          {routeInfo?.explanation && (
+            <div className="route-explanation">
+              <div className="route-explanation-title">Why this route</div>
+              <div>
+                Chosen to keep clear of{" "}
+                {joinWords(
+                  Object.keys(routeInfo.explanation.weights).map(
+                    (key) => `${ROUTE_COST_FACTORS[key].reason} rooms`
+                  )
+                )}
+                .
+              </div>
+              {routeInfo.explanation.avoided.length > 0 ? (
+                <div>
+                  Avoids:{" "}
+                  {describeRooms(routeInfo.explanation.avoided, roomNames)}
+                </div>
+              ) : (
+                routeInfo.explanation.crossed.length === 0 && (
+                  <div>The shortest route already avoids them.</div>
+                )
+              )}
+              {routeInfo.explanation.crossed.length > 0 && (
+                <div>
+                  Still passes through (no way around):{" "}
+                  {describeRooms(routeInfo.explanation.crossed, roomNames)}
+                </div>
+              )}
+              <div className="route-explanation-cost">
+                {routeInfo.explanation.extraDistance >= 1
+                  ? `${formatDistance(
+                      routeInfo.explanation.extraDistance
+                    )} longer than the shortest route`
+                  : "No longer than the shortest route"}
+              </div>
+            </div>
+          )}
+
+          {/* Export / Share - files for other mapping tools, a link, or a
+              printed sheet */}
+          <div className="route-export">
+            <div className="route-export-toggles">
+              <button
+                className="btn-voice"
+                onClick={() => setShowExport(!showExport)}
+                aria-expanded={showExport}
+              >
+                📤 {t("panel.exportShare")} {showExport ? "▲" : "▼"}
+              </button>
+              <button
+                className="btn-voice"
+                onClick={printSheet}
+                title="Print the steps with a plan of each floor"
+              >
+                🖨️ {t("sheet.print")}
+              </button>
+            </div>
+            {showExport && (
+              <div className="voice-actions">
+                <button
+                  className="btn-voice"
+                  onClick={exportGeoJSON}
+                  title="Download a line per floor with the steps"
+                >
+                  ⬇️ GeoJSON
+                </button>
+                <button
+                  className="btn-voice"
+                  onClick={exportGPX}
+                  title="Download the steps and route points"
+                >
+                  ⬇️ GPX
+                </button>
+                <button
+                  className="btn-voice"
+                  onClick={copyShareLink}
+                  title="Link that opens this route"
+                >
+                  🔗{" "}
+                  {linkCopied ? t("panel.linkCopied") : t("panel.copyLink")}
+                </button>
+              </div>
+            )}
+          </div>
+
           {/* Voice Controls */}
           {isSpeechSupported && (
             <div className="voice-controls">
@@ -262,11 +599,77 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
             </div>
           )}
 
+          {/* Live Navigation - steps follow the walker's position */}
+          <div className="navigation-session">
+            {navigation ? (
+              <div className="navigation-live">
+                <div
+                  className={`navigation-status ${
+                    navigation.offRoute && !navigation.arrived
+                      ? "off-route"
+                      : ""
+                  }`}
+                >
+                  {navigation.arrived
+                    ? "🎯 You have arrived"
+                    : navigation.rerouting
+                    ? "Off route - finding a new route…"
+                    : navigation.offRoute
+                    ? Number.isFinite(navigation.distanceFromRoute)
+                      ? `Off route by ${formatDistance(
+                          navigation.distanceFromRoute
+                        )}`
+                      : "Off route - on another floor"
+                    : `${formatDistance(navigation.distanceRemaining)} to go`}
+                </div>
+                <button
+                  className="btn-voice btn-stop"
+                  onClick={stopNavigation}
+                  title="Stop following your position"
+                >
+                  ⏹️ End
+                </button>
+              </div>
+            ) : (
+              <>
+                <div className="voice-actions navigation-actions">
+                  <button
+                    className="btn-voice"
+                    onClick={() => startNavigation("simulate")}
+                    title="Replay the route as if walking it"
+                  >
+                    🚶 Simulate walk
+                  </button>
+                  {isGeolocationAvailable() && (
+                    <button
+                      className="btn-voice"
+                      onClick={() => startNavigation("device")}
+                      title="Follow this device's position"
+                    >
+                      📡 Navigate
+                    </button>
+                  )}
+                </div>
+                <label className="voice-toggle">
+                  <input
+                    type="checkbox"
+                    checked={simulateDetour}
+                    onChange={(e) => setSimulateDetour(e.target.checked)}
+                  />
+                  <span>Simulate a wrong turn</span>
+                </label>
+              </>
+            )}
+          </div>
+
           {/* Current Step Display */}
           <div className="current-step-card">
             <div className="step-header">
               <span className="step-number">
-                Step {currentStep + 1} of {directions.length}
+                {t("panel.stepOf", {
+                  step: currentStep + 1,
+                  total: directions.length,
+                })}
               </span>
               <span className={`step-type ${currentDirection.type}`}>
                 {currentDirection.icon || "➡️"}
@@ -281,9 +684,12 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
               </div>
             )}
             <div className="step-floor">
-              Floor {currentDirection.floor}
+              {t("panel.floor", { floor: currentDirection.floor })}
               {currentDirection.targetFloor !== undefined && (
-                <> → Floor {currentDirection.targetFloor}</>
+                <>
+                  {" → "}
+                  {t("panel.floor", { floor: currentDirection.targetFloor })}
+                </>
               )}
             </div>
           </div>
@@ -295,7 +701,7 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
               onClick={previousStep}
               disabled={currentStep === 0}
             >
-              ← Previous
+              {t("panel.previous")}
             </button>
             <div className="step-indicator">
               {currentStep + 1} / {directions.length}
@@ -305,7 +711,7 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
               onClick={nextStep}
               disabled={currentStep === directions.length - 1}
             >
-              Next →
+              {t("panel.next")}
             </button>
           </div>
 
@@ -321,29 +727,41 @@ const DirectionsPanel = ({ routePath, routeInfo, onClose, onStepClick }) => {
 
           {/* All Steps List */}
           <div className="directions-list">
-            <div className="list-header">All Steps</div>
+            <div className="list-header">{t("panel.allSteps")}</div>
             {directions.map((direction, index) => (
-              <div
-                key={direction.id}
-                className={`direction-item ${
-                  index === currentStep ? "active" : ""
-                } ${direction.type}`}
-                onClick={() => goToStep(index)}
-              >
-                <div className="direction-icon">{direction.icon || "➡️"}</div>
-                <div className="direction-content">
-                  <div className="direction-instruction">
-                    {direction.instruction}
+              <React.Fragment key={direction.id}>
+                <div
+                  className={`direction-item ${
+                    index === currentStep ? "active" : ""
+                  } ${direction.type}`}
+                  onClick={() => goToStep(index)}
+                >
+                  <div className="direction-icon">
+                    {direction.icon || "➡️"}
                   </div>
-                  <div className="direction-meta">
-                    Floor {direction.floor}
-                    {direction.distance > 1 && (
-                      <> · {formatDistance(direction.distance)}</>
-                    )}
+                  <div className="direction-content">
+                    <div className="direction-instruction">
+                      {direction.instruction}
+                    </div>
+                    <div className="direction-meta">
+                      {t("panel.floor", { floor: direction.floor })}
+                      {direction.distance > 1 && (
+                        <> · {formatDistance(direction.distance)}</>
+                      )}
+                    </div>
                   </div>
+                  <div className="direction-step-number">{index + 1}</div>
                 </div>
-                <div className="direction-step-number">{index + 1}</div>
-              </div>
+                {/* Separate the legs of a multi-stop route */}
+                {direction.type === "stop" && (
+                  <div className="leg-separator">
+                    {t("panel.leg", {
+                      leg: direction.leg + 2,
+                      name: direction.nextStop,
+                    })}
+                  </div>
+                )}
+              </React.Fragment>
             ))}
           </div>
         </>
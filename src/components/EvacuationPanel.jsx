@@ -0,0 +1,109 @@
+import React, { useMemo } from "react";
+import { defaultRoomNames } from "../utils/roomNames";
+import "./EvacuationPanel.css";
+
+const formatTime = (seconds) => {
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+};
+
+const EvacuationPanel = ({
+  plan,
+  isComputing,
+  roomNames = defaultRoomNames,
+  onPrint,
+  onClose,
+}) => {
+  // The room that takes longest to clear sets the building's evacuation time
+  const slowest = useMemo(
+    () =>
+      plan?.routes.reduce(
+        (worst, route) =>
+          !worst || route.estimatedTime > worst.estimatedTime ? route : worst,
+        null
+      ) ?? null,
+    [plan]
+  );
+
+  return (
+    <div className="evacuation-panel">
+      <div className="evacuation-header">
+        <h3>🚨 Evacuation</h3>
+        <button className="close-btn" onClick={onClose}>
+          ×
+        </button>
+      </div>
+
+      {isComputing && !plan && (
+        <div className="evacuation-note">
+          Finding the way out of every room…
+        </div>
+      )}
+
+      {plan && plan.exits.length === 0 && (
+        <div className="evacuation-warning">
+          No exits found - mark exit features with an exit or entrance name
+          or an <code>exit</code> property, or list exit rooms in{" "}
+          <code>exits.json</code>.
+        </div>
+      )}
+
+      {plan && plan.exits.length > 0 && (
+        <>
+          <div className="evacuation-summary">
+            <div>
+              <strong>{plan.exits.length}</strong> exits
+            </div>
+            <div>
+              <strong>{plan.routes.length}</strong> rooms routed
+            </div>
+            {slowest && (
+              <div>
+                Longest: <strong>{formatTime(slowest.estimatedTime)}</strong>{" "}
+                from {roomNames.getDisplayName(slowest.name, slowest.floor)}{" "}
+                (F{slowest.floor})
+              </div>
+            )}
+          </div>
+
+          <div className="evacuation-section">
+            <h4>Exits</h4>
+            <ul className="evacuation-list">
+              {plan.exits.map((exit) => (
+                <li key={`${exit.name}-${exit.floor}`}>
+                  {roomNames.getDisplayName(exit.name, exit.floor)}{" "}
+                  <span>Floor {exit.floor}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {plan.unreachable.length > 0 && (
+            <div className="evacuation-section">
+              <h4>No way out ({plan.unreachable.length})</h4>
+              <ul className="evacuation-list unreachable">
+                {plan.unreachable.map((room) => (
+                  <li key={`${room.name}-${room.floor}`}>
+                    {roomNames.getDisplayName(room.name, room.floor)}{" "}
+                    <span>Floor {room.floor}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="evacuation-note">
+            Arrows on the map point toward the nearest exit. Elevators are
+            never used.
+          </div>
+
+          <button className="evacuation-print" onClick={onPrint}>
+            🖨️ Print evacuation plan
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EvacuationPanel;
@@ -1,10 +1,24 @@
-import React, { useState } from "react";
+import React, { useState, useMemo } from "react";
+import { canAccess } from "../utils/accessControl";
 
-const FilterPanel = ({ rooms, onFilter, onClose }) => {
+const FilterPanel = ({
+  rooms: allRooms,
+  role = null,
+  roomAccess = {},
+  onFilter,
+  onClose,
+}) => {
   const [selectedTypes, setSelectedTypes] = useState([]);
   const [selectedFloors, setSelectedFloors] = useState([]);
   const [areaRange, setAreaRange] = useState([0, 1000]);
 
+  // Rooms the current role can't enter are left out of the results
+  const rooms = useMemo(
+    () =>
+      allRooms.filter((room) => canAccess(room.properties, role, roomAccess)),
+    [allRooms, role, roomAccess]
+  );
+
   // Extract unique room types and floors from data
   const uniqueTypes = [
     ...new Set(
@@ -0,0 +1,126 @@
+import React, { useMemo } from "react";
+import { getComponentColors } from "../utils/graphDiagnostics";
+import { defaultRoomNames } from "../utils/roomNames";
+import "./GraphDiagnosticsPanel.css";
+
+const swatchColor = ([r, g, b]) => `rgb(${r}, ${g}, ${b})`;
+
+// Rooms by display name, with the identifier in the data on hover
+const RoomList = ({ title, rooms, roomNames, className = "" }) =>
+  rooms.length > 0 && (
+    <div className="diagnostics-section">
+      <h4>
+        {title} ({rooms.length})
+      </h4>
+      <ul className={`diagnostics-list ${className}`}>
+        {rooms.map((room) => (
+          <li key={room.key} title={room.name}>
+            {roomNames.getDisplayName(room.name, room.floor)}{" "}
+            <span>Floor {room.floor}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+const GraphDiagnosticsPanel = ({
+  report,
+  isComputing,
+  roomNames = defaultRoomNames,
+  onClose,
+}) => {
+  // Swatches match the map, which colors rooms by component
+  const colors = useMemo(
+    () => (report ? getComponentColors(report) : new Map()),
+    [report]
+  );
+  const healthy =
+    report &&
+    report.isolated.length === 0 &&
+    report.floorsWithoutConnector.length === 0 &&
+    report.floors.every((floor) => floor.components.length === 1);
+
+  return (
+    <div className="diagnostics-panel">
+      <div className="diagnostics-header">
+        <h3>Routing Graph Diagnostics</h3>
+        <button className="close-btn" onClick={onClose}>
+          ×
+        </button>
+      </div>
+
+      {isComputing && !report && (
+        <div className="diagnostics-note">Analyzing the routing graph…</div>
+      )}
+
+      {report && (
+        <>
+          <div className={`diagnostics-summary ${healthy ? "ok" : "issues"}`}>
+            {report.summary.rooms} rooms · {report.summary.edges} edges ·{" "}
+            {report.summary.components} components
+            <div>
+              {healthy
+                ? "Every room can reach every other room."
+                : "Some rooms can't be reached from others - see below."}
+            </div>
+          </div>
+
+          <div className="diagnostics-section">
+            <h4>Components per floor</h4>
+            {report.floors.map((floor) => (
+              <div className="diagnostics-floor" key={floor.floor}>
+                <span className="diagnostics-floor-name">
+                  Floor {floor.floor}
+                </span>
+                <span className="diagnostics-swatches">
+                  {report.components
+                    .filter((c) => c.floor === floor.floor)
+                    .map((component) => (
+                      <span
+                        key={component.id}
+                        className="diagnostics-swatch"
+                        title={component.rooms
+                          .map((r) => roomNames.getDisplayName(r.name, r.floor))
+                          .join(", ")}
+                        style={{
+                          background: swatchColor(
+                            colors.get(component.rooms[0].key)
+                          ),
+                        }}
+                      >
+                        {component.rooms.length}
+                      </span>
+                    ))}
+                </span>
+                {!floor.hasVerticalConnector && (
+                  <span className="diagnostics-warning">
+                    No stairs/elevator
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <RoomList
+            title="Isolated rooms"
+            rooms={report.isolated}
+            roomNames={roomNames}
+            className="isolated"
+          />
+          <RoomList
+            title="Only reachable through other rooms"
+            rooms={report.roomToRoomOnly}
+            roomNames={roomNames}
+          />
+
+          <div className="diagnostics-note">
+            Rooms on the map are colored by component; isolated rooms are red.
+            Hover a swatch to see its rooms.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GraphDiagnosticsPanel;
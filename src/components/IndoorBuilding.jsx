@@ -25,12 +25,14 @@
 import React, { useState, useEffect, useMemo } from "react";
 import DeckGL from "@deck.gl/react";
 import { GeoJsonLayer, PathLayer } from "@deck.gl/layers";
+import { FillStyleExtension } from "@deck.gl/extensions";
 import {
   LightingEffect,
   AmbientLight,
   DirectionalLight,
   PointLight,
 } from "@deck.gl/core";
+import { closureCoversRoom } from "../utils/closures.js";
 
 // ============================================================================
 // LIGHTING CONFIGURATION
@@ -249,6 +251,97 @@ function applyBaseToGeometry(geometry, baseZ = 0) {
   return geometry;
 }
 
+// ============================================================================
+// CLOSURE HATCHING
+// ============================================================================
+
+const HATCH_SIZE = 32;
+const CLOSURE_COLORS = {
+  closed: [211, 47, 47],
+  avoid: [245, 124, 0],
+};
+
+let hatchAtlas = null;
+
+/**
+ * Diagonal stripe pattern used as a mask for closed areas. Drawn once on a
+ * canvas so no image asset is needed.
+ * @returns {HTMLCanvasElement|null} Pattern atlas, or null outside a browser
+ */
+function getHatchAtlas() {
+  if (hatchAtlas || typeof document === "undefined") return hatchAtlas;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = HATCH_SIZE;
+  canvas.height = HATCH_SIZE;
+  const ctx = canvas.getContext("2d");
+  ctx.strokeStyle = "white";
+  ctx.lineWidth = 6;
+  // Three strokes so the stripes continue across tile edges
+  [-HATCH_SIZE, 0, HATCH_SIZE].forEach((offset) => {
+    ctx.beginPath();
+    ctx.moveTo(offset, HATCH_SIZE);
+    ctx.lineTo(offset + HATCH_SIZE, 0);
+    ctx.stroke();
+  });
+
+  hatchAtlas = canvas;
+  return hatchAtlas;
+}
+
+const HATCH_MAPPING = {
+  hatch: { x: 0, y: 0, width: HATCH_SIZE, height: HATCH_SIZE, mask: true },
+};
+
+/**
+ * Flat hatched overlays for closed rooms and drawn closure areas, laid on
+ * top of the extruded rooms they cover.
+ * @param {Array<Object>} features - Room features as displayed (bases applied)
+ * @param {Array<Object>} closures - Active closures (see utils/closures.js)
+ * @param {Object} options - Display settings of the building layer
+ * @returns {Array<Object>} GeoJSON features with a `closureMode` property
+ */
+function buildClosureOverlays(features, closures, options) {
+  const { selectedFloors, floorSpacing, heightExaggeration, isDollhouseMode } =
+    options;
+  const overlays = [];
+
+  features.forEach((feature) => {
+    const props = feature.properties || {};
+    const floorNum = getFloorNumber(props);
+    const closure = closures.find(
+      (c) =>
+        c.rooms.length > 0 &&
+        closureCoversRoom(c, props.name || props.id || "", floorNum, [
+          props.id,
+        ])
+    );
+    if (!closure) return;
+
+    const top =
+      computeElevation(feature, floorSpacing, heightExaggeration) + 0.05;
+    overlays.push({
+      ...feature,
+      geometry: applyBaseToGeometry(feature.geometry, top),
+      properties: { ...props, closureMode: closure.mode },
+    });
+  });
+
+  closures
+    .filter((c) => c.polygon && selectedFloors.includes(c.floor))
+    .forEach((closure) => {
+      const baseZ = (isDollhouseMode ? closure.floor * floorSpacing : 0) + 0.1;
+      const ring = closure.polygon.map(([lng, lat]) => [lng, lat, baseZ]);
+      overlays.push({
+        type: "Feature",
+        geometry: { type: "Polygon", coordinates: [[...ring, ring[0]]] },
+        properties: { closureMode: closure.mode, floor: closure.floor },
+      });
+    });
+
+  return overlays;
+}
+
 // ============================================================================
 // MAIN INDOOR BUILDING COMPONENT
 // ============================================================================
@@ -606,6 +699,9 @@ const IndoorBuilding = ({
  * @param {number} options.heightExaggeration - Height multiplier
  * @param {number} options.floorSpacing - Vertical spacing between floors in meters
  * @param {string} options.highlightedRoomId - ID of room to highlight
+ * @param {Array<Object>} options.closures - Active closures to hatch
+ * @param {Map<string, Array<number>>} options.roomColors - Colors overriding
+ *   rooms' own, keyed `${name}_F${floor}` (isochrone bands, graph components)
  * @param {Function} options.onRoomClick - Callback when room is clicked
  * @returns {Object} { layers, lightingEffect }
  */
@@ -616,6 +712,8 @@ export const useIndoorBuilding = ({
   heightExaggeration = 1.0,
   floorSpacing = 4.5,
   highlightedRoomId = null,
+  closures = [],
+  roomColors = null,
   onRoomClick = null,
 }) => {
   // Filter data by selected floors
@@ -741,8 +839,15 @@ export const useIndoorBuilding = ({
             nameLower.includes("elevator") ||
             nameLower.includes("shaft");
 
+          // Overlays recolor the rooms they cover
+          const overlayColor = roomColors?.get(
+            `${props.name || props.id || ""}_F${floorNum}`
+          );
+
           let shadedColor;
-          if (isSpecialCompartment) {
+          if (overlayColor) {
+            shadedColor = overlayColor;
+          } else if (isSpecialCompartment) {
             // Preserve EXACT color from GeoJSON - NO modifications
             shadedColor = [baseColor[0], baseColor[1], baseColor[2]];
           } else {
@@ -837,14 +942,61 @@ export const useIndoorBuilding = ({
         },
 
         updateTriggers: {
-          getFillColor: [highlightedRoomId, translucency, selectedFloors],
+          getFillColor: [
+            highlightedRoomId,
+            translucency,
+            selectedFloors,
+            roomColors,
+          ],
           getLineColor: [selectedFloors, translucency],
           getElevation: [floorSpacing, heightExaggeration],
         },
       });
 
+      const layers = [layer];
+
+      // Hatched overlay marking closed rooms and areas
+      const closureOverlays =
+        closures.length > 0
+          ? buildClosureOverlays(filteredData.features, closures, {
+              selectedFloors,
+              floorSpacing,
+              heightExaggeration,
+              isDollhouseMode,
+            })
+          : [];
+      const atlas = getHatchAtlas();
+      if (closureOverlays.length > 0 && atlas) {
+        layers.push(
+          new GeoJsonLayer({
+            id: "indoor-closures-layer",
+            data: { type: "FeatureCollection", features: closureOverlays },
+            pickable: false,
+            stroked: true,
+            filled: true,
+            extruded: false,
+            getFillColor: (feature) => [
+              ...CLOSURE_COLORS[feature.properties.closureMode],
+              210,
+            ],
+            getLineColor: (feature) => [
+              ...CLOSURE_COLORS[feature.properties.closureMode],
+              255,
+            ],
+            lineWidthMinPixels: 2,
+            fillPatternAtlas: atlas,
+            fillPatternMapping: HATCH_MAPPING,
+            fillPatternMask: true,
+            getFillPattern: () => "hatch",
+            getFillPatternScale: 1,
+            getFillPatternOffset: [0, 0],
+            extensions: [new FillStyleExtension({ pattern: true })],
+          })
+        );
+      }
+
       return {
-        layers: [layer],
+        layers,
         lightingEffect: createIndoorLighting(isDollhouseMode),
       };
     } catch (error) {
@@ -858,6 +1010,8 @@ export const useIndoorBuilding = ({
     heightExaggeration,
     floorSpacing,
     highlightedRoomId,
+    closures,
+    roomColors,
     onRoomClick,
   ]);
 
@@ -1,6 +1,16 @@
 import React from "react";
+import { ISOCHRONE_BANDS } from "../utils/isochrones";
 
-const Legend = ({ selectedFloor, selectedFloors, translucency }) => {
+const swatchColor = ([r, g, b]) => `rgb(${r}, ${g}, ${b})`;
+
+const Legend = ({
+  selectedFloor,
+  selectedFloors,
+  translucency,
+  closureCount = 0,
+  isochroneOrigin = null,
+  onIsochroneClear = null,
+}) => {
   const floors =
     selectedFloors && selectedFloors.length > 0
       ? selectedFloors
@@ -18,6 +28,38 @@ const Legend = ({ selectedFloor, selectedFloors, translucency }) => {
         <strong>Translucency:</strong>
         <span>{translucency}%</span>
       </div>
+      {closureCount > 0 && (
+        <div className="legend-row">
+          <strong>
+            <span className="legend-swatch closed" /> Closed:
+          </strong>
+          <span>{closureCount}</span>
+        </div>
+      )}
+      {isochroneOrigin && (
+        <div className="legend-isochrones">
+          <div className="legend-row">
+            <strong>Walking from:</strong>
+            <span>{isochroneOrigin}</span>
+          </div>
+          {ISOCHRONE_BANDS.map((band) => (
+            <div className="legend-row" key={band.minutes}>
+              <span>
+                <span
+                  className="legend-swatch"
+                  style={{ background: swatchColor(band.color) }}
+                />{" "}
+                {band.label}
+              </span>
+            </div>
+          ))}
+          {onIsochroneClear && (
+            <button className="legend-clear" onClick={onIsochroneClear}>
+              Clear
+            </button>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -8,6 +8,9 @@ import {
   IconLayer,
 } from "@deck.gl/layers";
 import { useIndoorBuilding } from "./IndoorBuilding";
+import { createPointLocation } from "../utils/pathfinding";
+import { buildFlowArrows } from "../utils/evacuation";
+import { defaultRoomNames } from "../utils/roomNames";
 import "mapbox-gl/dist/mapbox-gl.css";
 
 // Mapbox API token - Get yours free at https://account.mapbox.com/access-tokens/
@@ -53,6 +56,33 @@ const getFloorElevation = (floor) => {
   return FLOOR_BASE_ELEVATIONS[floor] ?? floor * 9; // Default to 9m per floor
 };
 
+// Route lines sit just above the floor for clear visibility
+const PATH_ELEVATION_OFFSET = 0.5;
+
+// Elevation of a route point, from its room's base height when known
+const getRoutePointElevation = (point) => {
+  const properties = point.features?.[0]?.properties;
+  let baseElevation = getFloorElevation(point.floor);
+
+  if (properties?.base_height !== undefined) {
+    baseElevation = parseFloat(properties.base_height);
+  } else if (properties?.base_heigh !== undefined) {
+    baseElevation = parseFloat(properties.base_heigh);
+  }
+
+  return baseElevation + PATH_ELEVATION_OFFSET;
+};
+
+// Evacuation arrows and exits
+const EVACUATION_COLOR = [46, 125, 50];
+
+// Secondary colors for alternative routes, so none reads as the active blue
+const ALTERNATIVE_ROUTE_COLORS = [
+  [142, 68, 173], // Purple
+  [0, 150, 136], // Teal
+  [230, 126, 34], // Orange
+];
+
 const Map3D = ({
   selectedFloor,
   selectedFloors,
@@ -68,7 +98,20 @@ const Map3D = ({
   viewState: externalViewState,
   onViewStateChange,
   routePath = null,
+  alternativeRoutes = [],
+  activeRouteIndex = 0,
+  onAlternativeSelect,
+  closures = [],
+  draftArea = null,
+  draftFloor = null,
+  onMapClick = null,
+  onContextRoute = null,
+  pendingRouteEndpoints = {},
+  evacuationPlan = null,
+  roomColors = null,
+  userPosition = null, // live navigation state, {position, offRoute}
   roomsData = [],
+  roomNames = defaultRoomNames,
   basemapStyle = "satellite", // default to satellite view
 }) => {
   const [geojsonData, setGeojsonData] = useState(null);
@@ -82,8 +125,10 @@ const Map3D = ({
   const [internalViewState, setInternalViewState] = useState(initialViewState);
   const [isMounted, setIsMounted] = useState(false);
   const [webglError, setWebglError] = useState(null);
+  const [contextMenu, setContextMenu] = useState(null); // {x, y, floor, coordinate, room}
   const deckRef = useRef(null);
   const containerRef = useRef(null);
+  const rightDragStart = useRef(null);
 
   // Wait for component to mount before initializing DeckGL
   useEffect(() => {
@@ -222,6 +267,77 @@ const Map3D = ({
     return [];
   }, [selectedFloors, selectedFloor, allAvailableFloors]);
 
+  // Evacuation arrows only change with the plan, not with every render
+  const evacuationArrows = useMemo(
+    () => buildFlowArrows(evacuationPlan),
+    [evacuationPlan]
+  );
+
+  // Close the route context menu on Escape
+  useEffect(() => {
+    if (!contextMenu) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") setContextMenu(null);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [contextMenu]);
+
+  // Right-click opens "route from/to here" for the clicked spot. Right-drag
+  // rotates the map, so only a click that stayed put counts.
+  const handleContextMenu = (e) => {
+    e.preventDefault();
+    const start = rightDragStart.current;
+    rightDragStart.current = null;
+    if (start && Math.hypot(e.clientX - start.x, e.clientY - start.y) > 5) {
+      return;
+    }
+
+    const deck = deckRef.current?.deck;
+    if (!onContextRoute || !deck || !containerRef.current) return;
+
+    const rect = containerRef.current.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    const picked = deck.pickObject({
+      x,
+      y,
+      radius: 2,
+      layerIds: ["indoor-building-layer"],
+    });
+    const coordinate =
+      picked?.coordinate || deck.getViewports()[0]?.unproject([x, y]);
+    if (!coordinate) return;
+
+    const props = picked?.object?.properties;
+    const floor =
+      props?.level ??
+      props?.floor ??
+      props?.nivel ??
+      (typeof selectedFloor === "number" ? selectedFloor : floorsToDisplay[0]);
+    // The room itself, as routing knows it
+    const room = props?.name
+      ? roomsData.find(
+          (f) =>
+            f.properties?.name === props.name &&
+            (f.properties?.level ??
+              f.properties?.floor ??
+              f.properties?.nivel) === floor
+        )
+      : null;
+
+    setContextMenu({ x, y, floor: floor ?? 0, coordinate, room });
+  };
+
+  const chooseContextRoute = (role, useRoom) => {
+    const { coordinate, floor, room } = contextMenu;
+    setContextMenu(null);
+    onContextRoute(
+      role,
+      useRoom ? room : createPointLocation(coordinate, floor)
+    );
+  };
+
   // Use the new IndoorBuilding hook for ArcGIS Indoors-style visualization
   const displayData = getDisplayData();
   console.log("[Map3D] Display data:", {
@@ -238,7 +354,11 @@ const Map3D = ({
     heightExaggeration,
     floorSpacing: 4.5, // 4.5m vertical spacing between floors (matches provided stack)
     highlightedRoomId,
+    closures,
+    roomColors,
     onRoomClick: (roomProps) => {
+      // Clicks place points instead while an area is being drawn
+      if (onMapClick) return;
       const roomId = roomProps?.id || roomProps?.name || "";
       onRoomSelect(roomProps, roomId);
     },
@@ -253,31 +373,157 @@ const Map3D = ({
 
   const layers = [...indoorLayers];
 
+  // Outline of a closure area being drawn
+  if (draftArea && draftArea.length > 0) {
+    const draftElevation =
+      getFloorElevation(draftFloor) + PATH_ELEVATION_OFFSET;
+    const draftPoints = draftArea.map((p) => [p[0], p[1], draftElevation]);
+
+    layers.push(
+      new PathLayer({
+        id: "closure-draft-outline",
+        data: [
+          {
+            path:
+              draftPoints.length > 2
+                ? [...draftPoints, draftPoints[0]]
+                : draftPoints,
+          },
+        ],
+        getPath: (d) => d.path,
+        getColor: [211, 47, 47, 230],
+        getWidth: 3,
+        widthMinPixels: 2,
+        billboard: false,
+      }),
+      new ScatterplotLayer({
+        id: "closure-draft-points",
+        data: draftPoints,
+        getPosition: (d) => d,
+        getRadius: 0.6,
+        radiusMinPixels: 4,
+        getFillColor: [255, 255, 255, 255],
+        getLineColor: [211, 47, 47, 255],
+        stroked: true,
+        lineWidthMinPixels: 2,
+      })
+    );
+  }
+
+  // Endpoints picked from the context menu while waiting for the other one
+  const pendingMarkers = ["from", "to"]
+    .map((role) => ({ role, location: pendingRouteEndpoints[role] }))
+    .filter(({ location }) => location?.geometry?.type === "Point");
+  if (pendingMarkers.length > 0) {
+    layers.push(
+      new ScatterplotLayer({
+        id: "pending-route-endpoints",
+        data: pendingMarkers,
+        getPosition: ({ location }) => [
+          ...location.geometry.coordinates,
+          getFloorElevation(location.properties.floor) +
+            PATH_ELEVATION_OFFSET,
+        ],
+        getRadius: 0.8,
+        radiusMinPixels: 7,
+        getFillColor: ({ role }) =>
+          role === "from" ? [52, 168, 83, 255] : [234, 67, 53, 255],
+        getLineColor: [255, 255, 255, 255],
+        stroked: true,
+        lineWidthMinPixels: 2,
+      })
+    );
+  }
+
+  // Evacuation flow field - arrows towards the nearest exit on shown floors
+  if (evacuationPlan) {
+    const shownFloors = new Set(floorsToDisplay);
+    layers.push(
+      new PathLayer({
+        id: "evacuation-flow",
+        data: evacuationArrows.filter((arrow) => shownFloors.has(arrow.floor)),
+        getPath: (d) => {
+          const elevation = getRoutePointElevation(d.point);
+          return d.path.map((p) => [p[0], p[1], elevation]);
+        },
+        getColor: [...EVACUATION_COLOR, 230],
+        getWidth: 0.35,
+        widthMinPixels: 2,
+        capRounded: true,
+        jointRounded: true,
+        billboard: false,
+      }),
+      new ScatterplotLayer({
+        id: "evacuation-exits",
+        data: evacuationPlan.exits.filter((exit) =>
+          shownFloors.has(exit.floor)
+        ),
+        getPosition: (d) => [
+          ...d.coords,
+          getFloorElevation(d.floor) + PATH_ELEVATION_OFFSET,
+        ],
+        getRadius: 1.2,
+        radiusMinPixels: 8,
+        getFillColor: [...EVACUATION_COLOR, 255],
+        getLineColor: [255, 255, 255, 255],
+        stroked: true,
+        lineWidthMinPixels: 2,
+      })
+    );
+  }
+
   // Add route visualization layers if route exists
   if (routePath && routePath.length > 1) {
     console.log("[Map3D] Rendering route with", routePath.length, "waypoints");
 
     // Create path coordinates using actual room base elevations
-    const PATH_ELEVATION_OFFSET = 0.5; // Just above floor for clear visibility
     const pathCoords = routePath.map((point) => {
-      // Try to get base elevation from room features
-      let baseElevation = getFloorElevation(point.floor);
-
-      if (point.features?.[0]?.properties?.base_height !== undefined) {
-        baseElevation = parseFloat(point.features[0].properties.base_height);
-      } else if (point.features?.[0]?.properties?.base_heigh !== undefined) {
-        baseElevation = parseFloat(point.features[0].properties.base_heigh);
-      }
-
-      const totalElevation = baseElevation + PATH_ELEVATION_OFFSET;
+      const totalElevation = getRoutePointElevation(point);
       console.log(
-        `[Map3D] Path point: floor=${point.floor}, baseElev=${baseElevation}, totalElev=${totalElevation}, room=${point.name}`
+        `[Map3D] Path point: floor=${point.floor}, totalElev=${totalElevation}, room=${point.name}`
       );
       return [...point.coords, totalElevation]; // [lon, lat, elevation]
     });
 
     console.log("[Map3D] Route path coordinates:", pathCoords);
 
+    // Other candidate routes, drawn beneath the active one - click to use one
+    const alternatives = alternativeRoutes
+      .map((route, index) => ({ ...route, index }))
+      .filter((route) => route.index !== activeRouteIndex);
+    if (alternatives.length > 0) {
+      layers.push(
+        new PathLayer({
+          id: "route-alternatives",
+          data: alternatives.map((route) => ({
+            index: route.index,
+            path: route.path.map((point) => [
+              ...point.coords,
+              getRoutePointElevation(point),
+            ]),
+            color:
+              ALTERNATIVE_ROUTE_COLORS[
+                route.index % ALTERNATIVE_ROUTE_COLORS.length
+              ],
+          })),
+          getPath: (d) => d.path,
+          getColor: (d) => [...d.color, 200],
+          getWidth: 5,
+          widthMinPixels: 4,
+          widthMaxPixels: 8,
+          widthScale: 1,
+          rounded: true,
+          billboard: false,
+          pickable: true,
+          autoHighlight: true,
+          highlightColor: [255, 255, 255, 120],
+          onClick: ({ object }) => {
+            if (object) onAlternativeSelect?.(object.index);
+          },
+        })
+      );
+    }
+
     // Narrower blue route path like Google Maps (outer border)
     layers.push(
       new PathLayer({
@@ -440,9 +686,12 @@ const Map3D = ({
     );
 
     // Waypoint markers with enhanced creative styling
-    if (routePath.length > 2) {
+    // (navmesh corners only shape the line, so they get no marker)
+    const waypoints = routePath
+      .slice(1, -1)
+      .filter((point) => !point.isNavMeshPoint);
+    if (waypoints.length > 0) {
       const WAYPOINT_ELEVATION_OFFSET = 4.0;
-      const waypoints = routePath.slice(1, -1);
 
       // Glow for waypoints
       layers.push(
@@ -495,6 +744,28 @@ const Map3D = ({
     }
   }
 
+  // Walker's position while navigating - red when off the route
+  if (userPosition?.position) {
+    const { position, offRoute } = userPosition;
+    layers.push(
+      new ScatterplotLayer({
+        id: "navigation-position",
+        data: [position],
+        getPosition: (d) => [
+          ...d.coords,
+          getFloorElevation(d.floor) + PATH_ELEVATION_OFFSET + 0.5,
+        ],
+        getRadius: 1,
+        radiusMinPixels: 9,
+        getFillColor: offRoute ? [217, 48, 37, 255] : [26, 115, 232, 255],
+        getLineColor: [255, 255, 255, 255],
+        stroked: true,
+        lineWidthMinPixels: 3,
+        updateTriggers: { getFillColor: [offRoute] },
+      })
+    );
+  }
+
   // Show WebGL error if detected
   if (webglError) {
     return (
@@ -587,6 +858,12 @@ const Map3D = ({
       ref={containerRef}
       className="map-3d-container"
       style={{ width: "100%", height: "100%", position: "relative" }}
+      onMouseDown={(e) => {
+        if (e.button === 2) {
+          rightDragStart.current = { x: e.clientX, y: e.clientY };
+        }
+      }}
+      onContextMenu={handleContextMenu}
     >
       <DeckGL
         ref={deckRef}
@@ -595,6 +872,7 @@ const Map3D = ({
         initialViewState={externalViewState || internalViewState}
         onViewStateChange={({ viewState: newViewState }) => {
           setInternalViewState(newViewState);
+          setContextMenu(null);
           if (onViewStateChange) {
             onViewStateChange(newViewState);
           }
@@ -621,8 +899,14 @@ const Map3D = ({
           blendFunc: [770, 771], // GL_SRC_ALPHA, GL_ONE_MINUS_SRC_ALPHA
           depthFunc: 515, // GL_LEQUAL
         }}
-        getCursor={() => "grab"}
+        getCursor={() => (onMapClick ? "crosshair" : "grab")}
         getTooltip={null}
+        onClick={(info) => {
+          setContextMenu(null);
+          if (onMapClick && info.coordinate) {
+            onMapClick(info.coordinate.slice(0, 2));
+          }
+        }}
         style={{ width: "100%", height: "100%" }}
         onWebGLInitialized={(gl) => {
           if (gl) {
@@ -658,6 +942,40 @@ const Map3D = ({
             />
           )}
       </DeckGL>
+
+      {contextMenu && (
+        <div
+          className="map-context-menu"
+          style={{ left: contextMenu.x, top: contextMenu.y }}
+          onContextMenu={(e) => e.stopPropagation()}
+        >
+          <div className="map-context-menu-title">
+            {contextMenu.room?.properties?.name
+              ? roomNames.getDisplayName(
+                  contextMenu.room.properties.name,
+                  contextMenu.floor
+                )
+              : "Selected point"}{" "}
+            · Floor {contextMenu.floor}
+          </div>
+          <button onClick={() => chooseContextRoute("from", false)}>
+            🟢 Route from here
+          </button>
+          <button onClick={() => chooseContextRoute("to", false)}>
+            🔴 Route to here
+          </button>
+          {contextMenu.room && (
+            <>
+              <button onClick={() => chooseContextRoute("from", true)}>
+                Route from this room
+              </button>
+              <button onClick={() => chooseContextRoute("to", true)}>
+                Route to this room
+              </button>
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 };
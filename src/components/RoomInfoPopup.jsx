@@ -1,6 +1,16 @@
 import React, { useState } from "react";
+import { getOpeningStatus, getRoomOpeningHours } from "../utils/openingHours";
+import { defaultRoomNames } from "../utils/roomNames";
 
-const RoomInfoPopup = ({ room, onClose, position }) => {
+const RoomInfoPopup = ({
+  room,
+  onClose,
+  position,
+  onShowReach = null,
+  openingHours = {},
+  time = Date.now(),
+  roomNames = defaultRoomNames,
+}) => {
   if (!room) return null;
 
   const {
@@ -14,14 +24,23 @@ const RoomInfoPopup = ({ room, onClose, position }) => {
     base_height = 0,
     floor = 0,
     nivel = 0,
+    level = 0,
     area = "N/A",
     description = "No description",
   } = room;
 
-  const currentFloor = floor || nivel;
+  const currentFloor = floor || nivel || level;
   const floorDisplay =
     currentFloor === -1 ? "Basement" : `Floor ${currentFloor}`;
   const roomHeight = altura || height;
+  const hours = getRoomOpeningHours(name, currentFloor, room, openingHours);
+  const openingStatus = hours && getOpeningStatus(hours, time);
+  // Display name first, then what else the room is called
+  const [displayName, ...otherNames] = roomNames.getAliases(
+    name || roomname,
+    currentFloor
+  );
+  const aliases = otherNames.filter((alias) => alias !== (name || roomname));
 
   return (
     <div
@@ -40,9 +59,18 @@ const RoomInfoPopup = ({ room, onClose, position }) => {
       </button>
 
       <div className="popup-content">
-        <h2 className="room-name">{name || roomname}</h2>
+        <h2 className="room-name" title={name || roomname}>
+          {displayName || name || roomname}
+        </h2>
 
         <div className="room-details">
+          {aliases.length > 0 && (
+            <div className="detail-row">
+              <span className="label">Also:</span>
+              <span className="value">{aliases.join(", ")}</span>
+            </div>
+          )}
+
           <div className="detail-row">
             <span className="label">Type:</span>
             <span className="value">{tipo || type}</span>
@@ -60,6 +88,19 @@ const RoomInfoPopup = ({ room, onClose, position }) => {
             <span className="value">{floorDisplay}</span>
           </div>
 
+          {openingStatus && (
+            <div className="detail-row" title={hours}>
+              <span className="label">Hours:</span>
+              <span
+                className={`value opening-status ${
+                  openingStatus.open ? "open" : "closed"
+                }`}
+              >
+                {openingStatus.label}
+              </span>
+            </div>
+          )}
+
           <div className="detail-row">
             <span className="label">Height:</span>
             <span className="value">{roomHeight.toFixed(2)} m</span>
@@ -86,6 +127,12 @@ const RoomInfoPopup = ({ room, onClose, position }) => {
             </div>
           )}
         </div>
+
+        {onShowReach && (
+          <button className="popup-action" onClick={() => onShowReach(room)}>
+            ⏱️ Show walking reach
+          </button>
+        )}
       </div>
     </div>
   );
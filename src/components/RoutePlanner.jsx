@@ -1,20 +1,64 @@
 import React, { useState, useMemo } from "react";
+import { ROUTING_PROFILES, DEFAULT_PROFILE } from "../utils/pathfinding.js";
+import {
+  FACILITY_CATEGORIES,
+  getAvailableFacilityCategories,
+} from "../utils/facilities.js";
+import {
+  ROUTE_COST_FACTORS,
+  MAX_COST_WEIGHT,
+  DEFAULT_COST_WEIGHTS,
+} from "../utils/routeCosts.js";
+import { canAccess } from "../utils/accessControl.js";
+import {
+  getOpeningStatus,
+  getRoomOpeningHours,
+  isOpenAt,
+} from "../utils/openingHours.js";
+import { defaultRoomNames } from "../utils/roomNames.js";
 import "./RoutePlanner.css";
 
 const RoutePlanner = ({
-  rooms,
+  rooms: allRooms,
+  role = null,
+  roomAccess = {},
+  openingHours = {},
+  roomNames = defaultRoomNames,
   onRouteCalculate,
+  onFindNearest,
   onClose,
   selectedFloors = [],
+  selectedRoom = null,
 }) => {
-  const [startRoom, setStartRoom] = useState("");
+  // Start from the room picked on the map, if any
+  const [startRoom, setStartRoom] = useState(() =>
+    selectedRoom?.properties?.name
+      ? roomNames.getDisplayName(
+          selectedRoom.properties.name,
+          selectedRoom.properties.level
+        )
+      : ""
+  );
   const [endRoom, setEndRoom] = useState("");
   const [selectedFloor, setSelectedFloor] = useState("");
+  const [profile, setProfile] = useState(DEFAULT_PROFILE);
+  const [preferences, setPreferences] = useState(DEFAULT_COST_WEIGHTS);
+  const [leaveAt, setLeaveAt] = useState(""); // datetime-local value, blank for now
+  const [stops, setStops] = useState([]);
+  const [optimizeOrder, setOptimizeOrder] = useState(false);
   const [startSuggestions, setStartSuggestions] = useState([]);
   const [endSuggestions, setEndSuggestions] = useState([]);
   const [showStartSuggestions, setShowStartSuggestions] = useState(false);
   const [showEndSuggestions, setShowEndSuggestions] = useState(false);
   const [isSearching, setIsSearching] = useState(false);
+  const [nearest, setNearest] = useState(null);
+
+  // Only rooms the current role may enter can be routed to
+  const rooms = useMemo(
+    () =>
+      allRooms.filter((room) => canAccess(room.properties, role, roomAccess)),
+    [allRooms, role, roomAccess]
+  );
 
   // Get room name/ID for display
   const getRoomName = (room) => {
@@ -36,12 +80,51 @@ const RoutePlanner = ({
     );
   };
 
+  // Name shown for a room - and typed into the inputs
+  const getRoomLabel = (room) =>
+    roomNames.getDisplayName(getRoomName(room), getRoomFloor(room));
+
   // Get available floors from rooms
   const availableFloors = useMemo(() => {
     const floorSet = new Set(rooms.map((r) => getRoomFloor(r)));
     return Array.from(floorSet).sort((a, b) => a - b);
   }, [rooms]);
 
+  // Facility kinds the dataset actually has
+  const facilityCategories = useMemo(
+    () => getAvailableFacilityCategories(rooms),
+    [rooms]
+  );
+
+  // Format a walking time for display
+  const formatTime = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.round(seconds % 60);
+    if (mins === 0) return `${secs} sec`;
+    return secs > 0 ? `${mins} min ${secs} sec` : `${mins} min`;
+  };
+
+  // When the walk starts
+  const getDepartureTime = () =>
+    leaveAt ? new Date(leaveAt).getTime() : Date.now();
+
+  // Opening status of a room at a time, or null when it has no hours
+  const getRoomOpeningStatus = (room, time) => {
+    const hours = getRoomOpeningHours(
+      getRoomName(room),
+      getRoomFloor(room),
+      room.properties,
+      openingHours
+    );
+    return hours ? getOpeningStatus(hours, time) : null;
+  };
+
+  // The room an input names, by display name, alias or identifier
+  const findRoomByName = (name) =>
+    rooms.find((r) =>
+      roomNames.isNamed(getRoomName(r), name, getRoomFloor(r))
+    );
+
   // Filter rooms based on search input and optional floor
   const filterRooms = (searchText, filterFloor = null) => {
     if (!searchText || searchText.length < 1) return [];
@@ -53,13 +136,18 @@ const RoutePlanner = ({
         if (filterFloor !== null && getRoomFloor(room) !== filterFloor) {
           return false;
         }
-        const name = getRoomName(room).toLowerCase();
         const roomType = (
           room.properties?.type ||
           room.properties?.tipo ||
           ""
         ).toLowerCase();
-        return name.includes(lowerSearch) || roomType.includes(lowerSearch);
+        return (
+          roomNames.matches(
+            getRoomName(room),
+            lowerSearch,
+            getRoomFloor(room)
+          ) || roomType.includes(lowerSearch)
+        );
       })
       .slice(0, 10);
   };
@@ -68,6 +156,7 @@ const RoutePlanner = ({
   const handleStartChange = (e) => {
     const value = e.target.value;
     setStartRoom(value);
+    setNearest(null);
     const floorFilter = selectedFloor ? parseInt(selectedFloor) : null;
     setStartSuggestions(filterRooms(value, floorFilter));
     setShowStartSuggestions(true);
@@ -82,6 +171,42 @@ const RoutePlanner = ({
     setShowEndSuggestions(true);
   };
 
+  // Update one intermediate stop
+  const updateStop = (index, changes) => {
+    setStops((prev) =>
+      prev.map((stop, i) => (i === index ? { ...stop, ...changes } : stop))
+    );
+  };
+
+  // Handle stop input
+  const handleStopChange = (index, e) => {
+    const value = e.target.value;
+    const floorFilter = selectedFloor ? parseInt(selectedFloor) : null;
+    updateStop(index, {
+      query: value,
+      suggestions: filterRooms(value, floorFilter),
+      showSuggestions: true,
+    });
+  };
+
+  // Add an empty stop before the end room
+  const addStop = () => {
+    setStops((prev) => [
+      ...prev,
+      { query: "", suggestions: [], showSuggestions: false },
+    ]);
+  };
+
+  // Remove a stop
+  const removeStop = (index) => {
+    setStops((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  // Select a stop room
+  const selectStopRoom = (index, room) => {
+    updateStop(index, { query: getRoomLabel(room), showSuggestions: false });
+  };
+
   // Handle floor selection
   const handleFloorChange = (e) => {
     setSelectedFloor(e.target.value);
@@ -90,64 +215,129 @@ const RoutePlanner = ({
     setEndRoom("");
     setStartSuggestions([]);
     setEndSuggestions([]);
+    setStops([]);
   };
 
   // Select start room
   const selectStartRoom = (room) => {
-    setStartRoom(getRoomName(room));
+    setStartRoom(getRoomLabel(room));
+    setNearest(null);
     setShowStartSuggestions(false);
   };
 
   // Select end room
   const selectEndRoom = (room) => {
-    setEndRoom(getRoomName(room));
+    setEndRoom(getRoomLabel(room));
     setShowEndSuggestions(false);
   };
 
   // Calculate route
   const handleCalculateRoute = () => {
     // Find room objects
-    const startRoomObj = rooms.find(
-      (r) => getRoomName(r).toLowerCase() === startRoom.toLowerCase()
-    );
-    const endRoomObj = rooms.find(
-      (r) => getRoomName(r).toLowerCase() === endRoom.toLowerCase()
-    );
+    const startRoomObj = findRoomByName(startRoom);
+    const endRoomObj = findRoomByName(endRoom);
 
     if (!startRoomObj || !endRoomObj) {
       alert("Please select valid start and end rooms");
       return;
     }
 
+    // Blank stops are skipped, unknown ones are reported
+    const filledStops = stops.filter((stop) => stop.query.trim());
+    const stopRoomObjs = filledStops.map((stop) => findRoomByName(stop.query));
+    const missingStop = filledStops.find((_, i) => !stopRoomObjs[i]);
+    if (missingStop) {
+      alert(`Unknown stop: ${missingStop.query}`);
+      return;
+    }
+
     // Check if rooms are on the same floor when a floor is selected
     if (selectedFloor) {
       const floorNum = parseInt(selectedFloor);
       if (
-        getRoomFloor(startRoomObj) !== floorNum ||
-        getRoomFloor(endRoomObj) !== floorNum
+        [startRoomObj, endRoomObj, ...stopRoomObjs].some(
+          (room) => getRoomFloor(room) !== floorNum
+        )
       ) {
-        alert(`Both rooms must be on Floor ${floorNum}`);
+        alert(`All rooms must be on Floor ${floorNum}`);
         return;
       }
     }
 
+    // Stops and the destination must be open when the walk starts
+    const time = getDepartureTime();
+    const closedRoom = [...stopRoomObjs, endRoomObj].find(
+      (room) => getRoomOpeningStatus(room, time)?.open === false
+    );
+    if (closedRoom) {
+      alert(
+        `${getRoomLabel(closedRoom)} is closed at that time (${
+          getRoomOpeningStatus(closedRoom, time).label
+        })`
+      );
+      return;
+    }
+
     setIsSearching(true);
 
-    // Use setTimeout to prevent UI blocking during route calculation
-    setTimeout(() => {
+    // The search runs in a worker - stay in the searching state until it settles
+    Promise.resolve(
       onRouteCalculate(
         startRoomObj,
         endRoomObj,
-        selectedFloor ? parseInt(selectedFloor) : null
+        selectedFloor ? parseInt(selectedFloor) : null,
+        { profile, preferences, stops: stopRoomObjs, optimizeOrder, time }
+      )
+    ).finally(() => setIsSearching(false));
+  };
+
+  // Rank the facilities of one kind by walking time from the start room
+  const handleFindNearest = async (category) => {
+    const startRoomObj = findRoomByName(startRoom);
+    if (!startRoomObj) {
+      alert("Please select a valid start room");
+      return;
+    }
+
+    setIsSearching(true);
+    setNearest({ category, facilities: null });
+    try {
+      const facilities = await onFindNearest(
+        startRoomObj,
+        category,
+        selectedFloor ? parseInt(selectedFloor) : null,
+        { profile, time: getDepartureTime() }
       );
+      // Null means a newer search took over
+      if (facilities) setNearest({ category, facilities });
+    } finally {
       setIsSearching(false);
-    }, 0);
+    }
+  };
+
+  // Route straight to one of the facilities found
+  const routeToFacility = (facility) => {
+    const startRoomObj = findRoomByName(startRoom);
+    if (!startRoomObj) return;
+
+    setEndRoom(getRoomLabel(facility.room));
+    setIsSearching(true);
+    Promise.resolve(
+      onRouteCalculate(
+        startRoomObj,
+        facility.room,
+        selectedFloor ? parseInt(selectedFloor) : null,
+        { profile, preferences, time: getDepartureTime() }
+      )
+    ).finally(() => setIsSearching(false));
   };
 
   // Clear route
   const handleClearRoute = () => {
     setStartRoom("");
     setEndRoom("");
+    setStops([]);
+    setNearest(null);
     onRouteCalculate(null, null);
   };
 
@@ -185,6 +375,81 @@ const RoutePlanner = ({
             </div>
           )}
 
+          <div className="route-input-group">
+            <label>Route Type</label>
+            <select
+              className="route-input"
+              value={profile}
+              onChange={(e) => setProfile(e.target.value)}
+            >
+              {Object.entries(ROUTING_PROFILES).map(([key, option]) => (
+                <option key={key} value={key}>
+                  {key === "wheelchair" ? "♿ " : ""}
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <div className="route-profile-hint">
+              {ROUTING_PROFILES[profile].description}
+            </div>
+          </div>
+
+          {/* Rooms closed at the departure time are left out of the route */}
+          <div className="route-input-group">
+            <label>Leave At</label>
+            <div className="route-input-wrapper route-stop-row">
+              <input
+                type="datetime-local"
+                className="route-input"
+                value={leaveAt}
+                onChange={(e) => setLeaveAt(e.target.value)}
+                aria-label="Departure time"
+              />
+              {leaveAt && (
+                <button
+                  className="route-stop-remove"
+                  onClick={() => setLeaveAt("")}
+                  aria-label="Leave now"
+                  title="Leave now"
+                >
+                  &times;
+                </button>
+              )}
+            </div>
+            <div className="route-profile-hint">
+              {leaveAt
+                ? "Rooms closed then are left out of the route"
+                : "Now"}
+            </div>
+          </div>
+
+          {/* How strongly to steer around busy, noisy or restricted rooms */}
+          <div className="route-input-group">
+            <label>Route Preferences</label>
+            {Object.entries(ROUTE_COST_FACTORS).map(([key, factor]) => (
+              <div className="route-preference" key={key} title={factor.hint}>
+                <span className="route-preference-label">{factor.label}</span>
+                <input
+                  type="range"
+                  min="0"
+                  max={MAX_COST_WEIGHT}
+                  step="1"
+                  value={preferences[key]}
+                  onChange={(e) =>
+                    setPreferences((prev) => ({
+                      ...prev,
+                      [key]: parseInt(e.target.value),
+                    }))
+                  }
+                  aria-label={factor.label}
+                />
+                <span className="route-preference-value">
+                  {preferences[key] === 0 ? "Off" : preferences[key]}
+                </span>
+              </div>
+            ))}
+          </div>
+
           <div className="route-input-group">
             <label>Start Room</label>
             <div className="route-input-wrapper">
@@ -205,7 +470,7 @@ const RoutePlanner = ({
                       onClick={() => selectStartRoom(room)}
                     >
                       <div className="route-suggestion-name">
-                        {getRoomName(room)}
+                        {getRoomLabel(room)}
                       </div>
                       <div className="route-suggestion-meta">
                         Floor {getRoomFloor(room)} |{" "}
@@ -220,6 +485,122 @@ const RoutePlanner = ({
             </div>
           </div>
 
+          {/* Nearest facility of a kind, ranked by walking time */}
+          {onFindNearest && facilityCategories.length > 0 && (
+            <div className="route-input-group">
+              <label>Nearest From Start</label>
+              <div className="route-facility-buttons">
+                {facilityCategories.map((category) => (
+                  <button
+                    key={category}
+                    className={`route-facility-btn ${
+                      nearest?.category === category ? "active" : ""
+                    }`}
+                    onClick={() => handleFindNearest(category)}
+                    disabled={!startRoom || isSearching}
+                  >
+                    {FACILITY_CATEGORIES[category].icon}{" "}
+                    {FACILITY_CATEGORIES[category].label}
+                  </button>
+                ))}
+              </div>
+              {nearest?.facilities && (
+                <div className="route-facility-results">
+                  {nearest.facilities.length === 0 && (
+                    <div className="route-facility-empty">
+                      {`No reachable ${FACILITY_CATEGORIES[
+                        nearest.category
+                      ].label.toLowerCase()} found`}
+                    </div>
+                  )}
+                  {nearest.facilities.map((facility, index) => (
+                    <button
+                      key={`${getRoomName(facility.room)}-${getRoomFloor(
+                        facility.room
+                      )}`}
+                      className={`route-facility-result ${
+                        index === 0 ? "nearest" : ""
+                      }`}
+                      onClick={() => routeToFacility(facility)}
+                      disabled={isSearching}
+                    >
+                      <div className="route-suggestion-name">
+                        {index === 0 ? "Go to nearest: " : ""}
+                        {getRoomLabel(facility.room)}
+                      </div>
+                      <div className="route-suggestion-meta">
+                        Floor {getRoomFloor(facility.room)} |{" "}
+                        {formatTime(facility.estimatedTime)} |{" "}
+                        {Math.round(facility.distance)} m
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Intermediate stops, visited in order */}
+          {stops.map((stop, index) => (
+            <div className="route-input-group" key={index}>
+              <label>Stop {index + 1}</label>
+              <div className="route-input-wrapper route-stop-row">
+                <input
+                  type="text"
+                  className="route-input"
+                  placeholder="Search stop..."
+                  value={stop.query}
+                  onChange={(e) => handleStopChange(index, e)}
+                  onFocus={() => updateStop(index, { showSuggestions: true })}
+                />
+                <button
+                  className="route-stop-remove"
+                  onClick={() => removeStop(index)}
+                  aria-label={`Remove stop ${index + 1}`}
+                >
+                  &times;
+                </button>
+                {stop.showSuggestions && stop.suggestions.length > 0 && (
+                  <div className="route-suggestions">
+                    {stop.suggestions.map((room, idx) => (
+                      <div
+                        key={idx}
+                        className="route-suggestion-item"
+                        onClick={() => selectStopRoom(index, room)}
+                      >
+                        <div className="route-suggestion-name">
+                          {getRoomLabel(room)}
+                        </div>
+                        <div className="route-suggestion-meta">
+                          Floor {getRoomFloor(room)} |{" "}
+                          {room.properties?.type ||
+                            room.properties?.tipo ||
+                            "Room"}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+
+          <div className="route-stop-actions">
+            <button className="route-add-stop" onClick={addStop}>
+              + Add stop
+            </button>
+            {stops.length > 1 && (
+              <label className="route-optimize">
+                <input
+                  type="checkbox"
+                  checked={optimizeOrder}
+                  onChange={(e) => setOptimizeOrder(e.target.checked)}
+                />
+                Optimize stop order
+              </label>
+            )}
+          </div>
+
           <div className="route-input-group">
             <label>End Room</label>
             <div className="route-input-wrapper">
@@ -240,7 +621,7 @@ const RoutePlanner = ({
                       onClick={() => selectEndRoom(room)}
                     >
                       <div className="route-suggestion-name">
-                        {getRoomName(room)}
+                        {getRoomLabel(room)}
                       </div>
                       <div className="route-suggestion-meta">
                         Floor {getRoomFloor(room)} |{" "}
@@ -263,12 +644,8 @@ const RoutePlanner = ({
             >
               {isSearching ? "Searching..." : "Find Route"}
             </button>
-            <button
-              className="btn-secondary"
-              onClick={handleClearRoute}
-              disabled={isSearching}
-            >
-              Clear
+            <button className="btn-secondary" onClick={handleClearRoute}>
+              {isSearching ? "Cancel" : "Clear"}
             </button>
           </div>
         </div>
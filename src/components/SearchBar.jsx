@@ -1,10 +1,35 @@
-import React, { useState } from "react";
+import React, { useState, useMemo } from "react";
+import { canAccess } from "../utils/accessControl";
+import { defaultRoomNames } from "../utils/roomNames";
 
-const SearchBar = ({ rooms, onSearch, onRoomSelect }) => {
+const SearchBar = ({
+  rooms: allRooms,
+  role = null,
+  roomAccess = {},
+  roomNames = defaultRoomNames,
+  onSearch,
+  onRoomSelect,
+}) => {
   const [searchTerm, setSearchTerm] = useState("");
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
 
+  // Rooms the current role can't enter aren't offered
+  const rooms = useMemo(
+    () =>
+      allRooms.filter((room) => canAccess(room.properties, role, roomAccess)),
+    [allRooms, role, roomAccess]
+  );
+
+  const getRoomFloor = (room) =>
+    room.properties?.floor || room.properties?.nivel || room.properties?.level;
+
+  // Name shown for a room
+  const getRoomLabel = (room) => {
+    const name = room.properties?.name || room.properties?.roomname || "";
+    return name ? roomNames.getDisplayName(name, getRoomFloor(room)) : "";
+  };
+
   const handleInputChange = (e) => {
     const value = e.target.value.toLowerCase();
     setSearchTerm(value);
@@ -16,7 +41,8 @@ const SearchBar = ({ rooms, onSearch, onRoomSelect }) => {
         const number = room.properties?.number || "";
 
         return (
-          name.toLowerCase().includes(value) ||
+          // Display name, aliases or the raw identifier
+          roomNames.matches(name, value, getRoomFloor(room)) ||
           type.toLowerCase().includes(value) ||
           number.toLowerCase().includes(value)
         );
@@ -33,9 +59,7 @@ const SearchBar = ({ rooms, onSearch, onRoomSelect }) => {
 
   const handleSuggestionClick = (room) => {
     const roomId = room.properties?.id || room.properties?.name || "";
-    const roomName =
-      room.properties?.name || room.properties?.roomname || roomId;
-    setSearchTerm(roomName);
+    setSearchTerm(getRoomLabel(room) || roomId);
     setShowSuggestions(false);
     onRoomSelect(room.properties, roomId);
     onSearch([roomId]);
@@ -83,8 +107,7 @@ const SearchBar = ({ rooms, onSearch, onRoomSelect }) => {
       {showSuggestions && suggestions.length > 0 && (
         <div className="suggestions-list">
           {suggestions.map((room, idx) => {
-            const roomName =
-              room.properties?.name || room.properties?.roomname || "Unnamed";
+            const roomName = getRoomLabel(room) || "Unnamed";
             const roomType =
               room.properties?.tipo || room.properties?.type || "Room";
             const roomNumber = room.properties?.number || "";
@@ -0,0 +1,172 @@
+// Access-controlled areas - who may enter each room, and the role the app
+// is being used as. Routes for a role never pass through rooms it can't
+// enter, and searches don't offer them.
+//
+// Rooms take their access level from feature properties when the data has
+// them:
+//   access:     "public", "student" or "staff"
+//   restricted: true for staff-only rooms (see routeCosts.js)
+// and otherwise from this file, which sits next to the GeoJSON data and
+// maps room names (or name_F<floor>) to the same levels:
+// {
+//   "version": 1,
+//   "rooms": { "office": "staff", "group_study_0320a": "student" }
+// }
+//
+// Rooms neither gives a level are public, except that names which look
+// like offices, plant rooms or group study rooms are still guessed to be
+// staff or student only (see NAME_FALLBACKS). The guesses keep datasets
+// without an access file from opening every room to visitors; add the
+// rooms to the file rather than relying on them.
+export const ROOM_ACCESS_URL = "/room-access.json";
+
+export const ACCESS_ROLES = {
+  visitor: { label: "Visitor", level: 0 },
+  student: { label: "Student", level: 1 },
+  staff: { label: "Staff", level: 2 },
+};
+
+export const DEFAULT_ROLE = "visitor";
+
+// Level each access value needs, including common spellings in data
+const ACCESS_LEVELS = {
+  public: 0,
+  yes: 0,
+  visitor: 0,
+  student: 1,
+  students: 1,
+  staff: 2,
+  private: 2,
+  restricted: 2,
+  no: 2,
+};
+
+// Fallback guesses for rooms with no level in the data or the access file,
+// most restrictive first
+const NAME_FALLBACKS = [
+  {
+    pattern:
+      /special_col|staff|office|administration|mechanical|storage|electrical/i,
+    level: "staff",
+  },
+  { pattern: /groups?_+study|study_group/i, level: "student" },
+];
+
+const LEVEL_NAMES = ["public", "student", "staff"];
+
+const getFloor = (properties) =>
+  properties.floor || properties.nivel || properties.level || 0;
+
+// Level of an access value, or null when it isn't one
+const parseLevel = (value) => {
+  const access = String(value ?? "").toLowerCase();
+  return access in ACCESS_LEVELS ? LEVEL_NAMES[ACCESS_LEVELS[access]] : null;
+};
+
+/**
+ * Who may enter a room feature - by its properties, then the access file,
+ * then the name fallbacks.
+ *
+ * @param {Object} properties - Feature properties
+ * @param {Object} accessByRoom - Room name to level, from loadRoomAccess
+ * @returns {string} "public", "student" or "staff"
+ */
+export const getAccessLevel = (properties = {}, accessByRoom = {}) => {
+  const access = parseLevel(properties.access);
+  if (access) return access;
+
+  const restricted = String(properties.restricted ?? "").toLowerCase();
+  if (["true", "yes", "1"].includes(restricted)) return "staff";
+  if (["false", "no", "0"].includes(restricted)) return "public";
+
+  const name = properties.name || "";
+  const listed =
+    accessByRoom[`${name}_F${getFloor(properties)}`] || accessByRoom[name];
+  if (listed) return listed;
+
+  return (
+    NAME_FALLBACKS.find(({ pattern }) => pattern.test(name))?.level ||
+    "public"
+  );
+};
+
+/**
+ * Who may enter a routing graph room - the strictest level of its
+ * features.
+ *
+ * @param {Object} room - Routing graph room ({name, floor, features})
+ * @param {Object} accessByRoom - Room name to level, from loadRoomAccess
+ * @returns {string} "public", "student" or "staff"
+ */
+export const getRoomAccessLevel = (room, accessByRoom = {}) => {
+  const features = room.features?.length
+    ? room.features
+    : [{ properties: {} }];
+  const level = Math.max(
+    ...features.map(
+      (f) =>
+        ACCESS_LEVELS[
+          getAccessLevel(
+            { name: room.name, floor: room.floor, ...f.properties },
+            accessByRoom
+          )
+        ]
+    )
+  );
+  return LEVEL_NAMES[level];
+};
+
+const getRoleLevel = (role) =>
+  ACCESS_ROLES[role]?.level ?? ACCESS_ROLES[DEFAULT_ROLE].level;
+
+/**
+ * Whether a role may enter a room feature. A null role (no access
+ * control) may go anywhere.
+ *
+ * @param {Object} properties - Feature properties
+ * @param {string|null} role - Key of ACCESS_ROLES
+ * @param {Object} accessByRoom - Room name to level, from loadRoomAccess
+ * @returns {boolean}
+ */
+export const canAccess = (properties, role, accessByRoom = {}) =>
+  role === null ||
+  role === undefined ||
+  ACCESS_LEVELS[getAccessLevel(properties, accessByRoom)] <=
+    getRoleLevel(role);
+
+/**
+ * Whether a role may enter a routing graph room.
+ *
+ * @param {Object} room - Routing graph room ({name, floor, features})
+ * @param {string|null} role - Key of ACCESS_ROLES, null for anyone
+ * @param {Object} accessByRoom - Room name to level, from loadRoomAccess
+ * @returns {boolean}
+ */
+export const canAccessRoom = (room, role, accessByRoom = {}) =>
+  role === null ||
+  role === undefined ||
+  ACCESS_LEVELS[getRoomAccessLevel(room, accessByRoom)] <= getRoleLevel(role);
+
+/**
+ * Fetch the access file. A missing file leaves rooms to their properties
+ * and the name fallbacks.
+ *
+ * @param {string} url
+ * @returns {Promise<Object>} Room name to "public", "student" or "staff",
+ *   entries with unknown levels dropped
+ */
+export const loadRoomAccess = async (url = ROOM_ACCESS_URL) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return {};
+    const { rooms = {} } = await response.json();
+    return Object.fromEntries(
+      Object.entries(rooms)
+        .map(([name, access]) => [name, parseLevel(access)])
+        .filter(([, level]) => level)
+    );
+  } catch (error) {
+    console.warn("[AccessControl] Could not load room access:", error.message);
+    return {};
+  }
+};
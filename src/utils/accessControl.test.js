@@ -0,0 +1,161 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  getAccessLevel,
+  getRoomAccessLevel,
+  canAccess,
+  canAccessRoom,
+  loadRoomAccess,
+} from "./accessControl.js";
+
+const accessByRoom = {
+  office: "public",
+  lab: "student",
+  lab_F2: "staff",
+};
+
+describe("getAccessLevel", () => {
+  it("reads the access property, in its common spellings", () => {
+    expect(getAccessLevel({ name: "room_101", access: "staff" })).toBe("staff");
+    expect(getAccessLevel({ name: "room_101", access: "Students" })).toBe(
+      "student"
+    );
+    expect(getAccessLevel({ name: "room_101", access: "yes" })).toBe("public");
+    expect(getAccessLevel({ name: "room_101", access: "private" })).toBe(
+      "staff"
+    );
+  });
+
+  it("reads the restricted flag", () => {
+    expect(getAccessLevel({ name: "room_101", restricted: true })).toBe(
+      "staff"
+    );
+    expect(getAccessLevel({ name: "staff_office", restricted: "no" })).toBe(
+      "public"
+    );
+  });
+
+  it("lets properties override name guesses", () => {
+    expect(getAccessLevel({ name: "staff_lounge", access: "public" })).toBe(
+      "public"
+    );
+  });
+
+  it("reads the access file by floor, then by name", () => {
+    expect(getAccessLevel({ name: "lab", level: 2 }, accessByRoom)).toBe(
+      "staff"
+    );
+    expect(getAccessLevel({ name: "lab", level: 1 }, accessByRoom)).toBe(
+      "student"
+    );
+  });
+
+  it("lets the access file override the name fallbacks", () => {
+    expect(getAccessLevel({ name: "office" }, accessByRoom)).toBe("public");
+  });
+
+  it("lets properties override the access file", () => {
+    expect(
+      getAccessLevel({ name: "lab", level: 2, access: "public" }, accessByRoom)
+    ).toBe("public");
+  });
+
+  it("guesses from the name when nothing else gives a level", () => {
+    expect(getAccessLevel({ name: "mechanical_room" })).toBe("staff");
+    expect(getAccessLevel({ name: "group_study_0320a" })).toBe("student");
+    expect(getAccessLevel({ name: "computer_lab_0139" })).toBe("public");
+    expect(getAccessLevel()).toBe("public");
+  });
+});
+
+describe("getRoomAccessLevel", () => {
+  it("takes the strictest level of a room's features", () => {
+    const room = {
+      name: "lab",
+      floor: 0,
+      features: [
+        { properties: { name: "lab" } },
+        { properties: { name: "lab", access: "student" } },
+      ],
+    };
+    expect(getRoomAccessLevel(room)).toBe("student");
+  });
+
+  it("falls back to the room name without features", () => {
+    expect(getRoomAccessLevel({ name: "storage", floor: 0 })).toBe("staff");
+  });
+
+  it("looks the room up in the access file on its floor", () => {
+    const room = { name: "lab", floor: 2, features: [] };
+    expect(getRoomAccessLevel(room, accessByRoom)).toBe("staff");
+  });
+});
+
+describe("canAccess", () => {
+  const student = { name: "room_101", access: "student" };
+
+  it("lets each role into rooms up to its level", () => {
+    expect(canAccess(student, "visitor")).toBe(false);
+    expect(canAccess(student, "student")).toBe(true);
+    expect(canAccess(student, "staff")).toBe(true);
+    expect(canAccess({ name: "lobby" }, "visitor")).toBe(true);
+  });
+
+  it("lets anyone in without a role", () => {
+    expect(canAccess({ name: "staff_office" }, null)).toBe(true);
+    expect(canAccess({ name: "staff_office" }, undefined)).toBe(true);
+  });
+
+  it("treats unknown roles as visitors", () => {
+    expect(canAccess(student, "janitor")).toBe(false);
+  });
+});
+
+describe("canAccessRoom", () => {
+  it("checks rooms against the access file", () => {
+    const lab = { name: "lab", floor: 1, features: [] };
+
+    expect(canAccessRoom(lab, "visitor", accessByRoom)).toBe(false);
+    expect(canAccessRoom(lab, "student", accessByRoom)).toBe(true);
+    expect(canAccess({ name: "office" }, "visitor", accessByRoom)).toBe(true);
+  });
+
+  it("checks routing graph rooms", () => {
+    const office = { name: "staff_office", floor: 1, features: [] };
+
+    expect(canAccessRoom(office, "student")).toBe(false);
+    expect(canAccessRoom(office, "staff")).toBe(true);
+    expect(canAccessRoom(office, null)).toBe(true);
+  });
+});
+
+describe("loadRoomAccess", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("keeps the entries with a known level", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          version: 1,
+          rooms: { lab: "Students", office: "staff", lobby: "sometimes" },
+        }),
+      })
+    );
+    expect(await loadRoomAccess()).toEqual({ lab: "student", office: "staff" });
+  });
+
+  it("is empty when there is no file", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue({ ok: false }));
+    expect(await loadRoomAccess()).toEqual({});
+  });
+
+  it("is empty when the file can't be read", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.stubGlobal("fetch", vi.fn().mockRejectedValue(new Error("offline")));
+    expect(await loadRoomAccess()).toEqual({});
+  });
+});
@@ -0,0 +1,147 @@
+// Temporary closures - rooms, stairwells, corridors or drawn areas that the
+// router must avoid, optionally limited to a time window
+//
+// A closure looks like:
+// {
+//   id: "stairs-repair",
+//   reason: "Stair repairs",
+//   rooms: ["stair_case", "stairs_area_F3"], // names, name_F<floor> or ids
+//   floor: 3,                    // optional for rooms, required for polygons
+//   polygon: [[lon, lat], ...],  // optional drawn area
+//   mode: "closed",              // "closed" or "avoid"
+//   start: "2026-10-20T08:00",   // optional
+//   end: "2026-10-24T18:00",     // optional
+// }
+
+// Closures are loaded from this file, which sits next to the GeoJSON data
+export const CLOSURES_URL = "/closures.json";
+
+export const CLOSURE_MODES = {
+  closed: "Closed - never route through",
+  avoid: "Avoid - only if there is no other way",
+};
+
+export const DEFAULT_CLOSURE_MODE = "closed";
+
+const parseTime = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+let generatedIds = 0;
+
+// Short unique id for closures created in the UI
+export const createClosureId = () =>
+  `closure-${Date.now().toString(36)}-${(generatedIds++).toString(36)}`;
+
+/**
+ * Clean up closures read from a file or storage, dropping entries that
+ * name nothing to close.
+ *
+ * @param {Object|Array<Object>} data - `{closures: [...]}` or a bare array
+ * @returns {Array<Object>} Closures with ids, modes and room lists filled in
+ */
+export const normalizeClosures = (data) => {
+  const list = Array.isArray(data) ? data : data?.closures;
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map((closure) => {
+      const rooms = (closure.rooms || [])
+        .filter((room) => room !== null && room !== undefined && room !== "")
+        .map(String);
+      const hasPolygon =
+        Array.isArray(closure.polygon) && closure.polygon.length >= 3;
+      const floor =
+        closure.floor === undefined || closure.floor === null
+          ? null
+          : Number(closure.floor);
+
+      if (rooms.length === 0 && !hasPolygon) {
+        console.warn("[Closures] Skipping closure with nothing to close");
+        return null;
+      }
+      if (hasPolygon && floor === null) {
+        console.warn(`[Closures] Skipping area ${closure.id} without a floor`);
+        return null;
+      }
+
+      return {
+        ...closure,
+        id: closure.id ? String(closure.id) : createClosureId(),
+        rooms,
+        polygon: hasPolygon ? closure.polygon : null,
+        floor,
+        mode: CLOSURE_MODES[closure.mode] ? closure.mode : DEFAULT_CLOSURE_MODE,
+        start: closure.start || null,
+        end: closure.end || null,
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Whether a closure is in force at a given time. Closures without a start
+ * or end are open-ended on that side.
+ *
+ * @param {Object} closure
+ * @param {number|Date} time - Defaults to now
+ * @returns {boolean}
+ */
+export const isClosureActive = (closure, time = Date.now()) => {
+  const now = time instanceof Date ? time.getTime() : time;
+  const start = parseTime(closure.start);
+  const end = parseTime(closure.end);
+  if (start !== null && now < start) return false;
+  if (end !== null && now >= end) return false;
+  return true;
+};
+
+export const getActiveClosures = (closures = [], time = Date.now()) =>
+  closures.filter((closure) => isClosureActive(closure, time));
+
+/**
+ * Whether a closure's room list covers a room.
+ *
+ * @param {Object} closure
+ * @param {string} name - Room name
+ * @param {number} floor - Room floor
+ * @param {Array<string>} ids - Feature ids of the room
+ * @returns {boolean}
+ */
+export const closureCoversRoom = (closure, name, floor, ids = []) => {
+  if (closure.floor !== null && closure.floor !== floor) return false;
+
+  const lowerName = String(name).toLowerCase();
+  const floorKey = `${lowerName}_f${floor}`;
+  return closure.rooms.some((room) => {
+    const lowerRoom = room.toLowerCase();
+    return (
+      lowerRoom === lowerName ||
+      lowerRoom === floorKey ||
+      ids.some((id) => String(id) === room)
+    );
+  });
+};
+
+// Closures as saved to closures.json
+export const serializeClosures = (closures) =>
+  JSON.stringify({ version: 1, closures }, null, 2);
+
+/**
+ * Fetch the closures file. A missing file just means nothing is closed.
+ *
+ * @param {string} url
+ * @returns {Promise<Array<Object>>}
+ */
+export const loadClosures = async (url = CLOSURES_URL) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return [];
+    return normalizeClosures(await response.json());
+  } catch (error) {
+    console.warn("[Closures] Could not load closures:", error.message);
+    return [];
+  }
+};
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeAll, vi } from "vitest";
+import {
+  normalizeClosures,
+  isClosureActive,
+  getActiveClosures,
+  closureCoversRoom,
+  serializeClosures,
+} from "./closures.js";
+
+const at = (text) => new Date(text).getTime();
+
+beforeAll(() => {
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+describe("isClosureActive", () => {
+  const repairs = { start: "2026-10-20T08:00", end: "2026-10-24T18:00" };
+
+  it("is in force from its start until its end", () => {
+    expect(isClosureActive(repairs, at("2026-10-20T07:59"))).toBe(false);
+    expect(isClosureActive(repairs, at("2026-10-20T08:00"))).toBe(true);
+    expect(isClosureActive(repairs, at("2026-10-22T12:00"))).toBe(true);
+    expect(isClosureActive(repairs, at("2026-10-24T18:00"))).toBe(false);
+  });
+
+  it("is open-ended on a side without a time", () => {
+    expect(
+      isClosureActive({ start: "2026-10-20T08:00" }, at("2030-01-01T00:00"))
+    ).toBe(true);
+    expect(
+      isClosureActive({ end: "2026-10-24T18:00" }, at("2020-01-01T00:00"))
+    ).toBe(true);
+    expect(isClosureActive({}, at("2026-10-22T12:00"))).toBe(true);
+  });
+
+  it("accepts dates as well as timestamps", () => {
+    expect(isClosureActive(repairs, new Date("2026-10-22T12:00"))).toBe(true);
+  });
+
+  it("ignores times it can't read", () => {
+    expect(
+      isClosureActive({ start: "soon", end: null }, at("2026-10-22T12:00"))
+    ).toBe(true);
+  });
+});
+
+describe("getActiveClosures", () => {
+  it("keeps the closures in force at the time", () => {
+    const closures = [
+      { id: "past", end: "2026-10-01T00:00" },
+      { id: "now", start: "2026-10-01T00:00", end: "2026-11-01T00:00" },
+      { id: "always" },
+      { id: "future", start: "2026-11-01T00:00" },
+    ];
+    expect(
+      getActiveClosures(closures, at("2026-10-19T12:00")).map((c) => c.id)
+    ).toEqual(["now", "always"]);
+  });
+});
+
+describe("normalizeClosures", () => {
+  it("fills in ids, modes and room lists", () => {
+    const [closure] = normalizeClosures({
+      closures: [{ rooms: ["stairs", 12, ""], mode: "sometimes", floor: "3" }],
+    });
+
+    expect(closure.id).toMatch(/^closure-/);
+    expect(closure.rooms).toEqual(["stairs", "12"]);
+    expect(closure.mode).toBe("closed");
+    expect(closure.floor).toBe(3);
+    expect(closure.start).toBeNull();
+    expect(closure.end).toBeNull();
+  });
+
+  it("drops closures with nothing to close or an area without a floor", () => {
+    const polygon = [
+      [0, 0],
+      [1, 0],
+      [1, 1],
+    ];
+    expect(
+      normalizeClosures([{ id: "empty" }, { id: "area", polygon }])
+    ).toEqual([]);
+  });
+
+  it("round-trips through the closures file", () => {
+    const closures = normalizeClosures([
+      { id: "lift", rooms: ["elevator"], start: "2026-10-20T08:00" },
+    ]);
+    expect(normalizeClosures(JSON.parse(serializeClosures(closures)))).toEqual(
+      closures
+    );
+  });
+});
+
+describe("closureCoversRoom", () => {
+  const closure = normalizeClosures([
+    { id: "c", rooms: ["Stair_case", "stairs_area_F3", "42"] },
+  ])[0];
+
+  it("matches names, name_F<floor> and feature ids", () => {
+    expect(closureCoversRoom(closure, "stair_case", 1)).toBe(true);
+    expect(closureCoversRoom(closure, "stairs_area", 3)).toBe(true);
+    expect(closureCoversRoom(closure, "stairs_area", 2)).toBe(false);
+    expect(closureCoversRoom(closure, "lobby", 0, [42])).toBe(true);
+  });
+
+  it("only covers rooms on the closure's floor", () => {
+    expect(
+      closureCoversRoom({ ...closure, floor: 2 }, "stair_case", 1)
+    ).toBe(false);
+  });
+});
@@ -3,6 +3,20 @@
  * Converts route paths into human-readable navigation instructions
  */
 
+import { createTranslator, DEFAULT_LOCALE } from "./i18n.js";
+import { defaultRoomNames } from "./roomNames.js";
+
+// Average walking speed (m/s) and the time a floor change adds (seconds)
+export const WALKING_SPEED = 1.4;
+export const FLOOR_CHANGE_TIME = 30;
+
+// Steps closer together than this (meters) are merged into one
+const MIN_STEP_DISTANCE = 3;
+
+// A landmark passed this close before a turn (meters) names the turn -
+// "turn left after the circulation desk"
+const TURN_LANDMARK_DISTANCE = 8;
+
 // Calculate distance between two coordinates (in meters)
 const calculateDistance = (coord1, coord2) => {
   const [lon1, lat1] = coord1;
@@ -42,19 +56,6 @@ const calculateBearing = (coord1, coord2) => {
   return bearing;
 };
 
-// Convert bearing to direction text
-const bearingToDirection = (bearing) => {
-  if (bearing >= 337.5 || bearing < 22.5) return "north";
-  if (bearing >= 22.5 && bearing < 67.5) return "northeast";
-  if (bearing >= 67.5 && bearing < 112.5) return "east";
-  if (bearing >= 112.5 && bearing < 157.5) return "southeast";
-  if (bearing >= 157.5 && bearing < 202.5) return "south";
-  if (bearing >= 202.5 && bearing < 247.5) return "southwest";
-  if (bearing >= 247.5 && bearing < 292.5) return "west";
-  if (bearing >= 292.5 && bearing < 337.5) return "northwest";
-  return "north";
-};
-
 // Calculate turn direction between two bearings
 const calculateTurn = (bearing1, bearing2) => {
   let diff = bearing2 - bearing1;
@@ -72,16 +73,24 @@ const calculateTurn = (bearing1, bearing2) => {
   return "back";
 };
 
-// Format distance for display
-const formatDistance = (meters) => {
+// Format distance for display, or with spelled-out units for speech
+const formatDistance = (meters, t, spoken = false) => {
   if (meters < 1) {
-    return `${Math.round(meters * 100)} cm`;
+    return t(spoken ? "units.centimeters" : "units.cm", {
+      count: Math.round(meters * 100),
+    });
   } else if (meters < 10) {
-    return `${meters.toFixed(1)} m`;
+    return t(spoken ? "units.meters" : "units.m", {
+      count: Number(meters.toFixed(1)),
+    });
   } else if (meters < 100) {
-    return `${Math.round(meters)} m`;
+    return t(spoken ? "units.meters" : "units.m", {
+      count: Math.round(meters),
+    });
   } else {
-    return `${(meters / 1000).toFixed(2)} km`;
+    return t(spoken ? "units.kilometers" : "units.km", {
+      count: Number((meters / 1000).toFixed(2)),
+    });
   }
 };
 
@@ -103,6 +112,8 @@ const isElevator = (name) => {
 const isCorridor = (name) => {
   const lower = name.toLowerCase();
   return (
+    lower === "floor" ||
+    lower.startsWith("floor_") ||
     lower.includes("corridor") ||
     lower.includes("corredor") ||
     lower.includes("hallway") ||
@@ -112,8 +123,43 @@ const isCorridor = (name) => {
   );
 };
 
-// Generate turn-by-turn directions from route path
-export const generateDirections = (routePath) => {
+const CONNECTOR_ICONS = {
+  stairs: "🪜",
+  elevator: "🛗",
+  ramp: "♿",
+};
+
+// Work out which connector a floor change uses
+const getFloorChangeType = (previous, current, profile) => {
+  if (previous.connectorType) return previous.connectorType;
+  if (current.connectorType) return current.connectorType;
+  if (isStairwell(previous.name)) return "stairs";
+  if (isElevator(previous.name)) return "elevator";
+  // Step-free routes never use stairs
+  if (profile === "wheelchair") return "elevator";
+  return null;
+};
+
+// Point part of the way from one [lon, lat] to another
+const interpolate = (from, to, fraction) => [
+  from[0] + (to[0] - from[0]) * fraction,
+  from[1] + (to[1] - from[1]) * fraction,
+];
+
+// Generate turn-by-turn directions from route path, worded in a locale
+// (see i18n.js) with rooms called by their display names (see
+// roomNames.js). With a landmark index (see landmarks.js) the directions
+// point out rooms passed on the way and name turns after them
+export const generateDirections = (routePath, options = {}) => {
+  const {
+    profile = "default",
+    locale = DEFAULT_LOCALE,
+    landmarks = null,
+    roomNames = defaultRoomNames,
+  } = options;
+  const t = createTranslator(locale);
+  const label = (name, floor) => roomNames.getDisplayName(name, floor);
+
   if (!routePath || routePath.length < 2) {
     return [];
   }
@@ -123,12 +169,25 @@ export const generateDirections = (routePath) => {
   let previousBearing = null;
   let segmentDistance = 0;
   let currentInstruction = null;
+  // Rooms on the route aren't landmarks, and each landmark is named once
+  const mentioned = new Set(routePath.map((point) => point.name));
+  // Rooms walked past, in route order (see landmarks.js)
+  const passedRooms = landmarks
+    ? landmarks.findAlongRoute(routePath, mentioned)
+    : [];
+  let nextPassed = 0;
+  let lastPassed = null; // latest room passed without a step of its own
+  // The start and destination have steps of their own
+  const isEndRoom = (name) =>
+    name === routePath[0].name || name === routePath[routePath.length - 1].name;
 
   // Start instruction
   directions.push({
     id: 0,
     type: "start",
-    instruction: `Start at ${routePath[0].name}`,
+    instruction: t("directions.start", {
+      name: label(routePath[0].name, routePath[0].floor),
+    }),
     floor: routePath[0].floor,
     distance: 0,
     cumulativeDistance: 0,
@@ -148,27 +207,26 @@ export const generateDirections = (routePath) => {
     // Check for floor changes
     if (current.floor !== previous.floor) {
       const floorDiff = current.floor - previous.floor;
-      const floorChangeType = isStairwell(previous.name)
-        ? "stairs"
-        : isElevator(previous.name)
-        ? "elevator"
-        : "stairs/elevator";
-
+      const connectorType = getFloorChangeType(previous, current, profile);
+      const connector = CONNECTOR_ICONS[connectorType]
+        ? connectorType
+        : "other";
       const direction = floorDiff > 0 ? "up" : "down";
-      const floorText =
-        floorDiff > 0 ? `Floor ${current.floor}` : `Floor ${current.floor}`;
 
       directions.push({
         id: directions.length,
         type: "floor_change",
-        instruction: `Take ${floorChangeType} ${direction} to ${floorText}`,
+        instruction: t(`directions.floorChange.${connector}.${direction}`, {
+          floor: current.floor,
+        }),
         floor: previous.floor,
         targetFloor: current.floor,
         distance: segmentDistance,
         cumulativeDistance: cumulativeDistance,
         location: previous.name,
         coords: previous.coords,
-        icon: floorChangeType === "elevator" ? "🛗" : "🪜",
+        connectorType,
+        icon: CONNECTOR_ICONS[connectorType] || "🪜",
       });
 
       segmentDistance = 0;
@@ -176,41 +234,65 @@ export const generateDirections = (routePath) => {
       continue;
     }
 
-    // Calculate bearing for current segment
+    // Turns are made at the previous point, where this segment starts
     const currentBearing = calculateBearing(previous.coords, current.coords);
 
-    // Determine if we need to add a turn instruction
     if (previousBearing !== null) {
       const turn = calculateTurn(previousBearing, currentBearing);
+      const walked = segmentDistance - distanceToNext;
+      const turnDistance = cumulativeDistance - distanceToNext;
 
       // Add turn instruction if significant turn
-      if (turn !== "straight" && segmentDistance > 3) {
-        const direction = bearingToDirection(currentBearing);
-        let turnInstruction = "";
-
-        if (turn === "back") {
-          turnInstruction = "Turn around";
-        } else if (turn.includes("slight")) {
-          turnInstruction = `Continue ${turn}`;
+      if (turn !== "straight" && walked > MIN_STEP_DISTANCE) {
+        const turnInstruction = t(`directions.turn.${turn}`);
+        let instruction = turnInstruction;
+        let landmark = null;
+
+        if (!isCorridor(previous.name) && !isEndRoom(previous.name)) {
+          // Turning inside a room
+          instruction = t("directions.turnAt", {
+            turn: turnInstruction,
+            name: label(previous.name, previous.floor),
+          });
+        } else if (
+          lastPassed &&
+          !mentioned.has(lastPassed.name) &&
+          turnDistance - lastPassed.along <= TURN_LANDMARK_DISTANCE
+        ) {
+          // Turning just after a room
+          landmark = lastPassed;
+          instruction = t("directions.turnAfter", {
+            turn: turnInstruction,
+            name: label(lastPassed.name, lastPassed.floor),
+          });
         } else {
-          turnInstruction = `Turn ${turn}`;
+          // Turning by a room
+          landmark = landmarks?.findNear(
+            previous.coords,
+            previous.floor,
+            mentioned
+          );
+          if (landmark) {
+            instruction = t("directions.turnAt", {
+              turn: turnInstruction,
+              name: label(landmark.name, landmark.floor),
+            });
+          }
         }
-
-        // Add location context if not in a corridor
-        const locationContext = isCorridor(current.name)
-          ? ""
-          : ` at ${current.name}`;
+        if (landmark) mentioned.add(landmark.name);
+        lastPassed = null;
 
         directions.push({
           id: directions.length,
           type: "turn",
-          instruction: `${turnInstruction}${locationContext}`,
-          floor: current.floor,
-          distance: segmentDistance,
-          cumulativeDistance: cumulativeDistance,
-          location: current.name,
-          coords: current.coords,
+          instruction,
+          floor: previous.floor,
+          distance: walked,
+          cumulativeDistance: turnDistance,
+          location: landmark ? landmark.name : previous.name,
+          coords: previous.coords,
           turn: turn,
+          landmark,
           icon: turn.includes("left")
             ? "↰"
             : turn.includes("right")
@@ -218,12 +300,82 @@ export const generateDirections = (routePath) => {
             : "↑",
         });
 
-        segmentDistance = 0;
+        segmentDistance = distanceToNext;
       }
     }
 
-    // Check if we're entering a significant room (not a corridor)
-    if (!isCorridor(current.name) && i < routePath.length - 1) {
+    // Rooms walked past on this segment, e.g. "Pass info desk on your
+    // right" - unless one comes right before the next step, which can then
+    // be worded after it instead
+    while (passedRooms[nextPassed]?.segment <= i) {
+      const room = passedRooms[nextPassed++];
+      const afterRoom = Math.max(0, distanceToNext - room.offset);
+      if (mentioned.has(room.name)) continue;
+      if (
+        segmentDistance - afterRoom <= MIN_STEP_DISTANCE ||
+        afterRoom <= MIN_STEP_DISTANCE
+      ) {
+        lastPassed = { ...room, along: cumulativeDistance - afterRoom };
+        continue;
+      }
+
+      directions.push({
+        id: directions.length,
+        type: "landmark",
+        instruction: t(`directions.pass.${room.side}`, {
+          name: label(room.name, room.floor),
+        }),
+        floor: current.floor,
+        distance: segmentDistance - afterRoom,
+        cumulativeDistance: cumulativeDistance - afterRoom,
+        location: room.name,
+        coords: interpolate(
+          previous.coords,
+          current.coords,
+          distanceToNext > 0 ? 1 - afterRoom / distanceToNext : 0
+        ),
+        landmark: room,
+        icon: room.side === "left" ? "⬅️" : "➡️",
+      });
+      mentioned.add(room.name);
+      segmentDistance = afterRoom;
+      lastPassed = null;
+    }
+
+    // Intermediate stops on a multi-stop route close one leg and open the next
+    if (current.isStop && i < routePath.length - 1) {
+      const nextStop =
+        routePath.find((p, j) => j > i && p.isStop) ||
+        routePath[routePath.length - 1];
+      directions.push({
+        id: directions.length,
+        type: "stop",
+        instruction: t("directions.stop", {
+          name: label(current.name, current.floor),
+          index: current.stopIndex,
+        }),
+        floor: current.floor,
+        distance: segmentDistance,
+        cumulativeDistance: cumulativeDistance,
+        location: current.name,
+        coords: current.coords,
+        leg: current.leg,
+        nextStop: label(nextStop.name, nextStop.floor),
+        icon: "📍",
+      });
+
+      segmentDistance = 0;
+      previousBearing = null;
+      continue;
+    }
+
+    // Check if we're entering a significant room (not a corridor) - other
+    // than the ones the route starts and ends in
+    if (
+      !isCorridor(current.name) &&
+      !isEndRoom(current.name) &&
+      i < routePath.length - 1
+    ) {
       const nextBearing = next
         ? calculateBearing(current.coords, next.coords)
         : null;
@@ -233,7 +385,9 @@ export const generateDirections = (routePath) => {
         directions.push({
           id: directions.length,
           type: "waypoint",
-          instruction: `Pass through ${current.name}`,
+          instruction: t("directions.passThrough", {
+            name: label(current.name, current.floor),
+          }),
           floor: current.floor,
           distance: segmentDistance,
           cumulativeDistance: cumulativeDistance,
@@ -253,7 +407,9 @@ export const generateDirections = (routePath) => {
   directions.push({
     id: directions.length,
     type: "destination",
-    instruction: `Arrive at ${lastPoint.name}`,
+    instruction: t("directions.arrive", {
+      name: label(lastPoint.name, lastPoint.floor),
+    }),
     floor: lastPoint.floor,
     distance: segmentDistance,
     cumulativeDistance: cumulativeDistance,
@@ -265,9 +421,10 @@ export const generateDirections = (routePath) => {
   return directions;
 };
 
-// Generate speech text from directions
-export const generateSpeechText = (directions) => {
+// Generate speech text from directions, in the locale they were generated in
+export const generateSpeechText = (directions, options = {}) => {
   if (!directions || directions.length === 0) return "";
+  const t = createTranslator(options.locale);
 
   const texts = directions.map((dir) => {
     let text = dir.instruction;
@@ -278,7 +435,10 @@ export const generateSpeechText = (directions) => {
       dir.type !== "destination" &&
       dir.distance > 1
     ) {
-      text += `, in ${formatDistance(dir.distance)}`;
+      text = t("speech.inDistance", {
+        text,
+        distance: formatDistance(dir.distance, t, true),
+      });
     }
 
     return text;
@@ -288,17 +448,25 @@ export const generateSpeechText = (directions) => {
 };
 
 // Generate speech for a single direction step
-export const generateStepSpeech = (direction) => {
+export const generateStepSpeech = (direction, options = {}) => {
   if (!direction) return "";
+  const t = createTranslator(options.locale);
 
   let text = direction.instruction;
 
   if (direction.distance && direction.distance > 1) {
-    text += `. Distance: ${formatDistance(direction.distance)}`;
+    text = t("speech.distance", {
+      text,
+      distance: formatDistance(direction.distance, t, true),
+    });
   }
 
   if (direction.targetFloor !== undefined) {
-    text += `. Moving from Floor ${direction.floor} to Floor ${direction.targetFloor}`;
+    text = t("speech.floors", {
+      text,
+      from: direction.floor,
+      to: direction.targetFloor,
+    });
   }
 
   return text;
@@ -334,9 +502,9 @@ export const calculateRouteStats = (routePath) => {
   // Add first floor
   floorsSet.add(routePath[0].floor);
 
-  // Estimate walking time (average walking speed: 1.4 m/s)
-  // Add 30 seconds for each floor change
-  const estimatedTime = totalDistance / 1.4 + floorChanges * 30;
+  // Estimate walking time, adding a fixed time for each floor change
+  const estimatedTime =
+    totalDistance / WALKING_SPEED + floorChanges * FLOOR_CHANGE_TIME;
 
   return {
     totalDistance,
@@ -0,0 +1,20 @@
+// Saving generated files - closure lists, route exports - to the browser's
+// downloads without a server round trip
+
+/**
+ * Save text as a file in the browser's downloads.
+ *
+ * @param {string} content - File contents
+ * @param {string} filename - Name to save it under
+ * @param {string} type - MIME type, e.g. "application/json"
+ */
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,222 @@
+// Evacuation plans for display - arrow flow fields for the 3D map and a
+// printable plan with one page per floor
+// Plans themselves come from computeEvacuationPlan in pathfinding.js
+//
+// Exits are features named as exits or entrances, or with an `exit`
+// property, and the rooms listed in this file, which sits next to the
+// GeoJSON data and names the rooms (or name_F<floor>) people leave the
+// building from:
+// {
+//   "version": 1,
+//   "rooms": { "info desk_F1": true }
+// }
+export const EXITS_URL = "/exits.json";
+
+import { createLocalProjection } from "./projection.js";
+import {
+  escapeHtml,
+  openPrintWindow,
+  renderFloorPlanSvg,
+} from "./floorPlan.js";
+import { defaultRoomNames } from "./roomNames.js";
+
+// One arrow per this many meters of walkway
+const ARROW_SPACING = 4;
+const ARROW_LENGTH = 1.8;
+const ARROW_HEAD = 0.7;
+
+const EVACUATION_COLOR = "#2e7d32";
+
+const getFeatureFloor = (feature) =>
+  feature.properties?.floor ||
+  feature.properties?.nivel ||
+  feature.properties?.level ||
+  0;
+
+/**
+ * Arrows pointing the way out along every evacuation route. Routes share
+ * corridors, so each spot of each floor gets only the first arrow placed
+ * there.
+ *
+ * @param {Object} plan - From computeEvacuationPlan
+ * @returns {Array<Object>} Arrows as {floor, point, path}, where path is
+ *   a chevron polyline in lon/lat and point is the route point before it
+ *   (whose room gives the arrow's elevation)
+ */
+export const buildFlowArrows = (plan) => {
+  const firstPoint = plan?.routes.find((r) => r.path.length > 0)?.path[0];
+  if (!firstPoint) return [];
+
+  const { project, unproject } = createLocalProjection(firstPoint.coords);
+  const arrows = [];
+  const taken = new Set();
+
+  plan.routes.forEach((route) => {
+    // Distance walked on the current floor, and where the next arrow goes
+    let walked = 0;
+    let nextArrow = ARROW_SPACING / 2;
+
+    for (let i = 1; i < route.path.length; i++) {
+      const from = route.path[i - 1];
+      const to = route.path[i];
+      if (from.floor !== to.floor) {
+        walked = 0;
+        nextArrow = ARROW_SPACING / 2;
+        continue;
+      }
+
+      const a = project(from.coords);
+      const b = project(to.coords);
+      const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+      if (length === 0) continue;
+      const dir = [(b[0] - a[0]) / length, (b[1] - a[1]) / length];
+      const offset = (p, forward, left) => [
+        p[0] + dir[0] * forward - dir[1] * left,
+        p[1] + dir[1] * forward + dir[0] * left,
+      ];
+
+      for (; nextArrow <= walked + length; nextArrow += ARROW_SPACING) {
+        const center = offset(a, nextArrow - walked, 0);
+        const cell = [
+          from.floor,
+          Math.round(center[0] / ARROW_SPACING),
+          Math.round(center[1] / ARROW_SPACING),
+        ].join(":");
+        if (taken.has(cell)) continue;
+        taken.add(cell);
+
+        const tip = offset(center, ARROW_LENGTH / 2, 0);
+        arrows.push({
+          floor: from.floor,
+          point: from,
+          path: [
+            offset(center, -ARROW_LENGTH / 2, 0),
+            tip,
+            offset(tip, -ARROW_HEAD, ARROW_HEAD),
+            tip,
+            offset(tip, -ARROW_HEAD, -ARROW_HEAD),
+          ].map(unproject),
+        });
+      }
+      walked += length;
+    }
+  });
+
+  return arrows;
+};
+
+const tableRow = (cells, tag = "td") =>
+  `<tr>${cells
+    .map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`)
+    .join("")}</tr>`;
+
+const formatDuration = (seconds) =>
+  seconds < 60 ? `${Math.round(seconds)} s` : `${Math.ceil(seconds / 60)} min`;
+
+/**
+ * Open a printable evacuation plan: for each floor, a plan with arrows and
+ * exits and a table of every room's way out.
+ *
+ * @param {Object} plan - From computeEvacuationPlan
+ * @param {Array<Object>} features - All room features, for the floor plans
+ * @param {Object} roomNames - Display names, from createRoomNames
+ * @returns {boolean} False when the print window was blocked
+ */
+export const printEvacuationPlan = (
+  plan,
+  features,
+  roomNames = defaultRoomNames
+) => {
+  const arrows = buildFlowArrows(plan);
+  const floors = [...new Set(features.map(getFeatureFloor))].sort(
+    (a, b) => a - b
+  );
+
+  const pages = floors.map((floor) => {
+    const svg = renderFloorPlanSvg(features, floor, {
+      paths: arrows
+        .filter((arrow) => arrow.floor === floor)
+        .map((arrow) => ({
+          coords: arrow.path,
+          color: EVACUATION_COLOR,
+          width: 1.5,
+        })),
+      markers: plan.exits
+        .filter((exit) => exit.floor === floor)
+        .map((exit) => ({
+          coords: exit.coords,
+          label: "EXIT",
+          color: EVACUATION_COLOR,
+        })),
+    });
+
+    const rows = plan.routes
+      .filter((route) => route.floor === floor)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((route) => {
+        const lastFloor = route.path[route.path.length - 1]?.floor ?? floor;
+        return tableRow([
+          roomNames.getDisplayName(route.name, floor),
+          roomNames.getDisplayName(route.exit),
+          lastFloor === floor ? "-" : `Floor ${floor} → ${lastFloor}`,
+          `${Math.round(route.distance)} m`,
+          formatDuration(route.estimatedTime),
+        ]);
+      });
+    const stranded = plan.unreachable
+      .filter((room) => room.floor === floor)
+      .map((room) =>
+        tableRow([
+          roomNames.getDisplayName(room.name, floor),
+          "No way out found",
+          "",
+          "",
+          "",
+        ])
+      );
+
+    return `<section class="print-page">
+<h2>Floor ${floor} - Evacuation plan</h2>
+${svg}
+<table>
+<thead>${tableRow(["Room", "Exit", "Stairs", "Distance", "Time"], "th")}</thead>
+<tbody>${[...rows, ...stranded].join("")}</tbody>
+</table>
+</section>`;
+  });
+
+  const header = `<h1>Evacuation plan</h1>
+<div class="print-meta">Generated ${escapeHtml(
+    new Date().toLocaleString()
+  )} · ${plan.exits.length} exits · Do not use elevators</div>`;
+
+  return openPrintWindow(
+    "Evacuation plan",
+    header + pages.join(""),
+    "@page { size: A4; margin: 12mm; }"
+  );
+};
+
+/**
+ * Fetch the exits file. A missing file leaves exits to the features that
+ * mark themselves as exits.
+ *
+ * @param {string} url
+ * @returns {Promise<Object>} Room name (or name_F<floor>) to true, for
+ *   every room listed as an exit
+ */
+export const loadExits = async (url = EXITS_URL) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return {};
+    const { rooms = {} } = await response.json();
+    return Object.fromEntries(
+      Object.entries(rooms)
+        .filter(([, isExit]) => isExit === true)
+        .map(([name]) => [name, true])
+    );
+  } catch (error) {
+    console.warn("[Evacuation] Could not load exits:", error.message);
+    return {};
+  }
+};
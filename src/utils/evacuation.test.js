@@ -0,0 +1,60 @@
+import { describe, it, expect, afterEach, beforeAll, vi } from "vitest";
+import { readFileSync } from "node:fs";
+import { loadExits } from "./evacuation.js";
+import { computeEvacuationPlan } from "./pathfinding.js";
+
+const readPublic = (file) =>
+  JSON.parse(readFileSync(new URL(`../../public/${file}`, import.meta.url)));
+
+describe("loadExits", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("keeps the rooms listed as exits", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          version: 1,
+          rooms: { lobby_F1: true, loading_dock: false, cafe: "yes" },
+        }),
+      })
+    );
+    expect(await loadExits()).toEqual({ lobby_F1: true });
+  });
+
+  it("is empty when there is no file", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue({ ok: false }));
+    expect(await loadExits()).toEqual({});
+  });
+
+  it("is empty when the file can't be read", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.stubGlobal("fetch", vi.fn().mockRejectedValue(new Error("offline")));
+    expect(await loadExits()).toEqual({});
+  });
+});
+
+describe("shipped exits", () => {
+  beforeAll(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  it("give rooms on every floor of the dataset a way out", () => {
+    const { features } = readPublic("rooms-all-WGS-v6.geojson");
+    const { rooms: exitRooms } = readPublic("exits.json");
+    const plan = computeEvacuationPlan(features, { exitRooms });
+
+    expect(plan.exits).toHaveLength(Object.keys(exitRooms).length);
+    plan.exits.forEach((exit) => expect(exit.floor).toBe(1));
+
+    const floors = new Set(features.map((f) => f.properties.level));
+    const routedFloors = new Set(plan.routes.map((route) => route.floor));
+    expect(routedFloors).toEqual(floors);
+    expect(plan.unreachable.length).toBeLessThan(plan.routes.length / 10);
+  });
+});
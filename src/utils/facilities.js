@@ -0,0 +1,71 @@
+// Facility categories for "nearest restroom / printer / exit" searches
+// Rooms are matched by name, so a category covers every spelling the
+// datasets use for it (e.g. "info desk" and "help_desk")
+
+const RESTROOM = /rest_?room|toilet|washroom|lavatory|(^|_)wc(_|$)/;
+
+export const FACILITY_CATEGORIES = {
+  restroom: {
+    label: "Restroom",
+    icon: "🚻",
+    matches: (name) => RESTROOM.test(name),
+  },
+  restroom_female: {
+    label: "Women's restroom",
+    icon: "🚺",
+    // All-gender and unlabelled restrooms count too - only men's are out
+    matches: (name) =>
+      RESTROOM.test(name) && !/(^|_)(male|men)(_|$)/.test(name),
+  },
+  restroom_male: {
+    label: "Men's restroom",
+    icon: "🚹",
+    matches: (name) => RESTROOM.test(name) && !/female|women/.test(name),
+  },
+  printer: {
+    label: "Printer",
+    icon: "🖨️",
+    matches: (name) => /printer|copier|print_?station/.test(name),
+  },
+  info: {
+    label: "Info / help desk",
+    icon: "ℹ️",
+    matches: (name) =>
+      /info(rmation)?_desk|help_?desk|circulation_desk|reception/.test(name),
+  },
+  food: {
+    label: "Café",
+    icon: "☕",
+    matches: (name) => /cafe|cafeteria|coffee|snack/.test(name),
+  },
+  exit: {
+    label: "Exit",
+    icon: "🚪",
+    matches: (name) => /exit|entrance|saida|entrada/.test(name),
+  },
+};
+
+// Lowercase with spaces as underscores, so "info desk" reads "info_desk"
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "_");
+
+/**
+ * Whether a room belongs to a facility category.
+ *
+ * @param {string} roomName
+ * @param {string} category - Key of FACILITY_CATEGORIES
+ * @returns {boolean}
+ */
+export const matchesFacility = (roomName, category) => {
+  const definition = FACILITY_CATEGORIES[category];
+  return Boolean(definition) && definition.matches(normalizeName(roomName));
+};
+
+// Categories with at least one room in the dataset, in display order
+export const getAvailableFacilityCategories = (rooms) =>
+  Object.keys(FACILITY_CATEGORIES).filter((category) =>
+    rooms.some((room) => matchesFacility(room.properties?.name, category))
+  );
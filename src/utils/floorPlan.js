@@ -0,0 +1,264 @@
+// Printable 2D floor plans drawn as plain SVG
+// Print views can't rely on the WebGL map or basemap tiles, so floors are
+// redrawn from their GeoJSON outlines on a local plane in meters
+
+import { getOuterRings, getBBox, getRingCentroid } from "./geometry.js";
+import { createLocalProjection, getFeaturesCenter } from "./projection.js";
+import { defaultRoomNames } from "./roomNames.js";
+
+const getFeatureFloor = (feature) =>
+  feature.properties?.floor ||
+  feature.properties?.nivel ||
+  feature.properties?.level ||
+  0;
+
+const getFeatureName = (feature) =>
+  String(feature.properties?.name || feature.properties?.id || "");
+
+// Fill and outline for each kind of feature, drawn in this order
+const PLAN_STYLES = [
+  {
+    matches: (name) => /^floor(_part|_inner)?$/.test(name),
+    fill: "#f2f2f2",
+    stroke: "#cfcfcf",
+  },
+  {
+    matches: (name) => /stair|srairs|elevator|lift|ramp/.test(name),
+    fill: "#ead9bf",
+    stroke: "#b08d5a",
+  },
+  { matches: () => true, fill: "#ffffff", stroke: "#9a9a9a" },
+];
+
+// Walls go on top so rooms never hide them
+const isWall = (name) => name.startsWith("structure");
+
+const getPlanStyle = (name) =>
+  PLAN_STYLES.findIndex((style) => style.matches(name));
+
+// Ordinary rooms - the only features worth a name label
+const ROOM_STYLE = PLAN_STYLES.length - 1;
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Escape text for use inside generated HTML or SVG
+export const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+// One SVG element; attributes left null are skipped
+const svgElement = (tag, attributes, content = null) => {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}="${escapeHtml(value)}"`)
+    .join(" ");
+  return content === null
+    ? `<${tag} ${attrs}/>`
+    : `<${tag} ${attrs}>${content}</${tag}>`;
+};
+
+/**
+ * Draw one floor of a dataset as an SVG string, optionally with routes and
+ * numbered markers on top.
+ *
+ * @param {Array<Object>} features - Room features (lon/lat) of every floor;
+ *   all floors share one projection so plans line up page to page
+ * @param {number} floor - Floor to draw
+ * @param {Object} overlays
+ * @param {Array<Object>} overlays.paths - {coords: [[lon, lat], ...], color,
+ *   width, dashed}
+ * @param {Array<Object>} overlays.markers - {coords: [lon, lat], label,
+ *   color}
+ * @param {boolean} overlays.labelRooms - Write room names on the plan
+ * @param {Object} overlays.roomNames - Display names for the labels, from
+ *   createRoomNames
+ * @param {Object} size - {width, height} of the drawing in pixels
+ * @returns {string} SVG markup
+ */
+export const renderFloorPlanSvg = (
+  features,
+  floor,
+  overlays = {},
+  size = {}
+) => {
+  const {
+    paths = [],
+    markers = [],
+    labelRooms = false,
+    roomNames = defaultRoomNames,
+  } = overlays;
+  const { width = 720, height = 520 } = size;
+  const padding = 16;
+
+  const { project } = createLocalProjection(getFeaturesCenter(features));
+  const floorFeatures = features
+    .filter((f) => getFeatureFloor(f) === floor)
+    .map((f) => ({
+      name: getFeatureName(f),
+      rings: getOuterRings(f).map((ring) => ring.map(project)),
+    }))
+    .filter((f) => f.rings.length > 0);
+
+  const allPoints = [
+    ...floorFeatures.flatMap((f) => f.rings.flat()),
+    ...paths.flatMap((p) => p.coords.map(project)),
+    ...markers.map((m) => project(m.coords)),
+  ];
+  const svg = (content) =>
+    svgElement(
+      "svg",
+      {
+        xmlns: "http://www.w3.org/2000/svg",
+        width,
+        height,
+        viewBox: `0 0 ${width} ${height}`,
+      },
+      content
+    );
+  if (allPoints.length === 0) return svg("");
+
+  // Fit the floor into the drawing, north up
+  const [minX, minY, maxX, maxY] = getBBox(allPoints);
+  const scale = Math.min(
+    (width - 2 * padding) / Math.max(maxX - minX, 1),
+    (height - 2 * padding) / Math.max(maxY - minY, 1)
+  );
+  const offsetX = (width - (maxX - minX) * scale) / 2;
+  const offsetY = (height - (maxY - minY) * scale) / 2;
+  const toSvg = ([x, y]) => [
+    (offsetX + (x - minX) * scale).toFixed(1),
+    (offsetY + (maxY - y) * scale).toFixed(1),
+  ];
+  const toPoints = (coords) =>
+    coords.map((p) => toSvg(p).join(",")).join(" ");
+
+  const sorted = [...floorFeatures].sort((a, b) => {
+    const wallOrder = Number(isWall(a.name)) - Number(isWall(b.name));
+    return wallOrder || getPlanStyle(a.name) - getPlanStyle(b.name);
+  });
+  const shapes = sorted.flatMap((f) =>
+    f.rings.map((ring) => {
+      const style = isWall(f.name)
+        ? { fill: "#555555", stroke: null }
+        : PLAN_STYLES[getPlanStyle(f.name)];
+      return svgElement("polygon", {
+        points: toPoints(ring),
+        fill: style.fill,
+        stroke: style.stroke,
+        "stroke-width": style.stroke ? 0.6 : null,
+      });
+    })
+  );
+
+  const labels = labelRooms
+    ? floorFeatures
+        .filter((f) => !isWall(f.name) && getPlanStyle(f.name) === ROOM_STYLE)
+        .map((f) => {
+          const [x, y] = toSvg(getRingCentroid(f.rings[0]));
+          return svgElement(
+            "text",
+            { x, y, "font-size": 7, fill: "#666", "text-anchor": "middle" },
+            escapeHtml(roomNames.getDisplayName(f.name, floor))
+          );
+        })
+    : [];
+
+  const lines = paths
+    .filter((p) => p.coords.length > 1)
+    .map((p) =>
+      svgElement("polyline", {
+        points: toPoints(p.coords.map(project)),
+        fill: "none",
+        stroke: p.color || "#4285f4",
+        "stroke-width": p.width || 3,
+        "stroke-linecap": "round",
+        "stroke-linejoin": "round",
+        "stroke-dasharray": p.dashed ? "6 4" : null,
+      })
+    );
+
+  const pins = markers.map((m) => {
+    const [x, y] = toSvg(project(m.coords));
+    return svgElement(
+      "g",
+      {},
+      svgElement("circle", {
+        cx: x,
+        cy: y,
+        r: 8,
+        fill: m.color || "#d32f2f",
+        stroke: "#fff",
+        "stroke-width": 2,
+      }) +
+        svgElement(
+          "text",
+          {
+            x,
+            y,
+            dy: 3.5,
+            "font-size": 9,
+            "font-weight": "bold",
+            fill: "#fff",
+            "text-anchor": "middle",
+          },
+          escapeHtml(m.label ?? "")
+        )
+    );
+  });
+
+  return svg([...shapes, ...labels, ...lines, ...pins].join(""));
+};
+
+const PRINT_STYLES = `
+  body {
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+    color: #222;
+    margin: 0;
+  }
+  .print-page { page-break-after: always; padding: 8mm 0; }
+  .print-page:last-child { page-break-after: auto; }
+  h1 { font-size: 18pt; margin: 0 0 4mm; }
+  h2 { font-size: 14pt; margin: 0 0 3mm; }
+  svg { display: block; max-width: 100%; height: auto; border: 1px solid #ddd; }
+  table { width: 100%; border-collapse: collapse; font-size: 9pt; }
+  th, td { text-align: left; padding: 1.5mm 2mm; border-bottom: 1px solid #eee; }
+  th { background: #f5f5f5; }
+  .print-meta { font-size: 9pt; color: #666; margin-bottom: 4mm; }
+`;
+
+/**
+ * Open a document in a new window and bring up the print dialog.
+ *
+ * @param {string} title - Window and document title
+ * @param {string} bodyHtml - Markup for the document body
+ * @param {string} styles - Extra CSS, e.g. an @page size
+ * @returns {boolean} False when the window was blocked
+ */
+export const openPrintWindow = (title, bodyHtml, styles = "") => {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) {
+    alert("Please allow pop-ups to print.");
+    return false;
+  }
+
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${PRINT_STYLES}${styles}</style>
+</head>
+<body>
+${bodyHtml}
+<script>window.onload = function () { window.print(); };</script>
+</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  return true;
+};
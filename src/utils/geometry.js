@@ -0,0 +1,202 @@
+// Planar geometry helpers shared by the routing utilities
+// All functions work on [x, y] pairs (routing uses projected meters) and
+// ignore any Z value
+
+// Euclidean distance between two points
+export const distance = (p1, p2) => {
+  const dx = p1[0] - p2[0];
+  const dy = p1[1] - p2[1];
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+// Normalise a GeoJSON geometry into a list of polygons (each a list of rings)
+export const getPolygons = (geometry) => {
+  if (!geometry) return [];
+
+  if (geometry.type === "Polygon") {
+    return [geometry.coordinates];
+  }
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates;
+  }
+  if (geometry.type === "LineString") {
+    return [[geometry.coordinates]];
+  }
+  return [];
+};
+
+// Outer rings of every polygon in a feature
+export const getOuterRings = (feature) =>
+  getPolygons(feature.geometry)
+    .map((polygon) => polygon[0])
+    .filter((ring) => ring && ring.length > 0);
+
+// Bounding box [minX, minY, maxX, maxY] of a list of points
+export const getBBox = (coords) => {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  coords.forEach((c) => {
+    if (c[0] < bbox[0]) bbox[0] = c[0];
+    if (c[1] < bbox[1]) bbox[1] = c[1];
+    if (c[0] > bbox[2]) bbox[2] = c[0];
+    if (c[1] > bbox[3]) bbox[3] = c[1];
+  });
+  return bbox;
+};
+
+// Merge two bounding boxes
+export const mergeBBox = (a, b) => [
+  Math.min(a[0], b[0]),
+  Math.min(a[1], b[1]),
+  Math.max(a[2], b[2]),
+  Math.max(a[3], b[3]),
+];
+
+// Check whether two bounding boxes overlap, optionally padded by a tolerance
+export const bboxesOverlap = (a, b, padding = 0) =>
+  a[0] - padding <= b[2] &&
+  b[0] - padding <= a[2] &&
+  a[1] - padding <= b[3] &&
+  b[1] - padding <= a[3];
+
+// Closest point to p on segment a-b
+export const closestPointOnSegment = (p, a, b) => {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return [a[0], a[1]];
+
+  let t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq;
+  t = Math.max(0, Math.min(1, t));
+  return [a[0] + dx * t, a[1] + dy * t];
+};
+
+// Distance from p to segment a-b
+export const pointToSegmentDistance = (p, a, b) =>
+  distance(p, closestPointOnSegment(p, a, b));
+
+// Distance from p to the boundary of a ring
+export const pointToRingDistance = (p, ring) => {
+  let minDist = Infinity;
+  for (let i = 1; i < ring.length; i++) {
+    const d = pointToSegmentDistance(p, ring[i - 1], ring[i]);
+    if (d < minDist) minDist = d;
+  }
+  return minDist;
+};
+
+// Ray-casting point in ring test
+export const pointInRing = (p, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0];
+    const yi = ring[i][1];
+    const xj = ring[j][0];
+    const yj = ring[j][1];
+
+    const intersects =
+      yi > p[1] !== yj > p[1] &&
+      p[0] < ((xj - xi) * (p[1] - yi)) / (yj - yi) + xi;
+    if (intersects) inside = !inside;
+  }
+  return inside;
+};
+
+// Point in polygon (outer ring minus holes)
+export const pointInPolygon = (p, polygon) => {
+  if (!polygon.length || !pointInRing(p, polygon[0])) return false;
+  for (let i = 1; i < polygon.length; i++) {
+    if (pointInRing(p, polygon[i])) return false;
+  }
+  return true;
+};
+
+// Area-weighted centroid of a ring, falling back to the vertex average
+export const getRingCentroid = (ring) => {
+  // Work relative to the first vertex - raw lon/lat cross products lose
+  // too much precision at building scale
+  const [ox, oy] = ring[0];
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0] - ox;
+    const yi = ring[i][1] - oy;
+    const xj = ring[j][0] - ox;
+    const yj = ring[j][1] - oy;
+    const cross = xj * yi - xi * yj;
+    area += cross;
+    cx += (xj + xi) * cross;
+    cy += (yj + yi) * cross;
+  }
+
+  if (Math.abs(area) < 1e-18) {
+    const sum = ring.reduce((acc, c) => [acc[0] + c[0], acc[1] + c[1]], [0, 0]);
+    return [sum[0] / ring.length, sum[1] / ring.length];
+  }
+
+  return [ox + cx / (3 * area), oy + cy / (3 * area)];
+};
+
+/**
+ * Find the part of ring A's boundary that runs along ring B's boundary.
+ * A segment counts as shared when both of its endpoints lie within
+ * `tolerance` of the other ring. Both directions are checked because the
+ * two rings rarely have matching vertex density.
+ *
+ * @returns {{length: number, midpoint: Array<number>}|null}
+ */
+export const findSharedBoundary = (ringA, ringB, tolerance) => {
+  let totalLength = 0;
+  let longest = null;
+
+  const collect = (source, target) => {
+    for (let i = 1; i < source.length; i++) {
+      const a = source[i - 1];
+      const b = source[i];
+      if (
+        pointToRingDistance(a, target) <= tolerance &&
+        pointToRingDistance(b, target) <= tolerance
+      ) {
+        const length = distance(a, b);
+        totalLength += length;
+        if (!longest || length > longest.length) {
+          longest = { length, a, b };
+        }
+      }
+    }
+  };
+
+  collect(ringA, ringB);
+  collect(ringB, ringA);
+
+  if (!longest || totalLength === 0) return null;
+
+  return {
+    // Each shared stretch is counted once from each side
+    length: totalLength / 2,
+    midpoint: [
+      (longest.a[0] + longest.b[0]) / 2,
+      (longest.a[1] + longest.b[1]) / 2,
+    ],
+  };
+};
+
+// Check whether every vertex of ring A lies inside (or on) ring B
+export const ringInsideRing = (inner, outer, tolerance = 0) =>
+  inner.every(
+    (p) => pointInRing(p, outer) || pointToRingDistance(p, outer) <= tolerance
+  );
+
+// Midpoint of the longest segment of a ring
+export const getLongestEdgeMidpoint = (ring) => {
+  let best = null;
+  for (let i = 1; i < ring.length; i++) {
+    const length = distance(ring[i - 1], ring[i]);
+    if (!best || length > best.length) {
+      best = { length, a: ring[i - 1], b: ring[i] };
+    }
+  }
+  if (!best) return ring[0];
+  return [(best.a[0] + best.b[0]) / 2, (best.a[1] + best.b[1]) / 2];
+};
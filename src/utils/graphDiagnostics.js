@@ -0,0 +1,171 @@
+// Connectivity diagnostics for the routing graph - which rooms can reach
+// each other on a floor, which can't be reached at all, and which floors
+// have no way up or down. Explains "No route found" both in the app's
+// overlay and in scripts/diagnose-route-graph.js.
+
+import { getConnectorType } from "./verticalConnectors.js";
+
+// One color per component of a floor, largest component first
+export const COMPONENT_COLORS = [
+  [66, 133, 244],
+  [52, 168, 83],
+  [251, 140, 0],
+  [142, 36, 170],
+  [0, 172, 193],
+  [192, 202, 51],
+  [216, 27, 96],
+  [121, 85, 72],
+  [57, 73, 171],
+  [0, 137, 123],
+];
+
+// Rooms with no connections at all
+export const ISOLATED_COLOR = [211, 47, 47];
+
+// Spaces people walk through rather than to - a room next to one of these
+// can be reached without crossing another room
+const isCirculation = (node) =>
+  node.isCorridor || getConnectorType(node.room.name) !== null;
+
+const toRoomEntry = (key, node) => ({
+  key,
+  name: node.room.name,
+  floor: node.room.floor,
+});
+
+/**
+ * Analyze the connectivity of a routing graph. Components are found per
+ * floor over walking edges (in either direction); stairs and elevators
+ * only count towards a floor's vertical connections.
+ *
+ * @param {Map<string, Object>} graph - Routing graph from pathfinding.js
+ * @returns {Object} Report with summary, floors ({floor, rooms,
+ *   components, hasVerticalConnector}), components ({id, floor, index,
+ *   rooms}, index 0 being the floor's largest), isolated, roomToRoomOnly
+ *   and floorsWithoutConnector. Rooms are listed as {key, name, floor}.
+ */
+export const diagnoseGraph = (graph) => {
+  const adjacency = new Map();
+  const connected = new Set(); // rooms with any edge, in or out
+  const verticalFloors = new Set();
+  let edgeCount = 0;
+
+  graph.forEach((node, key) => {
+    if (!adjacency.has(key)) adjacency.set(key, new Set());
+    node.neighbors.forEach((edge) => {
+      const target = graph.get(edge.key);
+      if (!target) return;
+      edgeCount++;
+      connected.add(key);
+      connected.add(edge.key);
+
+      if (edge.via === "vertical") {
+        verticalFloors.add(node.room.floor);
+        verticalFloors.add(target.room.floor);
+        return;
+      }
+      if (!adjacency.has(edge.key)) adjacency.set(edge.key, new Set());
+      adjacency.get(key).add(edge.key);
+      adjacency.get(edge.key).add(key);
+    });
+  });
+
+  const floors = [
+    ...new Set(Array.from(graph.values(), (node) => node.room.floor)),
+  ].sort((a, b) => a - b);
+
+  // Walking components of each floor, by breadth-first search
+  const components = [];
+  floors.forEach((floor) => {
+    const seen = new Set();
+    const floorComponents = [];
+    graph.forEach((node, key) => {
+      if (node.room.floor !== floor || seen.has(key)) return;
+
+      const members = [key];
+      seen.add(key);
+      for (let i = 0; i < members.length; i++) {
+        adjacency.get(members[i]).forEach((next) => {
+          if (seen.has(next)) return;
+          seen.add(next);
+          members.push(next);
+        });
+      }
+      floorComponents.push(members);
+    });
+
+    floorComponents
+      .sort((a, b) => b.length - a.length)
+      .forEach((members, index) => {
+        components.push({
+          id: `F${floor}-${index + 1}`,
+          floor,
+          index,
+          rooms: members.map((key) => toRoomEntry(key, graph.get(key))),
+        });
+      });
+  });
+
+  const isolated = [];
+  const roomToRoomOnly = [];
+  graph.forEach((node, key) => {
+    if (!connected.has(key)) {
+      isolated.push(toRoomEntry(key, node));
+      return;
+    }
+    const neighbors = Array.from(adjacency.get(key), (k) => graph.get(k));
+    const opensOntoCirculation =
+      neighbors.some(isCirculation) ||
+      node.neighbors.some((edge) => edge.via === "open-area");
+    if (
+      !isCirculation(node) &&
+      neighbors.length > 0 &&
+      !opensOntoCirculation
+    ) {
+      roomToRoomOnly.push(toRoomEntry(key, node));
+    }
+  });
+
+  const floorsWithoutConnector =
+    floors.length > 1 ? floors.filter((f) => !verticalFloors.has(f)) : [];
+
+  return {
+    summary: {
+      rooms: graph.size,
+      edges: edgeCount,
+      floors: floors.length,
+      components: components.length,
+    },
+    floors: floors.map((floor) => {
+      const floorComponents = components.filter((c) => c.floor === floor);
+      return {
+        floor,
+        rooms: floorComponents.reduce((sum, c) => sum + c.rooms.length, 0),
+        components: floorComponents.map((c) => c.id),
+        hasVerticalConnector: verticalFloors.has(floor),
+      };
+    }),
+    components,
+    isolated,
+    roomToRoomOnly,
+    floorsWithoutConnector,
+  };
+};
+
+/**
+ * Map colors for a diagnostics report - every room in the color of its
+ * floor component, isolated rooms in red.
+ *
+ * @param {Object} report - From diagnoseGraph
+ * @returns {Map<string, Array<number>>} RGB colors keyed like routing graph
+ *   nodes (`${name}_F${floor}`)
+ */
+export const getComponentColors = (report) => {
+  const colors = new Map();
+  report.components.forEach((component) => {
+    const color = COMPONENT_COLORS[component.index % COMPONENT_COLORS.length];
+    component.rooms.forEach((room) => colors.set(room.key, color));
+  });
+  report.isolated.forEach((room) => colors.set(room.key, ISOLATED_COLOR));
+  return colors;
+};
@@ -0,0 +1,349 @@
+// Message catalogs for turn-by-turn directions in English, Portuguese and
+// Spanish. Messages are looked up by dotted key and fill in {placeholders};
+// a message given as {one, other, ...} is picked by its {count} with the
+// locale's plural rules. Keys missing from a catalog fall back to English.
+
+export const LOCALES = {
+  en: { label: "English", speechLang: "en-US" },
+  pt: { label: "Português", speechLang: "pt-BR" },
+  es: { label: "Español", speechLang: "es-ES" },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+const CATALOGS = {
+  en: {
+    directions: {
+      start: "Start at {name}",
+      arrive: "Arrive at {name}",
+      stop: "Arrive at {name} (stop {index})",
+      passThrough: "Pass through {name}",
+      turnAt: "{turn} at {name}",
+      turnAfter: "{turn} after {name}",
+      pass: {
+        left: "Pass {name} on your left",
+        right: "Pass {name} on your right",
+      },
+      turn: {
+        left: "Turn left",
+        right: "Turn right",
+        "slight left": "Continue slight left",
+        "slight right": "Continue slight right",
+        "sharp left": "Turn sharp left",
+        "sharp right": "Turn sharp right",
+        back: "Turn around",
+      },
+      floorChange: {
+        stairs: {
+          up: "Take the stairs up to Floor {floor}",
+          down: "Take the stairs down to Floor {floor}",
+        },
+        elevator: {
+          up: "Take the elevator up to Floor {floor}",
+          down: "Take the elevator down to Floor {floor}",
+        },
+        ramp: {
+          up: "Take the ramp up to Floor {floor}",
+          down: "Take the ramp down to Floor {floor}",
+        },
+        other: {
+          up: "Take the stairs/elevator up to Floor {floor}",
+          down: "Take the stairs/elevator down to Floor {floor}",
+        },
+      },
+    },
+    speech: {
+      inDistance: "{text}, in {distance}",
+      distance: "{text}. Distance: {distance}",
+      floors: "{text}. Moving from Floor {from} to Floor {to}",
+    },
+    units: {
+      cm: "{count} cm",
+      m: "{count} m",
+      km: "{count} km",
+      centimeters: { one: "{count} centimeter", other: "{count} centimeters" },
+      meters: { one: "{count} meter", other: "{count} meters" },
+      kilometers: { one: "{count} kilometer", other: "{count} kilometers" },
+      min: "{count} min",
+      sec: "{count} sec",
+      minSec: "{min} min {sec} sec",
+    },
+    panel: {
+      title: "Directions",
+      language: "Language",
+      distance: "Distance",
+      time: "Est. Time",
+      stops: "Stops",
+      floors: "Floors",
+      floor: "Floor {floor}",
+      stepOf: "Step {step} of {total}",
+      previous: "← Previous",
+      next: "Next →",
+      allSteps: "All Steps",
+      leg: "Leg {leg} · to {name}",
+      floorChanges: {
+        one: "{count} floor change",
+        other: "{count} floor changes",
+      },
+      exportShare: "Export / Share",
+      copyLink: "Copy link",
+      linkCopied: "Link copied",
+    },
+    sheet: {
+      print: "Print",
+      title: "{from} to {to}",
+      instruction: "Instruction",
+      printed: "Printed {date}",
+    },
+  },
+
+  pt: {
+    directions: {
+      start: "Comece em {name}",
+      arrive: "Chegue a {name}",
+      stop: "Chegue a {name} (parada {index})",
+      passThrough: "Passe por {name}",
+      turnAt: "{turn} em {name}",
+      turnAfter: "{turn} depois de {name}",
+      pass: {
+        left: "Passe por {name} à sua esquerda",
+        right: "Passe por {name} à sua direita",
+      },
+      turn: {
+        left: "Vire à esquerda",
+        right: "Vire à direita",
+        "slight left": "Siga levemente à esquerda",
+        "slight right": "Siga levemente à direita",
+        "sharp left": "Vire acentuadamente à esquerda",
+        "sharp right": "Vire acentuadamente à direita",
+        back: "Dê meia-volta",
+      },
+      floorChange: {
+        stairs: {
+          up: "Suba a escada até o Andar {floor}",
+          down: "Desça a escada até o Andar {floor}",
+        },
+        elevator: {
+          up: "Suba de elevador até o Andar {floor}",
+          down: "Desça de elevador até o Andar {floor}",
+        },
+        ramp: {
+          up: "Suba a rampa até o Andar {floor}",
+          down: "Desça a rampa até o Andar {floor}",
+        },
+        other: {
+          up: "Suba pela escada/elevador até o Andar {floor}",
+          down: "Desça pela escada/elevador até o Andar {floor}",
+        },
+      },
+    },
+    speech: {
+      inDistance: "{text}, em {distance}",
+      distance: "{text}. Distância: {distance}",
+      floors: "{text}. Do Andar {from} para o Andar {to}",
+    },
+    units: {
+      centimeters: { one: "{count} centímetro", other: "{count} centímetros" },
+      meters: { one: "{count} metro", other: "{count} metros" },
+      kilometers: { one: "{count} quilômetro", other: "{count} quilômetros" },
+      minSec: "{min} min {sec} s",
+      sec: "{count} s",
+    },
+    panel: {
+      title: "Direções",
+      language: "Idioma",
+      distance: "Distância",
+      time: "Tempo est.",
+      stops: "Paradas",
+      floors: "Andares",
+      floor: "Andar {floor}",
+      stepOf: "Passo {step} de {total}",
+      previous: "← Anterior",
+      next: "Próximo →",
+      allSteps: "Todos os passos",
+      leg: "Trecho {leg} · até {name}",
+      floorChanges: {
+        one: "{count} mudança de andar",
+        other: "{count} mudanças de andar",
+      },
+      exportShare: "Exportar / Compartilhar",
+      copyLink: "Copiar link",
+      linkCopied: "Link copiado",
+    },
+    sheet: {
+      print: "Imprimir",
+      title: "De {from} até {to}",
+      instruction: "Instrução",
+      printed: "Impresso em {date}",
+    },
+  },
+
+  es: {
+    directions: {
+      start: "Comience en {name}",
+      arrive: "Llegue a {name}",
+      stop: "Llegue a {name} (parada {index})",
+      passThrough: "Pase por {name}",
+      turnAt: "{turn} en {name}",
+      turnAfter: "{turn} después de {name}",
+      pass: {
+        left: "Pase junto a {name} a su izquierda",
+        right: "Pase junto a {name} a su derecha",
+      },
+      turn: {
+        left: "Gire a la izquierda",
+        right: "Gire a la derecha",
+        "slight left": "Continúe ligeramente a la izquierda",
+        "slight right": "Continúe ligeramente a la derecha",
+        "sharp left": "Gire bruscamente a la izquierda",
+        "sharp right": "Gire bruscamente a la derecha",
+        back: "Dé la vuelta",
+      },
+      floorChange: {
+        stairs: {
+          up: "Suba por las escaleras hasta la Planta {floor}",
+          down: "Baje por las escaleras hasta la Planta {floor}",
+        },
+        elevator: {
+          up: "Suba en el ascensor hasta la Planta {floor}",
+          down: "Baje en el ascensor hasta la Planta {floor}",
+        },
+        ramp: {
+          up: "Suba por la rampa hasta la Planta {floor}",
+          down: "Baje por la rampa hasta la Planta {floor}",
+        },
+        other: {
+          up: "Suba por las escaleras/ascensor hasta la Planta {floor}",
+          down: "Baje por las escaleras/ascensor hasta la Planta {floor}",
+        },
+      },
+    },
+    speech: {
+      inDistance: "{text}, en {distance}",
+      distance: "{text}. Distancia: {distance}",
+      floors: "{text}. De la Planta {from} a la Planta {to}",
+    },
+    units: {
+      centimeters: { one: "{count} centímetro", other: "{count} centímetros" },
+      meters: { one: "{count} metro", other: "{count} metros" },
+      kilometers: { one: "{count} kilómetro", other: "{count} kilómetros" },
+      minSec: "{min} min {sec} s",
+      sec: "{count} s",
+    },
+    panel: {
+      title: "Indicaciones",
+      language: "Idioma",
+      distance: "Distancia",
+      time: "Tiempo est.",
+      stops: "Paradas",
+      floors: "Plantas",
+      floor: "Planta {floor}",
+      stepOf: "Paso {step} de {total}",
+      previous: "← Anterior",
+      next: "Siguiente →",
+      allSteps: "Todos los pasos",
+      leg: "Tramo {leg} · hacia {name}",
+      floorChanges: {
+        one: "{count} cambio de planta",
+        other: "{count} cambios de planta",
+      },
+      exportShare: "Exportar / Compartir",
+      copyLink: "Copiar enlace",
+      linkCopied: "Enlace copiado",
+    },
+    sheet: {
+      print: "Imprimir",
+      title: "De {from} a {to}",
+      instruction: "Indicación",
+      printed: "Impreso el {date}",
+    },
+  },
+};
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => node?.[part], catalog);
+
+const pluralRules = new Map();
+
+const getPluralCategory = (locale, count) => {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  return pluralRules.get(locale).select(count);
+};
+
+/**
+ * Best supported locale for a language tag, e.g. "pt-BR" -> "pt".
+ *
+ * @param {string} language - BCP 47 tag such as navigator.language
+ * @returns {string} Key of LOCALES
+ */
+export const resolveLocale = (language) => {
+  const base = String(language || "").toLowerCase().split("-")[0];
+  return LOCALES[base] ? base : DEFAULT_LOCALE;
+};
+
+/**
+ * Format a number the locale's way, e.g. 1.5 -> "1,5" in Portuguese.
+ *
+ * @param {number} value
+ * @param {string} locale - Key of LOCALES
+ * @param {number} fractionDigits - Most decimals to show
+ * @returns {string}
+ */
+export const formatNumber = (
+  value,
+  locale = DEFAULT_LOCALE,
+  fractionDigits = 0
+) =>
+  new Intl.NumberFormat(getSpeechLang(locale), {
+    maximumFractionDigits: fractionDigits,
+  }).format(value);
+
+/**
+ * Look up a message and fill in its placeholders. A count picks the plural
+ * form and is formatted for the locale.
+ *
+ * @param {string} locale - Key of LOCALES
+ * @param {string} key - Dotted message key, e.g. "directions.start"
+ * @param {Object} params - Placeholder values, e.g. {name, count}
+ * @returns {string} The message, or the key when no catalog has it
+ */
+export const translate = (locale, key, params = {}) => {
+  const language = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  let message =
+    lookup(CATALOGS[language], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message === undefined) return key;
+
+  if (typeof message === "object") {
+    const category = getPluralCategory(language, params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+
+  // Numbers take the locale's decimal separator even in fallback messages
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined) return placeholder;
+    return typeof value === "number"
+      ? formatNumber(value, language, 2)
+      : String(value);
+  });
+};
+
+/**
+ * Bind translate to one locale.
+ *
+ * @param {string} locale - Key of LOCALES
+ * @returns {Function} (key, params) => message
+ */
+export const createTranslator = (locale = DEFAULT_LOCALE) => (key, params) =>
+  translate(locale, key, params);
+
+/**
+ * Language tag speech synthesis should use for a locale.
+ *
+ * @param {string} locale - Key of LOCALES
+ * @returns {string} e.g. "pt-BR"
+ */
+export const getSpeechLang = (locale) =>
+  (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).speechLang;
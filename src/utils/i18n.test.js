@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import {
+  translate,
+  createTranslator,
+  resolveLocale,
+  getSpeechLang,
+} from "./i18n.js";
+
+describe("translate", () => {
+  it("fills in placeholders", () => {
+    expect(translate("en", "directions.start", { name: "Lobby" })).toBe(
+      "Start at Lobby"
+    );
+  });
+
+  it("picks the plural form by count", () => {
+    expect(translate("en", "panel.floorChanges", { count: 1 })).toBe(
+      "1 floor change"
+    );
+    expect(translate("en", "panel.floorChanges", { count: 3 })).toBe(
+      "3 floor changes"
+    );
+    expect(translate("en", "panel.floorChanges", { count: 0 })).toBe(
+      "0 floor changes"
+    );
+  });
+
+  it("uses the locale's plural rules", () => {
+    const t = createTranslator("pt");
+    expect(t("panel.floorChanges", { count: 1 })).not.toBe(
+      t("panel.floorChanges", { count: 2 })
+    );
+  });
+
+  it("falls back to English for keys a catalog lacks", () => {
+    expect(translate("pt", "units.m", { count: 12 })).toBe(
+      translate("en", "units.m", { count: 12 })
+    );
+  });
+
+  it("formats numbers for the locale, also in fallback messages", () => {
+    expect(translate("en", "units.m", { count: 1.5 })).toBe("1.5 m");
+    expect(translate("pt", "units.m", { count: 1.5 })).toBe("1,5 m");
+  });
+
+  it("falls back to English for unknown locales", () => {
+    expect(translate("xx", "directions.arrive", { name: "Lab" })).toBe(
+      "Arrive at Lab"
+    );
+  });
+
+  it("returns the key when no catalog has it", () => {
+    expect(translate("es", "no.such.key")).toBe("no.such.key");
+  });
+
+  it("leaves placeholders without a value as they are", () => {
+    expect(translate("en", "directions.start")).toBe("Start at {name}");
+  });
+});
+
+describe("resolveLocale", () => {
+  it("matches language tags to supported locales", () => {
+    expect(resolveLocale("pt-BR")).toBe("pt");
+    expect(resolveLocale("ES")).toBe("es");
+    expect(resolveLocale("de-DE")).toBe("en");
+    expect(resolveLocale(undefined)).toBe("en");
+  });
+});
+
+describe("getSpeechLang", () => {
+  it("gives the speech language of a locale, or English", () => {
+    expect(getSpeechLang("pt")).toBe("pt-BR");
+    expect(getSpeechLang("xx")).toBe("en-US");
+  });
+});
@@ -0,0 +1,39 @@
+// Walking-time bands for isochrone overlays - everything reachable from a
+// room within 1, 2 and 5 minutes. Times come from computeIsochrones in
+// pathfinding.js; this module only decides how they are shown.
+
+export const ISOCHRONE_BANDS = [
+  { minutes: 1, label: "Within 1 min", color: [26, 152, 80] },
+  { minutes: 2, label: "1 - 2 min", color: [254, 224, 68] },
+  { minutes: 5, label: "2 - 5 min", color: [244, 109, 67] },
+];
+
+// Rooms further than the last band are left uncolored (seconds)
+export const ISOCHRONE_LIMIT =
+  ISOCHRONE_BANDS[ISOCHRONE_BANDS.length - 1].minutes * 60;
+
+/**
+ * The band a walking time falls in.
+ *
+ * @param {number} seconds
+ * @returns {Object|null} Entry of ISOCHRONE_BANDS, or null beyond the last
+ */
+export const getIsochroneBand = (seconds) =>
+  ISOCHRONE_BANDS.find((band) => seconds <= band.minutes * 60) || null;
+
+/**
+ * Map colors for an isochrone result - each reached room in its band's
+ * color.
+ *
+ * @param {Object} result - From computeIsochrones ({origin, rooms})
+ * @returns {Map<string, Array<number>>} RGB colors keyed like routing graph
+ *   nodes (`${name}_F${floor}`)
+ */
+export const getIsochroneColors = (result) => {
+  const colors = new Map();
+  (result?.rooms || []).forEach((room) => {
+    const band = getIsochroneBand(room.time);
+    if (band) colors.set(`${room.name}_F${room.floor}`, band.color);
+  });
+  return colors;
+};
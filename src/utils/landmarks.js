@@ -0,0 +1,181 @@
+// Landmarks - named rooms a walker goes past, for directions such as "pass
+// the info desk on your right" or "turn left after the circulation desk".
+// Room outlines are kept in a spatial index on the building's local plane,
+// and sides are worked out relative to the direction of travel.
+
+import {
+  distance,
+  getOuterRings,
+  getBBox,
+  getRingCentroid,
+  pointInRing,
+  pointToRingDistance,
+  pointToSegmentDistance,
+  closestPointOnSegment,
+} from "./geometry.js";
+import { createSpatialIndex } from "./spatialIndex.js";
+import {
+  createLocalProjection,
+  getFeaturesCenter,
+  projectGeometry,
+} from "./projection.js";
+import { getConnectorType } from "./verticalConnectors.js";
+
+// Farthest a room's outline may be from the route to count as passed
+// (meters) - across a corridor or the edge of an open floor
+export const LANDMARK_DISTANCE = 5;
+
+const getRoomFloor = (room) =>
+  room.properties?.floor ||
+  room.properties?.nivel ||
+  room.properties?.level ||
+  0;
+
+// Doors and corridors are what a walker moves through, not past
+const NOT_LANDMARK_WORDS = [
+  "door",
+  "opening",
+  "entrance",
+  "entry",
+  "porta",
+  "hallway",
+  "corridor",
+  "corredor",
+  "lobby",
+  "passage",
+];
+
+// Rooms people can recognise - not floor slabs, walls, doors, corridors or
+// the stairs and elevators floor changes already name
+const isLandmark = (name) => {
+  const lower = name.toLowerCase();
+  if (!lower) return false;
+  if (
+    lower === "floor" ||
+    lower === "floor_part" ||
+    lower === "floor_inner" ||
+    lower === "void" ||
+    lower === "exterior" ||
+    lower.startsWith("structure")
+  ) {
+    return false;
+  }
+  if (NOT_LANDMARK_WORDS.some((word) => lower.includes(word))) return false;
+  return getConnectorType(lower) === null;
+};
+
+// Gap between segment a-b and a ring that doesn't cross it
+const segmentToRingDistance = (a, b, ring) =>
+  Math.min(
+    pointToRingDistance(a, ring),
+    pointToRingDistance(b, ring),
+    ...ring.map((vertex) => pointToSegmentDistance(vertex, a, b))
+  );
+
+// Which side of someone walking from a to b the point p is on
+const sideOf = (p, a, b) =>
+  (b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]) > 0
+    ? "left"
+    : "right";
+
+/**
+ * Index the rooms that can serve as landmarks.
+ *
+ * @param {Array<Object>} rooms - Room features
+ * @returns {Object} Index with
+ *   findAlongRoute(routePath, exclude) - the rooms a route passes, in route
+ *   order, as {name, floor, side, segment, offset, distance}: side is
+ *   "left" or "right" of the walker, and the room is `offset` meters along
+ *   the route segment ending at point `segment`
+ *   findNear(position, floor, exclude) - the room nearest a [lon, lat]
+ *   position, or null
+ *   Both skip rooms whose names are in the `exclude` set
+ */
+export const createLandmarkIndex = (rooms) => {
+  const projection = createLocalProjection(getFeaturesCenter(rooms));
+  const index = createSpatialIndex();
+
+  rooms.forEach((room) => {
+    const name = room.properties?.name || "";
+    if (!isLandmark(name)) return;
+    const floor = getRoomFloor(room);
+    const projected = {
+      ...room,
+      geometry: projectGeometry(room.geometry, projection.project),
+    };
+    getOuterRings(projected).forEach((ring) => {
+      index.insert(
+        { name, floor, ring, centroid: getRingCentroid(ring) },
+        getBBox(ring)
+      );
+    });
+  });
+
+  // Outlines on a floor near a box, skipping rooms the route itself uses
+  const search = (bbox, floor, exclude) =>
+    index
+      .search(bbox, LANDMARK_DISTANCE)
+      .filter((part) => part.floor === floor && !exclude.has(part.name));
+
+  // Every room walked past, at the point of the route closest to it. Rooms
+  // only seen at the very start or end of the route aren't passed
+  const findAlongRoute = (routePath, exclude = new Set()) => {
+    const points = routePath.map((point) => projection.project(point.coords));
+    const passed = new Map();
+
+    for (let i = 1; i < points.length; i++) {
+      const floor = routePath[i].floor;
+      if (routePath[i - 1].floor !== floor) continue;
+      const a = points[i - 1];
+      const b = points[i];
+      if (distance(a, b) === 0) continue;
+
+      search(getBBox([a, b]), floor, exclude).forEach((part) => {
+        // Stretches that enter the room go through it, not past it
+        if (pointInRing(a, part.ring) || pointInRing(b, part.ring)) return;
+        const gap = segmentToRingDistance(a, b, part.ring);
+        if (gap > LANDMARK_DISTANCE) return;
+        // Rooms on different floors may share a name (restrooms, stairs)
+        const key = `${part.name}|${floor}`;
+        const best = passed.get(key);
+        if (best && best.distance <= gap) return;
+        passed.set(key, {
+          name: part.name,
+          floor,
+          side: sideOf(part.centroid, a, b),
+          segment: i,
+          offset: distance(a, closestPointOnSegment(part.centroid, a, b)),
+          distance: gap,
+        });
+      });
+    }
+
+    const last = points.length - 1;
+    return [...passed.values()]
+      .filter(
+        ({ segment, offset }) =>
+          (segment > 1 || offset > 0) &&
+          (segment < last ||
+            offset < distance(points[last - 1], points[last]))
+      )
+      .sort((a, b) => a.segment - b.segment || a.offset - b.offset);
+  };
+
+  // The room closest to a point, e.g. where a turn is made
+  const findNear = (position, floor, exclude = new Set()) => {
+    const p = projection.project(position);
+    let nearest = null;
+    search([...p, ...p], floor, exclude).forEach((part) => {
+      const gap = pointInRing(p, part.ring)
+        ? 0
+        : pointToRingDistance(p, part.ring);
+      if (gap > LANDMARK_DISTANCE) return;
+      if (!nearest || gap < nearest.distance) {
+        nearest = { name: part.name, floor, distance: gap };
+      }
+    });
+    return nearest;
+  };
+
+  return { findAlongRoute, findNear };
+};
@@ -0,0 +1,100 @@
+import { describe, it, expect } from "vitest";
+import { createLandmarkIndex } from "./landmarks.js";
+
+// Grid units of 0.00001° - about 0.85 m east-west and 1.1 m north-south
+const SIZE = 0.00001;
+const ORIGIN = [-111.85, 40.76];
+
+const at = (x, y) => [ORIGIN[0] + x * SIZE, ORIGIN[1] + y * SIZE];
+
+const box = (name, x1, y1, x2, y2, level = 0) => ({
+  type: "Feature",
+  properties: { name, level },
+  geometry: {
+    type: "Polygon",
+    coordinates: [
+      [at(x1, y1), at(x2, y1), at(x2, y2), at(x1, y2), at(x1, y1)],
+    ],
+  },
+});
+
+// A hall running north along x = 0, with rooms off both sides of it
+const rooms = [
+  box("hall", -1, -5, 1, 25),
+  box("cafe", 2, 8, 6, 12),
+  box("library", -6, 14, -2, 18),
+  box("far_office", 20, 8, 24, 12),
+  box("stair_case", -6, 4, -2, 8),
+  box("front_door", 1, 4, 2, 6),
+  box("rest_room", 2, -3, 6, 0),
+  box("cafe", 2, 8, 6, 12, 1),
+];
+const index = createLandmarkIndex(rooms);
+
+const walk = (points, floor = 0) =>
+  points.map(([x, y]) => ({ coords: at(x, y), floor }));
+
+const north = walk([
+  [0, 0],
+  [0, 10],
+  [0, 20],
+]);
+
+describe("findAlongRoute", () => {
+  it("puts rooms on the side the walker passes them", () => {
+    const passed = index.findAlongRoute(north);
+
+    expect(passed.map(({ name, side }) => [name, side])).toEqual([
+      ["cafe", "right"],
+      ["library", "left"],
+    ]);
+  });
+
+  it("swaps sides when walking the other way", () => {
+    const south = [...north].reverse();
+
+    expect(
+      index.findAlongRoute(south).map(({ name, side }) => [name, side])
+    ).toEqual([
+      ["library", "right"],
+      ["cafe", "left"],
+    ]);
+  });
+
+  it("says where along the route each room is passed", () => {
+    const [cafe, library] = index.findAlongRoute(north);
+
+    expect(cafe.segment).toBe(1);
+    expect(cafe.offset).toBeCloseTo(11.1, 0); // 10 units north
+    expect(library.segment).toBe(2);
+    expect(cafe.distance).toBeGreaterThan(0);
+    expect(cafe.distance).toBeLessThan(5);
+  });
+
+  it("skips rooms on other floors and those the route uses", () => {
+    expect(index.findAlongRoute(walk([[0, 0], [0, 20]], 1))).toEqual([
+      expect.objectContaining({ name: "cafe", floor: 1 }),
+    ]);
+    expect(
+      index.findAlongRoute(north, new Set(["cafe"])).map((p) => p.name)
+    ).toEqual(["library"]);
+  });
+});
+
+describe("findNear", () => {
+  it("finds the room closest to a point", () => {
+    const hall = new Set(["hall"]);
+
+    expect(index.findNear(at(0, 10), 0)).toEqual(
+      expect.objectContaining({ name: "hall", distance: 0 })
+    );
+    expect(index.findNear(at(0, 10), 0, hall)).toEqual(
+      expect.objectContaining({ name: "cafe", floor: 0 })
+    );
+    expect(index.findNear(at(0, 16), 0, hall).name).toBe("library");
+  });
+
+  it("is null when no room is near", () => {
+    expect(index.findNear(at(12, -20), 0)).toBeNull();
+  });
+});
@@ -0,0 +1,248 @@
+// Live navigation along a route - follows position fixes from a position
+// provider, tracks how far along the route the walker is, moves on to each
+// step as it is reached and asks for a new route when the walker strays
+// from this one.
+//
+// A position provider is any object with start(onFix, onError) and stop(),
+// plus an optional setRoute(routePath) for providers that replay routes.
+// Fixes are {coords: [lon, lat], floor, accuracy?} (see
+// positionProviders.js).
+
+import { createLocalProjection } from "./projection.js";
+import { closestPointOnSegment, distance } from "./geometry.js";
+
+// Meters from the route, and fixes in a row that far, before rerouting
+export const OFF_ROUTE_DISTANCE = 8;
+export const OFF_ROUTE_FIXES = 2;
+
+// Meters from the destination that count as arrived
+export const ARRIVAL_DISTANCE = 3;
+
+// A step counts as reached this many meters before it
+const STEP_LEAD_DISTANCE = 2;
+
+// How far progress may slip back between fixes, so noisy fixes where a
+// route doubles back don't jump to its earlier pass
+const BACKTRACK_DISTANCE = 5;
+
+// The route as segments in local meters, each with where it starts along
+// the route. A floor change is a segment on both of its floors
+const measureRoute = (routePath) => {
+  const projection = createLocalProjection(routePath[0].coords);
+  const points = routePath.map((point) => projection.project(point.coords));
+  const pointAlong = [0];
+  const segments = [];
+
+  for (let i = 1; i < routePath.length; i++) {
+    const length = distance(points[i - 1], points[i]);
+    segments.push({
+      a: points[i - 1],
+      b: points[i],
+      floors: new Set([routePath[i - 1].floor, routePath[i].floor]),
+      start: pointAlong[i - 1],
+      length,
+    });
+    pointAlong.push(pointAlong[i - 1] + length);
+  }
+
+  return {
+    projection,
+    segments,
+    pointAlong,
+    length: pointAlong[pointAlong.length - 1],
+  };
+};
+
+/**
+ * Create a navigation session for a route.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.routePath - Route points from findRoute
+ * @param {Array<Object>} options.directions - Steps from generateDirections
+ *   for the route
+ * @param {Function} options.onUpdate - Called with the state after every fix:
+ *   {position, snapped, distanceFromRoute, distanceAlong, distanceRemaining,
+ *   currentStep, offRoute, rerouting, arrived}
+ * @param {Function} options.onReroute - Called with the last fix and
+ *   {visitedStops} when the walker has left the route. Should resolve once a
+ *   new route is in place (handed over with setRoute)
+ * @param {Function} options.onArrive - Called once the destination is
+ *   reached; the provider is stopped
+ * @param {number} options.offRouteDistance - Meters off the route before
+ *   rerouting (a fix's accuracy widens it)
+ * @returns {Object} Session with start, stop, setRoute, handleFix and
+ *   getState
+ */
+export const createNavigationSession = ({
+  routePath,
+  directions = [],
+  onUpdate = () => {},
+  onReroute = null,
+  onArrive = () => {},
+  offRouteDistance = OFF_ROUTE_DISTANCE,
+}) => {
+  let route = measureRoute(routePath);
+  let path = routePath;
+  let steps = directions;
+  let provider = null;
+  let offRouteFixes = 0;
+  let state = {
+    position: null,
+    snapped: null,
+    distanceFromRoute: 0,
+    distanceAlong: 0,
+    distanceRemaining: route.length,
+    currentStep: 0,
+    offRoute: false,
+    rerouting: false,
+    arrived: false,
+  };
+
+  const update = (changes) => {
+    state = { ...state, ...changes };
+    onUpdate(state);
+  };
+
+  // Closest point of the route on the fix's floor, not far behind progress
+  const matchFix = (point, floor) => {
+    let best = null;
+    route.segments.forEach((segment) => {
+      const end = segment.start + segment.length;
+      if (!segment.floors.has(floor)) return;
+      if (end < state.distanceAlong - BACKTRACK_DISTANCE) return;
+      const closest = closestPointOnSegment(point, segment.a, segment.b);
+      const offset = distance(point, closest);
+      if (!best || offset < best.offset) {
+        best = {
+          closest,
+          offset,
+          along: segment.start + distance(segment.a, closest),
+        };
+      }
+    });
+    return best;
+  };
+
+  // The next step to carry out - the first one still ahead
+  const getStepAt = (along) => {
+    const index = steps.findIndex(
+      (step) => step.cumulativeDistance > along + STEP_LEAD_DISTANCE
+    );
+    return index === -1 ? steps.length - 1 : index;
+  };
+
+  // Intermediate stops of a multi-stop route already passed
+  const countVisitedStops = (along) =>
+    path.filter(
+      (point, i) =>
+        point.isStop && i < path.length - 1 && route.pointAlong[i] <= along
+    ).length;
+
+  const requestReroute = (fix) => {
+    if (!onReroute) return;
+    update({ rerouting: true });
+    Promise.resolve(
+      onReroute(fix, { visitedStops: countVisitedStops(state.distanceAlong) })
+    )
+      .catch((error) =>
+        console.warn("[Navigation] Rerouting failed:", error.message)
+      )
+      .finally(() => {
+        offRouteFixes = 0;
+        update({ rerouting: false });
+      });
+  };
+
+  const handleFix = (fix) => {
+    if (state.arrived || !fix?.coords) return;
+
+    const point = route.projection.project(fix.coords);
+    const match = matchFix(point, fix.floor);
+    const threshold = Math.max(offRouteDistance, fix.accuracy || 0);
+    const offRoute = !match || match.offset > threshold;
+
+    if (offRoute) {
+      offRouteFixes += 1;
+      update({
+        position: fix,
+        snapped: null,
+        distanceFromRoute: match ? match.offset : Infinity,
+        offRoute: true,
+      });
+      if (offRouteFixes >= OFF_ROUTE_FIXES && !state.rerouting) {
+        console.log(
+          `[Navigation] Off route by ${
+            match ? match.offset.toFixed(1) : "a floor"
+          } - rerouting`
+        );
+        requestReroute(fix);
+      }
+      return;
+    }
+
+    offRouteFixes = 0;
+    const distanceAlong = Math.max(match.along, state.distanceAlong);
+    const distanceRemaining = Math.max(0, route.length - distanceAlong);
+    const lastFloor = path[path.length - 1].floor;
+    const arrived =
+      distanceRemaining <= ARRIVAL_DISTANCE && fix.floor === lastFloor;
+
+    update({
+      position: fix,
+      snapped: route.projection.unproject(match.closest),
+      distanceFromRoute: match.offset,
+      distanceAlong,
+      distanceRemaining,
+      currentStep: arrived
+        ? steps.length - 1
+        : Math.max(state.currentStep, getStepAt(distanceAlong)),
+      offRoute: false,
+      arrived,
+    });
+
+    if (arrived) {
+      console.log("[Navigation] Arrived");
+      stop();
+      onArrive(state);
+    }
+  };
+
+  const start = (positionProvider) => {
+    stop();
+    provider = positionProvider;
+    provider.start(handleFix, (error) =>
+      console.warn("[Navigation] Position provider error:", error.message)
+    );
+  };
+
+  const stop = () => {
+    provider?.stop();
+    provider = null;
+  };
+
+  // Carry on along a new route, e.g. after rerouting from the current
+  // position
+  const setRoute = (newPath, newDirections = []) => {
+    if (!newPath || newPath === path) return;
+    path = newPath;
+    steps = newDirections;
+    route = measureRoute(newPath);
+    offRouteFixes = 0;
+    provider?.setRoute?.(newPath);
+    update({
+      distanceAlong: 0,
+      distanceRemaining: route.length,
+      currentStep: 0,
+      offRoute: false,
+      arrived: false,
+    });
+  };
+
+  return {
+    start,
+    stop,
+    setRoute,
+    handleFix,
+    getState: () => state,
+  };
+};
@@ -0,0 +1,338 @@
+// Navigation mesh for walking inside open floor areas
+// Triangulates the walkable polygons of a floor (with walls, stairs and other
+// obstacles cut out as holes) and finds smooth paths with a funnel pass
+
+import earcut from "earcut";
+import {
+  distance,
+  getPolygons,
+  getOuterRings,
+  getBBox,
+  pointInRing,
+  closestPointOnSegment,
+  getRingCentroid,
+} from "./geometry.js";
+import { createMinHeap } from "./priorityQueue.js";
+import { createSpatialIndex } from "./spatialIndex.js";
+
+// Twice the signed area of triangle a-b-c (positive when c is left of a->b)
+const cross = (a, b, c) =>
+  (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+
+const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+const vertexKey = (p) => `${p[0].toFixed(10)},${p[1].toFixed(10)}`;
+
+// Drop the closing vertex GeoJSON repeats at the end of each ring
+const openRing = (ring) =>
+  ring.length > 1 && samePoint(ring[0], ring[ring.length - 1])
+    ? ring.slice(0, -1)
+    : ring;
+
+/**
+ * Build a navigation mesh for one floor.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.walkable - Features covering walkable space
+ * @param {Array<Object>} options.obstacles - Features to cut out as holes
+ * @returns {Object} Mesh with vertices, triangles and adjacency
+ */
+export const buildNavMesh = ({ walkable = [], obstacles = [] }) => {
+  const vertices = [];
+  const vertexIndex = new Map();
+  const triangles = [];
+
+  const obstacleIndex = createSpatialIndex();
+  obstacles
+    .flatMap((feature) => getOuterRings(feature))
+    .filter((ring) => ring.length >= 4)
+    .forEach((ring) => {
+      const bbox = getBBox(ring);
+      const centroid = getRingCentroid(ring);
+      obstacleIndex.insert({ ring, bbox, centroid }, bbox);
+    });
+
+  const addVertex = (p) => {
+    const key = vertexKey(p);
+    if (!vertexIndex.has(key)) {
+      vertexIndex.set(key, vertices.length);
+      vertices.push([p[0], p[1]]);
+    }
+    return vertexIndex.get(key);
+  };
+
+  walkable.forEach((feature) => {
+    getPolygons(feature.geometry).forEach((polygon) => {
+      const outer = polygon[0];
+      if (!outer || outer.length < 4) return;
+      const outerBBox = getBBox(outer);
+
+      // Obstacles standing inside this area become extra holes
+      const areaObstacles = obstacleIndex.search(outerBBox);
+      const holes = [
+        ...polygon.slice(1),
+        ...areaObstacles
+          .filter((o) => pointInRing(o.centroid, outer))
+          .map((o) => o.ring),
+      ];
+
+      // Triangulate relative to the area's corner to keep precision
+      const origin = [outerBBox[0], outerBBox[1]];
+      const rings = [outer, ...holes].map(openRing);
+      const points = rings.flat();
+      const flat = [];
+      const holeIndices = [];
+      rings.forEach((ring, i) => {
+        if (i > 0) holeIndices.push(flat.length / 2);
+        ring.forEach((p) => flat.push(p[0] - origin[0], p[1] - origin[1]));
+      });
+
+      const indices = earcut(flat, holeIndices);
+
+      for (let i = 0; i < indices.length; i += 3) {
+        const corners = [
+          points[indices[i]],
+          points[indices[i + 1]],
+          points[indices[i + 2]],
+        ];
+        const centroid = [
+          (corners[0][0] + corners[1][0] + corners[2][0]) / 3,
+          (corners[0][1] + corners[1][1] + corners[2][1]) / 3,
+        ];
+
+        // Overlapping holes confuse earcut - drop anything left inside one
+        const insideObstacle = obstacleIndex
+          .search([...centroid, ...centroid])
+          .some((o) => pointInRing(centroid, o.ring));
+        if (insideObstacle) {
+          continue;
+        }
+        if (Math.abs(cross(...corners)) === 0) continue;
+
+        triangles.push({
+          vertices: corners.map(addVertex),
+          centroid,
+          bbox: getBBox(corners),
+          feature,
+          neighbors: [],
+        });
+      }
+    });
+  });
+
+  // Triangles sharing an edge are neighbors
+  const edgeOwners = new Map();
+  triangles.forEach((triangle, t) => {
+    for (let k = 0; k < 3; k++) {
+      const a = triangle.vertices[k];
+      const b = triangle.vertices[(k + 1) % 3];
+      const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+      if (!edgeOwners.has(key)) edgeOwners.set(key, []);
+      edgeOwners.get(key).push({ t, a, b });
+    }
+  });
+  edgeOwners.forEach((owners) => {
+    for (let i = 0; i < owners.length; i++) {
+      for (let j = i + 1; j < owners.length; j++) {
+        const { t: ti, a, b } = owners[i];
+        const tj = owners[j].t;
+        triangles[ti].neighbors.push({ triangle: tj, edge: [a, b] });
+        triangles[tj].neighbors.push({ triangle: ti, edge: [a, b] });
+      }
+    }
+  });
+
+  // Index triangles for point lookups
+  const triangleIndex = createSpatialIndex();
+  triangles.forEach((triangle, t) => triangleIndex.insert(t, triangle.bbox));
+
+  return { vertices, triangles, triangleIndex };
+};
+
+// Check whether a point lies inside a mesh triangle
+const triangleContains = (mesh, triangle, p) => {
+  const [a, b, c] = triangle.vertices.map((v) => mesh.vertices[v]);
+  const d1 = cross(a, b, p);
+  const d2 = cross(b, c, p);
+  const d3 = cross(c, a, p);
+  const hasNeg = d1 < 0 || d2 < 0 || d3 < 0;
+  const hasPos = d1 > 0 || d2 > 0 || d3 > 0;
+  return !(hasNeg && hasPos);
+};
+
+/**
+ * Locate the triangle under a point, snapping to the nearest walkable
+ * location when the point falls inside an obstacle or outside the mesh.
+ *
+ * @returns {{triangle: number, point: Array<number>}|null}
+ */
+export const locateOnNavMesh = (mesh, p) => {
+  if (!mesh || mesh.triangles.length === 0) return null;
+
+  const containing = mesh.triangleIndex
+    .search([p[0], p[1], p[0], p[1]])
+    .find((t) => triangleContains(mesh, mesh.triangles[t], p));
+  if (containing !== undefined) {
+    return { triangle: containing, point: [p[0], p[1]] };
+  }
+
+  let best = null;
+  mesh.triangles.forEach((triangle, t) => {
+    const corners = triangle.vertices.map((v) => mesh.vertices[v]);
+    for (let k = 0; k < 3; k++) {
+      const point = closestPointOnSegment(p, corners[k], corners[(k + 1) % 3]);
+      const d = distance(p, point);
+      if (!best || d < best.d) best = { d, triangle: t, point };
+    }
+  });
+
+  return best && { triangle: best.triangle, point: best.point };
+};
+
+// A* over the triangle adjacency graph, returning the triangle corridor.
+// Costs are measured between the midpoints of the edges crossed, which
+// follows the real walking distance far better than sliver centroids.
+const findTriangleCorridor = (mesh, start, end) => {
+  const midpoint = ([a, b]) => {
+    const pa = mesh.vertices[a];
+    const pb = mesh.vertices[b];
+    return [(pa[0] + pb[0]) / 2, (pa[1] + pb[1]) / 2];
+  };
+
+  const open = createMinHeap();
+  const closed = new Set();
+  const cameFrom = new Map();
+  const entryPoint = new Map([[start.triangle, start.point]]);
+  const gScore = new Map([[start.triangle, 0]]);
+  open.push(start.triangle, distance(start.point, end.point));
+
+  while (open.size > 0) {
+    let current = open.pop();
+    // Triangles are pushed again when their score improves
+    if (closed.has(current)) continue;
+
+    if (current === end.triangle) {
+      const corridor = [current];
+      while (cameFrom.has(current)) {
+        current = cameFrom.get(current).triangle;
+        corridor.unshift(current);
+      }
+      return corridor.map((t, i) => ({
+        triangle: t,
+        edge: i > 0 ? cameFrom.get(t).edge : null,
+      }));
+    }
+
+    closed.add(current);
+
+    mesh.triangles[current].neighbors.forEach(({ triangle, edge }) => {
+      const crossing =
+        triangle === end.triangle ? end.point : midpoint(edge);
+      const tentative =
+        gScore.get(current) + distance(entryPoint.get(current), crossing);
+      if (tentative < (gScore.has(triangle) ? gScore.get(triangle) : Infinity)) {
+        cameFrom.set(triangle, { triangle: current, edge });
+        entryPoint.set(triangle, crossing);
+        gScore.set(triangle, tentative);
+        // Entry points shift with the route taken, so a cheaper way in can
+        // reopen a triangle that was already expanded
+        closed.delete(triangle);
+        open.push(triangle, tentative + distance(crossing, end.point));
+      }
+    });
+  }
+
+  return null;
+};
+
+// Simple stupid funnel algorithm over [left, right] portals
+const stringPull = (portals) => {
+  const path = [portals[0][0]];
+  let apex = portals[0][0];
+  let left = portals[0][0];
+  let right = portals[0][1];
+  let apexIndex = 0;
+  let leftIndex = 0;
+  let rightIndex = 0;
+
+  for (let i = 1; i < portals.length; i++) {
+    const [portalLeft, portalRight] = portals[i];
+
+    // Tighten the right side of the funnel
+    if (cross(apex, right, portalRight) >= 0) {
+      if (samePoint(apex, right) || cross(apex, left, portalRight) < 0) {
+        right = portalRight;
+        rightIndex = i;
+      } else {
+        // Right crossed over left - left corner becomes the new apex
+        path.push(left);
+        apex = left;
+        apexIndex = leftIndex;
+        right = apex;
+        rightIndex = apexIndex;
+        i = apexIndex;
+        continue;
+      }
+    }
+
+    // Tighten the left side of the funnel
+    if (cross(apex, left, portalLeft) <= 0) {
+      if (samePoint(apex, left) || cross(apex, right, portalLeft) > 0) {
+        left = portalLeft;
+        leftIndex = i;
+      } else {
+        // Left crossed over right - right corner becomes the new apex
+        path.push(right);
+        apex = right;
+        apexIndex = rightIndex;
+        left = apex;
+        leftIndex = apexIndex;
+        i = apexIndex;
+        continue;
+      }
+    }
+  }
+
+  const end = portals[portals.length - 1][0];
+  if (!samePoint(path[path.length - 1], end)) {
+    path.push(end);
+  }
+  return path;
+};
+
+/**
+ * Find a smooth path between two points that stays inside the mesh.
+ *
+ * @returns {Array<{coords: Array<number>, feature: Object}>|null} Polyline
+ *   points, each with the walkable feature it lies on
+ */
+export const findNavMeshPath = (mesh, from, to) => {
+  const start = locateOnNavMesh(mesh, from);
+  const end = locateOnNavMesh(mesh, to);
+  if (!start || !end) return null;
+
+  const corridor = findTriangleCorridor(mesh, start, end);
+  if (!corridor) return null;
+
+  // Orient each shared edge as [left, right] relative to the travel direction
+  const portals = [[start.point, start.point]];
+  for (let i = 1; i < corridor.length; i++) {
+    const [a, b] = corridor[i].edge.map((v) => mesh.vertices[v]);
+    const fromCentroid = mesh.triangles[corridor[i - 1].triangle].centroid;
+    portals.push(cross(fromCentroid, a, b) > 0 ? [b, a] : [a, b]);
+  }
+  portals.push([end.point, end.point]);
+
+  const points = stringPull(portals);
+
+  // Tag each point with the walkable feature underneath it
+  return points.map((coords) => {
+    const located = locateOnNavMesh(mesh, coords);
+    return {
+      coords,
+      feature: located
+        ? mesh.triangles[located.triangle].feature
+        : mesh.triangles[end.triangle].feature,
+    };
+  });
+};
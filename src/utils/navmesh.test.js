@@ -0,0 +1,124 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildNavMesh,
+  locateOnNavMesh,
+  findNavMeshPath,
+} from "./navmesh.js";
+import { pointInRing, pointToRingDistance } from "./geometry.js";
+
+const polygon = (name, ring) => ({
+  type: "Feature",
+  properties: { name },
+  geometry: { type: "Polygon", coordinates: [[...ring, ring[0]]] },
+});
+
+const rect = (name, x1, y1, x2, y2) =>
+  polygon(name, [
+    [x1, y1],
+    [x2, y1],
+    [x2, y2],
+    [x1, y2],
+  ]);
+
+// An L-shaped hall, 10 m along each arm and 3 m wide
+const lHall = polygon("hall", [
+  [0, 0],
+  [10, 0],
+  [10, 3],
+  [3, 3],
+  [3, 10],
+  [0, 10],
+]);
+
+// A 10 m square room with a pillar block in the middle
+const room = rect("room", 0, 0, 10, 10);
+const pillar = rect("pillar", 4, 2, 6, 8);
+
+const ringOf = (feature) => feature.geometry.coordinates[0];
+
+// Points along every segment of a path, ends excluded
+const sampleSegments = (path) =>
+  path.slice(1).flatMap((point, i) => {
+    const [ax, ay] = path[i].coords;
+    const [bx, by] = point.coords;
+    return [0.1, 0.25, 0.5, 0.75, 0.9].map((t) => [
+      ax + (bx - ax) * t,
+      ay + (by - ay) * t,
+    ]);
+  });
+
+// Inside the area, or on its edge
+const covers = (ring, p) =>
+  pointInRing(p, ring) || pointToRingDistance(p, ring) < 1e-9;
+
+describe("buildNavMesh", () => {
+  it("triangulates the walkable area around its obstacles", () => {
+    const mesh = buildNavMesh({ walkable: [room], obstacles: [pillar] });
+
+    expect(mesh.triangles.length).toBeGreaterThan(2);
+    mesh.triangles.forEach((triangle) => {
+      expect(pointInRing(triangle.centroid, ringOf(pillar))).toBe(false);
+      expect(triangle.feature).toBe(room);
+    });
+  });
+
+  it("is empty without walkable features", () => {
+    expect(buildNavMesh({}).triangles).toEqual([]);
+  });
+});
+
+describe("locateOnNavMesh", () => {
+  const mesh = buildNavMesh({ walkable: [room], obstacles: [pillar] });
+
+  it("keeps points that are on the mesh", () => {
+    expect(locateOnNavMesh(mesh, [1, 1]).point).toEqual([1, 1]);
+  });
+
+  it("snaps points off the mesh to its nearest edge", () => {
+    const { point } = locateOnNavMesh(mesh, [5, 5]);
+    expect(pointToRingDistance(point, ringOf(pillar))).toBeLessThan(1e-9);
+  });
+
+  it("is null for an empty mesh", () => {
+    expect(locateOnNavMesh(buildNavMesh({}), [0, 0])).toBeNull();
+  });
+});
+
+describe("findNavMeshPath", () => {
+  it("turns the inside corner of an L-shaped hall", () => {
+    const mesh = buildNavMesh({ walkable: [lHall] });
+    const path = findNavMeshPath(mesh, [9, 1.5], [1.5, 9]);
+
+    expect(path[0].coords).toEqual([9, 1.5]);
+    expect(path[path.length - 1].coords).toEqual([1.5, 9]);
+    expect(path.map((point) => point.coords)).toContainEqual([3, 3]);
+    path.forEach((point) => expect(point.feature).toBe(lHall));
+    sampleSegments(path).forEach((p) => {
+      expect(covers(ringOf(lHall), p)).toBe(true);
+    });
+  });
+
+  it("walks around obstacles instead of through them", () => {
+    const mesh = buildNavMesh({ walkable: [room], obstacles: [pillar] });
+    const path = findNavMeshPath(mesh, [1, 5], [9, 5]);
+
+    expect(path.length).toBeGreaterThan(2);
+    sampleSegments(path).forEach((p) => {
+      expect(covers(ringOf(room), p)).toBe(true);
+      expect(
+        !pointInRing(p, ringOf(pillar)) ||
+          pointToRingDistance(p, ringOf(pillar)) < 1e-9
+      ).toBe(true);
+    });
+  });
+
+  it("goes straight when nothing is in the way", () => {
+    const mesh = buildNavMesh({ walkable: [room] });
+    const path = findNavMeshPath(mesh, [1, 1], [9, 9]);
+
+    expect(path.map((point) => point.coords)).toEqual([
+      [1, 1],
+      [9, 9],
+    ]);
+  });
+});
@@ -0,0 +1,247 @@
+// Opening hours - when rooms such as service desks and labs are open, in
+// OpenStreetMap `opening_hours` syntax. Routes never pass through or end in
+// a room that is closed when they are walked.
+//
+// Hours come from a room's `opening_hours` property, or from this file,
+// which sits next to the GeoJSON data and maps room names (or
+// name_F<floor>) to the same syntax:
+// {
+//   "version": 1,
+//   "rooms": { "computer_lab_0139": "Mo-Fr 08:00-22:00; Sa,Su 12:00-18:00" }
+// }
+//
+// Supported: "24/7", rules separated by ";" where a later rule replaces an
+// earlier one for the days it names, day lists and ranges (Mo-Fr, Sa,Su,
+// Fr-Mo), comma-separated time ranges, ranges past midnight (22:00-02:00)
+// and "off" / "closed". Public holidays (PH) are ignored.
+export const OPENING_HOURS_URL = "/opening-hours.json";
+
+const DAYS = ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"];
+const DAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MINUTES_PER_DAY = 24 * 60;
+const ALL_DAY = [[0, MINUTES_PER_DAY]];
+
+const DAY_SELECTOR = /^(Mo|Tu|We|Th|Fr|Sa|Su|PH)([-,](Mo|Tu|We|Th|Fr|Sa|Su|PH))*$/;
+const TIME_RANGE = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/;
+
+// Days (0 = Monday) named by a selector such as "Mo-Fr,Su"
+const parseDays = (selector) => {
+  const days = new Set();
+  selector.split(",").forEach((part) => {
+    const [from, to = from] = part.split("-");
+    if (from === "PH" || to === "PH") return;
+    const start = DAYS.indexOf(from);
+    const end = DAYS.indexOf(to);
+    for (let i = 0; i < 7; i++) {
+      const day = (start + i) % 7;
+      days.add(day);
+      if (day === end) break;
+    }
+  });
+  return days;
+};
+
+// Minute intervals of "08:00-12:00,13:00-17:30"; null when malformed
+const parseTimes = (selector) => {
+  const intervals = [];
+  for (const range of selector.split(",")) {
+    const match = range.trim().match(TIME_RANGE);
+    if (!match) return null;
+    const [, h1, m1, h2, m2] = match.map(Number);
+    const start = h1 * 60 + m1;
+    let end = h2 * 60 + m2;
+    // Past midnight, e.g. 22:00-02:00
+    if (end <= start) end += MINUTES_PER_DAY;
+    if (start >= MINUTES_PER_DAY) return null;
+    intervals.push([start, end]);
+  }
+  return intervals;
+};
+
+const parsedCache = new Map();
+
+/**
+ * Parse an opening_hours value into the open intervals of each weekday.
+ *
+ * @param {string} spec - OSM opening_hours, e.g. "Mo-Fr 08:00-17:00; Sa off"
+ * @returns {Array<Array<Array<number>>>|null} Seven days from Monday, each a
+ *   list of [start, end] minutes (end may run past midnight), or null when
+ *   the value can't be parsed
+ */
+export const parseOpeningHours = (spec) => {
+  if (typeof spec !== "string" || !spec.trim()) return null;
+  if (parsedCache.has(spec)) return parsedCache.get(spec);
+
+  const week = DAYS.map(() => []);
+  let valid = true;
+
+  for (const rawRule of spec.split(/;|\|\|/)) {
+    const rule = rawRule.trim();
+    if (!rule) continue;
+    if (rule === "24/7") {
+      week.fill(ALL_DAY);
+      continue;
+    }
+
+    const [first, ...rest] = rule.split(/\s+/);
+    const hasDays = DAY_SELECTOR.test(first);
+    const days = hasDays ? parseDays(first) : new Set(DAYS.keys());
+    const selector = (hasDays ? rest : [first, ...rest]).join("").toLowerCase();
+
+    let intervals;
+    if (selector === "off" || selector === "closed") intervals = [];
+    else if (selector === "" || selector === "open") intervals = ALL_DAY;
+    else intervals = parseTimes(selector);
+
+    if (!intervals) {
+      valid = false;
+      break;
+    }
+    days.forEach((day) => {
+      week[day] = intervals;
+    });
+  }
+
+  const result = valid ? week : null;
+  if (!valid) console.warn(`[OpeningHours] Could not parse "${spec}"`);
+  parsedCache.set(spec, result);
+  return result;
+};
+
+/**
+ * Whether a room with these opening hours is open at a time. Hours that
+ * can't be parsed count as always open.
+ *
+ * @param {string} spec - OSM opening_hours
+ * @param {number|Date} time - Defaults to now
+ * @returns {boolean}
+ */
+export const isOpenAt = (spec, time = Date.now()) => {
+  const week = parseOpeningHours(spec);
+  if (!week) return true;
+
+  const date = new Date(time);
+  const day = (date.getDay() + 6) % 7;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const previous = (day + 6) % 7;
+
+  return (
+    week[day].some(([start, end]) => minutes >= start && minutes < end) ||
+    // Still open from a range that ran past midnight
+    week[previous].some(([, end]) => minutes < end - MINUTES_PER_DAY)
+  );
+};
+
+/**
+ * When a room next opens or closes.
+ *
+ * @param {string} spec - OSM opening_hours
+ * @param {number|Date} time - Defaults to now
+ * @returns {Date|null} null when it never changes (e.g. 24/7)
+ */
+export const getNextChange = (spec, time = Date.now()) => {
+  const week = parseOpeningHours(spec);
+  if (!week) return null;
+
+  const now = new Date(time);
+  const openNow = isOpenAt(spec, now);
+  const boundaries = [];
+  // From yesterday, whose hours may run past midnight, to a week ahead
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = (((now.getDay() + 6) % 7) + offset + 7) % 7;
+    week[day].forEach(([start, end]) => {
+      [start, end].forEach((minutes) => {
+        boundaries.push(
+          new Date(
+            now.getFullYear(),
+            now.getMonth(),
+            now.getDate() + offset,
+            0,
+            minutes
+          )
+        );
+      });
+    });
+  }
+
+  return (
+    boundaries
+      .filter((boundary) => boundary > now)
+      .sort((a, b) => a - b)
+      .find((boundary) => isOpenAt(spec, boundary) !== openNow) || null
+  );
+};
+
+/**
+ * Open/closed status of a room for display, e.g. "Open · closes 18:00" or
+ * "Closed · opens Mon 07:30".
+ *
+ * @param {string} spec - OSM opening_hours
+ * @param {number|Date} time - Defaults to now
+ * @returns {{open: boolean, nextChange: Date|null, label: string}|null}
+ *   null when the room has no usable hours
+ */
+export const getOpeningStatus = (spec, time = Date.now()) => {
+  if (!parseOpeningHours(spec)) return null;
+
+  const now = new Date(time);
+  const open = isOpenAt(spec, now);
+  const nextChange = getNextChange(spec, now);
+  if (!nextChange) {
+    return { open, nextChange, label: open ? "Open 24/7" : "Closed" };
+  }
+
+  const clock = nextChange.toTimeString().slice(0, 5);
+  const sameDay = nextChange.toDateString() === now.toDateString();
+  const when = sameDay
+    ? clock
+    : `${DAY_LABELS[(nextChange.getDay() + 6) % 7]} ${clock}`;
+  return {
+    open,
+    nextChange,
+    label: open ? `Open · closes ${when}` : `Closed · opens ${when}`,
+  };
+};
+
+/**
+ * The opening hours that apply to a room - its own property first, then
+ * the opening hours file by name_F<floor> or name.
+ *
+ * @param {string} name - Room name
+ * @param {number} floor - Room floor
+ * @param {Object} properties - Feature properties
+ * @param {Object} hoursByRoom - Room name to hours, from loadOpeningHours
+ * @returns {string|null}
+ */
+export const getRoomOpeningHours = (
+  name,
+  floor,
+  properties = {},
+  hoursByRoom = {}
+) =>
+  properties?.opening_hours ||
+  hoursByRoom[`${name}_F${floor}`] ||
+  hoursByRoom[name] ||
+  null;
+
+/**
+ * Fetch the opening hours file. A missing file just means rooms keep the
+ * hours their own properties give them.
+ *
+ * @param {string} url
+ * @returns {Promise<Object>} Room name to opening_hours, unparseable
+ *   entries dropped
+ */
+export const loadOpeningHours = async (url = OPENING_HOURS_URL) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return {};
+    const { rooms = {} } = await response.json();
+    return Object.fromEntries(
+      Object.entries(rooms).filter(([, spec]) => parseOpeningHours(spec))
+    );
+  } catch (error) {
+    console.warn("[OpeningHours] Could not load opening hours:", error.message);
+    return {};
+  }
+};
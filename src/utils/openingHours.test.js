@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeAll, vi } from "vitest";
+import {
+  parseOpeningHours,
+  isOpenAt,
+  getNextChange,
+  getRoomOpeningHours,
+} from "./openingHours.js";
+
+// Local times in the week of Monday 6 January 2025
+const at = (day, hours, minutes = 0) =>
+  new Date(2025, 0, 6 + day, hours, minutes);
+const MONDAY = 0;
+const FRIDAY = 4;
+const SATURDAY = 5;
+const SUNDAY = 6;
+
+beforeAll(() => {
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+describe("parseOpeningHours", () => {
+  it("gives each weekday its intervals in minutes", () => {
+    const week = parseOpeningHours("Mo-Fr 08:00-12:00,13:00-17:30");
+
+    expect(week).toHaveLength(7);
+    expect(week[MONDAY]).toEqual([
+      [480, 720],
+      [780, 1050],
+    ]);
+    expect(week[FRIDAY]).toEqual(week[MONDAY]);
+    expect(week[SATURDAY]).toEqual([]);
+  });
+
+  it("wraps day ranges past Sunday", () => {
+    const week = parseOpeningHours("Fr-Mo 10:00-14:00");
+    const open = week.map((intervals) => intervals.length > 0);
+
+    expect(open).toEqual([true, false, false, false, true, true, true]);
+  });
+
+  it("runs ranges that end before they start past midnight", () => {
+    expect(parseOpeningHours("Sa 22:00-02:00")[SATURDAY]).toEqual([
+      [1320, 1560],
+    ]);
+  });
+
+  it("closes days marked off or closed", () => {
+    const week = parseOpeningHours("Mo-Su 09:00-17:00; Sa off; Su closed");
+
+    expect(week[FRIDAY]).toEqual([[540, 1020]]);
+    expect(week[SATURDAY]).toEqual([]);
+    expect(week[SUNDAY]).toEqual([]);
+  });
+
+  it("opens every day all day for 24/7", () => {
+    parseOpeningHours("24/7").forEach((intervals) => {
+      expect(intervals).toEqual([[0, 1440]]);
+    });
+  });
+
+  it("returns null for values it can't read", () => {
+    expect(parseOpeningHours("Mo-Fr sometimes")).toBeNull();
+    expect(parseOpeningHours("Mo 25:00-26:00")).toBeNull();
+    expect(parseOpeningHours("")).toBeNull();
+    expect(parseOpeningHours(null)).toBeNull();
+  });
+});
+
+describe("isOpenAt", () => {
+  it("is open inside the hours and closed outside them", () => {
+    const spec = "Mo-Fr 08:00-17:00";
+
+    expect(isOpenAt(spec, at(MONDAY, 8))).toBe(true);
+    expect(isOpenAt(spec, at(MONDAY, 16, 59))).toBe(true);
+    expect(isOpenAt(spec, at(MONDAY, 17))).toBe(false);
+    expect(isOpenAt(spec, at(SATURDAY, 12))).toBe(false);
+  });
+
+  it("stays open past midnight into the next day", () => {
+    const spec = "Fr 20:00-02:00";
+
+    expect(isOpenAt(spec, at(FRIDAY, 23))).toBe(true);
+    expect(isOpenAt(spec, at(SATURDAY, 1, 30))).toBe(true);
+    expect(isOpenAt(spec, at(SATURDAY, 2))).toBe(false);
+  });
+
+  it("carries Sunday night's hours into Monday", () => {
+    expect(isOpenAt("Su 22:00-03:00", at(MONDAY, 2))).toBe(true);
+  });
+
+  it("is always open for 24/7 and for hours it can't read", () => {
+    expect(isOpenAt("24/7", at(SUNDAY, 3))).toBe(true);
+    expect(isOpenAt("whenever", at(SUNDAY, 3))).toBe(true);
+  });
+});
+
+describe("getNextChange", () => {
+  it("finds the next closing time", () => {
+    expect(getNextChange("Mo-Fr 08:00-17:00", at(MONDAY, 9))).toEqual(
+      at(MONDAY, 17)
+    );
+  });
+
+  it("finds the next opening across the weekend", () => {
+    expect(getNextChange("Mo-Fr 08:00-17:00", at(FRIDAY, 18))).toEqual(
+      at(MONDAY + 7, 8)
+    );
+  });
+
+  it("is null when the hours never change", () => {
+    expect(getNextChange("24/7", at(MONDAY, 9))).toBeNull();
+  });
+});
+
+describe("getRoomOpeningHours", () => {
+  const hoursByRoom = {
+    lab: "Mo-Fr 08:00-17:00",
+    lab_F2: "Sa 10:00-14:00",
+  };
+
+  it("prefers the room's own property, then its floor, then its name", () => {
+    expect(
+      getRoomOpeningHours("lab", 2, { opening_hours: "24/7" }, hoursByRoom)
+    ).toBe("24/7");
+    expect(getRoomOpeningHours("lab", 2, {}, hoursByRoom)).toBe(
+      "Sa 10:00-14:00"
+    );
+    expect(getRoomOpeningHours("lab", 1, {}, hoursByRoom)).toBe(
+      "Mo-Fr 08:00-17:00"
+    );
+    expect(getRoomOpeningHours("office", 1, {}, hoursByRoom)).toBeNull();
+  });
+});
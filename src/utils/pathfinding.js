@@ -1,37 +1,58 @@
 // A* Pathfinding algorithm for indoor navigation with room grouping
-// Groups multiple features with same name into logical rooms
-
-// Calculate Euclidean distance between two points
-const distance = (p1, p2) => {
-  const dx = p1[0] - p2[0];
-  const dy = p1[1] - p2[1];
-  return Math.sqrt(dx * dx + dy * dy);
-};
+// Groups multiple features with same name into logical rooms and connects
+// them through doors, shared boundaries and openings onto the floor area
+
+import {
+  distance,
+  getOuterRings,
+  getBBox,
+  bboxesOverlap,
+  pointInRing,
+  pointToRingDistance,
+  getRingCentroid,
+  findSharedBoundary,
+  pointToSegmentDistance,
+} from "./geometry.js";
+import {
+  calculateRouteStats,
+  FLOOR_CHANGE_TIME,
+  WALKING_SPEED,
+} from "./directionsGenerator.js";
+import { closureCoversRoom, getActiveClosures } from "./closures.js";
+import { canAccessRoom } from "./accessControl.js";
+import { getRoomOpeningHours, isOpenAt } from "./openingHours.js";
+import { matchesFacility } from "./facilities.js";
+import { ISOCHRONE_LIMIT } from "./isochrones.js";
+import { diagnoseGraph } from "./graphDiagnostics.js";
+import {
+  createRoomCostFunction,
+  getActiveWeights,
+  getRoomCostReasons,
+} from "./routeCosts.js";
+import {
+  buildNavMesh,
+  findNavMeshPath,
+  locateOnNavMesh,
+} from "./navmesh.js";
+import { createMinHeap } from "./priorityQueue.js";
+import { createSpatialIndex } from "./spatialIndex.js";
+import {
+  findConnectorShafts,
+  getConnectorType,
+  getShaftConnections,
+  getShaftLandings,
+} from "./verticalConnectors.js";
+import {
+  createLocalProjection,
+  getFeaturesCenter,
+  projectGeometry,
+} from "./projection.js";
 
 // Get centroid of a room feature
 const getCentroid = (room) => {
-  let coords = [];
-
-  if (room.geometry.type === "Polygon") {
-    coords = room.geometry.coordinates[0];
-  } else if (room.geometry.type === "MultiPolygon") {
-    coords = room.geometry.coordinates[0][0];
-  } else if (room.geometry.type === "LineString") {
-    coords = room.geometry.coordinates;
-  }
-
-  if (coords.length === 0) return [0, 0];
-
-  const sum = coords.reduce(
-    (acc, coord) => {
-      acc[0] += coord[0];
-      acc[1] += coord[1];
-      return acc;
-    },
-    [0, 0]
-  );
-
-  return [sum[0] / coords.length, sum[1] / coords.length];
+  const rings = getOuterRings(room);
+  if (rings.length === 0) return [0, 0];
+  return getRingCentroid(rings[0]);
 };
 
 // Get room floor
@@ -54,21 +75,39 @@ const getRoomName = (room) => {
   );
 };
 
-// Check if room is a stairwell/elevator/corridor
-const isVerticalConnector = (roomName) => {
-  const name = roomName.toLowerCase();
-  return (
-    name.includes("stair") ||
-    name.includes("escada") ||
-    name.includes("elevador") ||
-    name.includes("elevator") ||
-    name.includes("corredor") ||
-    name.includes("corridor") ||
-    name.includes("hallway") ||
-    name.includes("lobby")
-  );
+// Routing profiles control which vertical connectors may be used and how
+// much each kind of space costs to walk through
+export const ROUTING_PROFILES = {
+  default: {
+    label: "Default",
+    description: "Shortest comfortable route, preferring corridors",
+    allowedConnectors: null, // Any stairs, elevator or ramp
+    connectorCosts: { stairs: 1, elevator: 1, ramp: 1 },
+    corridorPreference: true,
+  },
+  wheelchair: {
+    label: "Wheelchair accessible",
+    description: "Step-free route using only elevators and ramps",
+    allowedConnectors: ["elevator", "ramp"],
+    connectorCosts: { stairs: Infinity, elevator: 1, ramp: 1 },
+    corridorPreference: true,
+  },
+  fastest: {
+    label: "Fastest",
+    description: "Shortest walk, taking stairs rather than waiting for elevators",
+    allowedConnectors: null,
+    connectorCosts: { stairs: 1, elevator: 1.5, ramp: 1 },
+    corridorPreference: false,
+  },
 };
 
+export const DEFAULT_PROFILE = "default";
+
+const getProfile = (profileName) =>
+  ROUTING_PROFILES[profileName] || ROUTING_PROFILES[DEFAULT_PROFILE];
+
+export { getConnectorType };
+
 // Check if room is a corridor/hallway (for routing through)
 const isCorridor = (roomName) => {
   const name = roomName.toLowerCase();
@@ -83,13 +122,40 @@ const isCorridor = (roomName) => {
   );
 };
 
+// Check if a feature is structural (walls, columns) rather than walkable space
+const isStructure = (roomName) => roomName.toLowerCase().startsWith("structure");
+
+// Check if a feature blocks walking across the floor (walls, stair steps)
+const isObstacle = (roomName) => {
+  const name = roomName.toLowerCase();
+  return isStructure(name) || name === "stair_case" || name === "stairs_case";
+};
+
+// Check if a feature is the open floor slab that rooms sit on
+const isOpenArea = (roomName) => {
+  const name = roomName.toLowerCase();
+  return name === "floor" || name === "floor_part" || name === "floor_inner";
+};
+
+// Check if a feature is a door or opening between spaces
+const isDoor = (roomName) => {
+  const name = roomName.toLowerCase();
+  return (
+    name.includes("door") ||
+    name.includes("opening") ||
+    name.includes("entrance") ||
+    name.includes("entry") ||
+    name.includes("porta")
+  );
+};
+
 // Check if a room is navigable (exclude structural elements)
 const isNavigableRoom = (roomName) => {
   const name = roomName.toLowerCase();
-  // Exclude architectural/structural elements
+  // Exclude architectural/structural elements and the floor slab itself
   if (
-    name === "floor" ||
-    name === "structure" ||
+    isOpenArea(name) ||
+    isStructure(name) ||
     name === "void" ||
     name === "exterior"
   ) {
@@ -132,201 +198,629 @@ const groupRoomsByName = (features) => {
   return roomGroups;
 };
 
-// Build adjacency graph with corridor-aware routing
-const buildRoomGraph = (roomGroups, targetFloor = null) => {
-  const graph = new Map();
-  const rooms = Array.from(roomGroups.values());
+// Routing graph tolerances, in meters on the building's local plane
+const WALL_TOLERANCE = 0.25; // Boundary closer than this to a structure is a wall
+const BOUNDARY_TOLERANCE = 0.1; // Max gap between two rooms that share a boundary
+const DOOR_TOLERANCE = 0.2; // Max gap between a door feature and the rooms it joins
+const MIN_OPENING_WIDTH = 0.7; // Narrowest walkable opening
+
+// Cost multiplier for moving between two kinds of space
+const getEdgeWeightFactor = (isFromCorridor, isToCorridor) => {
+  if (isFromCorridor && isToCorridor) return 0.8; // Corridor to corridor - preferred
+  if (isFromCorridor || isToCorridor) return 0.9; // Room to corridor - slight preference
+  return 1.2; // Room to room - higher cost
+};
 
-  // Filter by floor if specified and exclude non-navigable rooms
-  let filteredRooms =
-    targetFloor !== null ? rooms.filter((r) => r.floor === targetFloor) : rooms;
+// Longest stretch of a room boundary that is not backed by a wall
+const findOpening = (ring, wallIndex) => {
+  const nearbyWalls = wallIndex.search(getBBox(ring), WALL_TOLERANCE);
+  const isWalled = (p) =>
+    nearbyWalls.some(
+      (wall) => pointToRingDistance(p, wall.ring) <= WALL_TOLERANCE
+    );
 
-  const beforeNavFilter = filteredRooms.length;
-  // Further filter to only include navigable rooms
-  filteredRooms = filteredRooms.filter((r) => isNavigableRoom(r.name));
-  const afterNavFilter = filteredRooms.length;
+  let best = null;
+  for (let i = 1; i < ring.length; i++) {
+    const a = ring[i - 1];
+    const b = ring[i];
+    const midpoint = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    if (isWalled(midpoint) || (isWalled(a) && isWalled(b))) continue;
 
-  console.log(
-    `[Pathfinding] Graph building: ${beforeNavFilter} rooms before navigable filter, ${afterNavFilter} after`
+    const width = distance(a, b);
+    if (width >= MIN_OPENING_WIDTH && (!best || width > best.width)) {
+      best = { width, point: midpoint };
+    }
+  }
+  return best;
+};
+
+// Prepare the per-feature outlines used for adjacency tests
+const getFeatureParts = (features) =>
+  features.flatMap((feature) =>
+    getOuterRings(feature).map((ring) => ({ ring, bbox: getBBox(ring) }))
   );
 
-  // Separate corridors from regular rooms for corridor-aware routing
-  const corridors = filteredRooms.filter((r) => isCorridor(r.name));
-  const regularRooms = filteredRooms.filter((r) => !isCorridor(r.name));
+// Index outlines by bounding box so adjacency tests only see nearby parts
+const indexParts = (parts) => {
+  const index = createSpatialIndex();
+  parts.forEach((part) => index.insert(part, part.bbox));
+  return index;
+};
 
-  console.log(
-    `[Pathfinding] Identified ${corridors.length} corridors and ${regularRooms.length} regular rooms`
+// Index every outline of a floor's rooms, remembering which room it belongs to
+const indexRoomParts = (rooms) =>
+  indexParts(
+    rooms.flatMap((room) => room.parts.map((part) => ({ ...part, room })))
   );
 
-  // Build adjacency list with corridor preference
-  filteredRooms.forEach((room) => {
-    const key = `${room.name}_F${room.floor}`;
-    const neighbors = [];
-    const isRoomCorridor = isCorridor(room.name);
+// Record an edge between two rooms, keeping only the cheapest connection
+const addEdge = (edges, fromRoom, toRoom, portals, via) => {
+  const fromCorridor = isCorridor(fromRoom.name);
+  const toCorridor = isCorridor(toRoom.name);
+  const points = [fromRoom.centroid, ...portals, toRoom.centroid];
 
-    // Find neighboring rooms
-    filteredRooms.forEach((otherRoom) => {
-      if (room.name === otherRoom.name && room.floor === otherRoom.floor) {
-        return; // Skip same room
-      }
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += distance(points[i - 1], points[i]);
+  }
+  const weightFactor = getEdgeWeightFactor(fromCorridor, toCorridor);
+  const weight = length * weightFactor;
+
+  const addDirected = (from, to, orderedPortals, isToCorridor) => {
+    const fromKey = `${from.name}_F${from.floor}`;
+    const toKey = `${to.name}_F${to.floor}`;
+    if (!edges.has(fromKey)) edges.set(fromKey, new Map());
+    const existing = edges.get(fromKey).get(toKey);
+
+    if (!existing || existing.distance > weight) {
+      edges.get(fromKey).set(toKey, {
+        key: toKey,
+        name: to.name,
+        floor: to.floor,
+        distance: weight,
+        length,
+        weightFactor,
+        isCorridor: isToCorridor,
+        portals: orderedPortals,
+        via,
+      });
+    }
+  };
 
-      // Rooms on same floor
-      if (room.floor === otherRoom.floor) {
-        const dist = distance(room.centroid, otherRoom.centroid);
-        const isOtherCorridor = isCorridor(otherRoom.name);
-
-        // Different thresholds based on room types
-        let threshold;
-        let distanceWeight = dist;
-
-        if (isRoomCorridor && isOtherCorridor) {
-          // Corridor to corridor - prefer these connections
-          threshold = 0.05;
-          distanceWeight = dist * 0.8; // Lower cost for corridor-to-corridor
-        } else if (isRoomCorridor || isOtherCorridor) {
-          // Room to corridor or corridor to room - allow these
-          threshold = 0.03; // Closer proximity needed
-          distanceWeight = dist * 0.9; // Slight preference
-        } else {
-          // Room to room - only if very close (might be adjacent rooms)
-          threshold = 0.015; // Must be very close
-          distanceWeight = dist * 1.2; // Higher cost for direct room-to-room
-        }
+  addDirected(fromRoom, toRoom, portals, toCorridor);
+  addDirected(toRoom, fromRoom, [...portals].reverse(), fromCorridor);
+};
 
-        if (dist < threshold && dist > 0) {
-          neighbors.push({
-            key: `${otherRoom.name}_F${otherRoom.floor}`,
-            name: otherRoom.name,
-            floor: otherRoom.floor,
-            distance: distanceWeight,
-            isCorridor: isOtherCorridor,
-          });
-        }
+// Connect rooms joined by explicit door/opening features
+const connectThroughDoors = (partIndex, doors, edges) => {
+  doors.forEach((door) => {
+    const doorRings = getOuterRings(door);
+    if (doorRings.length === 0) return;
+    const doorBBox = getBBox(doorRings.flat());
+    const doorPoint = getRingCentroid(doorRings[0]);
+
+    const touching = partIndex
+      .search(doorBBox, DOOR_TOLERANCE)
+      .filter((part) =>
+        doorRings.some((doorRing) =>
+          doorRing.some(
+            (p) =>
+              pointInRing(p, part.ring) ||
+              pointToRingDistance(p, part.ring) <= DOOR_TOLERANCE
+          )
+        )
+      );
+    const connected = [...new Set(touching.map((part) => part.room))];
+
+    for (let i = 0; i < connected.length; i++) {
+      for (let j = i + 1; j < connected.length; j++) {
+        addEdge(edges, connected[i], connected[j], [doorPoint], "door");
       }
-      // Vertical connections (between floors through stairs/elevators)
-      else if (Math.abs(room.floor - otherRoom.floor) === 1) {
-        // Check if either room is a stairwell/elevator
+    }
+  });
+};
+
+// Connect rooms whose outlines touch along a walkable width
+const connectSharedBoundaries = (rooms, partIndex, edges) => {
+  rooms.forEach((roomA, i) => {
+    // Rooms with explicit doors are only entered through them
+    if (roomA.hasDoors) return;
+
+    // Longest shared stretch with each later room, keyed by that room
+    const bestByRoom = new Map();
+    roomA.parts.forEach((partA) => {
+      partIndex
+        .search(partA.bbox, BOUNDARY_TOLERANCE)
+        .forEach((partB) => {
+          const roomB = partB.room;
+          if (roomB.index <= i || roomB.hasDoors) return;
+
+          const shared = findSharedBoundary(
+            partA.ring,
+            partB.ring,
+            BOUNDARY_TOLERANCE
+          );
+          const best = bestByRoom.get(roomB);
+          if (
+            shared &&
+            shared.length >= MIN_OPENING_WIDTH &&
+            (!best || shared.length > best.length)
+          ) {
+            bestByRoom.set(roomB, shared);
+          }
+        });
+    });
+
+    bestByRoom.forEach((best, roomB) => {
+      addEdge(edges, roomA, roomB, [best.midpoint], "boundary");
+    });
+  });
+};
+
+// Connect rooms that open onto the same open floor area
+const connectThroughOpenAreas = (partIndex, openAreas, wallIndex, edges) => {
+  openAreas.forEach((area) => {
+    // Room outlines that sit on this area
+    const onArea = new Set();
+    getFeatureParts(area.features).forEach((areaPart) => {
+      partIndex.search(areaPart.bbox).forEach((part) => {
         if (
-          isVerticalConnector(room.name) ||
-          isVerticalConnector(otherRoom.name)
+          !part.room.hasDoors &&
+          part.ring.some((p) => pointInRing(p, areaPart.ring))
         ) {
-          const dist = distance(room.centroid, otherRoom.centroid);
-          const threshold = 0.02; // Larger threshold for vertical connections
-
-          if (dist < threshold && dist > 0) {
-            neighbors.push({
-              key: `${otherRoom.name}_F${otherRoom.floor}`,
-              name: otherRoom.name,
-              floor: otherRoom.floor,
-              distance: dist * 2, // Penalty for floor change
-              isCorridor: isCorridor(otherRoom.name),
-            });
-          }
+          onArea.add(part);
         }
+      });
+    });
+
+    // Openings of every room that sits on this area
+    const pointsByRoom = new Map();
+    onArea.forEach((part) => {
+      const opening = findOpening(part.ring, wallIndex);
+      if (!opening) return;
+      if (!pointsByRoom.has(part.room)) pointsByRoom.set(part.room, []);
+      pointsByRoom.get(part.room).push(opening.point);
+    });
+    const openings = Array.from(pointsByRoom, ([room, points]) => ({
+      room,
+      points,
+    })).sort((a, b) => a.room.index - b.room.index);
+
+    for (let i = 0; i < openings.length; i++) {
+      for (let j = i + 1; j < openings.length; j++) {
+        // Pick the closest pair of openings between the two rooms
+        let best = null;
+        openings[i].points.forEach((pA) => {
+          openings[j].points.forEach((pB) => {
+            const d = distance(pA, pB);
+            if (!best || d < best.d) best = { d, pA, pB };
+          });
+        });
+
+        addEdge(
+          edges,
+          openings[i].room,
+          openings[j].room,
+          [best.pA, best.pB],
+          "open-area"
+        );
+      }
+    }
+  });
+};
+
+// Re-weight (or drop) a room's edges for the chosen routing profile
+const applyProfile = (room, neighbors, profile) => {
+  const fromType = getConnectorType(room.name);
+
+  return neighbors
+    .map((edge) => {
+      const toType = getConnectorType(edge.name);
+
+      // Floor changes are only possible through the profile's connectors
+      if (
+        edge.via === "vertical" &&
+        profile.allowedConnectors &&
+        !profile.allowedConnectors.includes(edge.connectorType)
+      ) {
+        return null;
       }
+
+      const connectorCost = Math.max(
+        fromType ? profile.connectorCosts[fromType] ?? 1 : 1,
+        toType ? profile.connectorCosts[toType] ?? 1 : 1
+      );
+      if (!Number.isFinite(connectorCost)) return null;
+
+      const weightFactor =
+        profile.corridorPreference || edge.via === "vertical"
+          ? edge.weightFactor
+          : 1;
+
+      return {
+        ...edge,
+        distance: edge.length * weightFactor * connectorCost,
+      };
+    })
+    .filter(Boolean);
+};
+
+// Cost multiplier for edges touching an area closures only ask to avoid
+const CLOSURE_PENALTY = 20;
+// Spacing of the points checked along an edge against a closed area
+const CLOSURE_SAMPLE_SPACING = 0.5;
+
+// Whether the walk along an edge enters a drawn closure area
+const edgeCrossesArea = (points, closure) => {
+  for (let i = 1; i < points.length; i++) {
+    const [a, b] = [points[i - 1], points[i]];
+    const bbox = getBBox([a, b]);
+    if (!bboxesOverlap(bbox, closure.bbox)) continue;
+
+    const steps = Math.max(
+      1,
+      Math.ceil(distance(a, b) / CLOSURE_SAMPLE_SPACING)
+    );
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      const p = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+      if (pointInRing(p, closure.ring)) return true;
+    }
+  }
+  return false;
+};
+
+// Drop (or heavily penalize) edges into closed rooms and across closed
+// areas. Closures arrive already filtered to the ones in force, with any
+// drawn area projected to meters as `ring`.
+const applyClosures = (graph, closures) => {
+  if (closures.length === 0) return;
+
+  const roomClosures = closures.filter((c) => c.rooms.length > 0);
+  const areaClosures = closures
+    .filter((c) => c.ring)
+    .map((c) => ({ ...c, bbox: getBBox(c.ring) }));
+
+  // A room is closed when named directly or its centre is in a closed area
+  const closedBy = new Map();
+  graph.forEach((node, key) => {
+    const { name, floor, features } = node.room;
+    const ids = features
+      .map((f) => f.properties?.id)
+      .filter((id) => id !== undefined && id !== null);
+    const closure =
+      roomClosures.find((c) => closureCoversRoom(c, name, floor, ids)) ||
+      areaClosures.find(
+        (c) => c.floor === floor && pointInRing(node.centroid, c.ring)
+      );
+    if (closure) closedBy.set(key, closure);
+  });
+
+  let dropped = 0;
+  let penalized = 0;
+  graph.forEach((node, key) => {
+    node.neighbors = node.neighbors
+      .map((edge) => {
+        const target = graph.get(edge.key);
+        const walk = target
+          ? [node.centroid, ...edge.portals, target.centroid]
+          : [];
+        const closure =
+          closedBy.get(key) ||
+          closedBy.get(edge.key) ||
+          areaClosures.find(
+            (c) =>
+              c.floor === node.room.floor &&
+              c.floor === edge.floor &&
+              edgeCrossesArea(walk, c)
+          );
+
+        if (!closure) return edge;
+        if (closure.mode === "avoid") {
+          penalized++;
+          return {
+            ...edge,
+            distance: edge.distance * CLOSURE_PENALTY,
+            closureId: closure.id,
+          };
+        }
+        dropped++;
+        return null;
+      })
+      .filter(Boolean);
+  });
+
+  console.log(
+    `[Pathfinding] Closures: ${closedBy.size} rooms closed, ${dropped} edges removed, ${penalized} penalized`
+  );
+};
+
+// Connect the walkable rooms of a dataset through shared boundaries,
+// door/opening features and connector shafts. This is the expensive part of
+// building a graph; floors, profiles and closures are applied afterwards by
+// buildRoomGraph, so one set of connections serves every graph
+const connectRooms = (roomGroups) => {
+  const groups = Array.from(roomGroups.values());
+
+  // Split features into walkable rooms, open floor areas, walls and doors
+  const filteredRooms = groups.filter(
+    (r) => isNavigableRoom(r.name) && !isDoor(r.name)
+  );
+  const openAreas = groups.filter((r) => isOpenArea(r.name));
+  const doorFeatures = groups
+    .filter((r) => isDoor(r.name))
+    .flatMap((r) => r.features);
+  const wallGroups = groups.filter((r) => isStructure(r.name));
+
+  console.log(
+    `[Pathfinding] Graph building: ${filteredRooms.length} rooms, ${openAreas.length} open areas, ${doorFeatures.length} doors, ${wallGroups.length} wall groups`
+  );
+
+  const edges = new Map();
+  const floors = [...new Set(filteredRooms.map((r) => r.floor))];
+
+  floors.forEach((floor) => {
+    const floorRooms = filteredRooms
+      .filter((r) => r.floor === floor)
+      .map((room, index) => ({
+        ...room,
+        index,
+        parts: getFeatureParts(room.features),
+      }));
+    const floorDoors = doorFeatures.filter((d) => getRoomFloor(d) === floor);
+    const partIndex = indexRoomParts(floorRooms);
+    const wallIndex = indexParts(
+      wallGroups
+        .filter((w) => w.floor === floor)
+        .flatMap((w) => getFeatureParts(w.features))
+    );
+
+    // A room counts as door-controlled when a door feature touches it
+    floorDoors.forEach((door) => {
+      const doorBBox = getBBox(getOuterRings(door).flat());
+      partIndex.search(doorBBox, DOOR_TOLERANCE).forEach((part) => {
+        part.room.hasDoors = true;
+      });
+    });
+
+    connectThroughDoors(partIndex, floorDoors, edges);
+    connectSharedBoundaries(floorRooms, partIndex, edges);
+    connectThroughOpenAreas(
+      partIndex,
+      openAreas.filter((a) => a.floor === floor),
+      wallIndex,
+      edges
+    );
+  });
+
+  // Vertical connections through the stair, elevator and ramp shafts.
+  // Both ends must be part of the shaft - rooms never open onto another floor
+  const shafts = findConnectorShafts(filteredRooms);
+  shafts.forEach((shaft) => {
+    getShaftConnections(shaft).forEach(({ from, to, cost }) => {
+      const key = `${from.name}_F${from.floor}`;
+      const toKey = `${to.name}_F${to.floor}`;
+      if (!edges.has(key)) edges.set(key, new Map());
+      const existing = edges.get(key).get(toKey);
+      if (existing && existing.length <= cost) return;
+
+      edges.get(key).set(toKey, {
+        key: toKey,
+        name: to.name,
+        floor: to.floor,
+        distance: cost,
+        length: cost,
+        weightFactor: 1,
+        isCorridor: isCorridor(to.name),
+        portals: [],
+        via: "vertical",
+        connectorType: shaft.type,
+        shaftId: shaft.id,
+      });
+    });
+
+    // Flights and landings of one stairwell drawn apart are walked between
+    getShaftLandings(shaft).forEach(([a, b]) => {
+      const key = `${a.name}_F${a.floor}`;
+      const toKey = `${b.name}_F${b.floor}`;
+      if (edges.get(key)?.has(toKey)) return;
+      addEdge(edges, a, b, [], "stairwell");
     });
+  });
+  if (shafts.length > 0) {
+    console.log(
+      `[Pathfinding] Vertical connectors: ${shafts
+        .map((s) => `${s.id} (floors ${s.floors.join(", ")})`)
+        .join("; ")}`
+    );
+  }
+
+  return { rooms: filteredRooms, edges, shafts };
+};
+
+// Build the routing graph for one floor (or all of them), a profile, a set
+// of closures, the role routes are planned for (with the room access
+// levels it is checked against) and the rooms closed at the time from a
+// dataset's room connections
+const buildRoomGraph = (
+  connections,
+  targetFloor = null,
+  profileName = DEFAULT_PROFILE,
+  closures = [],
+  role = null,
+  roomAccess = {},
+  closedRooms = []
+) => {
+  const graph = new Map();
+  const profile = getProfile(profileName);
+
+  // A single-floor graph keeps only that floor's rooms, and every graph
+  // only the rooms its role may enter - edges to any other room are dropped
+  const rooms = connections.rooms.filter(
+    (r) =>
+      (targetFloor === null || r.floor === targetFloor) &&
+      canAccessRoom(r, role, roomAccess)
+  );
+  const keys = new Set(rooms.map((r) => `${r.name}_F${r.floor}`));
+  if (role !== null) {
+    console.log(
+      `[Pathfinding] Access for ${role}: ${
+        connections.rooms.filter(
+          (r) => !canAccessRoom(r, role, roomAccess)
+        ).length
+      } rooms off limits`
+    );
+  }
+  // Closed rooms keep their way out, so a route can still start in one,
+  // but nothing leads in - no route ends in or passes through them
+  const closed = new Set(closedRooms);
+  if (closed.size > 0) {
+    console.log(`[Pathfinding] ${closed.size} rooms closed at this time`);
+  }
 
+  rooms.forEach((room) => {
+    const key = `${room.name}_F${room.floor}`;
+    const edges = Array.from(connections.edges.get(key)?.values() || []);
     graph.set(key, {
       room,
-      neighbors,
+      neighbors: applyProfile(
+        room,
+        edges.filter((edge) => keys.has(edge.key) && !closed.has(edge.key)),
+        profile
+      ),
       centroid: room.centroid,
-      isCorridor: isRoomCorridor,
+      isCorridor: isCorridor(room.name),
     });
   });
 
+  applyClosures(graph, closures);
+
   return graph;
 };
 
-// A* pathfinding algorithm
-const aStar = (graph, startKey, endKey) => {
+// Copy of a graph with every edge into a room scaled by the room's cost
+// (see routeCosts.js). Multipliers below 1 are raised to 1 so the A*
+// heuristic never overestimates
+const applyRoomCosts = (graph, roomCost) => {
+  const multipliers = new Map();
+  graph.forEach((node, key) => {
+    const multiplier = Number(roomCost(node.room));
+    multipliers.set(
+      key,
+      Number.isFinite(multiplier) ? Math.max(1, multiplier) : Infinity
+    );
+  });
+
+  let penalized = 0;
+  const weighted = new Map();
+  graph.forEach((node, key) => {
+    weighted.set(key, {
+      ...node,
+      neighbors: node.neighbors
+        .map((edge) => {
+          const multiplier = multipliers.get(edge.key) ?? 1;
+          if (multiplier === 1) return edge;
+          // An infinite cost closes the room altogether
+          if (multiplier === Infinity) return null;
+          penalized++;
+          return {
+            ...edge,
+            distance: edge.distance * multiplier,
+            roomCost: multiplier,
+          };
+        })
+        .filter(Boolean),
+    });
+  });
+
+  console.log(
+    `[Pathfinding] Route preferences: ${penalized} edges re-weighted`
+  );
+  return weighted;
+};
+
+// A route can't avoid the rooms it starts, stops or ends in, so edges into
+// them drop their room cost - which would otherwise skew the way in
+const waiveRoomCosts = (graph, keys) => {
+  const waived = new Map(graph);
+  new Set(keys).forEach((key) => {
+    graph.get(key).neighbors.forEach(({ key: fromKey }) => {
+      const from = waived.get(fromKey);
+      if (!from?.neighbors.some((e) => e.key === key && e.roomCost)) return;
+      waived.set(fromKey, {
+        ...from,
+        neighbors: from.neighbors.map((edge) => {
+          if (edge.key !== key || !edge.roomCost) return edge;
+          const { roomCost, ...rest } = edge;
+          return { ...rest, distance: edge.distance / roomCost };
+        }),
+      });
+    });
+  });
+  return waived;
+};
+
+// Cheapest multiplier any edge can carry (corridor to corridor) - scaling
+// the straight-line heuristic by it keeps A* from overestimating
+const MIN_EDGE_WEIGHT_FACTOR = 0.8;
+
+// A* pathfinding algorithm. Exclusions let alternative-route searches
+// forbid nodes and directed edges ("from->to") already used by other routes
+const aStar = (graph, startKey, endKey, exclusions = {}) => {
+  const { blockedNodes = null, blockedEdges = null } = exclusions;
   if (!graph.has(startKey) || !graph.has(endKey)) {
     console.warn(`Start or end room not in graph`);
     return null;
   }
 
-  const openSet = new Set([startKey]);
-  const closedSet = new Set();
-  const cameFrom = new Map();
-  const gScore = new Map();
-  const fScore = new Map();
-
-  gScore.set(startKey, 0);
-
-  const startNode = graph.get(startKey);
   const endNode = graph.get(endKey);
-  const heuristic = distance(startNode.centroid, endNode.centroid);
-  fScore.set(startKey, heuristic);
+  const heuristic = (key) =>
+    distance(graph.get(key).centroid, endNode.centroid) *
+    MIN_EDGE_WEIGHT_FACTOR;
 
-  console.log(
-    `[Pathfinding] A* starting: startKey=${startKey}, endKey=${endKey}, initial_heuristic=${heuristic.toFixed(
-      6
-    )}`
-  );
+  const openSet = createMinHeap();
+  const closedSet = new Set();
+  const cameFrom = new Map();
+  const gScore = new Map([[startKey, 0]]);
+  openSet.push(startKey, heuristic(startKey));
 
   let iterations = 0;
   while (openSet.size > 0) {
+    const current = openSet.pop();
+    // A node is pushed again whenever its score improves - skip the stale copies
+    if (closedSet.has(current)) continue;
     iterations++;
 
-    // Find node in openSet with lowest fScore
-    let current = null;
-    let lowestF = Infinity;
-
-    openSet.forEach((key) => {
-      const f = fScore.get(key) || Infinity;
-      if (f < lowestF) {
-        lowestF = f;
-        current = key;
-      }
-    });
-
-    if (!current) {
-      console.warn(
-        `[Pathfinding] A* No valid current node found in iteration ${iterations}`
-      );
-      break;
-    }
-
-    if (iterations <= 5 || iterations % 10 === 0) {
-      console.log(
-        `[Pathfinding] A* iteration ${iterations}: current=${current}, f=${lowestF.toFixed(
-          6
-        )}, openSetSize=${openSet.size}`
-      );
-    }
-
     if (current === endKey) {
       // Reconstruct path
       const path = [current];
-      while (cameFrom.has(current)) {
-        current = cameFrom.get(current);
-        path.unshift(current);
+      let step = current;
+      while (cameFrom.has(step)) {
+        step = cameFrom.get(step);
+        path.unshift(step);
       }
-      console.log(
-        `[Pathfinding] A* found path! Length: ${path.length}, iterations: ${iterations}`
-      );
       return path;
     }
 
-    openSet.delete(current);
     closedSet.add(current);
 
-    const currentNode = graph.get(current);
-    if (!currentNode) {
-      console.warn(`[Pathfinding] Current node not in graph: ${current}`);
-      continue;
-    }
-
-    const currentG = gScore.has(current) ? gScore.get(current) : Infinity;
-    console.log(
-      `[Pathfinding] Processing ${current} with ${
-        currentNode.neighbors.length
-      } neighbors, gScore=${currentG.toFixed(6)}`
-    );
-
-    currentNode.neighbors.forEach((neighbor) => {
+    const currentG = gScore.get(current);
+    graph.get(current).neighbors.forEach((neighbor) => {
       if (closedSet.has(neighbor.key)) {
         return; // Skip already processed nodes
       }
+      if (
+        blockedNodes?.has(neighbor.key) ||
+        blockedEdges?.has(`${current}->${neighbor.key}`)
+      ) {
+        return;
+      }
+      if (!graph.has(neighbor.key)) {
+        console.warn(
+          `[Pathfinding] Neighbor node not in graph: ${neighbor.key}`
+        );
+        return;
+      }
 
       const tentativeGScore = currentG + neighbor.distance;
       const neighborCurrentG = gScore.has(neighbor.key)
@@ -336,421 +830,1852 @@ const aStar = (graph, startKey, endKey) => {
       if (tentativeGScore < neighborCurrentG) {
         cameFrom.set(neighbor.key, current);
         gScore.set(neighbor.key, tentativeGScore);
-
-        const neighborNode = graph.get(neighbor.key);
-        if (!neighborNode) {
-          console.warn(
-            `[Pathfinding] Neighbor node not in graph: ${neighbor.key}`
-          );
-          return;
-        }
-
-        const h = distance(neighborNode.centroid, endNode.centroid);
-        fScore.set(neighbor.key, tentativeGScore + h);
-
-        if (!openSet.has(neighbor.key)) {
-          openSet.add(neighbor.key);
-          if (iterations <= 5) {
-            console.log(
-              `[Pathfinding]   Added to openSet: ${
-                neighbor.key
-              }, g=${tentativeGScore.toFixed(6)}, h=${h.toFixed(6)}, f=${(
-                tentativeGScore + h
-              ).toFixed(6)}`
-            );
-          }
-        }
+        openSet.push(neighbor.key, tentativeGScore + heuristic(neighbor.key));
       }
     });
   }
 
   console.warn(
-    `[Pathfinding] A* failed after ${iterations} iterations, openSet.size=${openSet.size}`
+    `[Pathfinding] A* failed after ${iterations} iterations, no open nodes left`
   );
   return null; // No path found
 };
 
-// Main function to find route between rooms
-export const findRoute = (rooms, startRoom, endRoom, targetFloor = null) => {
-  // Get start and end room names
-  const startName = getRoomName(startRoom).toLowerCase();
-  const endName = getRoomName(endRoom).toLowerCase();
+// Each dataset is projected once onto a plane touching the earth at the
+// building, so graph weights, tolerances and heuristics are all in meters
+const projectedRoomsCache = new WeakMap();
+
+const getProjectedRooms = (rooms) => {
+  if (!projectedRoomsCache.has(rooms)) {
+    const projection = createLocalProjection(getFeaturesCenter(rooms));
+    const features = rooms.map((feature) => ({
+      ...feature,
+      geometry: projectGeometry(feature.geometry, projection.project),
+    }));
+    // Route points hand back the caller's own features
+    const sources = new Map(features.map((f, i) => [f, rooms[i]]));
+    projectedRoomsCache.set(rooms, { projection, features, sources });
+  }
+  return projectedRoomsCache.get(rooms);
+};
 
-  if (!startName || !endName) return null;
+// Convert route points from the local plane back to lon/lat
+const toGeographic = (rooms, path) => {
+  const { projection, sources } = getProjectedRooms(rooms);
+  return path.map((point) => ({
+    ...point,
+    coords: projection.unproject(point.coords),
+    features: point.features?.map((f) => sources.get(f) || f),
+  }));
+};
 
-  console.log("[Pathfinding] Starting route search:");
-  console.log(`  Start room: ${startName}, Floor: ${getRoomFloor(startRoom)}`);
-  console.log(`  End room: ${endName}, Floor: ${getRoomFloor(endRoom)}`);
-  console.log(`  Target floor: ${targetFloor}`);
+// Drawn closure areas are in lon/lat like the rooms were
+const projectClosures = (rooms, closures) => {
+  const { projection } = getProjectedRooms(rooms);
+  return closures.map((closure) =>
+    closure.polygon
+      ? { ...closure, ring: closure.polygon.map(projection.project) }
+      : closure
+  );
+};
 
-  // Group all features by name
-  const roomGroups = groupRoomsByName(rooms);
+/**
+ * Build the routing graph for a set of room features, without caching.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @param {number|null} targetFloor - Restrict the graph to one floor
+ * @param {string} profile - Routing profile name
+ * @param {Array<Object>} closures - Closures in force (see closures.js)
+ * @param {string|null} role - Key of ACCESS_ROLES (see accessControl.js);
+ *   rooms it can't enter are left out. Null keeps every room
+ * @param {Object} roomAccess - Room name to access level, from
+ *   loadRoomAccess (see accessControl.js)
+ * @returns {Map<string, Object>} Nodes keyed by `${name}_F${floor}`
+ */
+export const createRoomGraph = (
+  rooms,
+  targetFloor = null,
+  profile = DEFAULT_PROFILE,
+  closures = [],
+  role = null,
+  roomAccess = {}
+) => {
+  const { features } = getProjectedRooms(rooms);
+  const roomGroups = groupRoomsByName(features);
   console.log(
     `[Pathfinding] Grouped ${roomGroups.size} room groups from ${rooms.length} features`
   );
-
-  // Determine which floor to search
-  // If no target floor, try multi-floor routing
-  const searchFloor = targetFloor !== null ? targetFloor : null;
-
-  // Build graph
-  const graph = buildRoomGraph(roomGroups, searchFloor);
+  const graph = buildRoomGraph(
+    connectRooms(roomGroups),
+    targetFloor,
+    profile,
+    projectClosures(rooms, closures),
+    role,
+    roomAccess
+  );
   console.log(`[Pathfinding] Built graph with ${graph.size} nodes`);
+  return graph;
+};
 
-  // Find rooms in graph that match start and end names (case-insensitive)
-  let startKey = null;
-  let endKey = null;
-
-  graph.forEach((node, key) => {
-    const nodeName = node.room.name.toLowerCase();
-    if (nodeName === startName) {
-      startKey = key;
-    }
-    if (nodeName === endName) {
-      endKey = key;
-    }
-  });
+// Room connections are worked out once per dataset - or loaded from a
+// prebuilt graph file (see loadRouteGraph)
+const connectionsCache = new WeakMap();
 
-  if (!startKey || !endKey) {
-    console.warn(
-      `[Pathfinding] Could not find rooms: start="${startName}" (${startKey}), end="${endName}" (${endKey})`
+const getRoomConnections = (rooms) => {
+  if (!connectionsCache.has(rooms)) {
+    const roomGroups = groupRoomsByName(getProjectedRooms(rooms).features);
+    console.log(
+      `[Pathfinding] Grouped ${roomGroups.size} room groups from ${rooms.length} features`
     );
-    console.warn(
-      `[Pathfinding] Available rooms in graph:`,
-      Array.from(graph.keys()).slice(0, 20)
+    connectionsCache.set(rooms, connectRooms(roomGroups));
+  }
+  return connectionsCache.get(rooms);
+};
+
+// Keys of the rooms whose opening hours (see openingHours.js) have them
+// closed at a time. Without a time (diagnostics, evacuation) every room
+// counts as open
+const getClosedRooms = (connections, openingHours, time) => {
+  if (time === null) return [];
+  return connections.rooms
+    .filter((room) => {
+      const withHours = (room.features || []).find(
+        (f) => f.properties?.opening_hours
+      );
+      const hours = getRoomOpeningHours(
+        room.name,
+        room.floor,
+        withHours?.properties,
+        openingHours
+      );
+      return hours && !isOpenAt(hours, time);
+    })
+    .map((room) => `${room.name}_F${room.floor}`);
+};
+
+// Room graphs are cached per dataset, floor, profile, set of closures,
+// role and room access levels, closed rooms and route preferences so
+// repeated requests against the same rooms skip rebuilding them. Custom
+// cost functions can't be keyed, so graphs for them are re-weighted on
+// every request
+const graphCache = new WeakMap();
+
+const getRoomGraph = (
+  rooms,
+  targetFloor,
+  profile,
+  closures = [],
+  options = {}
+) => {
+  const {
+    role = null,
+    roomAccess = {},
+    openingHours = {},
+    time = null,
+    preferences = null,
+    costFunction = null,
+  } = options;
+  if (!graphCache.has(rooms)) graphCache.set(rooms, new Map());
+  const graphs = graphCache.get(rooms);
+  const connections = getRoomConnections(rooms);
+  const closedRooms = getClosedRooms(connections, openingHours, time);
+  const cacheKey = `${targetFloor}|${profile}|${JSON.stringify(
+    closures
+  )}|${role}|${JSON.stringify(roomAccess)}|${closedRooms.join(",")}`;
+
+  if (!graphs.has(cacheKey)) {
+    const graph = buildRoomGraph(
+      connections,
+      targetFloor,
+      profile,
+      projectClosures(rooms, closures),
+      role,
+      roomAccess,
+      closedRooms
     );
-    return null;
+    console.log(`[Pathfinding] Built graph with ${graph.size} nodes`);
+    graphs.set(cacheKey, graph);
   }
+  const graph = graphs.get(cacheKey);
 
-  console.log(`[Pathfinding] Found start room: ${startKey}`);
-  console.log(`[Pathfinding] Found end room: ${endKey}`);
+  if (costFunction) return applyRoomCosts(graph, costFunction);
 
-  const startNode = graph.get(startKey);
-  const endNode = graph.get(endKey);
+  const roomCost = createRoomCostFunction(preferences, roomAccess);
+  if (!roomCost) return graph;
 
-  console.log(`[Pathfinding] Start neighbors: ${startNode.neighbors.length}`);
-  if (startNode.neighbors.length > 0) {
-    console.log(
-      `[Pathfinding] Start neighbors list:`,
-      startNode.neighbors.map((n) => n.name).join(", ")
-    );
-  } else {
+  const weightedKey = `${cacheKey}|${JSON.stringify(preferences)}`;
+  if (!graphs.has(weightedKey)) {
+    graphs.set(weightedKey, applyRoomCosts(graph, roomCost));
+  }
+  return graphs.get(weightedKey);
+};
+
+// Prebuilt graph files (scripts/build-route-graph.js). Bump the version
+// whenever the file layout or the way rooms are connected changes, so files
+// built by older code are rebuilt instead of trusted
+export const ROUTE_GRAPH_FORMAT = "indoor-route-graph";
+export const ROUTE_GRAPH_VERSION = 1;
+
+/**
+ * Fingerprint of a dataset (FNV-1a over its features' geometry, names and
+ * floors), tying a prebuilt graph to the features it was built from. Only
+ * what the router reads is hashed, so properties the app adds on loading
+ * (such as `level` on per-floor files) don't invalidate the graph.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @returns {string} Feature count and hash, e.g. "1620-9f3a06c1"
+ */
+export const getDatasetHash = (rooms) => {
+  const text = JSON.stringify(
+    rooms.map((f) => [f.geometry, getRoomName(f), getRoomFloor(f)])
+  );
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${rooms.length}-${(hash >>> 0).toString(16).padStart(8, "0")}`;
+};
+
+/**
+ * Serialize a dataset's routing graph for a prebuilt graph file. The graph
+ * holds every floor before profiles and closures are applied; coordinates
+ * are meters on the dataset's local plane and rooms point at their features
+ * by index.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @returns {Object} JSON-ready graph with format, version, datasetHash,
+ *   metadata, nodes, edges and connectors
+ */
+export const serializeRouteGraph = (rooms) => {
+  const { projection, features } = getProjectedRooms(rooms);
+  const connections = getRoomConnections(rooms);
+  const featureIndex = new Map(features.map((f, i) => [f, i]));
+  const getKey = (room) => `${room.name}_F${room.floor}`;
+
+  const edges = [];
+  connections.edges.forEach((targets, from) => {
+    targets.forEach((edge) => edges.push({ from, ...edge }));
+  });
+
+  return {
+    format: ROUTE_GRAPH_FORMAT,
+    version: ROUTE_GRAPH_VERSION,
+    datasetHash: getDatasetHash(rooms),
+    metadata: {
+      featureCount: rooms.length,
+      nodeCount: connections.rooms.length,
+      edgeCount: edges.length,
+      floors: [...new Set(connections.rooms.map((r) => r.floor))].sort(
+        (a, b) => a - b
+      ),
+      origin: projection.origin,
+    },
+    nodes: connections.rooms.map((room) => ({
+      key: getKey(room),
+      name: room.name,
+      floor: room.floor,
+      centroid: room.centroid,
+      features: room.features.map((f) => featureIndex.get(f)),
+    })),
+    edges,
+    connectors: connections.shafts.map((shaft) => ({
+      id: shaft.id,
+      type: shaft.type,
+      floors: shaft.floors,
+      members: shaft.members.map(getKey),
+      costs: shaft.costs,
+    })),
+  };
+};
+
+/**
+ * Use a prebuilt graph for a dataset instead of building one at runtime.
+ * Files of another format version, or built from different features, are
+ * ignored and the graph is built from the rooms as usual.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @param {Object} serialized - Parsed graph file from serializeRouteGraph
+ * @returns {boolean} Whether the prebuilt graph was taken
+ */
+export const loadRouteGraph = (rooms, serialized) => {
+  if (
+    serialized?.format !== ROUTE_GRAPH_FORMAT ||
+    serialized.version !== ROUTE_GRAPH_VERSION
+  ) {
     console.warn(
-      `[Pathfinding] WARNING: Start room "${startNode.room.name}" has NO neighbors!`
+      `[Pathfinding] Prebuilt graph is not a version ${ROUTE_GRAPH_VERSION} route graph - building at runtime`
     );
+    return false;
   }
-
-  console.log(`[Pathfinding] End neighbors: ${endNode.neighbors.length}`);
-  if (endNode.neighbors.length > 0) {
+  const datasetHash = getDatasetHash(rooms);
+  if (serialized.datasetHash !== datasetHash) {
     console.log(
-      `[Pathfinding] End neighbors list:`,
-      endNode.neighbors.map((n) => n.name).join(", ")
-    );
-  } else {
-    console.warn(
-      `[Pathfinding] WARNING: End room "${endNode.room.name}" has NO neighbors!`
+      `[Pathfinding] Prebuilt graph is for dataset ${serialized.datasetHash}, not ${datasetHash} - building at runtime`
     );
+    return false;
   }
 
-  console.log(
-    `[Pathfinding] Distance between start and end: ${distance(
-      startNode.centroid,
-      endNode.centroid
-    ).toFixed(6)} degrees`
+  const { features } = getProjectedRooms(rooms);
+  const roomsByKey = new Map(
+    serialized.nodes.map((node) => [
+      node.key,
+      {
+        name: node.name,
+        floor: node.floor,
+        features: node.features.map((index) => features[index]),
+        centroid: node.centroid,
+      },
+    ])
   );
 
-  // Run A* algorithm
-  const pathKeys = aStar(graph, startKey, endKey);
+  const edges = new Map();
+  serialized.edges.forEach(({ from, ...edge }) => {
+    if (!edges.has(from)) edges.set(from, new Map());
+    edges.get(from).set(edge.key, edge);
+  });
 
-  if (!pathKeys) {
-    console.warn("No path found between rooms");
-    return null;
-  }
+  connectionsCache.set(rooms, {
+    rooms: Array.from(roomsByKey.values()),
+    edges,
+    shafts: serialized.connectors.map((connector) => ({
+      ...connector,
+      members: connector.members.map((key) => roomsByKey.get(key)),
+    })),
+  });
+  // Graphs built before the file arrived came from runtime connections
+  graphCache.delete(rooms);
 
-  // Convert path to coordinate arrays for visualization
-  const pathCoords = pathKeys.map((key) => {
-    const node = graph.get(key);
-    return {
-      coords: node.centroid,
-      floor: node.room.floor,
-      name: node.room.name,
-      features: node.room.features,
-      isCorridor: node.isCorridor,
-    };
-  });
+  console.log(
+    `[Pathfinding] Loaded prebuilt graph: ${serialized.nodes.length} nodes, ${serialized.edges.length} edges`
+  );
+  return true;
+};
+
+/**
+ * Connectivity report for a dataset's routing graph (see
+ * graphDiagnostics.js), on the same graph route searches use.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @param {Object} options - targetFloor, profile, closures, time, role and
+ *   roomAccess
+ * @returns {Object} Report from diagnoseGraph
+ */
+export const diagnoseRouteGraph = (rooms, options = {}) => {
+  const {
+    targetFloor = null,
+    profile = DEFAULT_PROFILE,
+    closures = [],
+    time = Date.now(),
+    role = null,
+    roomAccess = {},
+  } = options;
+  return diagnoseGraph(
+    getRoomGraph(
+      rooms,
+      targetFloor,
+      profile,
+      getActiveClosures(closures, time),
+      { role, roomAccess }
+    )
+  );
+};
+
+/**
+ * Floors a routing profile can get to from a floor through the stairs,
+ * elevators and ramps it may use. Closures and access are left out, so a
+ * floor missing from the list has no connector for the profile at all -
+ * e.g. no elevator or ramp for wheelchair routes.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @param {number} floor - Floor to start from
+ * @param {string} profile - Routing profile name
+ * @returns {Array<number>} Floors in order, including the starting one
+ */
+export const getReachableFloors = (
+  rooms,
+  floor,
+  profile = DEFAULT_PROFILE
+) => {
+  const { allowedConnectors } = getProfile(profile);
+  const shafts = getRoomConnections(rooms).shafts.filter(
+    (shaft) => !allowedConnectors || allowedConnectors.includes(shaft.type)
+  );
+
+  // Each shaft that stops on a floor reached so far reaches all its floors
+  const reached = new Set([floor]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    shafts.forEach((shaft) => {
+      if (!shaft.floors.some((f) => reached.has(f))) return;
+      shaft.floors.forEach((f) => {
+        if (reached.has(f)) return;
+        reached.add(f);
+        grew = true;
+      });
+    });
+  }
+  return [...reached].sort((a, b) => a - b);
+};
+
+/**
+ * Find a route between two locations - room features, or points made with
+ * createPointLocation that are snapped onto the walkable space of their
+ * floor.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @param {Object} startRoom - Start room feature or point location
+ * @param {Object} endRoom - End room feature or point location
+ * @param {number|null} targetFloor - Restrict the search to one floor
+ * @param {Object} options - profile, closures, time and onProgress
+ * @param {string|null} options.role - Key of ACCESS_ROLES (see
+ *   accessControl.js); the route keeps out of rooms it can't enter. Null
+ *   (the default) goes anywhere
+ * @param {Object} options.roomAccess - Room name to access level, from
+ *   loadRoomAccess, for rooms whose properties don't give one
+ * @param {Object} options.openingHours - Room name to OSM opening_hours
+ *   (see openingHours.js), on top of rooms' own opening_hours properties.
+ *   Rooms closed at options.time are never passed through or routed to
+ * @param {Object} options.preferences - Route preference weights by factor
+ *   (see routeCosts.js), e.g. {crowds: 3} to steer around busy rooms
+ * @param {Function} options.costFunction - Custom (room) => multiplier for
+ *   edges into each room ({name, floor, features}), used instead of
+ *   preferences. Infinity keeps the route out of a room
+ * @returns {Array<Object>|null} Route points in lon/lat
+ */
+export const findRoute = (
+  rooms,
+  startRoom,
+  endRoom,
+  targetFloor = null,
+  options = {}
+) => {
+  const {
+    profile = DEFAULT_PROFILE,
+    closures = [],
+    time = Date.now(),
+    role = null,
+    roomAccess = {},
+    openingHours = {},
+    preferences = null,
+    costFunction = null,
+    onProgress = () => {},
+  } = options;
+
+  // Get start and end room names
+  const startName = getRoomName(startRoom).toLowerCase();
+  const endName = getRoomName(endRoom).toLowerCase();
+
+  if (!startName || !endName) return null;
+
+  console.log("[Pathfinding] Starting route search:");
+  console.log(`  Start room: ${startName}, Floor: ${getRoomFloor(startRoom)}`);
+  console.log(`  End room: ${endName}, Floor: ${getRoomFloor(endRoom)}`);
+  console.log(`  Target floor: ${targetFloor}`);
+  console.log(`  Profile: ${profile}`);
+
+  // Determine which floor to search
+  // If no target floor, try multi-floor routing
+  const searchFloor = targetFloor !== null ? targetFloor : null;
+
+  // Build (or reuse) the graph
+  onProgress("graph");
+  const graph = getRoomGraph(
+    rooms,
+    searchFloor,
+    profile,
+    getActiveClosures(closures, time),
+    { role, roomAccess, openingHours, time, preferences, costFunction }
+  );
+
+  // Resolve rooms to their graph nodes and snap clicked points onto the
+  // walkable space of their floor
+  const endpoints = attachLocations(rooms, graph, [startRoom, endRoom]);
+  if (!endpoints) return null;
+  const routeGraph = waiveRoomCosts(endpoints.graph, endpoints.keys);
+  const [startKey, endKey] = endpoints.keys;
+
+  console.log(`[Pathfinding] Found start: ${startKey}`);
+  console.log(`[Pathfinding] Found end: ${endKey}`);
+
+  const startNode = routeGraph.get(startKey);
+  const endNode = routeGraph.get(endKey);
+
+  console.log(`[Pathfinding] Start neighbors: ${startNode.neighbors.length}`);
+  if (startNode.neighbors.length === 0) {
+    console.warn(
+      `[Pathfinding] WARNING: Start "${startNode.room.name}" has NO neighbors! Run the graph diagnostics to see what it is cut off from`
+    );
+  }
 
   console.log(
-    `[Pathfinding] Raw path: ${pathCoords.map((p) => p.name).join(" -> ")}`
+    `[Pathfinding] Distance between start and end: ${distance(
+      startNode.centroid,
+      endNode.centroid
+    ).toFixed(1)} m`
   );
 
-  // Add corridor waypoints for smoother, more realistic paths
-  const enhancedPath = addCorridorWaypoints(pathCoords);
+  // Run A* algorithm
+  onProgress("search");
+  const pathKeys = aStar(routeGraph, startKey, endKey);
+
+  if (!pathKeys) {
+    console.warn("No path found between rooms");
+    return null;
+  }
+
+  // Convert path to coordinate arrays for visualization
+  const pathCoords = buildPathCoords(routeGraph, pathKeys);
+
+  // Walk between doorways along the navigation mesh instead of straight lines
+  onProgress("smoothing");
+  const smoothPath = toGeographic(
+    rooms,
+    smoothPathWithNavMesh(rooms, pathCoords)
+  );
 
   console.log(
-    `[Pathfinding] Enhanced path with ${enhancedPath.length} waypoints`
+    `[Pathfinding] Path: ${pathKeys.join(" -> ")} (${
+      smoothPath.length
+    } points including doorways)`
   );
 
-  return enhancedPath;
+  return smoothPath;
 };
 
-// Get boundary points of a room (for corridor edge routing)
-const getRoomBoundaryPoints = (room, targetPoint) => {
-  const coords = [];
+// Find the graph node for a room, preferring the copy on the room's own floor
+const findRoomKey = (graph, room) => {
+  const name = getRoomName(room).toLowerCase();
+  const sameFloorKey = `${getRoomName(room)}_F${getRoomFloor(room)}`;
+  if (graph.has(sameFloorKey)) return sameFloorKey;
 
-  room.features.forEach((feature) => {
-    if (feature.geometry.type === "Polygon") {
-      coords.push(...feature.geometry.coordinates[0]);
-    } else if (feature.geometry.type === "MultiPolygon") {
-      coords.push(...feature.geometry.coordinates[0][0]);
-    } else if (feature.geometry.type === "LineString") {
-      coords.push(...feature.geometry.coordinates);
-    }
+  let match = null;
+  graph.forEach((node, key) => {
+    if (!match && node.room.name.toLowerCase() === name) match = key;
   });
+  return match;
+};
 
-  if (coords.length === 0) return null;
+// Openings onto the floor area a clicked point is tied to, nearest first
+const MAX_POINT_LINKS = 6;
+
+/**
+ * Create a location for routing from or to an arbitrary point. It is a
+ * GeoJSON point feature, so it travels anywhere a room feature does.
+ *
+ * @param {Array<number>} coordinates - [lon, lat]
+ * @param {number} floor - Floor the point is on
+ * @param {string} name - Label shown in directions
+ * @returns {Object} Point feature
+ */
+export const createPointLocation = (coordinates, floor, name) => ({
+  type: "Feature",
+  geometry: { type: "Point", coordinates: coordinates.slice(0, 2) },
+  properties: { name: name || `Point on Floor ${floor}`, floor },
+});
+
+export const isPointLocation = (location) =>
+  location?.geometry?.type === "Point";
+
+// Length of a navmesh walk, or Infinity when there is none
+const getWalkLength = (mesh, from, to) => {
+  const walk = findNavMeshPath(mesh, from, to);
+  if (!walk) return Infinity;
+  let length = 0;
+  for (let i = 1; i < walk.length; i++) {
+    length += distance(walk[i - 1].coords, walk[i].coords);
+  }
+  return length;
+};
 
-  // Find the point on the boundary closest to the target
-  let closestPoint = coords[0];
-  let minDist = distance(coords[0], targetPoint);
+// Work out how a point on a floor joins the room graph. Inside a room it
+// joins that room; on the open floor area it joins the nearest room
+// openings it can walk to.
+const linkPoint = (rooms, graph, point, floor) => {
+  const floorNodes = Array.from(graph.entries()).filter(
+    ([, node]) => node.room.floor === floor
+  );
 
-  coords.forEach((coord) => {
-    const dist = distance(coord, targetPoint);
-    if (dist < minDist) {
-      minDist = dist;
-      closestPoint = coord;
-    }
+  const containing = floorNodes.find(([, node]) =>
+    node.room.features.some((feature) =>
+      getOuterRings(feature).some((ring) => pointInRing(point, ring))
+    )
+  );
+  if (containing) {
+    const [key, node] = containing;
+    return {
+      coords: point,
+      features: [
+        node.room.features.find((feature) =>
+          getOuterRings(feature).some((ring) => pointInRing(point, ring))
+        ),
+      ],
+      links: [
+        { key, node, portals: [], length: distance(point, node.centroid) },
+      ],
+    };
+  }
+
+  // Snap onto the walkable floor area
+  const mesh = getNavMesh(rooms, floor);
+  const located = locateOnNavMesh(mesh, point);
+  const snapped = located ? located.point : point;
+  const features = located ? [mesh.triangles[located.triangle].feature] : [];
+
+  // Each room's own openings onto the floor area
+  const openings = [];
+  floorNodes.forEach(([key, node]) => {
+    node.neighbors
+      .filter((edge) => edge.via === "open-area")
+      .forEach((edge) => {
+        const opening = edge.portals[0];
+        if (!openings.some((o) => o.key === key && o.opening === opening)) {
+          openings.push({ key, node, opening });
+        }
+      });
   });
 
-  return closestPoint;
+  const links = openings
+    .map((o) => ({ ...o, straight: distance(snapped, o.opening) }))
+    .sort((a, b) => a.straight - b.straight)
+    .slice(0, MAX_POINT_LINKS)
+    .map(({ key, node, opening }) => ({
+      key,
+      node,
+      portals: [opening],
+      length:
+        getWalkLength(mesh, snapped, opening) +
+        distance(opening, node.centroid),
+    }))
+    .filter((link) => Number.isFinite(link.length));
+
+  // Floors without openings: fall back to the closest rooms
+  if (links.length === 0) {
+    floorNodes
+      .map(([key, node]) => ({
+        key,
+        node,
+        portals: [],
+        length: distance(snapped, node.centroid),
+      }))
+      .sort((a, b) => a.length - b.length)
+      .slice(0, 3)
+      .forEach((link) => links.push(link));
+  }
+
+  return { coords: snapped, features, links, mesh };
 };
 
-// Get edges/boundary segments of a room
-const getRoomEdges = (room) => {
-  const allCoords = [];
+const createPointEdge = (key, name, floor, length, portals) => ({
+  key,
+  name,
+  floor,
+  distance: length,
+  length,
+  weightFactor: 1,
+  isCorridor: false,
+  portals,
+  via: "point",
+});
+
+/**
+ * Resolve route locations to graph keys. Rooms map to their node; points
+ * get a temporary node linked into a copy of the graph, so the cached graph
+ * is never modified.
+ *
+ * @returns {{graph: Map, keys: Array<string>}|null} null when a room is
+ *   missing from the graph
+ */
+const attachLocations = (rooms, graph, locations) => {
+  if (!locations.some(isPointLocation)) {
+    const keys = locations.map((location) => findRoomKey(graph, location));
+    const missing = locations.filter((_, i) => !keys[i]);
+    if (missing.length > 0) {
+      console.warn(
+        "[Pathfinding] Could not find rooms:",
+        missing.map(getRoomName)
+      );
+      return null;
+    }
+    return { graph, keys };
+  }
 
-  room.features.forEach((feature) => {
-    if (feature.geometry.type === "Polygon") {
-      allCoords.push(...feature.geometry.coordinates[0]);
-    } else if (feature.geometry.type === "MultiPolygon") {
-      allCoords.push(...feature.geometry.coordinates[0][0]);
-    } else if (feature.geometry.type === "LineString") {
-      allCoords.push(...feature.geometry.coordinates);
+  const { projection } = getProjectedRooms(rooms);
+  const routeGraph = new Map(graph);
+  // Copy a node before giving it extra edges
+  const extendNode = (key, edges) => {
+    const node = routeGraph.get(key);
+    routeGraph.set(key, { ...node, neighbors: [...node.neighbors, ...edges] });
+  };
+
+  const points = [];
+  const keys = [];
+  for (let i = 0; i < locations.length; i++) {
+    const location = locations[i];
+    if (!isPointLocation(location)) {
+      const key = findRoomKey(graph, location);
+      if (!key) {
+        console.warn(
+          `[Pathfinding] Could not find room: ${getRoomName(location)}`
+        );
+        return null;
+      }
+      keys.push(key);
+      continue;
     }
+
+    const floor = getRoomFloor(location);
+    const name = getRoomName(location);
+    const point = projection.project(location.geometry.coordinates);
+    const link = linkPoint(rooms, graph, point, floor);
+    const key = `__point_${i}`;
+
+    routeGraph.set(key, {
+      room: {
+        name,
+        floor,
+        features: link.features,
+        centroid: link.coords,
+      },
+      neighbors: link.links.map((l) =>
+        createPointEdge(l.key, l.node.room.name, floor, l.length, l.portals)
+      ),
+      centroid: link.coords,
+      isCorridor: false,
+    });
+    link.links.forEach((l) =>
+      extendNode(l.key, [
+        createPointEdge(key, name, floor, l.length, [...l.portals].reverse()),
+      ])
+    );
+
+    // Two points on one floor area can walk straight to each other
+    points.forEach((other) => {
+      if (other.floor !== floor || !link.mesh) return;
+      const length = getWalkLength(link.mesh, link.coords, other.coords);
+      if (!Number.isFinite(length)) return;
+      extendNode(key, [
+        createPointEdge(other.key, other.name, floor, length, []),
+      ]);
+      extendNode(other.key, [createPointEdge(key, name, floor, length, [])]);
+    });
+
+    points.push({ key, name, floor, coords: link.coords });
+    keys.push(key);
+    console.log(
+      `[Pathfinding] Snapped ${name} to the walkable area with ${link.links.length} links`
+    );
+  }
+
+  return { graph: routeGraph, keys };
+};
+
+// Total cost of a path of graph keys
+const getPathCost = (graph, pathKeys) => {
+  let cost = 0;
+  for (let i = 1; i < pathKeys.length; i++) {
+    const edge = graph
+      .get(pathKeys[i - 1])
+      .neighbors.find((n) => n.key === pathKeys[i]);
+    cost += edge ? edge.distance : Infinity;
+  }
+  return cost;
+};
+
+// How much room costs add to a path, as a factor of its unweighted cost
+const getRoomCostFactor = (graph, pathKeys) => {
+  let plain = 0;
+  let weighted = 0;
+  for (let i = 1; i < pathKeys.length; i++) {
+    const edge = graph
+      .get(pathKeys[i - 1])
+      .neighbors.find((n) => n.key === pathKeys[i]);
+    if (!edge) continue;
+    weighted += edge.distance;
+    plain += edge.distance / (edge.roomCost || 1);
+  }
+  return plain > 0 ? weighted / plain : 1;
+};
+
+// Walking distance of a path of graph keys along the navigation mesh (m)
+const getWalkDistance = (rooms, graph, pathKeys) =>
+  calculateRouteStats(
+    toGeographic(
+      rooms,
+      smoothPathWithNavMesh(rooms, buildPathCoords(graph, pathKeys))
+    )
+  ).totalDistance;
+
+// Why a route chosen under route preferences differs from the plain
+// shortest one: the penalized rooms it steers around, those it still has
+// to cross and how much further it walks. Routes and the shortest path are
+// {graph, keys, distance}. Start and end rooms can't be avoided and aren't
+// listed
+const explainRoute = (route, shortest, weights, roomAccess = {}) => {
+  const getPenalizedRooms = ({ graph, keys }) => {
+    const rooms = new Map();
+    keys.slice(1, -1).forEach((key) => {
+      const node = graph.get(key);
+      if (rooms.has(key) || key.startsWith("__point_")) return;
+      const reasons = getRoomCostReasons(node.room, weights, roomAccess);
+      if (reasons.length === 0) return;
+      rooms.set(key, { name: node.room.name, floor: node.room.floor, reasons });
+    });
+    return rooms;
+  };
+
+  const onRoute = new Set(route.keys);
+  const avoided = Array.from(getPenalizedRooms(shortest)).filter(
+    ([key]) => !onRoute.has(key)
+  );
+
+  return {
+    weights: getActiveWeights(weights),
+    avoided: avoided.map(([, room]) => room),
+    crossed: Array.from(getPenalizedRooms(route).values()),
+    extraDistance: Math.max(0, route.distance - shortest.distance),
+  };
+};
+
+// Largest number of intermediate stops solved exactly - beyond this the
+// Held-Karp table gets too big and a greedy tour is used instead
+const MAX_EXACT_STOPS = 10;
+
+// Order the intermediate stops to minimise total cost. The first and last
+// stops stay fixed; costs[i][j] is the cost of walking from stop i to stop j.
+const optimizeStopOrder = (costs) => {
+  const n = costs.length;
+  const last = n - 1;
+  const middle = Array.from({ length: n - 2 }, (_, i) => i + 1);
+
+  if (middle.length <= 1) return [0, ...middle, last];
+
+  if (middle.length > MAX_EXACT_STOPS) {
+    // Nearest neighbour from the start
+    const order = [0];
+    const remaining = new Set(middle);
+    while (remaining.size > 0) {
+      const from = order[order.length - 1];
+      let best = null;
+      remaining.forEach((stop) => {
+        if (best === null || costs[from][stop] < costs[from][best]) {
+          best = stop;
+        }
+      });
+      order.push(best);
+      remaining.delete(best);
+    }
+    order.push(last);
+    return order;
+  }
+
+  // Held-Karp over subsets of the intermediate stops: best[mask][k] is the
+  // cheapest way to leave the start, visit the stops in mask and end at k
+  const m = middle.length;
+  const full = (1 << m) - 1;
+  const best = Array.from({ length: full + 1 }, () => new Array(m).fill(Infinity));
+  const parent = Array.from({ length: full + 1 }, () => new Array(m).fill(-1));
+
+  for (let k = 0; k < m; k++) {
+    best[1 << k][k] = costs[0][middle[k]];
+  }
+
+  for (let mask = 1; mask <= full; mask++) {
+    for (let k = 0; k < m; k++) {
+      if (!(mask & (1 << k)) || best[mask][k] === Infinity) continue;
+      for (let j = 0; j < m; j++) {
+        if (mask & (1 << j)) continue;
+        const nextMask = mask | (1 << j);
+        const cost = best[mask][k] + costs[middle[k]][middle[j]];
+        if (cost < best[nextMask][j]) {
+          best[nextMask][j] = cost;
+          parent[nextMask][j] = k;
+        }
+      }
+    }
+  }
+
+  let end = -1;
+  let bestCost = Infinity;
+  for (let k = 0; k < m; k++) {
+    const cost = best[full][k] + costs[middle[k]][last];
+    if (cost < bestCost) {
+      bestCost = cost;
+      end = k;
+    }
+  }
+  if (end === -1) return [0, ...middle, last];
+
+  const order = [];
+  let mask = full;
+  while (end !== -1) {
+    order.unshift(middle[end]);
+    const previous = parent[mask][end];
+    mask &= ~(1 << end);
+    end = previous;
+  }
+  return [0, ...order, last];
+};
+
+/**
+ * Find one continuous route through an ordered list of rooms.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @param {Array<Object>} stops - Start room, intermediate stops, end room
+ * @param {number|null} targetFloor - Restrict the search to one floor
+ * @param {Object} options
+ * @param {string} options.profile - Routing profile name
+ * @param {boolean} options.optimizeOrder - Reorder the intermediate stops
+ *   to minimise the total walk (start and end stay fixed)
+ * @param {Array<Object>} options.closures - Closures to route around
+ * @param {number} options.time - When the route is walked (for closures
+ *   and opening hours)
+ * @param {Object} options.openingHours - Room name to opening_hours (see
+ *   findRoute)
+ * @param {string|null} options.role - Role whose access applies (see
+ *   findRoute)
+ * @param {Object} options.roomAccess - Room access levels (see findRoute)
+ * @param {Object} options.preferences - Route preference weights (see
+ *   findRoute)
+ * @param {Function} options.costFunction - Custom room cost (see findRoute)
+ * @param {Function} options.onProgress - Called with "graph", "search" and
+ *   "smoothing" as the search moves through its stages
+ * @returns {{path: Array<Object>, stops: Array<Object>,
+ *   explanation?: Object}|null} Route points tagged with their leg index,
+ *   the stops in the order visited and, under route preferences, what the
+ *   route avoids compared with the shortest one
+ */
+export const findMultiStopRoute = (
+  rooms,
+  stops,
+  targetFloor = null,
+  options = {}
+) => {
+  const {
+    profile = DEFAULT_PROFILE,
+    optimizeOrder = false,
+    closures = [],
+    time = Date.now(),
+    role = null,
+    roomAccess = {},
+    openingHours = {},
+    preferences = null,
+    costFunction = null,
+    onProgress = () => {},
+  } = options;
+
+  if (!stops || stops.length < 2) return null;
+
+  console.log(
+    `[Pathfinding] Multi-stop route through ${stops.length} stops (optimize: ${optimizeOrder})`
+  );
+
+  onProgress("graph");
+  const activeClosures = getActiveClosures(closures, time);
+  const baseGraph = getRoomGraph(rooms, targetFloor, profile, activeClosures, {
+    role,
+    roomAccess,
+    openingHours,
+    time,
+    preferences,
+    costFunction,
   });
 
-  return allCoords;
+  // Stops may be rooms or clicked points
+  const attached = attachLocations(rooms, baseGraph, stops);
+  if (!attached) return null;
+  const { keys } = attached;
+  const graph = waiveRoomCosts(attached.graph, keys);
+
+  // Route every pair of stops once and reuse the legs
+  const legCache = new Map();
+  const getLeg = (i, j) => {
+    const cacheKey = `${i}->${j}`;
+    if (!legCache.has(cacheKey)) {
+      legCache.set(
+        cacheKey,
+        keys[i] === keys[j] ? [keys[i]] : aStar(graph, keys[i], keys[j])
+      );
+    }
+    return legCache.get(cacheKey);
+  };
+
+  onProgress("search");
+  let order = stops.map((_, i) => i);
+  if (optimizeOrder && stops.length > 3) {
+    const costs = stops.map((_, i) =>
+      stops.map((_, j) => {
+        if (i === j) return 0;
+        const leg = getLeg(i, j);
+        return leg ? getPathCost(graph, leg) : Infinity;
+      })
+    );
+    order = optimizeStopOrder(costs);
+    console.log(`[Pathfinding] Optimized stop order: ${order.join(", ")}`);
+  }
+
+  onProgress("smoothing");
+  const path = [];
+  const routeKeys = [];
+  for (let leg = 0; leg < order.length - 1; leg++) {
+    const legKeys = getLeg(order[leg], order[leg + 1]);
+    if (!legKeys) {
+      console.warn(
+        `[Pathfinding] No path for leg ${leg + 1}: ${keys[order[leg]]} -> ${
+          keys[order[leg + 1]]
+        }`
+      );
+      return null;
+    }
+    routeKeys.push(...(leg > 0 ? legKeys.slice(1) : legKeys));
+
+    const legPath = smoothPathWithNavMesh(
+      rooms,
+      buildPathCoords(graph, legKeys)
+    ).map((point) => ({ ...point, leg }));
+
+    // Each stop closes one leg and opens the next - keep a single copy
+    if (path.length > 0) legPath.shift();
+    if (legPath.length === 0) continue;
+    legPath[legPath.length - 1] = {
+      ...legPath[legPath.length - 1],
+      isStop: true,
+      stopIndex: leg + 1,
+    };
+    path.push(...legPath);
+  }
+
+  const result = {
+    path: toGeographic(rooms, path),
+    stops: order.map((i) => stops[i]),
+  };
+
+  // Compare with the shortest walk through the stops in the same order
+  if (!costFunction && getActiveWeights(preferences)) {
+    const shortest = attachLocations(
+      rooms,
+      getRoomGraph(rooms, targetFloor, profile, activeClosures, {
+        role,
+        roomAccess,
+        openingHours,
+        time,
+      }),
+      stops
+    );
+    const shortestKeys = [];
+    for (let leg = 0; leg < order.length - 1; leg++) {
+      const from = shortest.keys[order[leg]];
+      const to = shortest.keys[order[leg + 1]];
+      const legKeys =
+        from === to ? [from] : aStar(shortest.graph, from, to) || [];
+      shortestKeys.push(...(leg > 0 ? legKeys.slice(1) : legKeys));
+    }
+    result.explanation = explainRoute(
+      {
+        graph,
+        keys: routeKeys,
+        distance: calculateRouteStats(result.path).totalDistance,
+      },
+      {
+        graph: shortest.graph,
+        keys: shortestKeys,
+        distance: getWalkDistance(rooms, shortest.graph, shortestKeys),
+      },
+      preferences,
+      roomAccess
+    );
+  }
+
+  return result;
 };
 
-// Get multiple evenly spaced points along a corridor using edge-based routing
-const getCorridorPathPoints = (room, fromPoint, toPoint, numPoints = 2) => {
-  const edges = getRoomEdges(room);
+// Loopless paths Yen's algorithm generates before giving up on finding
+// enough distinct alternatives
+const MAX_ROUTE_CANDIDATES = 25;
+// Share of an alternative's walk that may run alongside a better route
+const MAX_ROUTE_OVERLAP = 0.6;
+// Two walks closer than this (meters) count as the same way through
+const ROUTE_OVERLAP_RADIUS = 2;
+// Spacing of the points sampled along a walk to measure overlap
+const OVERLAP_SAMPLE_SPACING = 1;
+
+// Yen's k-shortest loopless paths between two graph keys, cheapest first
+const findKShortestPaths = (graph, startKey, endKey, k) => {
+  const first = aStar(graph, startKey, endKey);
+  if (!first) return [];
+
+  const accepted = [first];
+  const candidates = [];
+  const seen = new Set([first.join("|")]);
+
+  while (accepted.length < k) {
+    const previous = accepted[accepted.length - 1];
+
+    // Branch off the previous path at every node in turn
+    for (let i = 0; i < previous.length - 1; i++) {
+      const rootPath = previous.slice(0, i + 1);
+
+      // Leave the root by a different edge than every path sharing it
+      const blockedEdges = new Set();
+      accepted.forEach((path) => {
+        if (rootPath.every((key, j) => path[j] === key) && path[i + 1]) {
+          blockedEdges.add(`${path[i]}->${path[i + 1]}`);
+        }
+      });
+      const blockedNodes = new Set(rootPath.slice(0, -1));
 
-  if (edges.length < 3) return [];
+      const spur = aStar(graph, previous[i], endKey, {
+        blockedNodes,
+        blockedEdges,
+      });
+      if (!spur) continue;
 
-  // Find entry and exit points on corridor boundary
-  const entryPoint = getRoomBoundaryPoints(room, fromPoint);
-  const exitPoint = getRoomBoundaryPoints(room, toPoint);
+      const keys = [...rootPath.slice(0, -1), ...spur];
+      const id = keys.join("|");
+      if (seen.has(id)) continue;
+      seen.add(id);
+      candidates.push({ keys, cost: getPathCost(graph, keys) });
+    }
 
-  if (!entryPoint || !exitPoint) return [];
+    if (candidates.length === 0) break;
+    candidates.sort((a, b) => a.cost - b.cost);
+    accepted.push(candidates.shift().keys);
+  }
 
-  // Find indices of entry and exit in edge array
-  let entryIdx = 0;
-  let exitIdx = edges.length - 1;
-  let minEntryDist = Infinity;
-  let minExitDist = Infinity;
+  return accepted;
+};
 
-  edges.forEach((coord, idx) => {
-    const distToEntry = distance(coord, entryPoint);
-    const distToExit = distance(coord, exitPoint);
+// Points every OVERLAP_SAMPLE_SPACING meters along a projected walk
+const sampleWalk = (path) => {
+  const samples = [];
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1];
+    const to = path[i];
+    if (from.floor !== to.floor) continue;
+
+    const length = distance(from.coords, to.coords);
+    const steps = Math.max(1, Math.ceil(length / OVERLAP_SAMPLE_SPACING));
+    for (let s = 0; s < steps; s++) {
+      const t = s / steps;
+      samples.push({
+        floor: from.floor,
+        coords: [
+          from.coords[0] + (to.coords[0] - from.coords[0]) * t,
+          from.coords[1] + (to.coords[1] - from.coords[1]) * t,
+        ],
+      });
+    }
+  }
+  return samples;
+};
 
-    if (distToEntry < minEntryDist) {
-      minEntryDist = distToEntry;
-      entryIdx = idx;
+// Fraction of a walk that runs within ROUTE_OVERLAP_RADIUS of another
+const getWalkOverlap = (samples, other) => {
+  if (samples.length === 0) return 1;
+
+  const shared = samples.filter(({ floor, coords }) => {
+    for (let i = 1; i < other.length; i++) {
+      const a = other[i - 1];
+      const b = other[i];
+      if (a.floor !== floor || b.floor !== floor) continue;
+      const gap = pointToSegmentDistance(coords, a.coords, b.coords);
+      if (gap <= ROUTE_OVERLAP_RADIUS) return true;
     }
-    if (distToExit < minExitDist) {
-      minExitDist = distToExit;
-      exitIdx = idx;
+    return false;
+  });
+  return shared.length / samples.length;
+};
+
+// Describe what sets each route apart from the others
+const labelRoutes = (routes) => {
+  const fastest = Math.min(...routes.map((r) => r.estimatedTime));
+  const shortest = Math.min(...routes.map((r) => r.distance));
+  const fewestChanges = Math.min(...routes.map((r) => r.floorChanges));
+  const changesVary = routes.some((r) => r.floorChanges !== fewestChanges);
+
+  routes.forEach((route) => {
+    if (route.estimatedTime === fastest) route.labels.push("Fastest");
+    if (route.distance === shortest) route.labels.push("Shortest");
+    if (changesVary && route.floorChanges === fewestChanges) {
+      route.labels.push("Fewest floor changes");
     }
+    if (route.labels.length === 0) route.labels.push("Alternative");
   });
+};
 
-  // Create waypoints along the edges from entry to exit
-  const waypoints = [];
+/**
+ * Find several meaningfully different routes between two rooms.
+ * Candidates come from Yen's k-shortest paths over the room graph; any
+ * whose walk mostly retraces a better route is dropped.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @param {Object} startRoom - Start room feature
+ * @param {Object} endRoom - End room feature
+ * @param {number|null} targetFloor - Restrict the search to one floor
+ * @param {Object} options
+ * @param {string} options.profile - Routing profile name
+ * @param {number} options.count - Most routes to return
+ * @param {Array<Object>} options.closures - Closures to route around
+ * @param {number} options.time - When the route is walked (for closures
+ *   and opening hours)
+ * @param {Object} options.openingHours - Room name to opening_hours (see
+ *   findRoute)
+ * @param {string|null} options.role - Role whose access applies (see
+ *   findRoute)
+ * @param {Object} options.roomAccess - Room access levels (see findRoute)
+ * @param {Object} options.preferences - Route preference weights (see
+ *   findRoute)
+ * @param {Function} options.costFunction - Custom room cost (see findRoute)
+ * @param {Function} options.onProgress - Called with each search stage
+ * @returns {Array<Object>} Routes ranked by estimated time - scaled up by
+ *   the room costs along them when preferences or a cost function apply -
+ *   each with its path, distance (m), estimatedTime (s), floorChanges and
+ *   labels such as "Fastest", "Shortest" or "Fewest floor changes". Under
+ *   preferences each also has an explanation of what it avoids compared
+ *   with the shortest route
+ */
+export const findAlternativeRoutes = (
+  rooms,
+  startRoom,
+  endRoom,
+  targetFloor = null,
+  options = {}
+) => {
+  const {
+    profile = DEFAULT_PROFILE,
+    count = 3,
+    closures = [],
+    time = Date.now(),
+    role = null,
+    roomAccess = {},
+    openingHours = {},
+    preferences = null,
+    costFunction = null,
+    onProgress = () => {},
+  } = options;
+  const isWeighted = Boolean(costFunction || getActiveWeights(preferences));
+
+  onProgress("graph");
+  const activeClosures = getActiveClosures(closures, time);
+  const baseGraph = getRoomGraph(rooms, targetFloor, profile, activeClosures, {
+    role,
+    roomAccess,
+    openingHours,
+    time,
+    preferences,
+    costFunction,
+  });
 
-  if (entryIdx === exitIdx) {
-    // Same edge, simple interpolation
-    for (let i = 1; i <= numPoints; i++) {
-      const t = i / (numPoints + 1);
-      waypoints.push([
-        entryPoint[0] + (exitPoint[0] - entryPoint[0]) * t,
-        entryPoint[1] + (exitPoint[1] - entryPoint[1]) * t,
-      ]);
+  const attached = attachLocations(rooms, baseGraph, [startRoom, endRoom]);
+  if (!attached) return [];
+  const graph = waiveRoomCosts(attached.graph, attached.keys);
+  const [startKey, endKey] = attached.keys;
+  if (startKey === endKey) return [];
+
+  onProgress("search");
+  const candidates = findKShortestPaths(
+    graph,
+    startKey,
+    endKey,
+    MAX_ROUTE_CANDIDATES
+  );
+
+  onProgress("smoothing");
+  const walks = [];
+  for (const keys of candidates) {
+    if (walks.length >= count) break;
+
+    const walk = smoothPathWithNavMesh(rooms, buildPathCoords(graph, keys));
+    const samples = sampleWalk(walk);
+    const isDistinct = walks.every(
+      (other) => getWalkOverlap(samples, other.walk) <= MAX_ROUTE_OVERLAP
+    );
+    if (isDistinct) walks.push({ keys, walk });
+  }
+
+  // Routes chosen under preferences are compared with the plain shortest
+  let shortest = null;
+  if (!costFunction && getActiveWeights(preferences)) {
+    const plain = attachLocations(
+      rooms,
+      getRoomGraph(rooms, targetFloor, profile, activeClosures, {
+        role,
+        roomAccess,
+        openingHours,
+        time,
+      }),
+      [startRoom, endRoom]
+    );
+    const keys = aStar(plain.graph, plain.keys[0], plain.keys[1]) || [];
+    shortest = {
+      graph: plain.graph,
+      keys,
+      distance: getWalkDistance(rooms, plain.graph, keys),
+    };
+  }
+
+  const routes = walks.map(({ keys, walk }) => {
+    const path = toGeographic(rooms, walk);
+    const stats = calculateRouteStats(path);
+    const route = {
+      path,
+      distance: stats.totalDistance,
+      estimatedTime: stats.estimatedTime,
+      floorChanges: stats.floorChanges,
+      labels: [],
+      // Walking time as the preferences see it
+      rank: stats.estimatedTime * getRoomCostFactor(graph, keys),
+    };
+    if (shortest) {
+      route.explanation = explainRoute(
+        { graph, keys, distance: route.distance },
+        shortest,
+        preferences,
+        roomAccess
+      );
     }
-  } else {
-    // Follow edges around the corridor boundary
-    const step = Math.ceil(Math.abs(exitIdx - entryIdx) / (numPoints + 1));
-    const direction = exitIdx > entryIdx ? 1 : -1;
+    return route;
+  });
 
-    for (let i = 1; i <= numPoints; i++) {
-      const idx = entryIdx + i * step * direction;
-      const boundedIdx = ((idx % edges.length) + edges.length) % edges.length;
+  routes.sort((a, b) => a.rank - b.rank);
+  routes.forEach((route) => delete route.rank);
+  // Preferences may put a slower route first
+  const fastest = Math.min(...routes.map((r) => r.estimatedTime));
+  if (isWeighted && routes[0]?.estimatedTime > fastest) {
+    routes[0].labels.push("Best for your preferences");
+  }
+  labelRoutes(routes);
 
-      if (edges[boundedIdx]) {
-        waypoints.push(edges[boundedIdx]);
+  console.log(
+    `[Pathfinding] ${routes.length} distinct routes from ${candidates.length} candidates`
+  );
+  return routes;
+};
+
+// Single-source Dijkstra - the cost of the cheapest path to every node
+// reachable from the start, and the step each path arrives from. Edges cost
+// their routing weight unless getCost prices them otherwise; nodes costing
+// more than maxCost are left out
+const dijkstra = (
+  graph,
+  startKey,
+  getCost = (from, edge) => edge.distance,
+  maxCost = Infinity
+) => {
+  const costs = new Map([[startKey, 0]]);
+  const cameFrom = new Map();
+  const settled = new Set();
+  const openSet = createMinHeap();
+  openSet.push(startKey, 0);
+
+  while (openSet.size > 0) {
+    const current = openSet.pop();
+    if (settled.has(current)) continue;
+    settled.add(current);
+
+    const currentCost = costs.get(current);
+    const node = graph.get(current);
+    node.neighbors.forEach((neighbor) => {
+      if (settled.has(neighbor.key) || !graph.has(neighbor.key)) return;
+
+      const cost = currentCost + getCost(node, neighbor);
+      if (cost > maxCost) return;
+      if (cost < (costs.get(neighbor.key) ?? Infinity)) {
+        costs.set(neighbor.key, cost);
+        cameFrom.set(neighbor.key, current);
+        openSet.push(neighbor.key, cost);
       }
-    }
+    });
   }
 
-  return waypoints;
+  return { costs, cameFrom };
 };
 
-// Add intermediate waypoints along corridor edges for smoother, more natural paths
-const addCorridorWaypoints = (pathCoords) => {
-  if (pathCoords.length < 2) return pathCoords;
+// Facilities compared on walking time - graph costs only shortlist them
+const FACILITY_SHORTLIST_FACTOR = 2;
+
+/**
+ * Find the facilities of a category nearest to a location, e.g. the
+ * closest women's restroom. One Dijkstra search from the start reaches
+ * every candidate; the cheapest are then traced and ranked by walking time.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @param {Object} startRoom - Start room feature or point location
+ * @param {string} category - Key of FACILITY_CATEGORIES (see facilities.js)
+ * @param {number|null} targetFloor - Restrict the search to one floor
+ * @param {Object} options - profile, count, closures, time, role,
+ *   roomAccess, openingHours and onProgress
+ * @returns {Array<Object>} Up to count facilities, nearest first, as
+ *   {room, path, distance, estimatedTime, floorChanges}
+ */
+export const findNearestFacilities = (
+  rooms,
+  startRoom,
+  category,
+  targetFloor = null,
+  options = {}
+) => {
+  const {
+    profile = DEFAULT_PROFILE,
+    count = 3,
+    closures = [],
+    time = Date.now(),
+    role = null,
+    roomAccess = {},
+    openingHours = {},
+    onProgress = () => {},
+  } = options;
+
+  onProgress("graph");
+  const baseGraph = getRoomGraph(
+    rooms,
+    targetFloor,
+    profile,
+    getActiveClosures(closures, time),
+    { role, roomAccess, openingHours, time }
+  );
 
-  const enhancedPath = [];
+  const attached = attachLocations(rooms, baseGraph, [startRoom]);
+  if (!attached) return [];
+  const { graph } = attached;
+  const [startKey] = attached.keys;
+
+  onProgress("search");
+  const { costs, cameFrom } = dijkstra(graph, startKey);
+  const shortlist = Array.from(costs.keys())
+    .filter(
+      (key) =>
+        key !== startKey && matchesFacility(graph.get(key).room.name, category)
+    )
+    .sort((a, b) => costs.get(a) - costs.get(b))
+    .slice(0, count * FACILITY_SHORTLIST_FACTOR);
+
+  onProgress("smoothing");
+  const { sources } = getProjectedRooms(rooms);
+  const facilities = shortlist.map((key) => {
+    const pathKeys = [key];
+    while (cameFrom.has(pathKeys[0])) {
+      pathKeys.unshift(cameFrom.get(pathKeys[0]));
+    }
 
-  for (let i = 0; i < pathCoords.length; i++) {
-    const current = pathCoords[i];
-    enhancedPath.push(current);
+    const path = toGeographic(
+      rooms,
+      smoothPathWithNavMesh(rooms, buildPathCoords(graph, pathKeys))
+    );
+    const stats = calculateRouteStats(path);
+    const feature = graph.get(key).room.features[0];
+    return {
+      room: sources.get(feature) || feature,
+      path,
+      distance: stats.totalDistance,
+      estimatedTime: stats.estimatedTime,
+      floorChanges: stats.floorChanges,
+    };
+  });
 
-    // Add intermediate waypoints between rooms if they're far apart
-    if (i < pathCoords.length - 1) {
-      const next = pathCoords[i + 1];
-      const dist = distance(current.coords, next.coords);
+  facilities.sort((a, b) => a.estimatedTime - b.estimatedTime);
 
-      // If distance is significant and involves corridors, add waypoints
-      if (dist > 0.008) {
-        // Lowered threshold for more waypoints
-        const currentIsCorridor = isCorridor(current.name);
-        const nextIsCorridor = isCorridor(next.name);
+  console.log(
+    `[Pathfinding] ${shortlist.length} "${category}" facilities reachable from ${startKey}`
+  );
+  return facilities.slice(0, count);
+};
 
-        // If transitioning to/from corridor, add boundary waypoints
-        if (currentIsCorridor !== nextIsCorridor) {
-          let waypointCoord;
+// Walking time of one graph edge in seconds, timed like calculateRouteStats:
+// distance at walking speed plus its floor-change penalty - once per floor,
+// as an elevator edge may span several
+const getEdgeWalkingTime = (graph) => (from, edge) => {
+  if (edge.via !== "vertical") return edge.length / WALKING_SPEED;
 
-          if (currentIsCorridor) {
-            // Exiting corridor - use point on corridor edge closest to next room
-            waypointCoord = getRoomBoundaryPoints(current, next.coords);
-          } else {
-            // Entering corridor - use point on corridor edge closest to current room
-            waypointCoord = getRoomBoundaryPoints(next, current.coords);
-          }
+  const to = graph.get(edge.key);
+  return (
+    distance(from.centroid, to.centroid) / WALKING_SPEED +
+    Math.abs(to.room.floor - from.room.floor) * FLOOR_CHANGE_TIME
+  );
+};
 
-          if (waypointCoord) {
-            enhancedPath.push({
-              coords: waypointCoord,
-              floor: current.floor,
-              name: currentIsCorridor ? current.name : next.name,
-              features: currentIsCorridor ? current.features : next.features,
-              isWaypoint: true,
-            });
-          }
-        }
-        // If both are corridors and far apart, add multiple waypoints along corridor path
-        else if (currentIsCorridor && nextIsCorridor && dist > 0.015) {
-          // Determine number of waypoints based on distance
-          const numWaypoints = Math.min(Math.floor(dist / 0.01), 5); // Max 5 waypoints
-
-          // Get corridor path points
-          const prevCoords = i > 0 ? pathCoords[i - 1].coords : current.coords;
-          const nextNextCoords =
-            i < pathCoords.length - 2 ? pathCoords[i + 2].coords : next.coords;
-
-          const corridorPoints = getCorridorPathPoints(
-            current,
-            prevCoords,
-            nextNextCoords,
-            numWaypoints
-          );
+/**
+ * Walking time from a location to every room reachable within the last
+ * isochrone band (see isochrones.js). Routing weights such as corridor
+ * preferences are ignored - only distance walked and floors changed count.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @param {Object} startRoom - Start room feature or point location
+ * @param {Object} options - profile, closures, time, role, roomAccess,
+ *   openingHours and onProgress
+ * @returns {Object|null} {origin, rooms}, where rooms lists {name, floor,
+ *   time} with time in seconds, or null when the start isn't on the graph
+ */
+export const computeIsochrones = (rooms, startRoom, options = {}) => {
+  const {
+    profile = DEFAULT_PROFILE,
+    closures = [],
+    time = Date.now(),
+    role = null,
+    roomAccess = {},
+    openingHours = {},
+    onProgress = () => {},
+  } = options;
+
+  onProgress("graph");
+  const baseGraph = getRoomGraph(
+    rooms,
+    null,
+    profile,
+    getActiveClosures(closures, time),
+    { role, roomAccess, openingHours, time }
+  );
 
-          if (corridorPoints.length > 0) {
-            corridorPoints.forEach((point) => {
-              enhancedPath.push({
-                coords: point,
-                floor: current.floor,
-                name: current.name,
-                features: current.features,
-                isWaypoint: true,
-              });
-            });
-          } else {
-            // Fallback to simple interpolation
-            for (let j = 1; j <= numWaypoints; j++) {
-              const t = j / (numWaypoints + 1);
-              const interpolated = [
-                current.coords[0] + (next.coords[0] - current.coords[0]) * t,
-                current.coords[1] + (next.coords[1] - current.coords[1]) * t,
-              ];
-              enhancedPath.push({
-                coords: interpolated,
-                floor: current.floor,
-                name: current.name,
-                features: current.features,
-                isWaypoint: true,
-              });
-            }
-          }
-        }
-        // Room to room transitions - create corner-bending waypoints
-        else if (!currentIsCorridor && !nextIsCorridor && dist > 0.008) {
-          // Get boundary points where path enters/exits rooms
-          const currentExit = getRoomBoundaryPoints(current, next.coords);
-          const nextEntry = getRoomBoundaryPoints(next, current.coords);
-
-          if (currentExit && nextEntry) {
-            // Add exit point from current room
-            enhancedPath.push({
-              coords: currentExit,
-              floor: current.floor,
-              name: current.name,
-              features: current.features,
-              isWaypoint: true,
-            });
-
-            // If the points are still far apart, add a midpoint bend
-            const exitToEntryDist = distance(currentExit, nextEntry);
-            if (exitToEntryDist > 0.01) {
-              // Create L-shaped bend (perpendicular waypoint)
-              const midpoint = [
-                currentExit[0] + (nextEntry[0] - currentExit[0]) * 0.5,
-                currentExit[1] + (nextEntry[1] - currentExit[1]) * 0.5,
-              ];
-              enhancedPath.push({
-                coords: midpoint,
-                floor: current.floor,
-                name: "bend",
-                features: current.features,
-                isWaypoint: true,
-              });
-            }
-
-            // Add entry point to next room
-            enhancedPath.push({
-              coords: nextEntry,
-              floor: next.floor,
-              name: next.name,
-              features: next.features,
-              isWaypoint: true,
-            });
-          }
+  const attached = attachLocations(rooms, baseGraph, [startRoom]);
+  if (!attached) return null;
+  const { graph } = attached;
+  const [startKey] = attached.keys;
+
+  onProgress("search");
+  const { costs } = dijkstra(
+    graph,
+    startKey,
+    getEdgeWalkingTime(graph),
+    ISOCHRONE_LIMIT
+  );
+
+  // Snapped start points are not rooms
+  const reached = Array.from(costs.entries())
+    .filter(([key]) => !key.startsWith("__point_"))
+    .map(([key, seconds]) => {
+      const { room } = graph.get(key);
+      return { name: room.name, floor: room.floor, time: seconds };
+    });
+
+  console.log(
+    `[Pathfinding] ${reached.length} rooms within ${ISOCHRONE_LIMIT} s of ${startKey}`
+  );
+  return { origin: getRoomName(startRoom), rooms: reached };
+};
+
+// A feature marks an exit by name ("exit", "entrance") or an exit property
+const isExitFeature = (feature) =>
+  matchesFacility(getRoomName(feature), "exit") ||
+  Boolean(feature.properties?.exit || feature.properties?.emergency_exit);
+
+// Graph nodes people leave the building from. Exit rooms - by their
+// features or the exits file - are exits themselves; an exit door makes
+// exits of the rooms it opens from.
+const findExits = (graph, features, exitRooms = {}) => {
+  const exits = new Map();
+  graph.forEach((node, key) => {
+    if (
+      exitRooms[key] ||
+      exitRooms[node.room.name] ||
+      node.room.features.some(isExitFeature)
+    ) {
+      exits.set(key, { coords: node.centroid, name: node.room.name });
+    }
+  });
+
+  features
+    .filter((f) => isDoor(getRoomName(f)) && isExitFeature(f))
+    .forEach((door) => {
+      const doorRing = getOuterRings(door)[0];
+      if (!doorRing) return;
+      const floor = getRoomFloor(door);
+      graph.forEach((node, key) => {
+        if (node.room.floor !== floor || exits.has(key)) return;
+        const touches = getFeatureParts(node.room.features).some((part) =>
+          doorRing.some(
+            (p) => pointToRingDistance(p, part.ring) <= DOOR_TOLERANCE
+          )
+        );
+        if (touches) {
+          exits.set(key, {
+            coords: getRingCentroid(doorRing),
+            name: getRoomName(door),
+          });
         }
+      });
+    });
+
+  return exits;
+};
+
+// Multi-source Dijkstra run backwards from every exit at once - the cost
+// from each node to its nearest exit, and the next step towards it
+const reverseDijkstra = (graph, sources, isUsable) => {
+  const incoming = new Map();
+  graph.forEach((node, key) => {
+    if (!isUsable(key)) return;
+    node.neighbors.forEach((edge) => {
+      if (!isUsable(edge.key)) return;
+      if (!incoming.has(edge.key)) incoming.set(edge.key, []);
+      incoming.get(edge.key).push({ key, distance: edge.distance });
+    });
+  });
+
+  const costs = new Map();
+  const next = new Map();
+  const settled = new Set();
+  const openSet = createMinHeap();
+  sources.forEach((key) => {
+    costs.set(key, 0);
+    openSet.push(key, 0);
+  });
+
+  while (openSet.size > 0) {
+    const current = openSet.pop();
+    if (settled.has(current)) continue;
+    settled.add(current);
+
+    const currentCost = costs.get(current);
+    (incoming.get(current) || []).forEach((edge) => {
+      if (settled.has(edge.key)) return;
+      const cost = currentCost + edge.distance;
+      if (cost < (costs.get(edge.key) ?? Infinity)) {
+        costs.set(edge.key, cost);
+        next.set(edge.key, current);
+        openSet.push(edge.key, cost);
       }
-    }
+    });
+  }
+
+  return { costs, next };
+};
+
+/**
+ * Plan the evacuation of the whole building: for every room on every floor,
+ * the shortest walk to its nearest exit. Elevators are never used, and
+ * access-controlled rooms are open to everyone.
+ *
+ * @param {Array<Object>} rooms - All room features
+ * @param {Object} options - closures, time, exitRooms (room name to true,
+ *   from loadExits in evacuation.js) and onProgress
+ * @returns {{exits: Array<Object>, routes: Array<Object>,
+ *   unreachable: Array<Object>}} Exits as {name, floor, coords}; routes as
+ *   {room, name, floor, exit, path, distance, estimatedTime}; rooms with no
+ *   way out as {name, floor}
+ */
+export const computeEvacuationPlan = (rooms, options = {}) => {
+  const {
+    closures = [],
+    time = Date.now(),
+    exitRooms = {},
+    onProgress = () => {},
+  } = options;
+
+  onProgress("graph");
+  const graph = getRoomGraph(
+    rooms,
+    null,
+    DEFAULT_PROFILE,
+    getActiveClosures(closures, time)
+  );
+  const { projection, features, sources } = getProjectedRooms(rooms);
+
+  const exits = findExits(graph, features, exitRooms);
+  const exitList = Array.from(exits.entries()).map(([key, exit]) => ({
+    name: exit.name,
+    floor: graph.get(key).room.floor,
+    coords: projection.unproject(exit.coords),
+  }));
+  if (exits.size === 0) {
+    console.warn("[Pathfinding] No exit features - nothing to evacuate to");
   }
 
+  // Elevators are out of service in an emergency
+  const isUsable = (key) =>
+    getConnectorType(graph.get(key).room.name) !== "elevator";
+
+  onProgress("search");
+  const { costs, next } = reverseDijkstra(
+    graph,
+    Array.from(exits.keys()),
+    isUsable
+  );
+
+  onProgress("smoothing");
+  const routes = [];
+  const unreachable = [];
+  graph.forEach((node, key) => {
+    if (!isUsable(key)) return;
+    const { name, floor } = node.room;
+    if (!costs.has(key)) {
+      unreachable.push({ name, floor });
+      return;
+    }
+
+    const pathKeys = [key];
+    while (next.has(pathKeys[pathKeys.length - 1])) {
+      pathKeys.push(next.get(pathKeys[pathKeys.length - 1]));
+    }
+    const exitKey = pathKeys[pathKeys.length - 1];
+
+    const pathCoords = buildPathCoords(graph, pathKeys);
+    // Finish at the exit door rather than the middle of the room
+    const exitCoords = exits.get(exitKey).coords;
+    if (exitCoords !== graph.get(exitKey).centroid) {
+      const last = pathCoords[pathCoords.length - 1];
+      pathCoords.push({ ...last, coords: exitCoords, isPortal: true });
+    }
+
+    const path = toGeographic(rooms, smoothPathWithNavMesh(rooms, pathCoords));
+    const stats = calculateRouteStats(path);
+    const feature = node.room.features[0];
+    routes.push({
+      room: sources.get(feature) || feature,
+      name,
+      floor,
+      exit: exits.get(exitKey).name,
+      path,
+      distance: stats.totalDistance,
+      estimatedTime: stats.estimatedTime,
+    });
+  });
+
   console.log(
-    `[Pathfinding] Enhanced path from ${pathCoords.length} to ${enhancedPath.length} points with corridor waypoints`
+    `[Pathfinding] Evacuation: ${exits.size} exits, ${routes.length} rooms routed, ${unreachable.length} without a way out`
   );
-  return enhancedPath;
+  return { exits: exitList, routes, unreachable };
 };
 
-// Calculate total route distance
+// Navigation meshes are cached per dataset and floor
+const navMeshCache = new WeakMap();
+
+const getNavMesh = (rooms, floor) => {
+  if (!navMeshCache.has(rooms)) navMeshCache.set(rooms, new Map());
+  const floorMeshes = navMeshCache.get(rooms);
+
+  if (!floorMeshes.has(floor)) {
+    const floorFeatures = getProjectedRooms(rooms).features.filter(
+      (f) => getRoomFloor(f) === floor
+    );
+    const openAreas = floorFeatures.filter((f) => isOpenArea(getRoomName(f)));
+    // Floors without a slab polygon fall back to the rooms themselves
+    const walkable =
+      openAreas.length > 0
+        ? openAreas
+        : floorFeatures.filter((f) => {
+            const name = getRoomName(f);
+            return isNavigableRoom(name) && !isObstacle(name);
+          });
+
+    const mesh = buildNavMesh({
+      walkable,
+      obstacles: floorFeatures.filter((f) => isObstacle(getRoomName(f))),
+    });
+    console.log(
+      `[Pathfinding] Built navmesh for floor ${floor}: ${mesh.triangles.length} triangles`
+    );
+    floorMeshes.set(floor, mesh);
+  }
+
+  return floorMeshes.get(floor);
+};
+
+// Replace straight segments between doorways with navmesh paths
+const smoothPathWithNavMesh = (rooms, pathCoords) => {
+  // Keep the endpoints, doorways and the stairs/elevators where floors change
+  const anchors = pathCoords.filter((point, i) => {
+    if (i === 0 || i === pathCoords.length - 1 || point.isPortal) return true;
+
+    const previous = pathCoords[i - 1];
+    const next = pathCoords[i + 1];
+    if (previous.floor === point.floor && next.floor === point.floor) {
+      return false;
+    }
+    if (previous.floor !== point.floor && next.floor !== point.floor) {
+      return true;
+    }
+
+    // A stairwell entered through a doorway is climbed from that doorway
+    const sameFloorNeighbor = previous.floor === point.floor ? previous : next;
+    return !sameFloorNeighbor.isPortal;
+  });
+
+  const smoothPath = [anchors[0]];
+  for (let i = 1; i < anchors.length; i++) {
+    const from = anchors[i - 1];
+    const to = anchors[i];
+
+    if (from.floor === to.floor) {
+      const walk = findNavMeshPath(
+        getNavMesh(rooms, from.floor),
+        from.coords,
+        to.coords
+      );
+
+      // Interior corners of the walk (endpoints are the anchors themselves)
+      (walk || []).slice(1, -1).forEach(({ coords, feature }) => {
+        smoothPath.push({
+          coords,
+          floor: from.floor,
+          name: getRoomName(feature),
+          features: [feature],
+          isWaypoint: true,
+          isNavMeshPoint: true,
+        });
+      });
+    }
+
+    smoothPath.push(to);
+  }
+
+  return smoothPath;
+};
+
+// Turn a list of graph keys into route points, walking through the doorways
+// and openings recorded on each edge
+const buildPathCoords = (graph, pathKeys) => {
+  const pathCoords = [];
+
+  pathKeys.forEach((key, i) => {
+    const node = graph.get(key);
+    pathCoords.push({
+      coords: node.centroid,
+      floor: node.room.floor,
+      name: node.room.name,
+      features: node.room.features,
+      isCorridor: node.isCorridor,
+      connectorType: getConnectorType(node.room.name),
+    });
+
+    if (i === pathKeys.length - 1) return;
+
+    const nextNode = graph.get(pathKeys[i + 1]);
+    const edge = node.neighbors.find((n) => n.key === pathKeys[i + 1]);
+    if (!edge) return;
+
+    edge.portals.forEach((portal, portalIdx) => {
+      // Open-area edges leave through one opening and enter through another
+      const owner =
+        edge.portals.length > 1 && portalIdx === 0 ? node : nextNode;
+      pathCoords.push({
+        coords: portal,
+        floor: owner.room.floor,
+        name: owner.room.name,
+        features: owner.room.features,
+        connectorType: getConnectorType(owner.room.name),
+        isWaypoint: true,
+        isPortal: true,
+        via: edge.via,
+      });
+    });
+  });
+
+  return pathCoords;
+};
+
+// Calculate total route distance in meters
 export const calculateRouteDistance = (pathCoords) => {
   if (!pathCoords || pathCoords.length < 2) return 0;
 
+  // Measure on a plane touching the earth at the route's start
+  const { project } = createLocalProjection(pathCoords[0].coords);
   let totalDistance = 0;
   for (let i = 1; i < pathCoords.length; i++) {
-    totalDistance += distance(pathCoords[i - 1].coords, pathCoords[i].coords);
+    totalDistance += distance(
+      project(pathCoords[i - 1].coords),
+      project(pathCoords[i].coords)
+    );
   }
 
   return totalDistance;
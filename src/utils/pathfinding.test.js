@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeAll, vi } from "vitest";
+import { readFileSync } from "node:fs";
+import {
+  findRoute,
+  findAlternativeRoutes,
+  getReachableFloors,
+} from "./pathfinding.js";
+
+// Rooms 0.0001° (about 10 m) across. On floor 0 two rooms sit between a
+// north and a south hall, so there are two ways between them; stairs off
+// the south hall lead up to a room on floor 1
+const SIZE = 0.0001;
+const ORIGIN = [-111.85, 40.76];
+
+const box = (name, x1, y1, x2, y2, level = 0) => {
+  const corner = (x, y) => [ORIGIN[0] + x * SIZE, ORIGIN[1] + y * SIZE];
+  return {
+    type: "Feature",
+    properties: { name, level },
+    geometry: {
+      type: "Polygon",
+      coordinates: [
+        [
+          corner(x1, y1),
+          corner(x2, y1),
+          corner(x2, y2),
+          corner(x1, y2),
+          corner(x1, y1),
+        ],
+      ],
+    },
+  };
+};
+
+const roomA = box("room_a", 0, 1, 1, 2);
+const roomB = box("room_b", 3, 1, 4, 2);
+const roomC = box("room_c", 4, 1, 5, 2, 1);
+const rooms = [
+  roomA,
+  roomB,
+  box("north_hall", 0, 2, 4, 3),
+  box("south_hall", 0, 0, 4, 1),
+  box("stairs", 4, 0, 5, 1),
+  box("stairs", 4, 0, 5, 1, 1),
+  roomC,
+];
+
+const roomNames = (path) => [...new Set(path.map((point) => point.name))];
+
+beforeAll(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+describe("findRoute", () => {
+  it("walks from room to room through a hall", () => {
+    const path = findRoute(rooms, roomA, roomB);
+
+    expect(path[0].name).toBe("room_a");
+    expect(path[path.length - 1].name).toBe("room_b");
+    expect(["north_hall", "south_hall"]).toContain(roomNames(path)[1]);
+    path.forEach((point) => {
+      expect(point.floor).toBe(0);
+      expect(point.coords).toHaveLength(2);
+    });
+  });
+
+  it("takes the stairs to another floor", () => {
+    const path = findRoute(rooms, roomA, roomC);
+
+    expect(roomNames(path)).toEqual([
+      "room_a",
+      "south_hall",
+      "stairs",
+      "room_c",
+    ]);
+    expect(path[0].floor).toBe(0);
+    expect(path[path.length - 1].floor).toBe(1);
+  });
+
+  it("finds no step-free route when only stairs join the floors", () => {
+    expect(
+      findRoute(rooms, roomA, roomC, null, { profile: "wheelchair" })
+    ).toBeNull();
+  });
+
+  it("keeps out of rooms that are closed", () => {
+    const openingHours = { north_hall: "off", south_hall: "off" };
+    expect(findRoute(rooms, roomA, roomB, null, { openingHours })).toBeNull();
+  });
+
+  it("returns null for a start without a name", () => {
+    expect(findRoute(rooms, { properties: {} }, roomB)).toBeNull();
+  });
+});
+
+describe("findAlternativeRoutes", () => {
+  it("offers each hall as a separate route", () => {
+    const routes = findAlternativeRoutes(rooms, roomA, roomB, null, {
+      count: 3,
+    });
+
+    expect(routes).toHaveLength(2);
+    expect(routes.map((route) => roomNames(route.path)[1]).sort()).toEqual([
+      "north_hall",
+      "south_hall",
+    ]);
+    expect(routes[0].labels).toContain("Fastest");
+    routes.forEach((route) => {
+      expect(route.distance).toBeGreaterThan(0);
+      expect(route.estimatedTime).toBeGreaterThan(0);
+      expect(route.floorChanges).toBe(0);
+    });
+  });
+
+  it("returns at most count routes", () => {
+    expect(
+      findAlternativeRoutes(rooms, roomA, roomB, null, { count: 1 })
+    ).toHaveLength(1);
+  });
+
+  it("returns no routes from a room to itself", () => {
+    expect(findAlternativeRoutes(rooms, roomA, roomA)).toEqual([]);
+  });
+});
+
+describe("getReachableFloors", () => {
+  it("reaches the floors the stairs serve", () => {
+    expect(getReachableFloors(rooms, 0)).toEqual([0, 1]);
+    expect(getReachableFloors(rooms, 1, "fastest")).toEqual([0, 1]);
+  });
+
+  it("reaches no other floor step-free without an elevator or ramp", () => {
+    expect(getReachableFloors(rooms, 0, "wheelchair")).toEqual([0]);
+  });
+
+  it("goes on from one elevator to another", () => {
+    const withElevators = [
+      ...rooms,
+      box("elevator_a", 5, 0, 6, 1),
+      box("elevator_a", 5, 0, 6, 1, 1),
+      box("elevator_b", 8, 0, 9, 1, 1),
+      box("elevator_b", 8, 0, 9, 1, 2),
+    ];
+    expect(getReachableFloors(withElevators, 0, "wheelchair")).toEqual([
+      0, 1, 2,
+    ]);
+  });
+});
+
+describe("shipped dataset", () => {
+  const { features } = JSON.parse(
+    readFileSync(
+      new URL("../../public/rooms-all-WGS-v6.geojson", import.meta.url)
+    )
+  );
+  const find = (name, level) =>
+    features.find(
+      (f) => f.properties.name === name && f.properties.level === level
+    );
+
+  it("reaches every floor step-free through its elevator", () => {
+    expect(getReachableFloors(features, 1, "wheelchair")).toEqual([
+      0, 1, 2, 3, 4, 5, 6, 7,
+    ]);
+
+    const path = findRoute(
+      features,
+      find("circulation_desk", 1),
+      find("math_lab_0677", 6),
+      null,
+      { profile: "wheelchair" }
+    );
+    expect(path[path.length - 1].floor).toBe(6);
+    expect(roomNames(path)).toContain("elevator");
+    expect(roomNames(path).some((name) => name.includes("stair"))).toBe(false);
+  });
+});
@@ -0,0 +1,178 @@
+// Position providers for navigation sessions (see navigationSession.js).
+// Each has start(onFix, onError) and stop(); fixes are
+// {coords: [lon, lat], floor, accuracy?}.
+
+import { createLocalProjection } from "./projection.js";
+import { distance } from "./geometry.js";
+import { WALKING_SPEED, FLOOR_CHANGE_TIME } from "./directionsGenerator.js";
+
+/**
+ * Replay a route as if walking it, for trying out navigation without
+ * positioning hardware. Rerouted sessions hand the new route over with
+ * setRoute and the walk carries on along it.
+ *
+ * @param {Array<Object>} routePath - Route points from findRoute
+ * @param {Object} options
+ * @param {number} options.speed - Walking speed in m/s
+ * @param {number} options.interval - Milliseconds between fixes
+ * @param {number} options.speedup - Play the walk this many times faster
+ * @param {Object} options.detour - Wander off the route to try rerouting:
+ *   {after, distance} walks `distance` meters sideways once `after` meters
+ *   of the route have been covered
+ * @returns {Object} Provider with start, stop and setRoute
+ */
+export const createSimulatedWalkProvider = (routePath, options = {}) => {
+  const {
+    speed = WALKING_SPEED,
+    interval = 1000,
+    speedup = 1,
+    detour = null,
+  } = options;
+
+  let timer = null;
+  let walk = null;
+  let offset = 0; // meters off the route while on the detour
+  let detoured = false; // only one detour per walk
+
+  // Legs between route points in local meters, floor changes timed like
+  // calculateRouteStats
+  const planWalk = (path) => {
+    const projection = createLocalProjection(path[0].coords);
+    const legs = [];
+    for (let i = 1; i < path.length; i++) {
+      const a = projection.project(path[i - 1].coords);
+      const b = projection.project(path[i].coords);
+      const floorChange = path[i].floor !== path[i - 1].floor;
+      legs.push({
+        a,
+        b,
+        floor: path[i - 1].floor,
+        nextFloor: path[i].floor,
+        // Floor changes take as long as walking FLOOR_CHANGE_TIME seconds
+        length: floorChange ? FLOOR_CHANGE_TIME * speed : distance(a, b),
+        floorChange,
+      });
+    }
+    return { projection, legs, leg: 0, along: 0, covered: 0 };
+  };
+
+  // Where the walk is now, with an optional sideways offset in meters
+  const getFix = (sideways = 0) => {
+    const leg = walk.legs[walk.leg];
+    if (!leg) {
+      const last = walk.legs[walk.legs.length - 1];
+      return {
+        coords: walk.projection.unproject(last.b),
+        floor: last.nextFloor,
+        accuracy: 1,
+      };
+    }
+    const t =
+      leg.floorChange || leg.length === 0 ? 0 : walk.along / leg.length;
+    let x = leg.a[0] + (leg.b[0] - leg.a[0]) * t;
+    let y = leg.a[1] + (leg.b[1] - leg.a[1]) * t;
+    if (sideways > 0 && leg.length > 0) {
+      // Step out to the left of the direction of travel
+      const dx = (leg.b[0] - leg.a[0]) / leg.length;
+      const dy = (leg.b[1] - leg.a[1]) / leg.length;
+      x -= dy * sideways;
+      y += dx * sideways;
+    }
+    return {
+      coords: walk.projection.unproject([x, y]),
+      floor: walk.along >= leg.length / 2 ? leg.nextFloor : leg.floor,
+      accuracy: 1,
+    };
+  };
+
+  const advance = (meters) => {
+    let remaining = meters;
+    while (remaining > 0 && walk.leg < walk.legs.length) {
+      const leg = walk.legs[walk.leg];
+      const step = Math.min(remaining, leg.length - walk.along);
+      walk.along += step;
+      walk.covered += step;
+      remaining -= step;
+      if (walk.along >= leg.length) {
+        walk.leg += 1;
+        walk.along = 0;
+      }
+    }
+  };
+
+  const start = (onFix) => {
+    stop();
+    walk = walk || planWalk(routePath);
+    onFix(getFix());
+
+    timer = setInterval(() => {
+      advance((speed * interval * speedup) / 1000);
+      if (detour && !detoured && walk.covered >= detour.after) {
+        detoured = true;
+        offset = detour.distance;
+      }
+      onFix(getFix(offset));
+      if (walk.leg >= walk.legs.length) stop();
+    }, interval);
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  // Walk a new route from its start, e.g. after rerouting - which also
+  // ends the detour
+  const setRoute = (path) => {
+    walk = planWalk(path);
+    offset = 0;
+  };
+
+  return { start, stop, setRoute };
+};
+
+/**
+ * Positions from the browser's Geolocation API. Browsers don't report
+ * floors, so the floor comes from getFloor - e.g. the floor shown on the
+ * map, or an indoor positioning system.
+ *
+ * @param {Object} options
+ * @param {Function} options.getFloor - () => floor for each fix
+ * @returns {Object} Provider with start and stop
+ */
+export const createGeolocationProvider = ({ getFloor = () => 0 } = {}) => {
+  let watchId = null;
+
+  const start = (onFix, onError = () => {}) => {
+    stop();
+    if (typeof navigator === "undefined" || !navigator.geolocation) {
+      onError(new Error("Geolocation is not available"));
+      return;
+    }
+    watchId = navigator.geolocation.watchPosition(
+      ({ coords }) =>
+        onFix({
+          coords: [coords.longitude, coords.latitude],
+          floor: getFloor(),
+          accuracy: coords.accuracy,
+        }),
+      (error) => onError(new Error(error.message)),
+      { enableHighAccuracy: true, maximumAge: 1000 }
+    );
+  };
+
+  const stop = () => {
+    if (watchId !== null) navigator.geolocation.clearWatch(watchId);
+    watchId = null;
+  };
+
+  return { start, stop };
+};
+
+/**
+ * Whether the browser can provide real positions.
+ *
+ * @returns {boolean}
+ */
+export const isGeolocationAvailable = () =>
+  typeof navigator !== "undefined" && Boolean(navigator.geolocation);
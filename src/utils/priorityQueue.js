@@ -0,0 +1,71 @@
+// Binary min-heap used as the open set of the graph searches
+// Items are kept with their priority; the lowest priority pops first
+
+/**
+ * Create an empty min-heap.
+ *
+ * @returns {{push: Function, pop: Function, size: number}} Heap with
+ *   push(item, priority), pop() returning the lowest-priority item (or
+ *   undefined when empty) and a live size
+ */
+export const createMinHeap = () => {
+  const items = [];
+  const priorities = [];
+
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]];
+    [priorities[i], priorities[j]] = [priorities[j], priorities[i]];
+  };
+
+  const siftUp = (i) => {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (priorities[parent] <= priorities[i]) break;
+      swap(i, parent);
+      i = parent;
+    }
+  };
+
+  const siftDown = (i) => {
+    const length = items.length;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < length && priorities[left] < priorities[smallest]) {
+        smallest = left;
+      }
+      if (right < length && priorities[right] < priorities[smallest]) {
+        smallest = right;
+      }
+      if (smallest === i) break;
+      swap(i, smallest);
+      i = smallest;
+    }
+  };
+
+  return {
+    push(item, priority) {
+      items.push(item);
+      priorities.push(priority);
+      siftUp(items.length - 1);
+    },
+
+    pop() {
+      if (items.length === 0) return undefined;
+      const top = items[0];
+      const lastItem = items.pop();
+      const lastPriority = priorities.pop();
+      if (items.length > 0) {
+        items[0] = lastItem;
+        priorities[0] = lastPriority;
+        siftDown(0);
+      }
+      return top;
+    },
+
+    get size() {
+      return items.length;
+    },
+  };
+};
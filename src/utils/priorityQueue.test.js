@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { createMinHeap } from "./priorityQueue.js";
+
+describe("createMinHeap", () => {
+  it("pops items lowest priority first", () => {
+    const heap = createMinHeap();
+    [5, 1, 4, 2, 3].forEach((priority) => heap.push(`p${priority}`, priority));
+
+    const popped = [];
+    while (heap.size > 0) popped.push(heap.pop());
+    expect(popped).toEqual(["p1", "p2", "p3", "p4", "p5"]);
+  });
+
+  it("keeps order through interleaved pushes and pops", () => {
+    const heap = createMinHeap();
+    heap.push("c", 3);
+    heap.push("a", 1);
+    expect(heap.pop()).toBe("a");
+    heap.push("b", 2);
+    heap.push("d", 0);
+    expect(heap.pop()).toBe("d");
+    expect(heap.pop()).toBe("b");
+    expect(heap.pop()).toBe("c");
+  });
+
+  it("holds the same item at several priorities", () => {
+    const heap = createMinHeap();
+    heap.push("room", 10);
+    heap.push("room", 2);
+    expect(heap.size).toBe(2);
+    expect(heap.pop()).toBe("room");
+    expect(heap.size).toBe(1);
+  });
+
+  it("returns undefined when empty", () => {
+    const heap = createMinHeap();
+    expect(heap.size).toBe(0);
+    expect(heap.pop()).toBeUndefined();
+  });
+});
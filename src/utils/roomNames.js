@@ -0,0 +1,180 @@
+// Room display names - what people call a room, rather than the identifier
+// the data gives it (`cntr_for_teaching_excelnce`, `classroom_0174`).
+//
+// Names come from this file, which sits next to the GeoJSON data and maps
+// room names (or name_F<floor>) to a label, or to a label and the other
+// names people search for it by. Abbreviations extend the ones below:
+// {
+//   "version": 1,
+//   "abbreviations": { "lc": "LC" },
+//   "rooms": {
+//     "info desk": "Information Desk",
+//     "cntr_for_teaching_excelnce": {
+//       "label": "Center for Teaching Excellence",
+//       "aliases": ["CTE"]
+//     }
+//   }
+// }
+//
+// Rooms the file doesn't list get a name made up from their identifier:
+// underscores become spaces, abbreviations are spelled out, words are
+// capitalised and room numbers and letter ranges are tidied up
+// ("lc_books_da_to_hg" -> "LC Books DA–HG").
+export const ROOM_NAMES_URL = "/room-names.json";
+
+// Abbreviations common in room identifiers
+const ABBREVIATIONS = {
+  admin: "Administration",
+  bldg: "Building",
+  cntr: "Center",
+  conf: "Conference",
+  ctr: "Center",
+  dept: "Department",
+  lib: "Library",
+  rm: "Room",
+};
+
+// Kept lower case inside a name
+const MINOR_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "at",
+  "for",
+  "in",
+  "of",
+  "on",
+  "the",
+  "to",
+]);
+
+const ROOM_NUMBER = /^\d+[a-z]?$/i;
+const RANGE_END = /^[a-z]{1,2}$/i;
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Make a readable name from a room identifier.
+ *
+ * @param {string} name - Room name from the data, e.g. "group_study_0320a"
+ * @param {Object} abbreviations - Lower-case word to its spelling
+ * @returns {string} e.g. "Group Study 0320A"
+ */
+export const humanizeRoomName = (name, abbreviations = ABBREVIATIONS) => {
+  const text = String(name || "").trim();
+  // Names already written for people ("John C Guyan Auditorium") stay
+  if (!text.includes("_") && text !== text.toLowerCase()) return text;
+
+  const words = text.split(/[\s_]+/).filter(Boolean);
+  const result = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i].toLowerCase();
+    const next = words[i + 2];
+
+    // Letter ranges on shelves, e.g. "journals_a_to_f" -> "Journals A–F"
+    if (
+      RANGE_END.test(word) &&
+      words[i + 1]?.toLowerCase() === "to" &&
+      next &&
+      RANGE_END.test(next)
+    ) {
+      result.push(`${word.toUpperCase()}–${next.toUpperCase()}`);
+      i += 2;
+    } else if (abbreviations[word]) {
+      result.push(abbreviations[word]);
+    } else if (ROOM_NUMBER.test(word)) {
+      result.push(word.toUpperCase());
+    } else if (MINOR_WORDS.has(word) && result.length > 0) {
+      result.push(word);
+    } else {
+      result.push(capitalize(word));
+    }
+  }
+  return result.join(" ");
+};
+
+/**
+ * Create a resolver for room display names and aliases.
+ *
+ * @param {Object} dictionary - {rooms, abbreviations} from loadRoomNames
+ * @returns {Object} Resolver with
+ *   getDisplayName(name, floor) - the name to show for a room,
+ *   getAliases(name, floor) - every name a room is known by, display name
+ *   first and the raw identifier last,
+ *   matches(name, query, floor) - whether any of them contains the query,
+ *   isNamed(name, text, floor) - whether any of them is the text
+ */
+export const createRoomNames = (dictionary = {}) => {
+  const { rooms = {}, abbreviations = {} } = dictionary || {};
+  const allAbbreviations = {
+    ...ABBREVIATIONS,
+    ...Object.fromEntries(
+      Object.entries(abbreviations).map(([word, spelling]) => [
+        word.toLowerCase(),
+        spelling,
+      ])
+    ),
+  };
+  const cache = new Map();
+
+  // Dictionary entry for a room - per floor first, strings being labels
+  const getEntry = (name, floor) => {
+    const entry =
+      (floor !== undefined && rooms[`${name}_F${floor}`]) || rooms[name];
+    if (!entry) return null;
+    return typeof entry === "string" ? { label: entry } : entry;
+  };
+
+  const getAliases = (name, floor) => {
+    if (!name) return [];
+    const key = `${name}|${floor}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const entry = getEntry(name, floor);
+    const aliases = [
+      entry?.label || humanizeRoomName(name, allAbbreviations),
+      ...(entry?.aliases || []),
+      name,
+    ].filter((alias, i, all) => alias && all.indexOf(alias) === i);
+    cache.set(key, aliases);
+    return aliases;
+  };
+
+  return {
+    getDisplayName: (name, floor) => getAliases(name, floor)[0] || name,
+    getAliases,
+    matches: (name, query, floor) => {
+      const lower = String(query || "").toLowerCase();
+      return getAliases(name, floor).some((alias) =>
+        alias.toLowerCase().includes(lower)
+      );
+    },
+    isNamed: (name, text, floor) => {
+      const lower = String(text || "").trim().toLowerCase();
+      return getAliases(name, floor).some(
+        (alias) => alias.toLowerCase() === lower
+      );
+    },
+  };
+};
+
+// Names made up from identifiers alone, until the names file has loaded
+export const defaultRoomNames = createRoomNames();
+
+/**
+ * Fetch the room names file. Without it every room gets a made-up name.
+ *
+ * @param {string} url
+ * @returns {Promise<Object>} {rooms, abbreviations} for createRoomNames
+ */
+export const loadRoomNames = async (url = ROOM_NAMES_URL) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return {};
+    const { rooms = {}, abbreviations = {} } = await response.json();
+    return { rooms, abbreviations };
+  } catch (error) {
+    console.warn("[RoomNames] Could not load room names:", error.message);
+    return {};
+  }
+};
@@ -0,0 +1,125 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  humanizeRoomName,
+  createRoomNames,
+  loadRoomNames,
+} from "./roomNames.js";
+
+describe("humanizeRoomName", () => {
+  it("spells out abbreviations and capitalizes words", () => {
+    expect(humanizeRoomName("cntr_for_teaching_excelnce")).toBe(
+      "Center for Teaching Excelnce"
+    );
+    expect(humanizeRoomName("library_conference_0480a")).toBe(
+      "Library Conference 0480A"
+    );
+  });
+
+  it("writes letter ranges with a dash", () => {
+    expect(humanizeRoomName("lc_books_da_to_hg", { lc: "LC" })).toBe(
+      "LC Books DA–HG"
+    );
+    expect(humanizeRoomName("journals_a_to_f")).toBe("Journals A–F");
+  });
+
+  it("keeps minor words lower case except at the start", () => {
+    expect(humanizeRoomName("the_hall_of_fame")).toBe("The Hall of Fame");
+  });
+
+  it("leaves names already written for people alone", () => {
+    expect(humanizeRoomName("John C Guyan Auditorium")).toBe(
+      "John C Guyan Auditorium"
+    );
+    expect(humanizeRoomName("info desk")).toBe("Info Desk");
+  });
+
+  it("is empty for rooms without a name", () => {
+    expect(humanizeRoomName(undefined)).toBe("");
+  });
+});
+
+describe("createRoomNames", () => {
+  const roomNames = createRoomNames({
+    abbreviations: { LC: "LC" },
+    rooms: {
+      "info desk": "Information Desk",
+      circulation_desk: {
+        label: "Circulation Desk",
+        aliases: ["Checkout", "Returns"],
+      },
+      rest_room_female_F3: { label: "Women's Restroom", aliases: ["WC"] },
+    },
+  });
+
+  it("takes labels from the dictionary, or makes them up", () => {
+    expect(roomNames.getDisplayName("info desk")).toBe("Information Desk");
+    expect(roomNames.getDisplayName("lc_books_p_to_ps")).toBe(
+      "LC Books P–PS"
+    );
+  });
+
+  it("lists the label first and the identifier last", () => {
+    expect(roomNames.getAliases("circulation_desk")).toEqual([
+      "Circulation Desk",
+      "Checkout",
+      "Returns",
+      "circulation_desk",
+    ]);
+  });
+
+  it("prefers entries for the room's floor", () => {
+    expect(roomNames.getDisplayName("rest_room_female", 3)).toBe(
+      "Women's Restroom"
+    );
+    expect(roomNames.getDisplayName("rest_room_female", 2)).toBe(
+      "Rest Room Female"
+    );
+  });
+
+  it("matches queries against any alias, ignoring case", () => {
+    expect(roomNames.matches("circulation_desk", "checkout")).toBe(true);
+    expect(roomNames.matches("circulation_desk", "CIRC")).toBe(true);
+    expect(roomNames.matches("circulation_desk", "café")).toBe(false);
+    expect(roomNames.matches("rest_room_female", "wc", 3)).toBe(true);
+    expect(roomNames.matches("rest_room_female", "wc", 2)).toBe(false);
+  });
+
+  it("recognizes a room by any of its whole names", () => {
+    expect(roomNames.isNamed("circulation_desk", " Returns ")).toBe(true);
+    expect(roomNames.isNamed("circulation_desk", "circulation_desk")).toBe(
+      true
+    );
+    expect(roomNames.isNamed("circulation_desk", "Return")).toBe(false);
+  });
+});
+
+describe("loadRoomNames", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("returns the rooms and abbreviations of the file", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          version: 1,
+          abbreviations: { lc: "LC" },
+          rooms: { lab: "Lab" },
+        }),
+      })
+    );
+    expect(await loadRoomNames()).toEqual({
+      rooms: { lab: "Lab" },
+      abbreviations: { lc: "LC" },
+    });
+  });
+
+  it("is empty when the file can't be read", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.stubGlobal("fetch", vi.fn().mockRejectedValue(new Error("offline")));
+    expect(await loadRoomNames()).toEqual({});
+  });
+});
@@ -0,0 +1,173 @@
+// Route preferences - per-room attributes combined with weights the user
+// picks, so routes can steer around busy lobbies, noisy areas or staff-only
+// rooms at the price of a longer walk.
+//
+// Attributes come from feature properties when the data has them:
+//   crowd_level: 0 - 1, or "none" / "low" / "medium" / "high"
+//   quiet:       true for quiet zones, false for noisy ones
+//   restricted:  true for staff-only rooms - or any room not open to the
+//                public (see accessControl.js)
+// Rooms without them fall back to guesses from their names.
+
+import { getRoomAccessLevel } from "./accessControl.js";
+
+// One slider per factor; `reason` describes a room the factor penalizes
+export const ROUTE_COST_FACTORS = {
+  crowds: {
+    label: "Avoid crowds",
+    hint: "Lobbies, halls, cafés, service desks and stacks",
+    reason: "busy",
+  },
+  quiet: {
+    label: "Prefer quiet areas",
+    hint: "Keeps away from cafés, labs, classrooms and group study",
+    reason: "noisy",
+  },
+  restricted: {
+    label: "Avoid restricted areas",
+    hint: "Staff-only and student-only rooms you may still enter",
+    reason: "restricted",
+  },
+};
+
+// Slider range - at the maximum a fully penalized room costs this many
+// times more to cross
+export const MAX_COST_WEIGHT = 5;
+
+// All factors off - plain shortest routes
+export const DEFAULT_COST_WEIGHTS = { crowds: 0, quiet: 0, restricted: 0 };
+
+const CROWD_LEVELS = { none: 0, low: 0.25, medium: 0.5, high: 1 };
+
+// Name guesses for rooms without explicit attributes, checked in order
+const CROWD_PATTERNS = [
+  { pattern: /lobby|atrium|entrance|hall_of|cafe/i, level: 1 },
+  {
+    pattern: /circulation_desk|info[_ ]?desk|help_desk|stacks?(?![a-z])/i,
+    level: 0.5,
+  },
+];
+const NOISY_PATTERN =
+  /lobby|atrium|hall_of|cafe|computer_lab|classroom|printers|groups?_+study|study_group/i;
+const QUIET_PATTERN = /quiet|reading_room|study_room|lacation_room/i;
+
+const parseLevel = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "string" && value.toLowerCase() in CROWD_LEVELS) {
+    return CROWD_LEVELS[value.toLowerCase()];
+  }
+  const level = Number(value);
+  return Number.isFinite(level) ? Math.min(Math.max(level, 0), 1) : null;
+};
+
+const parseFlag = (value) => {
+  if (value === true || value === false) return value;
+  if (/^(yes|true|1)$/i.test(String(value))) return true;
+  if (/^(no|false|0)$/i.test(String(value))) return false;
+  return null;
+};
+
+// First value a property has on any of a room's features
+const getProperty = (features, key) => {
+  const feature = features.find(
+    (f) => f.properties?.[key] !== undefined && f.properties[key] !== null
+  );
+  return feature ? feature.properties[key] : undefined;
+};
+
+/**
+ * A room's cost attributes, from its feature properties or, failing that,
+ * its name. Whether it is restricted follows its access level.
+ *
+ * @param {Object} room - Routing graph room ({name, floor, features})
+ * @param {Object} accessByRoom - Room name to access level (see
+ *   accessControl.js)
+ * @returns {{crowdLevel: number, quiet: boolean|null, restricted: boolean}}
+ */
+export const getRoomAttributes = (room, accessByRoom = {}) => {
+  const name = room.name || "";
+  const features = room.features || [];
+
+  const crowdLevel =
+    parseLevel(getProperty(features, "crowd_level")) ??
+    CROWD_PATTERNS.find(({ pattern }) => pattern.test(name))?.level ??
+    0;
+  const quiet =
+    parseFlag(getProperty(features, "quiet")) ??
+    (QUIET_PATTERN.test(name) ? true : NOISY_PATTERN.test(name) ? false : null);
+  const restricted = getRoomAccessLevel(room, accessByRoom) !== "public";
+
+  return { crowdLevel, quiet, restricted };
+};
+
+// How strongly each factor applies to a room, 0 - 1
+const getFactorLevels = (room, accessByRoom) => {
+  const { crowdLevel, quiet, restricted } = getRoomAttributes(
+    room,
+    accessByRoom
+  );
+  return {
+    crowds: crowdLevel,
+    quiet: quiet === false ? 1 : 0,
+    restricted: restricted ? 1 : 0,
+  };
+};
+
+/**
+ * The weights that actually do something, or null when every factor is
+ * off.
+ *
+ * @param {Object} weights - Factor key to weight (0 - MAX_COST_WEIGHT)
+ * @returns {Object|null}
+ */
+export const getActiveWeights = (weights) => {
+  const active = Object.entries(weights || {}).filter(
+    ([key, weight]) => ROUTE_COST_FACTORS[key] && Number(weight) > 0
+  );
+  return active.length > 0
+    ? Object.fromEntries(active.map(([key, weight]) => [key, Number(weight)]))
+    : null;
+};
+
+/**
+ * Build the cost function findRoute uses for a set of weights. It returns
+ * the multiplier applied to every edge into a room: 1 plus each weight
+ * times how strongly its factor applies.
+ *
+ * @param {Object} weights - Factor key to weight (0 - MAX_COST_WEIGHT)
+ * @param {Object} accessByRoom - Room name to access level (see
+ *   accessControl.js)
+ * @returns {Function|null} (room) => multiplier, or null when every
+ *   factor is off
+ */
+export const createRoomCostFunction = (weights, accessByRoom = {}) => {
+  const active = getActiveWeights(weights);
+  if (!active) return null;
+
+  return (room) => {
+    const levels = getFactorLevels(room, accessByRoom);
+    return Object.entries(active).reduce(
+      (cost, [key, weight]) => cost + weight * levels[key],
+      1
+    );
+  };
+};
+
+/**
+ * Why a room costs more under a set of weights, e.g. ["busy", "noisy"].
+ *
+ * @param {Object} room - Routing graph room ({name, floor, features})
+ * @param {Object} weights - Factor key to weight
+ * @param {Object} accessByRoom - Room name to access level (see
+ *   accessControl.js)
+ * @returns {Array<string>} Reasons of the active factors that apply
+ */
+export const getRoomCostReasons = (room, weights, accessByRoom = {}) => {
+  const active = getActiveWeights(weights);
+  if (!active) return [];
+
+  const levels = getFactorLevels(room, accessByRoom);
+  return Object.keys(active)
+    .filter((key) => levels[key] > 0)
+    .map((key) => ROUTE_COST_FACTORS[key].reason);
+};
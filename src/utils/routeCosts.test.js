@@ -0,0 +1,91 @@
+import { describe, it, expect } from "vitest";
+import {
+  createRoomCostFunction,
+  getActiveWeights,
+  getRoomAttributes,
+  getRoomCostReasons,
+} from "./routeCosts.js";
+
+const room = (name, properties = {}) => ({
+  name,
+  floor: 0,
+  features: [{ properties: { name, ...properties } }],
+});
+
+describe("getActiveWeights", () => {
+  it("keeps only known factors with a weight", () => {
+    expect(getActiveWeights({ crowds: 2, quiet: 0, bogus: 4 })).toEqual({
+      crowds: 2,
+    });
+  });
+
+  it("is null when every factor is off", () => {
+    expect(getActiveWeights({ crowds: 0, quiet: 0, restricted: 0 })).toBeNull();
+    expect(getActiveWeights(null)).toBeNull();
+  });
+});
+
+describe("getRoomAttributes", () => {
+  it("reads attributes from feature properties", () => {
+    const attributes = getRoomAttributes(
+      room("room_101", { crowd_level: "medium", quiet: "yes" })
+    );
+    expect(attributes).toEqual({
+      crowdLevel: 0.5,
+      quiet: true,
+      restricted: false,
+    });
+  });
+
+  it("clamps numeric crowd levels", () => {
+    const attributes = getRoomAttributes(room("room_101", { crowd_level: 3 }));
+    expect(attributes.crowdLevel).toBe(1);
+  });
+
+  it("guesses attributes from room names", () => {
+    expect(getRoomAttributes(room("main_lobby"))).toMatchObject({
+      crowdLevel: 1,
+      quiet: false,
+    });
+    expect(getRoomAttributes(room("reading_room")).quiet).toBe(true);
+    expect(getRoomAttributes(room("staff_office")).restricted).toBe(true);
+    expect(getRoomAttributes(room("room_101"))).toEqual({
+      crowdLevel: 0,
+      quiet: null,
+      restricted: false,
+    });
+  });
+});
+
+describe("createRoomCostFunction", () => {
+  it("is null when every factor is off", () => {
+    expect(createRoomCostFunction({ crowds: 0 })).toBeNull();
+  });
+
+  it("multiplies by 1 plus each weight times its factor's level", () => {
+    const cost = createRoomCostFunction({ crowds: 4, quiet: 2 });
+
+    expect(cost(room("room_101"))).toBe(1);
+    expect(cost(room("circulation_desk"))).toBe(1 + 4 * 0.5);
+    expect(cost(room("main_lobby"))).toBe(1 + 4 * 1 + 2 * 1);
+  });
+
+  it("charges restricted rooms only when asked to", () => {
+    const office = room("staff_office");
+
+    expect(createRoomCostFunction({ crowds: 1 })(office)).toBe(1);
+    expect(createRoomCostFunction({ restricted: 3 })(office)).toBe(4);
+  });
+});
+
+describe("getRoomCostReasons", () => {
+  it("names the active factors that apply to a room", () => {
+    expect(
+      getRoomCostReasons(room("main_lobby"), { crowds: 1, quiet: 1 })
+    ).toEqual(["busy", "noisy"]);
+    expect(getRoomCostReasons(room("main_lobby"), { restricted: 1 })).toEqual(
+      []
+    );
+    expect(getRoomCostReasons(room("main_lobby"), {})).toEqual([]);
+  });
+});
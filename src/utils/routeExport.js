@@ -0,0 +1,344 @@
+// Route export - a computed route as GeoJSON or GPX for other mapping tools,
+// and as a short link that opens the app on the same route.
+//
+// Links carry the route itself rather than the search that found it, so
+// the route someone shares is the one opened even after closures, opening
+// hours or the access role have changed. Points are packed like encoded
+// polylines: each point is a run of signed numbers - longitude and latitude
+// in millionths of a degree relative to the previous point, the index of
+// its floor, and the index of its room name doubled plus one for a stop -
+// and the JSON holding them is base64url encoded.
+
+import { escapeHtml } from "./floorPlan.js";
+import { getConnectorType } from "./verticalConnectors.js";
+import { defaultRoomNames } from "./roomNames.js";
+
+// Query parameter a shared route travels in
+export const ROUTE_LINK_PARAM = "route";
+
+const ROUTE_LINK_VERSION = 1;
+
+// Coordinates are kept to about 10 cm
+const COORD_PRECISION = 1e6;
+
+const GPX_CREATOR = "indoor-map-3d";
+
+const getRoomFloor = (room) =>
+  room.properties?.floor ||
+  room.properties?.nivel ||
+  room.properties?.level ||
+  0;
+
+// Stretches of the route on one floor, as indices into the path. A floor
+// only passed through by a lift shaft has a single point and no stretch
+const splitByFloor = (routePath) => {
+  const runs = [];
+  routePath.forEach((point, i) => {
+    const run = runs[runs.length - 1];
+    if (run && run.floor === point.floor) {
+      run.end = i;
+    } else {
+      runs.push({ floor: point.floor, start: i, end: i });
+    }
+  });
+  return runs.filter((run) => run.end > run.start);
+};
+
+/**
+ * Split a route into the stretches walked on each floor, with the steps
+ * taken along each. A floor the route leaves and comes back to has a
+ * stretch per visit; floor changes belong to the stretch that ends at the
+ * stairs or elevator.
+ *
+ * @param {Array<Object>} routePath - Route points from findRoute
+ * @param {Array<Object>} directions - Steps from generateDirections
+ * @returns {Array<Object>} Stretches in route order, as {floor, points,
+ *   steps}; steps are {number, step} with numbers counted from 1
+ */
+export const splitRouteByFloor = (routePath, directions = []) => {
+  const runs = splitByFloor(routePath);
+  const stretches = runs.map((run) => ({
+    floor: run.floor,
+    points: routePath.slice(run.start, run.end + 1),
+    steps: [],
+  }));
+
+  let current = 0;
+  directions.forEach((step, i) => {
+    const next = runs.findIndex(
+      (run, j) => j >= current && run.floor === step.floor
+    );
+    if (next !== -1) current = next;
+    stretches[current]?.steps.push({ number: i + 1, step });
+  });
+  return stretches;
+};
+
+const roundCoord = (value) => Math.round(value * COORD_PRECISION);
+
+/**
+ * Route as a GeoJSON FeatureCollection with a LineString per floor. A
+ * floor the route leaves and comes back to gets a LineString per visit.
+ *
+ * @param {Array<Object>} routePath - Route points from findRoute
+ * @param {Array<Object>} directions - Steps from generateDirections
+ * @param {Object} options - {roomNames} to name the stretch ends by
+ * @returns {Object} FeatureCollection; each feature's properties hold its
+ *   floor (also as `level`, like the room data), the rooms it runs between
+ *   and the steps taken along it
+ */
+export const routeToGeoJSON = (routePath, directions = [], options = {}) => {
+  const { roomNames = defaultRoomNames } = options;
+  const label = (point) => roomNames.getDisplayName(point.name, point.floor);
+
+  return {
+    type: "FeatureCollection",
+    features: splitRouteByFloor(routePath, directions).map(
+      ({ floor, points, steps }, i) => ({
+        type: "Feature",
+        geometry: {
+          type: "LineString",
+          coordinates: points.map((point) => point.coords.slice(0, 2)),
+        },
+        properties: {
+          floor,
+          level: floor,
+          part: i + 1,
+          from: label(points[0]),
+          to: label(points[points.length - 1]),
+          steps: steps.map(({ number, step }) => ({
+            number,
+            type: step.type,
+            instruction: step.instruction,
+            distance: Math.round(step.distance * 10) / 10,
+            coordinates: step.coords.slice(0, 2),
+          })),
+        },
+      })
+    ),
+  };
+};
+
+/**
+ * Route as a GPX 1.1 document: a waypoint per step, named after the step,
+ * and the route itself with each point named after its room.
+ *
+ * @param {Array<Object>} routePath - Route points from findRoute
+ * @param {Array<Object>} directions - Steps from generateDirections
+ * @param {Object} options - {roomNames, name}
+ * @returns {string} GPX XML
+ */
+export const routeToGPX = (routePath, directions = [], options = {}) => {
+  const { roomNames = defaultRoomNames } = options;
+  const label = (point) => roomNames.getDisplayName(point.name, point.floor);
+  const name =
+    options.name ||
+    `${label(routePath[0])} to ${label(routePath[routePath.length - 1])}`;
+
+  const position = ([lon, lat]) => `lat="${lat}" lon="${lon}"`;
+  const text = (tag, value) => `<${tag}>${escapeHtml(value)}</${tag}>`;
+
+  const waypoints = directions.map(
+    (step, i) =>
+      `  <wpt ${position(step.coords)}>\n` +
+      `    ${text("name", `${i + 1}. ${step.instruction}`)}\n` +
+      `    ${text("desc", `Floor ${step.floor}`)}\n` +
+      `    ${text("type", step.type)}\n` +
+      `  </wpt>`
+  );
+  const routePoints = routePath.map(
+    (point) =>
+      `    <rtept ${position(point.coords)}>\n` +
+      `      ${text("name", label(point))}\n` +
+      `      ${text("desc", `Floor ${point.floor}`)}\n` +
+      `    </rtept>`
+  );
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="${GPX_CREATOR}"`,
+    `  xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata>`,
+    `    ${text("name", name)}`,
+    `    ${text("time", new Date().toISOString())}`,
+    `  </metadata>`,
+    ...waypoints,
+    `  <rte>`,
+    `    ${text("name", name)}`,
+    ...routePoints,
+    `  </rte>`,
+    `</gpx>`,
+    "",
+  ].join("\n");
+};
+
+// Signed integers as printable characters, five bits at a time
+const encodeNumbers = (numbers) =>
+  numbers
+    .map((number) => {
+      let value = number < 0 ? ~(number << 1) : number << 1;
+      let chunk = "";
+      while (value >= 0x20) {
+        chunk += String.fromCharCode((0x20 | (value & 0x1f)) + 63);
+        value >>= 5;
+      }
+      return chunk + String.fromCharCode(value + 63);
+    })
+    .join("");
+
+const decodeNumbers = (text) => {
+  const numbers = [];
+  let value = 0;
+  let shift = 0;
+  for (let i = 0; i < text.length; i++) {
+    const bits = text.charCodeAt(i) - 63;
+    value |= (bits & 0x1f) << shift;
+    shift += 5;
+    if (bits < 0x20) {
+      numbers.push(value & 1 ? ~(value >> 1) : value >> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return numbers;
+};
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, (char) => char.charCodeAt(0))
+  );
+};
+
+/**
+ * Pack a route into the text a share link carries.
+ *
+ * @param {Array<Object>} routePath - Route points from findRoute
+ * @param {Object} options - {profile} the route was found for
+ * @returns {string} URL-safe text for decodeRoute
+ */
+export const encodeRoute = (routePath, options = {}) => {
+  const floors = [...new Set(routePath.map((point) => point.floor))];
+  const names = [...new Set(routePath.map((point) => point.name))];
+
+  let lon = 0;
+  let lat = 0;
+  const numbers = routePath.flatMap((point) => {
+    const x = roundCoord(point.coords[0]);
+    const y = roundCoord(point.coords[1]);
+    const values = [
+      x - lon,
+      y - lat,
+      floors.indexOf(point.floor),
+      names.indexOf(point.name) * 2 + (point.isStop ? 1 : 0),
+    ];
+    lon = x;
+    lat = y;
+    return values;
+  });
+
+  return toBase64Url(
+    JSON.stringify({
+      v: ROUTE_LINK_VERSION,
+      p: options.profile || undefined,
+      f: floors,
+      n: names,
+      c: encodeNumbers(numbers),
+    })
+  );
+};
+
+/**
+ * Unpack a shared route, matching its points back to room features so it
+ * behaves like a route found in this session.
+ *
+ * @param {string} text - From encodeRoute
+ * @param {Array<Object>} rooms - Room features
+ * @returns {Object|null} {path, profile}, or null when the text isn't a
+ *   route this version can read
+ */
+export const decodeRoute = (text, rooms = []) => {
+  try {
+    const { v, p, f, n, c } = JSON.parse(fromBase64Url(text));
+    if (v !== ROUTE_LINK_VERSION) return null;
+
+    const numbers = decodeNumbers(c);
+    if (numbers.length < 8 || numbers.length % 4 !== 0) return null;
+
+    const roomsByKey = new Map();
+    rooms.forEach((room) => {
+      const key = `${room.properties?.name}|${getRoomFloor(room)}`;
+      if (!roomsByKey.has(key)) roomsByKey.set(key, room);
+    });
+
+    const path = [];
+    let lon = 0;
+    let lat = 0;
+    let leg = 0;
+    for (let i = 0; i < numbers.length; i += 4) {
+      lon += numbers[i];
+      lat += numbers[i + 1];
+      const floor = f[numbers[i + 2]];
+      const name = n[numbers[i + 3] >> 1];
+      if (floor === undefined || name === undefined) return null;
+
+      const room = roomsByKey.get(`${name}|${floor}`);
+      const point = {
+        coords: [lon / COORD_PRECISION, lat / COORD_PRECISION],
+        floor,
+        name,
+        features: room ? [room] : [],
+        connectorType: getConnectorType(name),
+        leg,
+      };
+      if (numbers[i + 3] & 1) {
+        point.isStop = true;
+        point.stopIndex = ++leg;
+      }
+      path.push(point);
+    }
+    return { path, profile: p || null };
+  } catch (error) {
+    // Truncated or mistyped links - the caller tells the user
+    return null;
+  }
+};
+
+/**
+ * Link that opens the app on a route.
+ *
+ * @param {Array<Object>} routePath - Route points from findRoute
+ * @param {Object} options - {profile, baseUrl}; baseUrl defaults to the
+ *   current page
+ * @returns {string} URL
+ */
+export const createRouteLink = (routePath, options = {}) => {
+  const url = new URL(options.baseUrl || window.location.href);
+  url.hash = "";
+  url.searchParams.set(ROUTE_LINK_PARAM, encodeRoute(routePath, options));
+  return url.toString();
+};
+
+/**
+ * Route a link opened the app on, if any.
+ *
+ * @param {string} href - Page URL
+ * @param {Array<Object>} rooms - Room features
+ * @returns {Object|null} {path, profile} as from decodeRoute
+ */
+export const readRouteLink = (href, rooms) => {
+  const text = new URL(href).searchParams.get(ROUTE_LINK_PARAM);
+  return text ? decodeRoute(text, rooms) : null;
+};
@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import {
+  encodeRoute,
+  decodeRoute,
+  createRouteLink,
+  readRouteLink,
+  ROUTE_LINK_PARAM,
+} from "./routeExport.js";
+
+const rooms = [
+  { type: "Feature", properties: { name: "lobby", level: 0 } },
+  { type: "Feature", properties: { name: "stairs", level: 0 } },
+  { type: "Feature", properties: { name: "stairs", level: 1 } },
+  { type: "Feature", properties: { name: "lab", level: 1 } },
+];
+
+const routePath = [
+  { coords: [-111.849123, 40.760456], floor: 0, name: "lobby" },
+  { coords: [-111.849201, 40.760398], floor: 0, name: "stairs" },
+  { coords: [-111.849201, 40.760398], floor: 1, name: "stairs" },
+  {
+    coords: [-111.849015, 40.760512],
+    floor: 1,
+    name: "lab",
+    isStop: true,
+    stopIndex: 1,
+  },
+  { coords: [-111.848987, 40.760601], floor: 1, name: "lab" },
+];
+
+describe("encodeRoute / decodeRoute", () => {
+  it("round-trips a route", () => {
+    const { path, profile } = decodeRoute(
+      encodeRoute(routePath, { profile: "wheelchair" }),
+      rooms
+    );
+
+    expect(profile).toBe("wheelchair");
+    expect(path).toHaveLength(routePath.length);
+    path.forEach((point, i) => {
+      expect(point.name).toBe(routePath[i].name);
+      expect(point.floor).toBe(routePath[i].floor);
+      expect(point.coords[0]).toBeCloseTo(routePath[i].coords[0], 6);
+      expect(point.coords[1]).toBeCloseTo(routePath[i].coords[1], 6);
+    });
+  });
+
+  it("matches points back to their rooms and stops", () => {
+    const { path } = decodeRoute(encodeRoute(routePath), rooms);
+
+    expect(path[1].features).toEqual([rooms[1]]);
+    expect(path[2].features).toEqual([rooms[2]]);
+    expect(path[1].connectorType).toBe("stairs");
+    expect(path[3].isStop).toBe(true);
+    expect(path[3].stopIndex).toBe(1);
+    expect(path[4].leg).toBe(1);
+    expect(path[0].isStop).toBeUndefined();
+  });
+
+  it("has no profile when none was given", () => {
+    expect(decodeRoute(encodeRoute(routePath), rooms).profile).toBeNull();
+  });
+
+  it("encodes to URL-safe text", () => {
+    expect(encodeRoute(routePath)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it("returns null for text it can't read", () => {
+    expect(decodeRoute("", rooms)).toBeNull();
+    expect(decodeRoute("not a route!", rooms)).toBeNull();
+    expect(decodeRoute(btoa("{}"), rooms)).toBeNull();
+  });
+
+  it("returns null for a truncated route", () => {
+    const text = encodeRoute(routePath);
+    expect(decodeRoute(text.slice(0, text.length - 12), rooms)).toBeNull();
+  });
+
+  it("returns null for routes from another link version", () => {
+    const text = btoa(JSON.stringify({ v: 99, f: [0], n: ["lobby"], c: "" }));
+    expect(decodeRoute(text, rooms)).toBeNull();
+  });
+
+  it("returns null when points name floors or rooms it doesn't list", () => {
+    const text = encodeRoute(routePath);
+    const route = JSON.parse(
+      atob(text.replace(/-/g, "+").replace(/_/g, "/"))
+    );
+    const broken = btoa(JSON.stringify({ ...route, f: [0] }));
+    expect(decodeRoute(broken, rooms)).toBeNull();
+  });
+});
+
+describe("createRouteLink / readRouteLink", () => {
+  it("opens the route a link was made for", () => {
+    const link = createRouteLink(routePath, {
+      baseUrl: "https://example.com/map?floor=1#room",
+    });
+    const url = new URL(link);
+
+    expect(url.hash).toBe("");
+    expect(url.searchParams.get("floor")).toBe("1");
+    expect(url.searchParams.has(ROUTE_LINK_PARAM)).toBe(true);
+    expect(readRouteLink(link, rooms).path).toHaveLength(routePath.length);
+  });
+
+  it("returns null for pages without a route", () => {
+    expect(readRouteLink("https://example.com/map", rooms)).toBeNull();
+  });
+});
@@ -0,0 +1,357 @@
+// Promise-based front end for the route worker
+// Only the most recent request of each kind is live - starting a new route
+// search cancels the previous route search, whose promise rejects with a
+// cancelled error, but leaves an evacuation plan or facility lookup that is
+// still running alone
+
+import {
+  findRoute,
+  findMultiStopRoute,
+  findAlternativeRoutes,
+  findNearestFacilities,
+  computeEvacuationPlan,
+  computeIsochrones,
+  diagnoseRouteGraph,
+  getReachableFloors,
+  isPointLocation,
+  loadRouteGraph,
+} from "./pathfinding.js";
+
+// Human-readable labels for the progress stages reported by the worker
+export const ROUTE_PROGRESS_LABELS = {
+  queued: "Preparing route...",
+  graph: "Building routing graph...",
+  search: "Searching for the best route...",
+  smoothing: "Tracing the walking path...",
+};
+
+const createCancelledError = () => {
+  const error = new Error("Route request was cancelled");
+  error.cancelled = true;
+  return error;
+};
+
+export const isRouteCancelled = (error) => Boolean(error?.cancelled);
+
+// Features can't cross the worker boundary by reference, so stops are
+// reduced to the properties routing needs to find them again. Clicked
+// points keep their coordinates.
+const toRoomRef = (room) =>
+  isPointLocation(room)
+    ? { type: "Feature", geometry: room.geometry, properties: room.properties }
+    : { properties: room.properties };
+
+/**
+ * Fetch the prebuilt routing graph kept next to a dataset, e.g.
+ * /rooms-all.graph.json for /rooms-all.geojson (see
+ * scripts/build-route-graph.js).
+ *
+ * @param {string} datasetUrl - URL the dataset's GeoJSON was loaded from
+ * @returns {Promise<Object|null>} The graph file, or null when there is none
+ */
+export const loadPrebuiltGraph = async (datasetUrl) => {
+  const url = datasetUrl.replace(/\.geojson$/i, "") + ".graph.json";
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    // Dev servers answer missing files with the app's HTML
+    return null;
+  }
+};
+
+const createRouteService = () => {
+  let worker = null;
+  let dataset = null;
+  let routeGraph = null; // prebuilt graph file for the dataset, if any
+  let datasetId = 0;
+  let sentDatasetId = null;
+  let nextRequestId = 1;
+  const pending = new Map();
+
+  const getWorker = () => {
+    if (worker || typeof Worker === "undefined") return worker;
+
+    worker = new Worker(new URL("./routeWorker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+
+      if (data.type === "progress") {
+        request.onProgress(data.stage);
+        return;
+      }
+
+      pending.delete(data.id);
+      if (data.type === "result") {
+        request.resolve(data.result);
+      } else if (data.type === "cancelled") {
+        request.reject(createCancelledError());
+      } else {
+        request.reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      console.error("[RouteService] Worker error:", event.message);
+      pending.forEach((request) => request.reject(new Error(event.message)));
+      pending.clear();
+    };
+    return worker;
+  };
+
+  // Reject the outstanding requests of a kind, or of every kind, and tell
+  // the worker to skip them
+  const cancelPending = (kind = null) => {
+    pending.forEach((request, id) => {
+      if (kind && request.kind !== kind) return;
+      worker?.postMessage({ type: "cancel", id });
+      request.reject(createCancelledError());
+      pending.delete(id);
+    });
+  };
+
+  // Run the search on this thread when workers aren't available
+  const findRouteInline = (start, end, options) => {
+    const {
+      stops = [],
+      targetFloor = null,
+      alternatives = 0,
+      facility = null,
+      evacuate = false,
+      isochrone = false,
+      diagnose = false,
+      reachableFrom = null,
+      ...routeOptions
+    } = options;
+    if (diagnose) {
+      return diagnoseRouteGraph(dataset, { ...routeOptions, targetFloor });
+    }
+    if (reachableFrom !== null) {
+      return getReachableFloors(dataset, reachableFrom, routeOptions.profile);
+    }
+    if (evacuate) {
+      return computeEvacuationPlan(dataset, routeOptions);
+    }
+    if (isochrone) {
+      return computeIsochrones(dataset, start, routeOptions);
+    }
+    if (facility) {
+      return findNearestFacilities(
+        dataset,
+        start,
+        facility,
+        targetFloor,
+        routeOptions
+      );
+    }
+    if (stops.length > 0) {
+      return findMultiStopRoute(
+        dataset,
+        [start, ...stops, end],
+        targetFloor,
+        routeOptions
+      );
+    }
+    if (alternatives > 1) {
+      const routes = findAlternativeRoutes(dataset, start, end, targetFloor, {
+        ...routeOptions,
+        count: alternatives,
+      });
+      return routes.length > 0
+        ? { path: routes[0].path, stops: [start, end], routes }
+        : null;
+    }
+    const path = findRoute(dataset, start, end, targetFloor, routeOptions);
+    return path && { path, stops: [start, end] };
+  };
+
+  // Post a search to the worker, or run it here when there is no worker.
+  // The kind ("route", "facilities", ...) decides which earlier request
+  // this one replaces
+  const search = (kind, start, end, options) => {
+    if (!dataset) {
+      return Promise.reject(new Error("No dataset set for routing"));
+    }
+
+    cancelPending(kind);
+
+    const { onProgress = () => {}, stops = [], ...rest } = options;
+    const activeWorker = getWorker();
+
+    if (!activeWorker) {
+      if (routeGraph && sentDatasetId !== datasetId) {
+        loadRouteGraph(dataset, routeGraph);
+      }
+      sentDatasetId = datasetId;
+      return new Promise((resolve) => {
+        resolve(findRouteInline(start, end, { ...rest, stops, onProgress }));
+      });
+    }
+
+    if (sentDatasetId !== datasetId) {
+      activeWorker.postMessage({
+        type: "dataset",
+        datasetId,
+        rooms: dataset,
+        routeGraph,
+      });
+      sentDatasetId = datasetId;
+    }
+
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { kind, resolve, reject, onProgress });
+      activeWorker.postMessage({
+        type: "route",
+        id,
+        kind,
+        datasetId,
+        start: start && toRoomRef(start),
+        end: end && toRoomRef(end),
+        options: { ...rest, stops: stops.map(toRoomRef) },
+      });
+    });
+  };
+
+  return {
+    /**
+     * Set the rooms routes are searched over. The worker keeps its own
+     * copy, so this only needs calling when the dataset changes.
+     *
+     * @param {Array<Object>} rooms - All room features
+     * @param {Object|null} graph - Prebuilt graph file for the rooms (see
+     *   scripts/build-route-graph.js); ignored unless built from them
+     */
+    setDataset(rooms, graph = null) {
+      if (rooms === dataset && graph === routeGraph) return;
+      cancelPending();
+      dataset = rooms;
+      routeGraph = graph;
+      datasetId++;
+    },
+
+    /**
+     * Find a route between two rooms or clicked points, optionally through
+     * intermediate stops.
+     *
+     * @param {Object} start - Start room feature or point location
+     * @param {Object} end - End room feature or point location
+     * @param {Object} options
+     * @param {number|null} options.targetFloor - Restrict to one floor
+     * @param {string} options.profile - Routing profile name
+     * @param {Array<Object>} options.stops - Intermediate stop features
+     * @param {boolean} options.optimizeOrder - Reorder intermediate stops
+     * @param {Array<Object>} options.closures - Closures to route around
+     * @param {string} options.role - Role whose access applies (see
+     *   accessControl.js)
+     * @param {Object} options.roomAccess - Room name to access level,
+     *   from loadRoomAccess
+     * @param {number} options.time - Departure time; rooms closed then
+     *   are left out of the route
+     * @param {Object} options.openingHours - Room name to opening_hours
+     *   (see openingHours.js)
+     * @param {Object} options.preferences - Route preference weights (see
+     *   routeCosts.js). Custom cost functions can't be sent to the worker
+     * @param {number} options.alternatives - Ask for up to this many
+     *   distinct routes (ignored when there are stops)
+     * @param {Function} options.onProgress - Called with each progress stage
+     * @returns {Promise<{path: Array<Object>, stops: Array<Object>,
+     *   routes?: Array<Object>, explanation?: Object}|null>} Resolves with
+     *   null when no route exists; routes holds the ranked alternatives when
+     *   requested, and explanation what a multi-stop route's preferences
+     *   steered around (alternatives carry their own). Rejects with a
+     *   cancelled error (see isRouteCancelled) when a newer route search
+     *   replaces it
+     */
+    findRoute(start, end, options = {}) {
+      return search("route", start, end, options);
+    },
+
+    /**
+     * Find the facilities of a category nearest to a room or clicked
+     * point, ranked by walking time.
+     *
+     * @param {Object} start - Start room feature or point location
+     * @param {string} category - Key of FACILITY_CATEGORIES
+     * @param {Object} options - targetFloor, profile, closures, role,
+     *   roomAccess, time, openingHours, count and onProgress, as for
+     *   findRoute
+     * @returns {Promise<Array<Object>>} Resolves with up to count
+     *   {room, path, distance, estimatedTime, floorChanges}, nearest first
+     */
+    findNearestFacilities(start, category, options = {}) {
+      return search("facilities", start, null, {
+        ...options,
+        facility: category,
+      });
+    },
+
+    /**
+     * Plan the evacuation of every room to its nearest exit, without
+     * elevators.
+     *
+     * @param {Object} options - closures and onProgress, as for findRoute,
+     *   and exitRooms from loadExits
+     * @returns {Promise<Object>} Resolves with the plan from
+     *   computeEvacuationPlan: exits, routes and unreachable rooms
+     */
+    computeEvacuationPlan(options = {}) {
+      return search("evacuation", null, null, { ...options, evacuate: true });
+    },
+
+    /**
+     * Walking time from a room or clicked point to every room reachable
+     * within the isochrone bands.
+     *
+     * @param {Object} start - Start room feature or point location
+     * @param {Object} options - profile, closures, role, roomAccess,
+     *   openingHours and onProgress, as for findRoute
+     * @returns {Promise<Object|null>} Resolves with {origin, rooms} from
+     *   computeIsochrones
+     */
+    computeIsochrones(start, options = {}) {
+      return search("isochrone", start, null, { ...options, isochrone: true });
+    },
+
+    /**
+     * Connectivity report for the routing graph: components per floor,
+     * isolated rooms, rooms only reachable through other rooms and floors
+     * without stairs or elevators.
+     *
+     * @param {Object} options - targetFloor, profile, closures, role and
+     *   roomAccess, as for findRoute
+     * @returns {Promise<Object>} Resolves with the report from diagnoseGraph
+     */
+    diagnoseGraph(options = {}) {
+      return search("diagnostics", null, null, { ...options, diagnose: true });
+    },
+
+    /**
+     * Floors a routing profile can get to from a floor through the
+     * connectors it may use - to tell a route that can't exist from one
+     * that closures or access rules block. It counts as a route search, so
+     * a newer route search cancels it.
+     *
+     * @param {number} floor - Floor to start from
+     * @param {Object} options - profile, as for findRoute
+     * @returns {Promise<Array<number>>} Resolves with the floors from
+     *   getReachableFloors
+     */
+    findReachableFloors(floor, options = {}) {
+      return search("route", null, null, { ...options, reachableFrom: floor });
+    },
+
+    // Cancel the searches in flight - of one kind ("route", "facilities",
+    // "evacuation", "isochrone" or "diagnostics"), or all of them
+    cancel(kind = null) {
+      cancelPending(kind);
+    },
+  };
+};
+
+export const routeService = createRouteService();
+
+export default routeService;
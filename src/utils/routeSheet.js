@@ -0,0 +1,157 @@
+// Printable route sheets - step-by-step directions to hand to a visitor,
+// with a plan of each floor the route is walked on
+// The plans are the print floor plans from floorPlan.js, so the sheet
+// needs neither the WebGL map nor basemap tiles
+
+import {
+  escapeHtml,
+  openPrintWindow,
+  renderFloorPlanSvg,
+} from "./floorPlan.js";
+import { calculateRouteStats } from "./directionsGenerator.js";
+import { splitRouteByFloor } from "./routeExport.js";
+import { createTranslator, DEFAULT_LOCALE } from "./i18n.js";
+import { defaultRoomNames } from "./roomNames.js";
+
+const ROUTE_COLOR = "#4285f4";
+
+// Step markers take the colors of the directions panel's step icons
+const STEP_COLORS = {
+  start: "#4caf50",
+  destination: "#f44336",
+  floor_change: "#ff9800",
+  turn: "#2196f3",
+  waypoint: "#9c27b0",
+  stop: "#009688",
+  landmark: "#607d8b",
+};
+
+// US Letter for English, A4 elsewhere. Pages are laid out to fit either,
+// so the print dialog can still switch between them
+const getPaperSize = (locale) => (locale === "en" ? "letter" : "A4");
+
+const SHEET_STYLES = `
+  body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .route-step {
+    display: inline-block;
+    width: 5.5mm;
+    height: 5.5mm;
+    line-height: 5.5mm;
+    border-radius: 50%;
+    color: #fff;
+    font-weight: bold;
+    text-align: center;
+  }
+  svg { margin-bottom: 4mm; }
+  tr { page-break-inside: avoid; }
+  td:first-child, th:first-child { width: 8mm; }
+  td:last-child, th:last-child { width: 20mm; text-align: right; }
+`;
+
+/**
+ * Open a printable route sheet: a summary of the route, then for each
+ * stretch walked on a floor a plan with the route and numbered steps
+ * drawn on it, and the steps written out.
+ *
+ * @param {Array<Object>} routePath - Route points from findRoute
+ * @param {Array<Object>} directions - Steps from generateDirections
+ * @param {Array<Object>} features - All room features, for the floor plans
+ * @param {Object} options - {roomNames, locale} as the directions were
+ *   generated with
+ * @returns {boolean} False when the print window was blocked
+ */
+export const printRouteSheet = (
+  routePath,
+  directions,
+  features,
+  options = {}
+) => {
+  const { roomNames = defaultRoomNames, locale = DEFAULT_LOCALE } = options;
+  const t = createTranslator(locale);
+  const label = (point) => roomNames.getDisplayName(point.name, point.floor);
+  const formatDistance = (meters) =>
+    meters < 1000
+      ? t("units.m", { count: Math.round(meters) })
+      : t("units.km", { count: meters / 1000 });
+  const formatTime = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.round(seconds % 60);
+    if (mins === 0) return t("units.sec", { count: secs });
+    return secs > 0
+      ? t("units.minSec", { min: mins, sec: secs })
+      : t("units.min", { count: mins });
+  };
+
+  const stretches = splitRouteByFloor(routePath, directions);
+  const sections = stretches.map(({ floor, points, steps }, i) => {
+    // Where the route comes out on this floor, numbered as the floor
+    // change that leads here
+    const arrival = stretches[i - 1]?.steps
+      .filter(({ step }) => step.type === "floor_change")
+      .pop();
+    const markers = [
+      ...(arrival ? [{ ...arrival, coords: points[0].coords }] : []),
+      ...steps.map((entry) => ({ ...entry, coords: entry.step.coords })),
+    ].map(({ number, step, coords }) => ({
+      coords,
+      label: String(number),
+      color: STEP_COLORS[step.type] || ROUTE_COLOR,
+    }));
+
+    const svg = renderFloorPlanSvg(
+      features,
+      floor,
+      {
+        paths: [
+          { coords: points.map((point) => point.coords), color: ROUTE_COLOR },
+        ],
+        markers,
+        labelRooms: true,
+        roomNames,
+      },
+      { width: 720, height: 460 }
+    );
+
+    const rows = steps.map(({ number, step }) => {
+      const color = STEP_COLORS[step.type] || ROUTE_COLOR;
+      const distance = step.distance > 1 ? formatDistance(step.distance) : "";
+      return `<tr>
+<td><span class="route-step" style="background: ${color}">${number}</span></td>
+<td>${escapeHtml(step.instruction)}</td>
+<td>${escapeHtml(distance)}</td>
+</tr>`;
+    });
+    const headings = ["#", t("sheet.instruction"), t("panel.distance")]
+      .map((heading) => `<th>${escapeHtml(heading)}</th>`)
+      .join("");
+
+    return `<section class="print-page">
+<h2>${escapeHtml(t("panel.floor", { floor }))}</h2>
+${svg}
+<table>
+<thead><tr>${headings}</tr></thead>
+<tbody>${rows.join("")}</tbody>
+</table>
+</section>`;
+  });
+
+  const stats = calculateRouteStats(routePath);
+  const title = t("sheet.title", {
+    from: label(routePath[0]),
+    to: label(routePath[routePath.length - 1]),
+  });
+  const meta = [
+    `${t("panel.distance")}: ${formatDistance(stats.totalDistance)}`,
+    `${t("panel.time")}: ${formatTime(stats.estimatedTime)}`,
+    `${t("panel.floors")}: ${stats.floors.join(", ")}`,
+    t("sheet.printed", { date: new Date().toLocaleString(locale) }),
+  ];
+  const header = `<h1>${escapeHtml(title)}</h1>
+<div class="print-meta">${escapeHtml(meta.join(" · "))}</div>`;
+
+  return openPrintWindow(
+    title,
+    header + sections.join(""),
+    `@page { size: ${getPaperSize(locale)}; margin: 12mm; }${SHEET_STYLES}`
+  );
+};
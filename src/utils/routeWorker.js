@@ -0,0 +1,122 @@
+// Web Worker that runs route searches off the UI thread
+// Datasets are sent once and kept here, so the room graphs and navigation
+// meshes pathfinding caches per dataset survive between requests
+
+import {
+  findRoute,
+  findMultiStopRoute,
+  findAlternativeRoutes,
+  findNearestFacilities,
+  computeEvacuationPlan,
+  computeIsochrones,
+  diagnoseRouteGraph,
+  getReachableFloors,
+  loadRouteGraph,
+} from "./pathfinding.js";
+
+const datasets = new Map();
+const cancelled = new Set();
+const latestRequestIds = new Map(); // newest request of each kind
+
+const runRequest = ({ id, kind, datasetId, start, end, options }) => {
+  // A newer request of the same kind or an explicit cancel makes this one
+  // stale
+  if (cancelled.has(id) || id !== latestRequestIds.get(kind)) {
+    cancelled.delete(id);
+    self.postMessage({ type: "cancelled", id });
+    return;
+  }
+
+  const rooms = datasets.get(datasetId);
+  if (!rooms) {
+    self.postMessage({
+      type: "error",
+      id,
+      message: `Unknown dataset ${datasetId}`,
+    });
+    return;
+  }
+
+  const {
+    stops = [],
+    targetFloor = null,
+    alternatives = 0,
+    facility = null,
+    evacuate = false,
+    isochrone = false,
+    diagnose = false,
+    reachableFrom = null,
+    ...routeOptions
+  } = options;
+  const onProgress = (stage) =>
+    self.postMessage({ type: "progress", id, stage });
+
+  try {
+    let result = null;
+    if (diagnose) {
+      result = diagnoseRouteGraph(rooms, { ...routeOptions, targetFloor });
+    } else if (reachableFrom !== null) {
+      result = getReachableFloors(rooms, reachableFrom, routeOptions.profile);
+    } else if (evacuate) {
+      result = computeEvacuationPlan(rooms, { ...routeOptions, onProgress });
+    } else if (isochrone) {
+      result = computeIsochrones(rooms, start, { ...routeOptions, onProgress });
+    } else if (facility) {
+      result = findNearestFacilities(rooms, start, facility, targetFloor, {
+        ...routeOptions,
+        onProgress,
+      });
+    } else if (stops.length > 0) {
+      result = findMultiStopRoute(
+        rooms,
+        [start, ...stops, end],
+        targetFloor,
+        { ...routeOptions, onProgress }
+      );
+    } else if (alternatives > 1) {
+      const routes = findAlternativeRoutes(rooms, start, end, targetFloor, {
+        ...routeOptions,
+        count: alternatives,
+        onProgress,
+      });
+      result =
+        routes.length > 0
+          ? { path: routes[0].path, stops: [start, end], routes }
+          : null;
+    } else {
+      const path = findRoute(rooms, start, end, targetFloor, {
+        ...routeOptions,
+        onProgress,
+      });
+      result = path && { path, stops: [start, end] };
+    }
+    self.postMessage({ type: "result", id, result });
+  } catch (error) {
+    self.postMessage({ type: "error", id, message: error.message });
+  }
+  // A cancel that arrived mid-search has nothing left to skip
+  cancelled.delete(id);
+};
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "dataset":
+      // The service never goes back to an older dataset
+      datasets.clear();
+      datasets.set(data.datasetId, data.rooms);
+      if (data.routeGraph) loadRouteGraph(data.rooms, data.routeGraph);
+      break;
+    case "route":
+      latestRequestIds.set(data.kind, data.id);
+      self.postMessage({ type: "progress", id: data.id, stage: "queued" });
+      // Yield first so cancels and newer requests already in the queue
+      // are seen before the search starts
+      setTimeout(() => runRequest(data), 0);
+      break;
+    case "cancel":
+      cancelled.add(data.id);
+      break;
+    default:
+      console.warn("[RouteWorker] Unknown message:", data.type);
+  }
+};
@@ -0,0 +1,71 @@
+// Uniform grid spatial index for bounding-box candidate lookups
+// Each item is filed under every cell its bounding box touches, so a search
+// only has to look at the cells around the query box instead of every item
+
+import { bboxesOverlap } from "./geometry.js";
+
+// Default cell size (5 m in projected coordinates) - a few rooms per cell
+const DEFAULT_CELL_SIZE = 5;
+
+/**
+ * Create an empty grid index.
+ *
+ * @param {number} cellSize - Grid cell size in coordinate units
+ * @returns {{insert: Function, search: Function, size: number}} Index with
+ *   insert(item, bbox) and search(bbox, padding) returning the items whose
+ *   boxes overlap the (padded) query box
+ */
+export const createSpatialIndex = (cellSize = DEFAULT_CELL_SIZE) => {
+  const cells = new Map();
+  const entries = [];
+
+  const cellRange = (bbox, padding) => [
+    Math.floor((bbox[0] - padding) / cellSize),
+    Math.floor((bbox[1] - padding) / cellSize),
+    Math.floor((bbox[2] + padding) / cellSize),
+    Math.floor((bbox[3] + padding) / cellSize),
+  ];
+
+  return {
+    insert(item, bbox) {
+      const entry = { item, bbox, id: entries.length };
+      entries.push(entry);
+
+      const [minX, minY, maxX, maxY] = cellRange(bbox, 0);
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          const key = `${x}:${y}`;
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(entry);
+        }
+      }
+    },
+
+    search(bbox, padding = 0) {
+      const seen = new Set();
+      const matches = [];
+
+      const [minX, minY, maxX, maxY] = cellRange(bbox, padding);
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          const cell = cells.get(`${x}:${y}`);
+          if (!cell) continue;
+          cell.forEach((entry) => {
+            if (seen.has(entry.id)) return;
+            seen.add(entry.id);
+            if (bboxesOverlap(bbox, entry.bbox, padding)) {
+              matches.push(entry);
+            }
+          });
+        }
+      }
+
+      // Keep insertion order so callers see stable results
+      return matches.sort((a, b) => a.id - b.id).map((entry) => entry.item);
+    },
+
+    get size() {
+      return entries.length;
+    },
+  };
+};
@@ -0,0 +1,279 @@
+// Vertical connectors - the stair, elevator and ramp shafts that join floors
+//
+// Connector rooms on different floors belong to the same shaft when their
+// features share a connector id or their footprints overlap; pieces of one
+// stairwell drawn side by side on a floor only need to touch. Each shaft
+// knows the floors it serves and what a trip through it costs: stairs and
+// ramps are climbed one floor at a time, while an elevator rides from any
+// floor it serves straight to any other.
+//
+// Optional feature properties (any feature of a connector room may set them):
+//   connector_id / shaft_id - shared by every level of the same shaft
+//   serves                  - floors the connector stops at, e.g. [0, 1, 7]
+//   connector_cost          - cost per floor travelled, in meters of walking
+//   wait_cost               - fixed cost of using it (waiting for the lift)
+
+import {
+  distance,
+  getOuterRings,
+  getBBox,
+  pointInRing,
+  pointToRingDistance,
+  getRingCentroid,
+} from "./geometry.js";
+import { createSpatialIndex } from "./spatialIndex.js";
+
+// Default traversal costs, in meters of level walking. A flight of stairs
+// takes about as long as 15 m on the flat; an elevator is quick between
+// floors but usually has to be waited for.
+export const CONNECTOR_COSTS = {
+  stairs: { perFloor: 15, wait: 0 },
+  elevator: { perFloor: 4, wait: 30 },
+  ramp: { perFloor: 25, wait: 0 },
+};
+
+// Classify a vertical connector as stairs, elevator or ramp
+export const getConnectorType = (roomName) => {
+  const name = roomName.toLowerCase();
+  if (
+    name.includes("elevator") ||
+    name.includes("elevador") ||
+    name.includes("lift")
+  ) {
+    return "elevator";
+  }
+  if (name.includes("ramp")) return "ramp";
+  if (
+    name.includes("stair") ||
+    name.includes("escada") ||
+    name.includes("srairs") // Misspelt stair areas in the level 5 data
+  ) {
+    return "stairs";
+  }
+  return null;
+};
+
+// First value a property takes on any of a room's features
+const getRoomProperty = (room, ...keys) => {
+  for (const feature of room.features) {
+    for (const key of keys) {
+      const value = feature.properties?.[key];
+      if (value !== undefined && value !== null && value !== "") return value;
+    }
+  }
+  return null;
+};
+
+const parseFloorList = (value) => {
+  if (value === null) return null;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const floors = list.map(Number).filter(Number.isFinite);
+  return floors.length > 0 ? floors : null;
+};
+
+const parseCost = (value) => {
+  const cost = Number(value);
+  return value !== null && Number.isFinite(cost) && cost >= 0 ? cost : null;
+};
+
+// Pieces of one stairwell on the same floor may be drawn with small gaps
+// between them (meters)
+const PIECE_TOLERANCE = 1;
+
+// Whether two outlines cover some of the same ground
+const ringsOverlap = (a, b) =>
+  a.some((p) => pointInRing(p, b)) ||
+  b.some((p) => pointInRing(p, a)) ||
+  pointInRing(getRingCentroid(a), b) ||
+  pointInRing(getRingCentroid(b), a);
+
+const ringsTouch = (a, b, tolerance) =>
+  a.some((p) => pointToRingDistance(p, b) <= tolerance) ||
+  b.some((p) => pointToRingDistance(p, a) <= tolerance);
+
+/**
+ * Group connector rooms from every floor into shafts.
+ *
+ * @param {Array<Object>} rooms - Room groups ({name, floor, features,
+ *   centroid}) in projected coordinates; non-connectors are ignored
+ * @returns {Array<Object>} Shafts as {id, type, floors, members, costs},
+ *   where members are the rooms and floors the sorted floors served
+ */
+export const findConnectorShafts = (rooms) => {
+  const connectors = rooms
+    .map((room) => ({ room, type: getConnectorType(room.name) }))
+    .filter(({ type }) => type !== null);
+
+  // Union-find over connector rooms
+  const parent = connectors.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    parent[find(a)] = find(b);
+  };
+
+  // Rooms tagged with the same connector id are one shaft
+  const byId = new Map();
+  connectors.forEach(({ room }, i) => {
+    const id = getRoomProperty(room, "connector_id", "shaft_id");
+    if (id === null) return;
+    if (byId.has(String(id))) union(i, byId.get(String(id)));
+    else byId.set(String(id), i);
+  });
+
+  // Untagged rooms of the same kind that sit over each other are one shaft,
+  // as are touching pieces of the same stairwell on one floor
+  const parts = connectors.flatMap(({ room }, index) =>
+    room.features.flatMap((feature) =>
+      getOuterRings(feature).map((ring) => ({
+        index,
+        ring,
+        bbox: getBBox(ring),
+      }))
+    )
+  );
+  const partIndex = createSpatialIndex();
+  parts.forEach((part) => partIndex.insert(part, part.bbox));
+
+  parts.forEach((part) => {
+    const { room, type } = connectors[part.index];
+    partIndex.search(part.bbox, PIECE_TOLERANCE).forEach((other) => {
+      const candidate = connectors[other.index];
+      if (candidate.type !== type || find(other.index) === find(part.index)) {
+        return;
+      }
+      const joined =
+        candidate.room.floor === room.floor
+          ? ringsTouch(part.ring, other.ring, PIECE_TOLERANCE)
+          : ringsOverlap(part.ring, other.ring);
+      if (joined) union(part.index, other.index);
+    });
+  });
+
+  const shafts = new Map();
+  connectors.forEach(({ room, type }, i) => {
+    const root = find(i);
+    if (!shafts.has(root)) shafts.set(root, { type, members: [] });
+    shafts.get(root).members.push(room);
+  });
+
+  return Array.from(shafts.values())
+    .map(({ type, members }, index) => {
+      const getValue = (...keys) => {
+        for (const member of members) {
+          const value = getRoomProperty(member, ...keys);
+          if (value !== null) return value;
+        }
+        return null;
+      };
+
+      // A connector serves the floors it reaches, limited by any stop list
+      const reached = [...new Set(members.map((m) => m.floor))];
+      const stops = parseFloorList(getValue("serves"));
+      const floors = reached
+        .filter((floor) => !stops || stops.includes(floor))
+        .sort((a, b) => a - b);
+
+      const defaults = CONNECTOR_COSTS[type];
+      const id = getValue("connector_id", "shaft_id");
+
+      return {
+        id: id !== null ? String(id) : `${type}-${index + 1}`,
+        type,
+        floors,
+        members: members.filter((m) => floors.includes(m.floor)),
+        costs: {
+          perFloor: parseCost(getValue("connector_cost")) ?? defaults.perFloor,
+          wait: parseCost(getValue("wait_cost")) ?? defaults.wait,
+        },
+      };
+    })
+    .filter((shaft) => shaft.floors.length > 1);
+};
+
+// Whether a trip between two members of a shaft stays inside one stairwell
+// or car: they share a connector id or sit over each other. Members only
+// grouped through a chain of touching pieces may be metres apart.
+const membersStack = (a, b) => {
+  const idA = getRoomProperty(a, "connector_id", "shaft_id");
+  const idB = getRoomProperty(b, "connector_id", "shaft_id");
+  if (idA !== null && idB !== null) return String(idA) === String(idB);
+
+  const ringsA = a.features.flatMap(getOuterRings);
+  const ringsB = b.features.flatMap(getOuterRings);
+  return ringsA.some((ringA) =>
+    ringsB.some((ringB) => ringsOverlap(ringA, ringB))
+  );
+};
+
+/**
+ * Every trip a shaft offers, in both directions. Stairs and ramps join each
+ * served floor to the next; elevators join every pair of served floors.
+ * Only members that share a connector id or whose footprints overlap are
+ * joined, so a trip never jumps across the floor between two stairwells.
+ *
+ * @param {Object} shaft - From findConnectorShafts
+ * @returns {Array<{from: Object, to: Object, cost: number}>} Room to room
+ *   trips, costed as the offset between the rooms plus the shaft's wait
+ *   and per-floor costs
+ */
+export const getShaftConnections = (shaft) => {
+  const { floors, members, costs } = shaft;
+  const connections = [];
+
+  floors.forEach((fromFloor, i) => {
+    const targets =
+      shaft.type === "elevator"
+        ? floors.filter((floor) => floor !== fromFloor)
+        : [floors[i - 1], floors[i + 1]].filter((f) => f !== undefined);
+
+    members
+      .filter((from) => from.floor === fromFloor)
+      .forEach((from) => {
+        members
+          .filter((to) => targets.includes(to.floor) && membersStack(from, to))
+          .forEach((to) => {
+            const floorCount = Math.abs(to.floor - from.floor);
+            connections.push({
+              from,
+              to,
+              cost:
+                distance(from.centroid, to.centroid) +
+                costs.wait +
+                costs.perFloor * floorCount,
+            });
+          });
+      });
+  });
+
+  return connections;
+};
+
+/**
+ * Pieces of a shaft that touch on the same floor - the flights and landings
+ * of one stairwell drawn as separate rooms. They are walked between on the
+ * level, even where no shared boundary or door joins them.
+ *
+ * @param {Object} shaft - From findConnectorShafts
+ * @returns {Array<[Object, Object]>} Pairs of touching member rooms
+ */
+export const getShaftLandings = (shaft) => {
+  const pairs = [];
+  shaft.members.forEach((a, i) => {
+    shaft.members.slice(i + 1).forEach((b) => {
+      if (a.floor !== b.floor) return;
+      const ringsA = a.features.flatMap(getOuterRings);
+      const ringsB = b.features.flatMap(getOuterRings);
+      const touch = ringsA.some((ringA) =>
+        ringsB.some((ringB) => ringsTouch(ringA, ringB, PIECE_TOLERANCE))
+      );
+      if (touch) pairs.push([a, b]);
+    });
+  });
+  return pairs;
+};
@@ -0,0 +1,187 @@
+import { describe, it, expect } from "vitest";
+import {
+  findConnectorShafts,
+  getShaftConnections,
+  getShaftLandings,
+  getConnectorType,
+} from "./verticalConnectors.js";
+
+// A rectangular room in projected meters
+const box = (name, x1, y1, x2, y2, floor, properties = {}) => ({
+  name,
+  floor,
+  centroid: [(x1 + x2) / 2, (y1 + y2) / 2],
+  features: [
+    {
+      type: "Feature",
+      properties: { name, level: floor, ...properties },
+      geometry: {
+        type: "Polygon",
+        coordinates: [
+          [
+            [x1, y1],
+            [x2, y1],
+            [x2, y2],
+            [x1, y2],
+            [x1, y1],
+          ],
+        ],
+      },
+    },
+  ],
+});
+
+const linkKeys = (shaft) =>
+  getShaftConnections(shaft)
+    .map(
+      ({ from, to }) =>
+        `${from.name}_F${from.floor}>${to.name}_F${to.floor}`
+    )
+    .sort();
+
+describe("getConnectorType", () => {
+  it("recognizes stairs, elevators and ramps by name", () => {
+    expect(getConnectorType("Stair_case")).toBe("stairs");
+    expect(getConnectorType("escada_norte")).toBe("stairs");
+    expect(getConnectorType("srairs_area_upper")).toBe("stairs");
+    expect(getConnectorType("elevador_1")).toBe("elevator");
+    expect(getConnectorType("ramp_east")).toBe("ramp");
+    expect(getConnectorType("lobby")).toBeNull();
+  });
+});
+
+describe("findConnectorShafts", () => {
+  it("groups stairs that sit over each other into one shaft", () => {
+    const shafts = findConnectorShafts([
+      box("stairs", 0, 0, 4, 4, 0),
+      box("stairs", 0, 0, 4, 4, 1),
+      box("stairs", 0, 0, 4, 4, 2),
+      box("lobby", 4, 0, 20, 4, 0),
+    ]);
+
+    expect(shafts).toHaveLength(1);
+    expect(shafts[0].type).toBe("stairs");
+    expect(shafts[0].floors).toEqual([0, 1, 2]);
+    expect(shafts[0].members).toHaveLength(3);
+  });
+
+  it("keeps stairwells apart when nothing joins them", () => {
+    const shafts = findConnectorShafts([
+      box("stairs_west", 0, 0, 4, 4, 0),
+      box("stairs_west", 0, 0, 4, 4, 1),
+      box("stairs_east", 40, 0, 44, 4, 0),
+      box("stairs_east", 40, 0, 44, 4, 1),
+    ]);
+
+    expect(shafts).toHaveLength(2);
+    expect(shafts.map((s) => s.members[0].name).sort()).toEqual([
+      "stairs_east",
+      "stairs_west",
+    ]);
+  });
+
+  it("joins touching pieces of one stairwell on a floor", () => {
+    const shafts = findConnectorShafts([
+      box("stairs_area", 0, 0, 4, 4, 0),
+      box("stair_case", 4.5, 0, 8, 4, 0),
+      box("stair_case", 4.5, 0, 8, 4, 1),
+    ]);
+
+    expect(shafts).toHaveLength(1);
+    expect(shafts[0].members).toHaveLength(3);
+  });
+
+  it("groups rooms by connector id and limits floors to its stops", () => {
+    const props = { connector_id: "lift-a", serves: "0,2", wait_cost: 10 };
+    const shafts = findConnectorShafts([
+      box("elevator", 0, 0, 2, 2, 0, props),
+      box("elevator", 0, 0, 2, 2, 1),
+      box("elevator", 0, 0, 2, 2, 2),
+    ]);
+
+    expect(shafts).toHaveLength(1);
+    expect(shafts[0].id).toBe("lift-a");
+    expect(shafts[0].floors).toEqual([0, 2]);
+    expect(shafts[0].costs).toEqual({ perFloor: 4, wait: 10 });
+  });
+});
+
+describe("getShaftConnections", () => {
+  it("climbs stairs one floor at a time", () => {
+    const [shaft] = findConnectorShafts([
+      box("stairs", 0, 0, 4, 4, 0),
+      box("stairs", 0, 0, 4, 4, 1),
+      box("stairs", 0, 0, 4, 4, 2),
+    ]);
+
+    expect(linkKeys(shaft)).toEqual([
+      "stairs_F0>stairs_F1",
+      "stairs_F1>stairs_F0",
+      "stairs_F1>stairs_F2",
+      "stairs_F2>stairs_F1",
+    ]);
+    getShaftConnections(shaft).forEach(({ cost }) => expect(cost).toBe(15));
+  });
+
+  it("rides an elevator between any floors it serves", () => {
+    const [shaft] = findConnectorShafts([
+      box("elevator", 0, 0, 2, 2, 0),
+      box("elevator", 0, 0, 2, 2, 1),
+      box("elevator", 0, 0, 2, 2, 3),
+    ]);
+    const connections = getShaftConnections(shaft);
+
+    expect(connections).toHaveLength(6);
+    const topToBottom = connections.find(
+      ({ from, to }) => from.floor === 3 && to.floor === 0
+    );
+    expect(topToBottom.cost).toBe(30 + 4 * 3);
+  });
+
+  it("never links two stairwells a shared landing groups together", () => {
+    // The landing touches both stairwells on floor 0, so all of them are one
+    // shaft, but each stairwell only climbs within its own footprint
+    const [shaft] = findConnectorShafts([
+      box("stairs_west", 0, 0, 4, 4, 0),
+      box("stairs_landing", 4.5, 0, 39.5, 4, 0),
+      box("stairs_east", 40, 0, 44, 4, 0),
+      box("stairs_west", 0, 0, 4, 4, 1),
+      box("stairs_east", 40, 0, 44, 4, 1),
+    ]);
+
+    expect(shaft.members).toHaveLength(5);
+    expect(linkKeys(shaft)).toEqual([
+      "stairs_east_F0>stairs_east_F1",
+      "stairs_east_F1>stairs_east_F0",
+      "stairs_west_F0>stairs_west_F1",
+      "stairs_west_F1>stairs_west_F0",
+    ]);
+  });
+
+  it("links members that share a connector id without overlapping", () => {
+    const [shaft] = findConnectorShafts([
+      box("stairs", 0, 0, 4, 4, 0, { connector_id: "north" }),
+      box("stairs", 6, 0, 10, 4, 1, { connector_id: "north" }),
+    ]);
+
+    expect(linkKeys(shaft)).toEqual([
+      "stairs_F0>stairs_F1",
+      "stairs_F1>stairs_F0",
+    ]);
+  });
+});
+
+describe("getShaftLandings", () => {
+  it("pairs touching pieces of a stairwell on the same floor", () => {
+    const [shaft] = findConnectorShafts([
+      box("stairs_flight", 0, 0, 4, 4, 0),
+      box("stairs_landing", 4.5, 0, 8, 4, 0),
+      box("stairs_flight", 0, 0, 4, 4, 1),
+    ]);
+    const pairs = getShaftLandings(shaft).map(([a, b]) =>
+      [a.name, b.name].sort()
+    );
+
+    expect(pairs).toEqual([["stairs_flight", "stairs_landing"]]);
+  });
+});